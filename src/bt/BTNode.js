@@ -0,0 +1,79 @@
+/**
+ * Base class for all nodes of a {@link BehaviorTree}. A node is ticked by its
+ * parent and reports its status: *SUCCESS*, *FAILURE* or *RUNNING*.
+ */
+export class BTNode {
+  /**
+   * Constructs a new node.
+   */
+  constructor() {
+    /**
+     * The status of the last tick or null if this node was not ticked since the last reset.
+     * @type {?string}
+     * @default null
+     */
+    this.status = null;
+  }
+
+  /**
+   * Ticks this node and stores the resulting status.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  tick(tree, delta) {
+    this.status = this.execute(tree, delta);
+    return this.status;
+  }
+
+  /**
+   * Performs the actual work of this node. Subclasses have to implement this method.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(/* tree, delta */) {
+    return BTNode.STATUS.FAILURE;
+  }
+
+  /**
+   * Resets the internal state of this node, e.g. when a running branch is aborted.
+   * @return {BTNode} A reference to this node.
+   */
+  reset() {
+    this.status = null;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      status: this.status,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. Fields missing in hand-written
+   * descriptions keep their defaults.
+   * @param {Object} json - The JSON object.
+   * @return {BTNode} A reference to this node.
+   */
+  fromJSON(json) {
+    if (json.status !== undefined) this.status = json.status;
+    return this;
+  }
+}
+
+/**
+ * The possible status values of a node.
+ * @type {Object}
+ */
+BTNode.STATUS = Object.freeze({
+  SUCCESS: "success", // the node has finished its work successfully
+  FAILURE: "failure", // the node has failed or its condition is not met
+  RUNNING: "running", // the node needs more ticks to finish
+});
@@ -0,0 +1,172 @@
+import { Blackboard } from "./Blackboard";
+import { Composite } from "./Composite";
+import { Decorator } from "./Decorator";
+import { Parallel } from "./composites/Parallel";
+import { Selector } from "./composites/Selector";
+import { Sequence } from "./composites/Sequence";
+import { Cooldown } from "./decorators/Cooldown";
+import { Inverter } from "./decorators/Inverter";
+import { Repeater } from "./decorators/Repeater";
+import { Action } from "./leaves/Action";
+import { Condition } from "./leaves/Condition";
+
+/**
+ * Class for representing a behavior tree owned by a game entity. The owner
+ * calls {@link BehaviorTree#tick} from its `update(delta)`. Trees can be built
+ * in code or from a JSON description, where each node names its type. Custom
+ * nodes have to be registered via {@link BehaviorTree#registerType}.
+ */
+export class BehaviorTree {
+  /**
+   * Constructs a new behavior tree.
+   * @param {GameEntity} owner - The owner of this behavior tree.
+   * @param {BTNode} root - The root node.
+   */
+  constructor(owner = null, root = null) {
+    /**
+     * The game entity that owns this behavior tree.
+     * @type {?GameEntity}
+     */
+    this.owner = owner;
+
+    /**
+     * The root node.
+     * @type {?BTNode}
+     */
+    this.root = root;
+
+    /**
+     * Storage shared by all nodes of this tree.
+     * @type {Blackboard}
+     */
+    this.blackboard = new Blackboard();
+
+    /**
+     * The time in seconds this tree was ticked for.
+     * @type {number}
+     * @readonly
+     */
+    this.elapsed = 0;
+
+    /**
+     * The status of the root node after the last tick.
+     * @type {?string}
+     * @readonly
+     */
+    this.status = null;
+
+    // Serialization: maps type names to node constructors
+    this._typesMap = new Map([
+      ["Action", Action],
+      ["Condition", Condition],
+      ["Cooldown", Cooldown],
+      ["Inverter", Inverter],
+      ["Parallel", Parallel],
+      ["Repeater", Repeater],
+      ["Selector", Selector],
+      ["Sequence", Sequence],
+    ]);
+  }
+
+  /**
+   * Ticks the root node.
+   * @param {number} delta - The time delta in seconds.
+   * @return {?string} The status of the root node or null if there is none.
+   */
+  tick(delta) {
+    this.elapsed += delta;
+    this.status = this.root !== null ? this.root.tick(this, delta) : null;
+    return this.status;
+  }
+
+  /**
+   * Resets all nodes, e.g. to abort running actions.
+   * @return {BehaviorTree} A reference to this behavior tree.
+   */
+  reset() {
+    if (this.root !== null) this.root.reset();
+    this.status = null;
+    return this;
+  }
+
+  /**
+   * Registers a custom node type so it can be built by {@link BehaviorTree#parseNode}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {BehaviorTree} A reference to this behavior tree.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Builds a node and all of its descendants from a JSON description like
+   * `{ type: "Sequence", children: [{ type: "IsHungry" }, { type: "Eat" }] }`.
+   * Decorators describe their child with `child`.
+   * @param {Object} json - The JSON description.
+   * @return {BTNode} The node.
+   */
+  parseNode(json) {
+    const node = new (this._getType(json.type))().fromJSON(json);
+
+    if (node instanceof Composite) {
+      node.children = (json.children || []).map((childJSON) => this.parseNode(childJSON));
+    } else if (node instanceof Decorator) {
+      node.child = json.child ? this.parseNode(json.child) : null;
+    }
+
+    return node;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      owner: this.owner !== null ? this.owner.uuid : null,
+      root: this.root !== null ? this.root.toJSON() : null,
+      blackboard: this.blackboard.toJSON(),
+      elapsed: this.elapsed,
+      status: this.status,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. Only `root` is required, so a
+   * hand-written description of the tree can be loaded as well.
+   * @param {Object} json - The JSON object.
+   * @return {BehaviorTree} A reference to this behavior tree.
+   */
+  fromJSON(json) {
+    this.root = json.root ? this.parseNode(json.root) : null;
+
+    if (json.owner !== undefined) this.owner = json.owner;
+    if (json.blackboard !== undefined) this.blackboard.fromJSON(json.blackboard);
+    if (json.elapsed !== undefined) this.elapsed = json.elapsed;
+    if (json.status !== undefined) this.status = json.status;
+
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {BehaviorTree} A reference to this behavior tree.
+   */
+  resolveReferences(entities) {
+    this.owner = entities.get(this.owner) || null;
+    this.blackboard.resolveReferences(entities);
+    return this;
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`BehaviorTree: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+}
@@ -0,0 +1,155 @@
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../core/GameEntity";
+
+/**
+ * Key-value storage shared by the nodes of a {@link BehaviorTree}. Game
+ * entities stored as values are serialized as UUIDs and restored by
+ * {@link Blackboard#resolveReferences}. Vectors and quaternions are serialized
+ * as arrays and restored as Babylon objects. All other values must be JSON compatible.
+ */
+export class Blackboard {
+  /**
+   * Constructs a new blackboard.
+   */
+  constructor() {
+    // Maps keys to values
+    this._data = new Map();
+
+    // Keys whose values are entity UUIDs until references are resolved
+    this._references = new Set();
+  }
+
+  /**
+   * Returns the value stored for the given key.
+   * @param {string} key - The key.
+   * @param {*} defaultValue - Returned if there is no value for the key.
+   * @return {*} The value.
+   */
+  get(key, defaultValue = undefined) {
+    return this._data.has(key) ? this._data.get(key) : defaultValue;
+  }
+
+  /**
+   * Stores a value for the given key.
+   * @param {string} key - The key.
+   * @param {*} value - The value.
+   * @return {Blackboard} A reference to this blackboard.
+   */
+  set(key, value) {
+    this._data.set(key, value);
+    this._references.delete(key);
+    return this;
+  }
+
+  /**
+   * Returns true if a value is stored for the given key.
+   * @param {string} key - The key.
+   * @return {boolean} Whether a value is stored or not.
+   */
+  has(key) {
+    return this._data.has(key);
+  }
+
+  /**
+   * Removes the value stored for the given key.
+   * @param {string} key - The key.
+   * @return {Blackboard} A reference to this blackboard.
+   */
+  delete(key) {
+    this._data.delete(key);
+    this._references.delete(key);
+    return this;
+  }
+
+  /**
+   * Removes all values.
+   * @return {Blackboard} A reference to this blackboard.
+   */
+  clear() {
+    this._data.clear();
+    this._references.clear();
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const data = {};
+    const references = [];
+    const vectors = [];
+    const quaternions = [];
+
+    for (const [key, value] of this._data) {
+      if (value instanceof GameEntity) {
+        data[key] = value.uuid;
+        references.push(key);
+      } else if (value instanceof Vector3) {
+        data[key] = value.asArray();
+        vectors.push(key);
+      } else if (value instanceof Quaternion) {
+        data[key] = value.asArray();
+        quaternions.push(key);
+      } else {
+        data[key] = value;
+      }
+    }
+
+    return {
+      type: this.constructor.name,
+      data: data,
+      references: references,
+      vectors: vectors,
+      quaternions: quaternions,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Blackboard} A reference to this blackboard.
+   */
+  fromJSON(json) {
+    this.clear();
+
+    for (const key of Object.keys(json.data)) {
+      this._data.set(key, json.data[key]);
+    }
+
+    for (const key of json.references) {
+      this._references.add(key);
+    }
+
+    for (const key of json.vectors) {
+      this._data.set(key, Vector3.FromArray(json.data[key]));
+    }
+
+    for (const key of json.quaternions) {
+      this._data.set(key, Quaternion.FromArray(json.data[key]));
+    }
+
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Values of unknown
+   * entities are removed.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Blackboard} A reference to this blackboard.
+   */
+  resolveReferences(entities) {
+    for (const key of this._references) {
+      const entity = entities.get(this._data.get(key));
+
+      if (entity !== undefined) {
+        this._data.set(key, entity);
+      } else {
+        this._data.delete(key);
+      }
+    }
+
+    this._references.clear();
+    return this;
+  }
+}
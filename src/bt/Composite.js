@@ -0,0 +1,61 @@
+import { BTNode } from "./BTNode";
+
+/**
+ * Base class for nodes with an ordered list of children.
+ */
+export class Composite extends BTNode {
+  /**
+   * Constructs a new composite node.
+   * @param {Array<BTNode>} children - The child nodes.
+   */
+  constructor(children = []) {
+    super();
+
+    /**
+     * The child nodes.
+     * @type {Array<BTNode>}
+     */
+    this.children = children;
+  }
+
+  /**
+   * Adds a child node.
+   * @param {BTNode} child - The child node to add.
+   * @return {Composite} A reference to this node.
+   */
+  add(child) {
+    this.children.push(child);
+    return this;
+  }
+
+  /**
+   * Removes a child node.
+   * @param {BTNode} child - The child node to remove.
+   * @return {Composite} A reference to this node.
+   */
+  remove(child) {
+    const index = this.children.indexOf(child);
+    if (index !== -1) this.children.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Resets this node and all of its children.
+   * @return {Composite} A reference to this node.
+   */
+  reset() {
+    super.reset();
+    for (const child of this.children) child.reset();
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.children = this.children.map((child) => child.toJSON());
+    return json;
+  }
+}
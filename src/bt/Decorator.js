@@ -0,0 +1,40 @@
+import { BTNode } from "./BTNode";
+
+/**
+ * Base class for nodes that wrap a single child and modify its result.
+ */
+export class Decorator extends BTNode {
+  /**
+   * Constructs a new decorator node.
+   * @param {BTNode} child - The child node.
+   */
+  constructor(child = null) {
+    super();
+
+    /**
+     * The child node.
+     * @type {?BTNode}
+     */
+    this.child = child;
+  }
+
+  /**
+   * Resets this node and its child.
+   * @return {Decorator} A reference to this node.
+   */
+  reset() {
+    super.reset();
+    if (this.child !== null) this.child.reset();
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.child = this.child !== null ? this.child.toJSON() : null;
+    return json;
+  }
+}
@@ -0,0 +1,110 @@
+import { BTNode } from "../BTNode";
+import { Composite } from "../Composite";
+
+/**
+ * Ticks all of its children in each tick. Children that already finished are
+ * not ticked again until the parallel node itself finishes. The policies
+ * determine whether one or all children have to succeed or fail.
+ */
+export class Parallel extends Composite {
+  /**
+   * Constructs a new parallel node.
+   * @param {Array<BTNode>} children - The child nodes.
+   * @param {string} successPolicy - How many children have to succeed for this node to succeed.
+   * @param {string} failurePolicy - How many children have to fail for this node to fail.
+   */
+  constructor(children = [], successPolicy = Parallel.POLICY.REQUIRE_ALL, failurePolicy = Parallel.POLICY.REQUIRE_ONE) {
+    super(children);
+
+    /**
+     * How many children have to succeed for this node to succeed.
+     * @type {string}
+     * @default Parallel.POLICY.REQUIRE_ALL
+     */
+    this.successPolicy = successPolicy;
+
+    /**
+     * How many children have to fail for this node to fail.
+     * @type {string}
+     * @default Parallel.POLICY.REQUIRE_ONE
+     */
+    this.failurePolicy = failurePolicy;
+  }
+
+  /**
+   * Ticks all unfinished children.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    let successCount = 0;
+    let failureCount = 0;
+
+    for (const child of this.children) {
+      // finished children keep their status until this node finishes
+      let status = child.status;
+
+      if (status !== BTNode.STATUS.SUCCESS && status !== BTNode.STATUS.FAILURE) {
+        status = child.tick(tree, delta);
+      }
+
+      if (status === BTNode.STATUS.SUCCESS) successCount++;
+      if (status === BTNode.STATUS.FAILURE) failureCount++;
+    }
+
+    const count = this.children.length;
+    let result = BTNode.STATUS.RUNNING;
+
+    if (this._satisfied(this.failurePolicy, failureCount, count)) {
+      result = BTNode.STATUS.FAILURE;
+    } else if (this._satisfied(this.successPolicy, successCount, count)) {
+      result = BTNode.STATUS.SUCCESS;
+    } else if (successCount + failureCount === count) {
+      // all children finished without satisfying a policy
+      result = BTNode.STATUS.FAILURE;
+    }
+
+    if (result !== BTNode.STATUS.RUNNING) {
+      for (const child of this.children) child.reset();
+    }
+
+    return result;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.successPolicy = this.successPolicy;
+    json.failurePolicy = this.failurePolicy;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Parallel} A reference to this node.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    if (json.successPolicy !== undefined) this.successPolicy = json.successPolicy;
+    if (json.failurePolicy !== undefined) this.failurePolicy = json.failurePolicy;
+    return this;
+  }
+
+  _satisfied(policy, count, total) {
+    return policy === Parallel.POLICY.REQUIRE_ONE ? count > 0 : count === total && total > 0;
+  }
+}
+
+/**
+ * The possible policies of a parallel node.
+ * @type {Object}
+ */
+Parallel.POLICY = Object.freeze({
+  REQUIRE_ONE: "requireOne", // one child is enough
+  REQUIRE_ALL: "requireAll", // all children are required
+});
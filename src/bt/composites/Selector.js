@@ -0,0 +1,74 @@
+import { BTNode } from "../BTNode";
+import { Composite } from "../Composite";
+
+/**
+ * Ticks its children in order until one succeeds or is running. Fails if all
+ * children fail. A running child is resumed on the next tick.
+ */
+export class Selector extends Composite {
+  /**
+   * Constructs a new selector.
+   * @param {Array<BTNode>} children - The child nodes.
+   */
+  constructor(children = []) {
+    super(children);
+
+    // The index of the child to tick next
+    this._index = 0;
+  }
+
+  /**
+   * Ticks the children in order.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    while (this._index < this.children.length) {
+      const status = this.children[this._index].tick(tree, delta);
+
+      if (status === BTNode.STATUS.RUNNING) return status;
+
+      if (status === BTNode.STATUS.SUCCESS) {
+        this._index = 0;
+        return status;
+      }
+
+      this._index++;
+    }
+
+    this._index = 0;
+    return BTNode.STATUS.FAILURE;
+  }
+
+  /**
+   * Resets this node and all of its children.
+   * @return {Selector} A reference to this node.
+   */
+  reset() {
+    super.reset();
+    this._index = 0;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.index = this._index;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Selector} A reference to this node.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    if (json.index !== undefined) this._index = json.index;
+    return this;
+  }
+}
@@ -0,0 +1,79 @@
+import { BTNode } from "../BTNode";
+import { Decorator } from "../Decorator";
+
+/**
+ * Blocks its child for a duration after the child finished. While cooling
+ * down, the node fails without ticking the child. The time is taken from
+ * the elapsed time of the tree, so it also passes while the node is not ticked.
+ */
+export class Cooldown extends Decorator {
+  /**
+   * Constructs a new cooldown.
+   * @param {BTNode} child - The child node.
+   * @param {number} duration - The cooldown in seconds.
+   */
+  constructor(child = null, duration = 1) {
+    super(child);
+
+    /**
+     * The cooldown in seconds.
+     * @type {number}
+     * @default 1
+     */
+    this.duration = duration;
+
+    // The elapsed tree time at which the child may run again
+    this._readyTime = -Infinity;
+  }
+
+  /**
+   * Ticks the child unless it is cooling down.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    if (this.child === null || tree.elapsed < this._readyTime) return BTNode.STATUS.FAILURE;
+
+    const status = this.child.tick(tree, delta);
+
+    if (status !== BTNode.STATUS.RUNNING) {
+      this._readyTime = tree.elapsed + this.duration;
+    }
+
+    return status;
+  }
+
+  /**
+   * Resets this node and its child.
+   * @return {Cooldown} A reference to this node.
+   */
+  reset() {
+    super.reset();
+    this._readyTime = -Infinity;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.duration = this.duration;
+    json.readyTime = this._readyTime.toString();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Cooldown} A reference to this node.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    if (json.duration !== undefined) this.duration = json.duration;
+    if (json.readyTime !== undefined) this._readyTime = parseFloat(json.readyTime);
+    return this;
+  }
+}
@@ -0,0 +1,24 @@
+import { BTNode } from "../BTNode";
+import { Decorator } from "../Decorator";
+
+/**
+ * Inverts the result of its child. *RUNNING* is passed through.
+ */
+export class Inverter extends Decorator {
+  /**
+   * Ticks the child and inverts its result.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    if (this.child === null) return BTNode.STATUS.FAILURE;
+
+    const status = this.child.tick(tree, delta);
+
+    if (status === BTNode.STATUS.SUCCESS) return BTNode.STATUS.FAILURE;
+    if (status === BTNode.STATUS.FAILURE) return BTNode.STATUS.SUCCESS;
+
+    return status;
+  }
+}
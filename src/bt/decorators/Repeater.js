@@ -0,0 +1,84 @@
+import { BTNode } from "../BTNode";
+import { Decorator } from "../Decorator";
+
+/**
+ * Repeats its child a number of times, regardless of the child's result.
+ * The child runs at most once per tick, so the repeater is *RUNNING* until
+ * the last repetition finished. A count of -1 repeats forever.
+ */
+export class Repeater extends Decorator {
+  /**
+   * Constructs a new repeater.
+   * @param {BTNode} child - The child node.
+   * @param {number} count - The number of repetitions or -1 to repeat forever.
+   */
+  constructor(child = null, count = -1) {
+    super(child);
+
+    /**
+     * The number of repetitions or -1 to repeat forever.
+     * @type {number}
+     * @default -1
+     */
+    this.count = count;
+
+    // The number of finished repetitions
+    this._repetitions = 0;
+  }
+
+  /**
+   * Ticks the child and counts its repetitions.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    if (this.child === null) return BTNode.STATUS.FAILURE;
+
+    const status = this.child.tick(tree, delta);
+
+    if (status !== BTNode.STATUS.RUNNING) {
+      this._repetitions++;
+
+      if (this.count !== -1 && this._repetitions >= this.count) {
+        this._repetitions = 0;
+        return BTNode.STATUS.SUCCESS;
+      }
+    }
+
+    return BTNode.STATUS.RUNNING;
+  }
+
+  /**
+   * Resets this node and its child.
+   * @return {Repeater} A reference to this node.
+   */
+  reset() {
+    super.reset();
+    this._repetitions = 0;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.count = this.count;
+    json.repetitions = this._repetitions;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Repeater} A reference to this node.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    if (json.count !== undefined) this.count = json.count;
+    if (json.repetitions !== undefined) this._repetitions = json.repetitions;
+    return this;
+  }
+}
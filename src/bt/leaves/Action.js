@@ -0,0 +1,50 @@
+import { BTNode } from "../BTNode";
+
+/**
+ * A leaf that performs work. Either pass a callback or derive from this class
+ * and implement {@link Action#run}, which also makes the action buildable from
+ * JSON via its type. The result may be a status or a boolean; `undefined`
+ * counts as success.
+ */
+export class Action extends BTNode {
+  /**
+   * Constructs a new action.
+   * @param {Function} callback - Called with the owner, the blackboard and the time delta.
+   */
+  constructor(callback = null) {
+    super();
+
+    /**
+     * Called with the owner, the blackboard and the time delta.
+     * @type {?Function}
+     * @default null
+     */
+    this.callback = callback;
+  }
+
+  /**
+   * Performs the work of this action.
+   * @param {GameEntity} owner - The owner of the tree.
+   * @param {Blackboard} blackboard - The blackboard of the tree.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string|boolean|undefined} The result of the action.
+   */
+  run(owner, blackboard, delta) {
+    return this.callback !== null ? this.callback(owner, blackboard, delta) : BTNode.STATUS.FAILURE;
+  }
+
+  /**
+   * Maps the result of {@link Action#run} to a status.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this node.
+   */
+  execute(tree, delta) {
+    const result = this.run(tree.owner, tree.blackboard, delta);
+
+    if (result === undefined || result === true) return BTNode.STATUS.SUCCESS;
+    if (result === false) return BTNode.STATUS.FAILURE;
+
+    return result;
+  }
+}
@@ -0,0 +1,42 @@
+import { BTNode } from "../BTNode";
+
+/**
+ * A leaf that succeeds if a predicate holds and fails otherwise. Either pass
+ * a predicate or derive from this class and implement {@link Condition#check},
+ * which also makes the condition buildable from JSON via its type.
+ */
+export class Condition extends BTNode {
+  /**
+   * Constructs a new condition.
+   * @param {Function} predicate - Called with the owner and the blackboard, returns a boolean.
+   */
+  constructor(predicate = null) {
+    super();
+
+    /**
+     * Called with the owner and the blackboard, returns a boolean.
+     * @type {?Function}
+     * @default null
+     */
+    this.predicate = predicate;
+  }
+
+  /**
+   * Evaluates the condition.
+   * @param {GameEntity} owner - The owner of the tree.
+   * @param {Blackboard} blackboard - The blackboard of the tree.
+   * @return {boolean} Whether the condition holds or not.
+   */
+  check(owner, blackboard) {
+    return this.predicate !== null ? this.predicate(owner, blackboard) === true : false;
+  }
+
+  /**
+   * Maps the result of {@link Condition#check} to a status.
+   * @param {BehaviorTree} tree - The behavior tree that is ticked.
+   * @return {string} The status of this node.
+   */
+  execute(tree) {
+    return this.check(tree.owner, tree.blackboard) ? BTNode.STATUS.SUCCESS : BTNode.STATUS.FAILURE;
+  }
+}
@@ -0,0 +1,420 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "./GameEntity";
+import { MessageDispatcher } from "./MessageDispatcher";
+import { MovingEntity } from "./MovingEntity";
+import { Time } from "./Time";
+import { Vehicle } from "../steering/Vehicle";
+import { Trigger } from "../triggers/Trigger";
+
+/**
+ * Version of the JSON document produced by {@link EntityManager#toJSON}.
+ * Bump it whenever the document layout changes incompatibly.
+ * @type {number}
+ */
+export const SERIALIZATION_VERSION = 1;
+
+const _candidates = [];
+const _position = new Vector3();
+
+/**
+ * Owns a set of game entities and drives their lifecycle. Each call of
+ * {@link EntityManager#update} starts entities that were never updated
+ * before, updates all active entities together with their children and
+ * then evaluates the triggers among the top-level entities.
+ */
+export class EntityManager {
+  /**
+   * Constructs a new entity manager.
+   */
+  constructor() {
+    /**
+     * The top-level game entities managed by this entity manager.
+     * @type {Array<GameEntity>}
+     * @readonly
+     */
+    this.entities = [];
+
+    /**
+     * An optional spatial index used to speed up neighborhood queries.
+     * When set, top-level entities are tracked in it as they move.
+     * @type {?CellSpacePartitioning}
+     * @default null
+     */
+    this.spatialIndex = null;
+
+    // Maps entities to their current partition index in the spatial index
+    this._indexMap = new Map();
+    this._indexedSpatialIndex = null;
+
+    /**
+     * Converts real time deltas into simulation steps for {@link EntityManager#tick}.
+     * @type {Time}
+     */
+    this.time = new Time();
+
+    // Messaging
+    this._messageDispatcher = new MessageDispatcher();
+
+    // Serialization: maps type names to constructors
+    this._typesMap = new Map([
+      ["GameEntity", GameEntity],
+      ["MovingEntity", MovingEntity],
+      ["Trigger", Trigger],
+      ["Vehicle", Vehicle],
+    ]);
+
+    // Scene binding
+    this._scene = null;
+    this._beforeRenderObserver = null;
+  }
+
+  /**
+   * Adds a game entity to this entity manager.
+   * @param {GameEntity} entity - The game entity to add.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  add(entity) {
+    if (!entity) {
+      throw new Error("EntityManager: Cannot add a null or undefined entity.");
+    }
+
+    if (entity.manager !== null && entity.manager !== this) {
+      entity.manager.remove(entity);
+    }
+
+    if (this.entities.indexOf(entity) === -1) {
+      this.entities.push(entity);
+    }
+
+    entity.manager = this;
+    return this;
+  }
+
+  /**
+   * Removes a game entity from this entity manager.
+   * @param {GameEntity} entity - The game entity to remove.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  remove(entity) {
+    const index = this.entities.indexOf(entity);
+    if (index !== -1) {
+      this.entities.splice(index, 1);
+      entity.manager = null;
+
+      const partitionIndex = this._indexMap.get(entity);
+      if (partitionIndex !== undefined) {
+        this._indexedSpatialIndex.removeEntityFromPartition(entity, partitionIndex);
+        this._indexMap.delete(entity);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Removes all game entities from this entity manager.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  clear() {
+    for (const entity of this.entities) {
+      entity.manager = null;
+    }
+    this.entities.length = 0;
+    this._indexMap.clear();
+    if (this._indexedSpatialIndex !== null) {
+      this._indexedSpatialIndex.makeEmpty();
+    }
+    this._messageDispatcher.clear();
+    return this;
+  }
+
+  /**
+   * Returns the first top-level game entity with the given name.
+   * @param {string} name - The name of the game entity.
+   * @return {?GameEntity} The game entity or null if none was found.
+   */
+  getEntityByName(name) {
+    for (const entity of this.entities) {
+      if (entity.name === name) return entity;
+    }
+    return null;
+  }
+
+  /**
+   * Updates all managed game entities and their children, then delivers
+   * delayed messages that are due.
+   * @param {number} delta - The time delta in seconds.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  update(delta) {
+    // Iterate over a copy so entities may add or remove entities while updating
+    const entities = this.entities.slice();
+
+    // A replaced spatial index starts out empty
+    if (this._indexedSpatialIndex !== this.spatialIndex) {
+      if (this._indexedSpatialIndex !== null) this._indexedSpatialIndex.makeEmpty();
+      this._indexMap.clear();
+      this._indexedSpatialIndex = this.spatialIndex;
+    }
+
+    // Index entities that are new or were moved externally since the last update
+    if (this.spatialIndex !== null) {
+      for (const entity of entities) {
+        this._updateSpatialIndex(entity);
+      }
+    }
+
+    for (const entity of entities) {
+      this.updateEntity(entity, delta);
+    }
+
+    this.processTriggers();
+
+    this._messageDispatcher.dispatchDelayedMessages(delta);
+    return this;
+  }
+
+  /**
+   * Advances {@link EntityManager#time} by the given real time delta and
+   * performs the resulting simulation steps via {@link EntityManager#update}.
+   * Nothing is updated while the time is paused.
+   * @param {number} delta - The real time delta in seconds.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  tick(delta) {
+    const time = this.time.update(delta);
+
+    for (let i = 0; i < time.steps; i++) {
+      this.update(time.delta);
+    }
+
+    return this;
+  }
+
+  /**
+   * Updates a single game entity and, recursively, its children. Inactive
+   * entities are skipped together with their children.
+   * @param {GameEntity} entity - The game entity to update.
+   * @param {number} delta - The time delta in seconds.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  updateEntity(entity, delta) {
+    if (entity.active !== true) return this;
+
+    this.updateNeighborhood(entity);
+
+    if (entity._started === false) {
+      entity.start();
+      entity._started = true;
+    }
+
+    entity.update(delta);
+
+    if (this._indexedSpatialIndex !== null && entity.manager === this) {
+      this._updateSpatialIndex(entity);
+    }
+
+    const children = entity.children.slice();
+    for (const child of children) {
+      this.updateEntity(child, delta);
+    }
+    return this;
+  }
+
+  /**
+   * Recomputes the neighbors of the given game entity if its
+   * `updateNeighborhood` flag is set. Candidates are the active top-level
+   * entities of this manager within `neighborhoodRadius` of the entity's
+   * world position, so children find their neighbors as well. They are taken
+   * from the spatial index if one is attached.
+   * @param {GameEntity} entity - The game entity.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  updateNeighborhood(entity) {
+    if (entity.updateNeighborhood !== true) return this;
+
+    const neighbors = entity.neighbors;
+    neighbors.length = 0;
+
+    const neighborhoodRadiusSq = entity.neighborhoodRadius * entity.neighborhoodRadius;
+    const position = entity.getWorldPosition(_position);
+
+    let candidates = this.entities;
+    if (this._indexedSpatialIndex !== null) {
+      candidates = this._indexedSpatialIndex.query(position, entity.neighborhoodRadius, _candidates);
+    }
+
+    for (const candidate of candidates) {
+      if (candidate !== entity && candidate.active === true) {
+        if (Vector3.DistanceSquared(position, candidate.position) <= neighborhoodRadiusSq) {
+          neighbors.push(candidate);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Checks all active top-level triggers against the active top-level
+   * entities that have `canActivateTrigger` set. Called by
+   * {@link EntityManager#update} after the entities were updated.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  processTriggers() {
+    // Iterate over a copy so trigger callbacks may add or remove entities
+    const entities = this.entities.slice();
+
+    for (const trigger of entities) {
+      if (trigger.active !== true || !(trigger instanceof Trigger)) continue;
+
+      for (const entity of entities) {
+        if (entity !== trigger && entity.active === true && entity.canActivateTrigger === true && entity.manager === this) {
+          trigger.check(entity);
+        }
+      }
+
+      trigger._exitUnchecked();
+    }
+
+    return this;
+  }
+
+  /**
+   * Sends a message from one game entity to another.
+   * @param {GameEntity} sender - The sender.
+   * @param {GameEntity} receiver - The receiver.
+   * @param {string} message - The actual message.
+   * @param {number} delay - Delay in seconds.
+   * @param {Object} data - Additional data.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  sendMessage(sender, receiver, message, delay = 0, data = null) {
+    this._messageDispatcher.dispatch(sender, receiver, message, delay, data);
+    return this;
+  }
+
+  /**
+   * Registers a custom entity type so it can be restored by {@link EntityManager#fromJSON}.
+   * @param {string} type - The type name, as written to the `type` field by `toJSON`.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a versioned JSON document holding all managed
+   * entities, their descendants and pending messages.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const entities = [];
+    const visited = new Set();
+
+    const processEntity = (entity) => {
+      if (visited.has(entity)) return;
+      visited.add(entity);
+      entities.push(entity.toJSON());
+      for (const child of entity.children) {
+        processEntity(child);
+      }
+    };
+
+    for (const entity of this.entities) {
+      processEntity(entity);
+    }
+
+    return {
+      type: this.constructor.name,
+      version: SERIALIZATION_VERSION,
+      roots: this.entities.map((entity) => entity.uuid),
+      entities: entities,
+      _messageDispatcher: this._messageDispatcher.toJSON(),
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON document. Existing entities are
+   * removed first. Entities are created via the registered types.
+   * @param {Object} json - The JSON object.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  fromJSON(json) {
+    if (!json || json.version !== SERIALIZATION_VERSION) {
+      throw new Error(
+        `EntityManager: Unsupported serialization version "${json && json.version}", expected ${SERIALIZATION_VERSION}.`
+      );
+    }
+
+    this.clear();
+
+    const entitiesMap = new Map();
+
+    for (const entityJSON of json.entities) {
+      const ctor = this._typesMap.get(entityJSON.type);
+      if (ctor === undefined) {
+        throw new Error(`EntityManager: Unknown entity type "${entityJSON.type}". Use registerType() to register it.`);
+      }
+
+      const entity = new ctor().fromJSON(entityJSON);
+      entitiesMap.set(entity.uuid, entity);
+    }
+
+    for (const entity of entitiesMap.values()) {
+      entity.resolveReferences(entitiesMap);
+    }
+
+    for (const uuid of json.roots) {
+      const entity = entitiesMap.get(uuid);
+      if (entity !== undefined) this.add(entity);
+    }
+
+    this._messageDispatcher.fromJSON(json._messageDispatcher);
+    this._messageDispatcher.resolveReferences(entitiesMap);
+
+    return this;
+  }
+
+  /**
+   * Updates this entity manager each frame before the given scene renders.
+   * The time delta is taken from the scene's engine and passed to
+   * {@link EntityManager#tick}.
+   * @param {Scene} scene - The Babylon scene.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  attachToScene(scene) {
+    if (!scene) {
+      throw new Error("EntityManager: Scene cannot be null.");
+    }
+
+    this.detachFromScene();
+
+    this._scene = scene;
+    this._beforeRenderObserver = scene.onBeforeRenderObservable.add(() => {
+      this.tick(scene.getEngine().getDeltaTime() / 1000);
+    });
+    return this;
+  }
+
+  /**
+   * Stops updating this entity manager from a previously attached scene.
+   * @return {EntityManager} A reference to this entity manager.
+   */
+  detachFromScene() {
+    if (this._scene !== null) {
+      this._scene.onBeforeRenderObservable.remove(this._beforeRenderObserver);
+      this._scene = null;
+      this._beforeRenderObserver = null;
+    }
+    return this;
+  }
+
+  // Moves an entity into the partition matching its position
+  _updateSpatialIndex(entity) {
+    const currentIndex = this._indexMap.get(entity);
+    const newIndex = this._indexedSpatialIndex.updateEntity(entity, currentIndex === undefined ? -1 : currentIndex);
+    this._indexMap.set(entity, newIndex);
+  }
+}
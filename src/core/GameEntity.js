@@ -1,5 +1,13 @@
 import { Vector3, Quaternion, Matrix } from "@babylonjs/core/Maths/math.vector";
 
+// Scratch objects for orientation queries, reused to avoid per-call allocations
+const _targetDirection = new Vector3();
+const _targetRotation = new Quaternion();
+const _forwardRotation = new Quaternion();
+const _parentWorldRotation = new Quaternion();
+const _upDirection = new Vector3();
+const _fallbackUp = new Vector3();
+
 /**
  * Base class for all game entities with optimized parent-child transforms.
  */
@@ -38,6 +46,9 @@ export class GameEntity {
       this.canActivateTrigger = true;
       this.manager = null;
 
+      // Line of sight geometry, see lineOfSightTest()
+      this.obstacle = null;
+
       // Rendering system
       this._renderComponent = null;
       this._renderComponentCallback = null;
@@ -81,7 +92,7 @@ export class GameEntity {
   }
   
   set rotation(value) {
-      if (!value || !value._x) {
+      if (!value || typeof value.w !== "number") {
           this._log("Invalid rotation assignment:", value);
           throw new Error("Rotation must be a Quaternion");
       }
@@ -126,7 +137,8 @@ export class GameEntity {
   }
 
   update(delta) {
-      if (this._transformDirty && this._renderComponent) {
+      // A pending world matrix update means the transform changed since the last sync
+      if ((this._transformDirty || this._worldMatrixDirty) && this._renderComponent) {
           this._log("Syncing render component (transform dirty)");
           this._syncEntityToRender();
           this._transformDirty = false;
@@ -148,7 +160,7 @@ export class GameEntity {
 
       this.children.push(entity);
       entity.parent = this;
-      entity._worldMatrixDirty = true;
+      entity._markWorldMatrixDirty();
       return this;
   }
 
@@ -163,14 +175,23 @@ export class GameEntity {
           this._log(`Removing child entity: ${entity.name || entity._debugId}`);
           this.children.splice(index, 1);
           entity.parent = null;
-          entity._worldMatrixDirty = true;
+          entity._markWorldMatrixDirty();
       } else {
           this._log(`Child entity not found: ${entity.name || entity._debugId}`);
       }
       return this;
   }
 
-  setRenderComponent(renderComponent, callback) {
+  /**
+   * Sets the render component of this game entity. It is synced whenever the
+   * transform of the entity changes, either by a sync adapter like
+   * {@link TransformNodeAdapter} or by a callback receiving the render component
+   * and the decomposed world transform `{ position, rotation, scaling }`.
+   * @param {SyncAdapter|Object} renderComponent - A sync adapter or the render component for the callback.
+   * @param {?Function} callback - Syncs the render component, omitted for sync adapters.
+   * @return {GameEntity} A reference to this game entity.
+   */
+  setRenderComponent(renderComponent, callback = null) {
       this._log("Setting render component", renderComponent);
       
       if (!renderComponent) {
@@ -178,11 +199,20 @@ export class GameEntity {
           throw new Error("Render component cannot be null");
       }
       
-      if (!callback || typeof callback !== 'function') {
+      if (callback === null) {
+          if (typeof renderComponent.sync !== 'function') {
+              this._log("Render component is no sync adapter", renderComponent);
+              throw new Error("Render component must be a sync adapter if no callback is given");
+          }
+      } else if (typeof callback !== 'function') {
           this._log("Invalid render callback", callback);
           throw new Error("Render callback must be a function");
       }
 
+      if (this._renderComponent !== null && this._renderComponentCallback === null) {
+          this._renderComponent.detach();
+      }
+
       this._renderComponent = renderComponent;
       this._renderComponentCallback = callback;
       
@@ -197,8 +227,9 @@ export class GameEntity {
           return;
       }
 
+      // Sync adapters copy the world matrix without decomposing it
       if (!this._renderComponentCallback) {
-          this._log("No render callback available");
+          this._renderComponent.sync(this);
           return;
       }
 
@@ -233,7 +264,209 @@ export class GameEntity {
       }
   }
 
-  // ... (keep all other existing methods like getWorldPosition, lookAt, etc.)
+  /**
+   * Handles messages for this game entity.
+   * @param {Telegram} telegram - The message data.
+   * @return {boolean} Whether the message was processed or not.
+   */
+  handleMessage(/* telegram */) {
+      return false;
+  }
+
+  /**
+   * Sends a message to another entity via the entity manager. Children use
+   * the manager of their top-level ancestor.
+   * @param {GameEntity} receiver - The receiving entity.
+   * @param {string} message - The message content.
+   * @param {number} delay - Delay in seconds.
+   * @param {Object} data - Additional data.
+   * @return {GameEntity} A reference to this game entity.
+   */
+  sendMessage(receiver, message, delay = 0, data = null) {
+      // only top-level entities know their manager, children use the one of their root
+      let root = this;
+      while (root.manager === null && root.parent !== null) {
+          root = root.parent;
+      }
+
+      if (root.manager !== null) {
+          root.manager.sendMessage(this, receiver, message, delay, data);
+      } else {
+          console.error("GameEntity: The game entity must be added to a manager to send a message.");
+      }
+      return this;
+  }
+
+  /**
+   * Computes the current direction (forward) vector of this game entity
+   * in local space.
+   * @param {Vector3} result - The direction vector of this game entity.
+   * @return {Vector3} The direction vector of this game entity.
+   */
+  getDirection(result) {
+      return this.forward.rotateByQuaternionToRef(this._rotation, result).normalize();
+  }
+
+  /**
+   * Computes the current direction (forward) vector in world space.
+   * @param {Vector3} result - The direction vector in world space.
+   * @return {Vector3} The direction vector in world space.
+   */
+  getWorldDirection(result) {
+      this._updateWorldMatrix();
+      return this.forward.rotateByQuaternionToRef(this._worldRotation, result).normalize();
+  }
+
+  /**
+   * Computes the current position in world space.
+   * @param {Vector3} result - The position in world space.
+   * @return {Vector3} The position in world space.
+   */
+  getWorldPosition(result) {
+      this._updateWorldMatrix();
+      return result.copyFrom(this._worldPosition);
+  }
+
+  /**
+   * Computes the current rotation in world space.
+   * @param {Quaternion} result - The rotation in world space.
+   * @return {Quaternion} The rotation in world space.
+   */
+  getWorldRotation(result) {
+      this._updateWorldMatrix();
+      return result.copyFrom(this._worldRotation);
+  }
+
+  /**
+   * Computes the current scale in world space.
+   * @param {Vector3} result - The scale in world space.
+   * @return {Vector3} The scale in world space.
+   */
+  getWorldScale(result) {
+      this._updateWorldMatrix();
+      return result.copyFrom(this._worldScale);
+  }
+
+  /**
+   * Directly rotates the entity so it faces the given target position.
+   * @param {Vector3} target - The target position in world space.
+   * @return {GameEntity} A reference to this game entity.
+   */
+  lookAt(target) {
+      if (this._computeTargetRotation(target, _targetRotation)) {
+          this.rotation = _targetRotation;
+      }
+      return this;
+  }
+
+  /**
+   * Rotates the entity towards a target position, turning at most by
+   * `maxTurnRate * delta` radians.
+   * @param {Vector3} target - The target position in world space.
+   * @param {number} delta - The time delta in seconds.
+   * @param {number} tolerance - A tolerance value in radians.
+   * @return {boolean} Whether the entity is faced to the target or not.
+   */
+  rotateTo(target, delta, tolerance = 0.0001) {
+      if (!this._computeTargetRotation(target, _targetRotation)) {
+          return true;
+      }
+      return this._rotateTowards(_targetRotation, this.maxTurnRate * delta, tolerance);
+  }
+
+  /**
+   * Performs a line of sight test by intersecting the given ray with the
+   * {@link Obstacle} assigned to this entity. Entities without an obstacle
+   * never block the line of sight.
+   * @param {Ray} ray - The ray representing the line of sight in world space.
+   * @param {Vector3} intersectionPoint - Receives the nearest intersection point.
+   * @return {number|null} The distance to the intersection point or null if there is none.
+   */
+  lineOfSightTest(ray, intersectionPoint) {
+      if (this.obstacle === null) {
+          return null;
+      }
+      return this.obstacle.intersectRay(ray, this, intersectionPoint);
+  }
+
+  /**
+   * Converts this instance to a JSON object. Subclasses that carry extra
+   * state should extend the returned object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+      return {
+          type: this.constructor.name,
+          uuid: this.uuid,
+          name: this.name,
+          active: this.active,
+          children: this._entitiesToIds(this.children),
+          parent: this.parent !== null ? this.parent.uuid : null,
+          neighbors: this._entitiesToIds(this.neighbors),
+          neighborhoodRadius: this.neighborhoodRadius,
+          updateNeighborhood: this.updateNeighborhood,
+          position: this._position.asArray(),
+          rotation: this._rotation.asArray(),
+          scaling: this._scaling.asArray(),
+          forward: this.forward.asArray(),
+          up: this.up.asArray(),
+          boundingRadius: this.boundingRadius,
+          maxTurnRate: this.maxTurnRate,
+          canActivateTrigger: this.canActivateTrigger,
+          _started: this._started,
+      };
+  }
+
+  /**
+   * Restores this instance from a JSON object. References to other entities
+   * stay UUIDs until {@link GameEntity#resolveReferences} is called.
+   * @param {Object} json - The JSON object.
+   * @return {GameEntity} A reference to this game entity.
+   */
+  fromJSON(json) {
+      this.name = json.name;
+      this.active = json.active;
+      this.neighborhoodRadius = json.neighborhoodRadius;
+      this.updateNeighborhood = json.updateNeighborhood;
+
+      this._position.fromArray(json.position);
+      this._rotation.fromArray(json.rotation);
+      this._scaling.fromArray(json.scaling);
+
+      this.forward.fromArray(json.forward);
+      this.up.fromArray(json.up);
+
+      this.boundingRadius = json.boundingRadius;
+      this.maxTurnRate = json.maxTurnRate;
+      this.canActivateTrigger = json.canActivateTrigger;
+
+      this.children = json.children.slice();
+      this.neighbors = json.neighbors.slice();
+      this.parent = json.parent;
+
+      this._started = json._started;
+      this._uuid = json.uuid;
+
+      // Force matrix updates on next access (children are still UUIDs here)
+      this._localMatrixDirty = true;
+      this._worldMatrixDirty = true;
+      return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Unknown UUIDs are dropped.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {GameEntity} A reference to this game entity.
+   */
+  resolveReferences(entities) {
+      this.neighbors = this._idsToEntities(this.neighbors, entities);
+      this.children = this._idsToEntities(this.children, entities);
+      this.parent = entities.get(this.parent) || null;
+
+      // The hierarchy may have changed
+      this._worldMatrixDirty = true;
+      return this;
+  }
 
   _updateLocalMatrix() {
       if (this._localMatrixDirty) {
@@ -262,6 +495,8 @@ export class GameEntity {
           this._worldMatrix.copyFrom(this._localMatrix);
       }
       
+      this._worldMatrix.decompose(this._worldScale, this._worldRotation, this._worldPosition);
+
       this._worldMatrixDirty = false;
       this._transformDirty = true;
       
@@ -274,29 +509,85 @@ export class GameEntity {
   _markDirty() {
       this._log("Marking transform as dirty");
       this._localMatrixDirty = true;
+      this._markWorldMatrixDirty();
+  }
+
+  // Marks the world matrix of this entity and all of its descendants as dirty
+  _markWorldMatrixDirty() {
       this._worldMatrixDirty = true;
-      
-      // Mark children as dirty
       for (const child of this.children) {
-          child._worldMatrixDirty = true;
+          child._markWorldMatrixDirty();
       }
   }
 
+  // Computes the local rotation that turns `forward` towards a world space target
+  _computeTargetRotation(target, result) {
+      this.getWorldPosition(_targetDirection);
+      target.subtractToRef(_targetDirection, _targetDirection);
+
+      if (_targetDirection.lengthSquared() < 1e-12) {
+          return false;
+      }
+
+      // World rotation that maps +Z to the target direction, corrected for a custom forward
+      _targetDirection.normalize();
+      Quaternion.FromLookDirectionLHToRef(_targetDirection, this._getLookUp(_targetDirection), result);
+      Quaternion.FromLookDirectionLHToRef(this.forward, this.up, _forwardRotation);
+      result.multiplyInPlace(Quaternion.InverseToRef(_forwardRotation, _forwardRotation));
+
+      // Convert to the parent's space
+      if (this.parent) {
+          this.parent.getWorldRotation(_parentWorldRotation);
+          Quaternion.InverseToRef(_parentWorldRotation, _parentWorldRotation);
+          _parentWorldRotation.multiplyToRef(result, result);
+      }
+
+      result.normalize();
+      return true;
+  }
+
+  // Returns the up vector for looking along a normalized direction. `up` is
+  // undefined for directions parallel to it, so the current heading is kept
+  // instead: looking up tilts the back upwards, looking down the front.
+  _getLookUp(direction) {
+      this.up.normalizeToRef(_upDirection);
+      const alignment = Vector3.Dot(direction, _upDirection);
+
+      if (Math.abs(alignment) < 0.9999) {
+          return this.up;
+      }
+
+      // current heading, projected onto the plane perpendicular to up
+      this.getWorldDirection(_fallbackUp);
+      _upDirection.scaleAndAddToRef(-Vector3.Dot(_fallbackUp, _upDirection), _fallbackUp);
+
+      if (_fallbackUp.lengthSquared() < 1e-8) {
+          // already facing along up, any perpendicular vector will do
+          const axis = Math.abs(_upDirection.x) < 0.9 ? Vector3.Right() : Vector3.Forward();
+          Vector3.CrossToRef(_upDirection, axis, _fallbackUp);
+      }
+
+      return _fallbackUp.normalize().scaleInPlace(alignment > 0 ? -1 : 1);
+  }
+
   _rotateTowards(targetRotation, maxAngle, tolerance) {
     this.rotation.normalize();
     targetRotation.normalize();
 
-    const dot = Quaternion.Dot(this.rotation, targetRotation);
-    const clampedDot = Math.max(-1, Math.min(1, dot));
+    // q and -q describe the same rotation, so compare against the shorter arc
+    const dot = Math.abs(Quaternion.Dot(this.rotation, targetRotation));
+    const clampedDot = Math.min(1, dot);
     const angle = 2 * Math.acos(clampedDot);
 
     if (angle < tolerance || isNaN(angle)) {
       this.rotation.copyFrom(targetRotation);
+      this._markDirty();
       return true;
     }
 
     const t = Math.min(1, maxAngle / angle);
     Quaternion.SlerpToRef(this.rotation, targetRotation, t, this.rotation);
+    this._markDirty();
     return false;
   }
 
@@ -311,4 +602,13 @@ export class GameEntity {
   _entitiesToIds(array) {
     return array.map((entity) => entity.uuid);
   }
+
+  _idsToEntities(array, entities) {
+    const result = [];
+    for (const id of array) {
+      const entity = entities.get(id);
+      if (entity !== undefined) result.push(entity);
+    }
+    return result;
+  }
 }
\ No newline at end of file
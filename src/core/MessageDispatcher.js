@@ -0,0 +1,161 @@
+import { Telegram } from "./Telegram";
+
+/**
+ * Delivers telegrams between game entities, either immediately or after a delay.
+ * Delayed telegrams are kept in a queue ordered by their dispatch time.
+ */
+export class MessageDispatcher {
+  /**
+   * Constructs a new message dispatcher.
+   */
+  constructor() {
+    /**
+     * Delayed telegrams, ordered by ascending dispatch time.
+     * @type {Array<Telegram>}
+     * @readonly
+     */
+    this.delayedTelegrams = [];
+
+    /**
+     * The current time (in seconds) of this dispatcher's clock. It advances
+     * with each call of {@link MessageDispatcher#dispatchDelayedMessages}.
+     * @type {number}
+     * @readonly
+     */
+    this.currentTime = 0;
+  }
+
+  /**
+   * Delivers a telegram to its receiver. Telegrams for receivers that are
+   * inactive or no longer managed are dropped.
+   * @param {Telegram} telegram - The telegram to deliver.
+   * @return {boolean} Whether the telegram was handled by the receiver or not.
+   */
+  deliver(telegram) {
+    const receiver = telegram.receiver;
+
+    if (!this._isReachable(receiver)) {
+      console.warn(`MessageDispatcher: Dropped message "${telegram.message}" for an inactive or removed entity.`);
+      return false;
+    }
+
+    return receiver.handleMessage(telegram) !== false;
+  }
+
+  /**
+   * Delivers a message right away or queues it for later delivery.
+   * @param {GameEntity} sender - The sender.
+   * @param {GameEntity} receiver - The receiver.
+   * @param {string} message - The actual message.
+   * @param {number} delay - Delay in seconds.
+   * @param {Object} data - Additional data.
+   * @return {MessageDispatcher} A reference to this message dispatcher.
+   */
+  dispatch(sender, receiver, message, delay = 0, data = null) {
+    const telegram = new Telegram(sender, receiver, message, this.currentTime + Math.max(0, delay), data);
+
+    if (delay <= 0) {
+      this.deliver(telegram);
+    } else {
+      this._enqueue(telegram);
+    }
+
+    return this;
+  }
+
+  /**
+   * Advances the clock of this dispatcher and delivers all delayed telegrams
+   * that are due.
+   * @param {number} delta - The time delta in seconds.
+   * @return {MessageDispatcher} A reference to this message dispatcher.
+   */
+  dispatchDelayedMessages(delta) {
+    this.currentTime += delta;
+
+    const queue = this.delayedTelegrams;
+    while (queue.length > 0 && queue[0].dispatchTime <= this.currentTime) {
+      this.deliver(queue.shift());
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes all delayed telegrams and resets the clock.
+   * @return {MessageDispatcher} A reference to this message dispatcher.
+   */
+  clear() {
+    this.delayedTelegrams.length = 0;
+    this.currentTime = 0;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      currentTime: this.currentTime,
+      delayedTelegrams: this.delayedTelegrams.map((telegram) => telegram.toJSON()),
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {MessageDispatcher} A reference to this message dispatcher.
+   */
+  fromJSON(json) {
+    this.clear();
+    this.currentTime = json.currentTime;
+    for (const telegramJSON of json.delayedTelegrams) {
+      this.delayedTelegrams.push(new Telegram().fromJSON(telegramJSON));
+    }
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Telegrams whose
+   * receiver cannot be resolved are discarded.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {MessageDispatcher} A reference to this message dispatcher.
+   */
+  resolveReferences(entities) {
+    for (const telegram of this.delayedTelegrams) {
+      telegram.resolveReferences(entities);
+    }
+    this.delayedTelegrams = this.delayedTelegrams.filter((telegram) => telegram.receiver !== null);
+    return this;
+  }
+
+  // Inserts after telegrams with an equal dispatch time to keep send order
+  _enqueue(telegram) {
+    const queue = this.delayedTelegrams;
+    let low = 0;
+    let high = queue.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (queue[mid].dispatchTime <= telegram.dispatchTime) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    queue.splice(low, 0, telegram);
+  }
+
+  // An entity is reachable if it and all of its ancestors are active and one of them is managed
+  _isReachable(entity) {
+    let current = entity;
+    while (current) {
+      if (current.active !== true) return false;
+      if (current.manager !== null) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,111 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "./GameEntity";
+
+const _displacement = new Vector3();
+const _target = new Vector3();
+
+/**
+ * A game entity that moves with a velocity, limited by a maximum speed.
+ * Velocity is expressed in the space of the entity's parent (world space
+ * for root entities).
+ */
+export class MovingEntity extends GameEntity {
+  /**
+   * Constructs a new moving entity.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The velocity of this game entity in units per second.
+     * @type {Vector3}
+     */
+    this.velocity = new Vector3();
+
+    /**
+     * The maximum speed at which this game entity may travel.
+     * @type {number}
+     * @default 1
+     */
+    this.maxSpeed = 1;
+
+    /**
+     * Whether the entity turns towards its direction of travel or not.
+     * Turning is limited by `maxTurnRate`.
+     * @type {boolean}
+     * @default true
+     */
+    this.updateOrientation = true;
+  }
+
+  /**
+   * Moves the entity according to its velocity and syncs the render component.
+   * @param {number} delta - The time delta in seconds.
+   * @return {MovingEntity} A reference to this moving entity.
+   */
+  update(delta) {
+    // Make sure the velocity does not exceed the maximum speed
+    if (this.getSpeedSquared() > this.maxSpeed * this.maxSpeed) {
+      this.velocity.normalize().scaleInPlace(this.maxSpeed);
+    }
+
+    this.velocity.scaleToRef(delta, _displacement);
+
+    if (_displacement.lengthSquared() > 0) {
+      this._position.addInPlace(_displacement);
+      this._markDirty();
+    }
+
+    if (this.updateOrientation && this.getSpeedSquared() > 0.00000001) {
+      // Face a point ahead along the velocity, converted to world space
+      this._position.addToRef(this.velocity, _target);
+      if (this.parent) {
+        Vector3.TransformCoordinatesToRef(_target, this.parent.worldMatrix, _target);
+      }
+      this.rotateTo(_target, delta);
+    }
+
+    return super.update(delta);
+  }
+
+  /**
+   * Returns the current speed of this game entity.
+   * @return {number} The current speed.
+   */
+  getSpeed() {
+    return this.velocity.length();
+  }
+
+  /**
+   * Returns the current speed in squared space of this game entity.
+   * @return {number} The current speed in squared space.
+   */
+  getSpeedSquared() {
+    return this.velocity.lengthSquared();
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.velocity = this.velocity.asArray();
+    json.maxSpeed = this.maxSpeed;
+    json.updateOrientation = this.updateOrientation;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {MovingEntity} A reference to this moving entity.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.velocity.fromArray(json.velocity);
+    this.maxSpeed = json.maxSpeed;
+    this.updateOrientation = json.updateOrientation;
+    return this;
+  }
+}
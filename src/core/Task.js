@@ -0,0 +1,31 @@
+/**
+ * Class for representing a single job of a {@link TaskQueue}. Either pass a
+ * callback or derive from this class and implement {@link Task#execute}.
+ *
+ * Long jobs should be done in steps: if `execute()` returns an iterator, e.g.
+ * because the callback is a generator function, the queue resumes it until it
+ * is done, checking the time budget after each step. The return value of the
+ * generator is the result of the task.
+ */
+export class Task {
+  /**
+   * Constructs a new task.
+   * @param {Function} callback - The function that performs the work. Its return value is the result of the task.
+   */
+  constructor(callback = null) {
+    /**
+     * The function that performs the work.
+     * @type {?Function}
+     * @default null
+     */
+    this.callback = callback;
+  }
+
+  /**
+   * Performs the work of this task.
+   * @return {*} The result of the task, or an iterator that performs the work in steps.
+   */
+  execute() {
+    return this.callback !== null ? this.callback() : undefined;
+  }
+}
@@ -0,0 +1,166 @@
+// Tasks return an iterator if they perform their work in steps
+function isIterator(value) {
+  return value !== null && typeof value === "object" && typeof value.next === "function";
+}
+
+/**
+ * Runs queued tasks within a per-frame time budget, so expensive work like
+ * path searches is spread across frames instead of stalling a single one.
+ * Each call of {@link TaskQueue#update} executes tasks in order until the budget
+ * is used up. Tasks that work in steps (see {@link Task}) are paused when the
+ * budget is used up and resumed in the next update, otherwise a task always
+ * runs to completion. At least one task or step runs per update, so the queue
+ * always progresses.
+ */
+export class TaskQueue {
+  /**
+   * Constructs a new task queue.
+   * @param {number} budget - The time budget per update in milliseconds.
+   */
+  constructor(budget = 2) {
+    /**
+     * The time budget per update in milliseconds.
+     * @type {number}
+     * @default 2
+     */
+    this.budget = budget;
+
+    // Pending entries of the form { task, callback, resolve, reject }
+    this._entries = [];
+
+    // Scene binding
+    this._scene = null;
+    this._beforeRenderObserver = null;
+  }
+
+  /**
+   * The number of pending tasks.
+   * @type {number}
+   */
+  get length() {
+    return this._entries.length;
+  }
+
+  /**
+   * Adds a task to the end of this queue.
+   * @param {Task} task - The task to add.
+   * @param {Function} callback - Optional function called with the result of the task and an error, which is null on success.
+   * @return {Promise<*>} A promise resolved with the result of the task, or rejected if the task throws or is cleared.
+   */
+  enqueue(task, callback = null) {
+    const promise = new Promise((resolve, reject) => {
+      this._entries.push({ task, callback, resolve, reject, iterator: null });
+    });
+
+    // errors are reported to the callback, so callers may ignore the promise
+    if (callback !== null) promise.catch(() => {});
+
+    return promise;
+  }
+
+  /**
+   * Executes pending tasks until the time budget is used up.
+   * @return {TaskQueue} A reference to this task queue.
+   */
+  update() {
+    const start = performance.now();
+
+    do {
+      const entry = this._entries[0];
+      if (entry === undefined) break;
+
+      let result = null;
+      let error = null;
+      let done = true;
+
+      try {
+        if (entry.iterator === null) {
+          result = entry.task.execute();
+          if (isIterator(result)) entry.iterator = result;
+        }
+
+        if (entry.iterator !== null) {
+          const step = entry.iterator.next();
+          result = step.value;
+          done = step.done === true;
+        }
+      } catch (e) {
+        error = e;
+      }
+
+      if (done) {
+        this._entries.shift();
+        this._settle(entry, result, error);
+      }
+    } while (performance.now() - start < this.budget);
+
+    return this;
+  }
+
+  /**
+   * Removes all pending tasks. Their promises are rejected.
+   * @return {TaskQueue} A reference to this task queue.
+   */
+  clear() {
+    const entries = this._entries;
+    this._entries = [];
+
+    for (const entry of entries) {
+      if (entry.iterator !== null && typeof entry.iterator.return === "function") entry.iterator.return();
+      this._settle(entry, null, new Error("TaskQueue: The task was removed from the queue."));
+    }
+
+    return this;
+  }
+
+  /**
+   * Updates this task queue each frame before the given scene renders.
+   * @param {Scene} scene - The Babylon scene.
+   * @return {TaskQueue} A reference to this task queue.
+   */
+  attachToScene(scene) {
+    if (!scene) {
+      throw new Error("TaskQueue: Scene cannot be null.");
+    }
+
+    this.detachFromScene();
+
+    this._scene = scene;
+    this._beforeRenderObserver = scene.onBeforeRenderObservable.add(() => {
+      this.update();
+    });
+    return this;
+  }
+
+  /**
+   * Stops updating this task queue from a previously attached scene.
+   * @return {TaskQueue} A reference to this task queue.
+   */
+  detachFromScene() {
+    if (this._scene !== null) {
+      this._scene.onBeforeRenderObservable.remove(this._beforeRenderObserver);
+      this._scene = null;
+      this._beforeRenderObserver = null;
+    }
+    return this;
+  }
+
+  // Reports the outcome of a task to its callback and promise. A throwing
+  // callback rejects the promise but never stops the queue.
+  _settle(entry, result, error) {
+    if (entry.callback !== null) {
+      try {
+        entry.callback(result, error);
+      } catch (callbackError) {
+        console.error("TaskQueue: The callback of a task threw an error.", callbackError);
+        if (error === null) error = callbackError;
+      }
+    }
+
+    if (error !== null) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * A message sent from one game entity to another via a {@link MessageDispatcher}.
+ */
+export class Telegram {
+  /**
+   * Constructs a new telegram.
+   * @param {GameEntity} sender - The sender.
+   * @param {GameEntity} receiver - The receiver.
+   * @param {string} message - The actual message.
+   * @param {number} dispatchTime - The time (in seconds, on the dispatcher's clock) when the message is delivered.
+   * @param {Object} data - Additional data.
+   */
+  constructor(sender, receiver, message, dispatchTime = 0, data = null) {
+    /**
+     * The sender.
+     * @type {GameEntity}
+     */
+    this.sender = sender;
+
+    /**
+     * The receiver.
+     * @type {GameEntity}
+     */
+    this.receiver = receiver;
+
+    /**
+     * The actual message.
+     * @type {string}
+     */
+    this.message = message;
+
+    /**
+     * The time (in seconds, on the dispatcher's clock) when the message is delivered.
+     * @type {number}
+     */
+    this.dispatchTime = dispatchTime;
+
+    /**
+     * Additional data.
+     * @type {Object}
+     */
+    this.data = data;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      sender: this.sender !== null ? this.sender.uuid : null,
+      receiver: this.receiver !== null ? this.receiver.uuid : null,
+      message: this.message,
+      dispatchTime: this.dispatchTime,
+      data: this.data,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Telegram} A reference to this telegram.
+   */
+  fromJSON(json) {
+    this.sender = json.sender;
+    this.receiver = json.receiver;
+    this.message = json.message;
+    this.dispatchTime = json.dispatchTime;
+    this.data = json.data;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Telegram} A reference to this telegram.
+   */
+  resolveReferences(entities) {
+    this.sender = entities.get(this.sender) || null;
+    this.receiver = entities.get(this.receiver) || null;
+    return this;
+  }
+}
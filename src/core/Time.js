@@ -0,0 +1,149 @@
+/**
+ * Turns real time deltas (for example from the engine) into simulation time
+ * steps. Deltas are clamped to `maxDelta` and scaled by `timeScale`. With a
+ * `fixedDelta` set, an accumulator produces zero or more steps of exactly that
+ * size per update, which keeps steering deterministic regardless of the frame
+ * rate. Tests can drive it manually via {@link Time#update}.
+ */
+export class Time {
+  /**
+   * Constructs a new time object.
+   */
+  constructor() {
+    /**
+     * Multiplier applied to all deltas. 0.5 runs the simulation at half speed.
+     * @type {number}
+     * @default 1
+     */
+    this.timeScale = 1;
+
+    /**
+     * The maximum real time delta in seconds accepted per update. Longer
+     * frames (e.g. after switching browser tabs) are clamped to it.
+     * @type {number}
+     * @default 0.1
+     */
+    this.maxDelta = 0.1;
+
+    /**
+     * The size of a fixed simulation step in seconds or null for variable steps.
+     * @type {?number}
+     * @default null
+     */
+    this.fixedDelta = null;
+
+    /**
+     * The maximum number of fixed steps per update. Time that would need more
+     * steps is dropped, so a slow frame does not cause even slower frames.
+     * @type {number}
+     * @default 5
+     */
+    this.maxSubSteps = 5;
+
+    /**
+     * The delta of each simulation step of the last update in seconds.
+     * @type {number}
+     * @readonly
+     */
+    this.delta = 0;
+
+    /**
+     * The number of simulation steps of the last update.
+     * @type {number}
+     * @readonly
+     */
+    this.steps = 0;
+
+    /**
+     * The total simulated time in seconds.
+     * @type {number}
+     * @readonly
+     */
+    this.elapsed = 0;
+
+    this._paused = false;
+    this._accumulator = 0;
+  }
+
+  /**
+   * Whether the time is paused or not.
+   * @type {boolean}
+   */
+  get paused() {
+    return this._paused;
+  }
+
+  /**
+   * The fraction of a fixed step that is left in the accumulator, useful to
+   * interpolate rendered transforms between two steps. Always 0 for variable steps.
+   * @type {number}
+   */
+  get alpha() {
+    return this.fixedDelta !== null ? this._accumulator / this.fixedDelta : 0;
+  }
+
+  /**
+   * Pauses the time. Updates produce no steps until {@link Time#resume} is called.
+   * @return {Time} A reference to this time object.
+   */
+  pause() {
+    this._paused = true;
+    return this;
+  }
+
+  /**
+   * Resumes the time after a pause.
+   * @return {Time} A reference to this time object.
+   */
+  resume() {
+    this._paused = false;
+    return this;
+  }
+
+  /**
+   * Advances the time by the given real time delta and computes the simulation
+   * steps, available as `steps` and `delta` afterwards.
+   * @param {number} delta - The real time delta in seconds.
+   * @return {Time} A reference to this time object.
+   */
+  update(delta) {
+    if (this._paused === true) {
+      this.steps = 0;
+      this.delta = 0;
+      return this;
+    }
+
+    const scaledDelta = Math.min(Math.max(delta, 0), this.maxDelta) * this.timeScale;
+
+    if (this.fixedDelta === null) {
+      this.steps = 1;
+      this.delta = scaledDelta;
+    } else {
+      this._accumulator += scaledDelta;
+      this.steps = Math.floor(this._accumulator / this.fixedDelta);
+      this.delta = this.fixedDelta;
+
+      if (this.steps > this.maxSubSteps) {
+        this.steps = this.maxSubSteps;
+        this._accumulator = 0;
+      } else {
+        this._accumulator -= this.steps * this.fixedDelta;
+      }
+    }
+
+    this.elapsed += this.steps * this.delta;
+    return this;
+  }
+
+  /**
+   * Resets the elapsed time and the accumulator.
+   * @return {Time} A reference to this time object.
+   */
+  reset() {
+    this.delta = 0;
+    this.steps = 0;
+    this.elapsed = 0;
+    this._accumulator = 0;
+    return this;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Base class for representing a state in context of finite state machines.
+ */
+export class State {
+  /**
+   * This method is called once during a state transition when the {@link StateMachine} makes
+   * this state active.
+   * @param {GameEntity} owner - The game entity that represents the execution context of this state.
+   */
+  enter(/* owner */) {}
+
+  /**
+   * This method is called per simulation step if this state is active.
+   * @param {GameEntity} owner - The game entity that represents the execution context of this state.
+   * @param {number} delta - The time delta in seconds.
+   */
+  execute(/* owner, delta */) {}
+
+  /**
+   * This method is called once during a state transition when the {@link StateMachine} makes
+   * this state inactive.
+   * @param {GameEntity} owner - The game entity that represents the execution context of this state.
+   */
+  exit(/* owner */) {}
+
+  /**
+   * This method is called when messaging between game entities occurs.
+   * @param {GameEntity} owner - The game entity that represents the execution context of this state.
+   * @param {Telegram} telegram - A data structure containing the actual message.
+   * @return {boolean} Whether the message was processed or not.
+   */
+  onMessage(/* owner, telegram */) {
+    return false;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {};
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {State} A reference to this state.
+   */
+  fromJSON(/* json */) {
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {State} A reference to this state.
+   */
+  resolveReferences(/* entities */) {
+    return this;
+  }
+}
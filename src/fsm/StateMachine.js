@@ -0,0 +1,251 @@
+import { State } from "./State";
+
+/**
+ * Finite state machine (FSM) for implementing State-driven agent design.
+ * The owning entity calls {@link StateMachine#update} from its `update(delta)`
+ * and forwards telegrams from its `handleMessage` to {@link StateMachine#handleMessage}.
+ */
+export class StateMachine {
+  /**
+   * Constructs a new state machine with the given values.
+   * @param {GameEntity} owner - The owner of this state machine.
+   */
+  constructor(owner = null) {
+    /**
+     * The game entity that owns this state machine.
+     * @type {?GameEntity}
+     */
+    this.owner = owner;
+
+    /**
+     * The current state of the game entity.
+     * @type {?State}
+     */
+    this.currentState = null;
+
+    /**
+     * The previous state of the game entity.
+     * @type {?State}
+     */
+    this.previousState = null;
+
+    /**
+     * This state logic is called every time the state machine is updated.
+     * It is only serialized if it was also added via {@link StateMachine#add}.
+     * @type {?State}
+     */
+    this.globalState = null;
+
+    /**
+     * A map with all states of the state machine.
+     * @type {Map<string, State>}
+     */
+    this.states = new Map();
+
+    // Serialization: maps type names to state constructors
+    this._typesMap = new Map();
+  }
+
+  /**
+   * Updates the internal state of the FSM. Usually called by game entities to
+   * implement their individual behavior.
+   * @param {number} delta - The time delta in seconds.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  update(delta) {
+    if (this.globalState !== null) {
+      this.globalState.execute(this.owner, delta);
+    }
+
+    if (this.currentState !== null) {
+      this.currentState.execute(this.owner, delta);
+    }
+
+    return this;
+  }
+
+  /**
+   * Adds a new state with the given ID to the state machine.
+   * @param {string} id - The ID of the state.
+   * @param {State} state - The state.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  add(id, state) {
+    if (!(state instanceof State)) {
+      throw new Error(`StateMachine: State "${id}" must be an instance of State.`);
+    }
+
+    this.states.set(id, state);
+    return this;
+  }
+
+  /**
+   * Removes a state via its ID from the state machine.
+   * @param {string} id - The ID of the state.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  remove(id) {
+    this.states.delete(id);
+    return this;
+  }
+
+  /**
+   * Returns the state for the given ID.
+   * @param {string} id - The ID of the state.
+   * @return {?State} The state for the given ID.
+   */
+  get(id) {
+    return this.states.get(id) || null;
+  }
+
+  /**
+   * Performs a state change to the state defined by the given ID.
+   * @param {string} id - The ID of the state.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  changeTo(id) {
+    const state = this.get(id);
+
+    if (state === null) {
+      throw new Error(`StateMachine: Unknown state "${id}".`);
+    }
+
+    this._change(state);
+    return this;
+  }
+
+  /**
+   * Returns to the previous state.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  revert() {
+    if (this.previousState !== null) {
+      this._change(this.previousState);
+    }
+    return this;
+  }
+
+  /**
+   * Returns true if the current state is equal to the state with the given ID.
+   * @param {string} id - The ID of the state.
+   * @return {boolean} Whether this FSM is in the given state or not.
+   */
+  in(id) {
+    const state = this.get(id);
+    return state !== null && state === this.currentState;
+  }
+
+  /**
+   * Tries to dispatch the message to the current or global state. If both
+   * states can't handle the message, false is returned.
+   * @param {Telegram} telegram - The message.
+   * @return {boolean} Whether the message was processed or not.
+   */
+  handleMessage(telegram) {
+    // First see, if the current state is valid and that it can handle the message
+    if (this.currentState !== null && this.currentState.onMessage(this.owner, telegram) === true) {
+      return true;
+    }
+
+    // If not, and if a global state has been implemented, send the message to the global state
+    if (this.globalState !== null && this.globalState.onMessage(this.owner, telegram) === true) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Registers a custom state type so it can be restored by {@link StateMachine#fromJSON}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = {
+      type: this.constructor.name,
+      owner: this.owner !== null ? this.owner.uuid : null,
+      currentState: null,
+      previousState: null,
+      globalState: null,
+      states: [],
+    };
+
+    const statesMap = new Map();
+
+    for (const [id, state] of this.states) {
+      json.states.push({
+        type: state.constructor.name,
+        id: id,
+        state: state.toJSON(),
+      });
+      statesMap.set(state, id);
+    }
+
+    json.currentState = statesMap.has(this.currentState) ? statesMap.get(this.currentState) : null;
+    json.previousState = statesMap.has(this.previousState) ? statesMap.get(this.previousState) : null;
+    json.globalState = statesMap.has(this.globalState) ? statesMap.get(this.globalState) : null;
+
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object. All state types must have
+   * been registered via {@link StateMachine#registerType}.
+   * @param {Object} json - The JSON object.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  fromJSON(json) {
+    this.owner = json.owner;
+    this.states.clear();
+
+    for (const stateJSON of json.states) {
+      const ctor = this._typesMap.get(stateJSON.type);
+      if (ctor === undefined) {
+        throw new Error(`StateMachine: Unknown state type "${stateJSON.type}". Use registerType() to register it.`);
+      }
+      this.add(stateJSON.id, new ctor().fromJSON(stateJSON.state));
+    }
+
+    this.currentState = json.currentState !== null ? this.get(json.currentState) : null;
+    this.previousState = json.previousState !== null ? this.get(json.previousState) : null;
+    this.globalState = json.globalState !== null ? this.get(json.globalState) : null;
+
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {StateMachine} A reference to this state machine.
+   */
+  resolveReferences(entities) {
+    this.owner = entities.get(this.owner) || null;
+
+    for (const state of this.states.values()) {
+      state.resolveReferences(entities);
+    }
+
+    return this;
+  }
+
+  _change(state) {
+    this.previousState = this.currentState;
+
+    if (this.currentState !== null) {
+      this.currentState.exit(this.owner);
+    }
+
+    this.currentState = state;
+    this.currentState.enter(this.owner);
+  }
+}
@@ -0,0 +1,57 @@
+import { FuzzySet } from "./FuzzySet";
+import { FuzzyTerm } from "./FuzzyTerm";
+
+/**
+ * Base class for representing more complex fuzzy terms based on the
+ * composite design pattern.
+ */
+export class FuzzyCompositeTerm extends FuzzyTerm {
+  /**
+   * Constructs a new fuzzy composite term with the given values.
+   * @param {Array<FuzzyTerm>} terms - An arbitrary amount of fuzzy terms.
+   */
+  constructor(terms = []) {
+    super();
+
+    /**
+     * List of fuzzy terms.
+     * @type {Array<FuzzyTerm>}
+     */
+    this.terms = terms;
+  }
+
+  /**
+   * Clears the degree of membership value.
+   * @return {FuzzyCompositeTerm} A reference to this term.
+   */
+  clearDegreeOfMembership() {
+    for (const term of this.terms) {
+      term.clearDegreeOfMembership();
+    }
+    return this;
+  }
+
+  /**
+   * Updates the degree of membership by the given value. This method is used when
+   * the term is part of a fuzzy rule's consequent.
+   * @param {number} value - The value used to update the degree of membership.
+   * @return {FuzzyCompositeTerm} A reference to this term.
+   */
+  updateDegreeOfMembership(value) {
+    for (const term of this.terms) {
+      term.updateDegreeOfMembership(value);
+    }
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object. Fuzzy sets are referenced by
+   * their UUID, nested composite terms are written inline.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.terms = this.terms.map((term) => (term instanceof FuzzySet ? term.uuid : term.toJSON()));
+    return json;
+  }
+}
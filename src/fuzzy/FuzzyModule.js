@@ -0,0 +1,249 @@
+import { FuzzyRule } from "./FuzzyRule";
+import { FuzzyVariable } from "./FuzzyVariable";
+import { FuzzyAND } from "./operators/FuzzyAND";
+import { FuzzyOR } from "./operators/FuzzyOR";
+import { FuzzyVERY } from "./operators/FuzzyVERY";
+import { FuzzyFAIRLY } from "./operators/FuzzyFAIRLY";
+import { LeftShoulderFuzzySet } from "./sets/LeftShoulderFuzzySet";
+import { RightShoulderFuzzySet } from "./sets/RightShoulderFuzzySet";
+import { TriangularFuzzySet } from "./sets/TriangularFuzzySet";
+import { SingletonFuzzySet } from "./sets/SingletonFuzzySet";
+import { NormalDistFuzzySet } from "./sets/NormalDistFuzzySet";
+import { LeftSCurveFuzzySet } from "./sets/LeftSCurveFuzzySet";
+import { RightSCurveFuzzySet } from "./sets/RightSCurveFuzzySet";
+
+/**
+ * Class for representing a fuzzy module. Instances of this class are used by
+ * game entities for fuzzy inference. A fuzzy module is a collection of fuzzy variables
+ * and the rules that operate on them. A typical use case is a {@link GoalEvaluator}
+ * that fuzzifies its inputs, defuzzifies a "desirability" variable and returns
+ * the crisp result from {@link GoalEvaluator#calculateDesirability}.
+ */
+export class FuzzyModule {
+  /**
+   * Constructs a new fuzzy module.
+   */
+  constructor() {
+    /**
+     * An array of the fuzzy rules.
+     * @type {Array<FuzzyRule>}
+     * @readonly
+     */
+    this.rules = [];
+
+    /**
+     * A map of FLVs.
+     * @type {Map<string, FuzzyVariable>}
+     * @readonly
+     */
+    this.flvs = new Map();
+
+    this._typesMap = new Map([
+      ["FuzzyRule", FuzzyRule],
+      ["FuzzyAND", FuzzyAND],
+      ["FuzzyOR", FuzzyOR],
+      ["FuzzyVERY", FuzzyVERY],
+      ["FuzzyFAIRLY", FuzzyFAIRLY],
+      ["LeftShoulderFuzzySet", LeftShoulderFuzzySet],
+      ["RightShoulderFuzzySet", RightShoulderFuzzySet],
+      ["TriangularFuzzySet", TriangularFuzzySet],
+      ["SingletonFuzzySet", SingletonFuzzySet],
+      ["NormalDistFuzzySet", NormalDistFuzzySet],
+      ["LeftSCurveFuzzySet", LeftSCurveFuzzySet],
+      ["RightSCurveFuzzySet", RightSCurveFuzzySet],
+    ]);
+  }
+
+  /**
+   * Adds the given FLV under the given name to this fuzzy module.
+   * @param {string} name - The name of the FLV.
+   * @param {FuzzyVariable} flv - The FLV to add.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  addFLV(name, flv) {
+    this.flvs.set(name, flv);
+    return this;
+  }
+
+  /**
+   * Removes the FLV under the given name from this fuzzy module.
+   * @param {string} name - The name of the FLV to remove.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  removeFLV(name) {
+    this.flvs.delete(name);
+    return this;
+  }
+
+  /**
+   * Adds the given fuzzy rule to this fuzzy module.
+   * @param {FuzzyRule} rule - The fuzzy rule to add.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  addRule(rule) {
+    this.rules.push(rule);
+    return this;
+  }
+
+  /**
+   * Removes the given fuzzy rule from this fuzzy module.
+   * @param {FuzzyRule} rule - The fuzzy rule to remove.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  removeRule(rule) {
+    const index = this.rules.indexOf(rule);
+    if (index !== -1) this.rules.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Calls the fuzzify method of the defined FLV with the given value.
+   * @param {string} name - The name of the FLV
+   * @param {number} value - The crisp value to fuzzify.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  fuzzify(name, value) {
+    const flv = this.flvs.get(name);
+    if (flv === undefined) {
+      throw new Error(`FuzzyModule: Unknown fuzzy variable "${name}".`);
+    }
+
+    flv.fuzzify(value);
+    return this;
+  }
+
+  /**
+   * Given a fuzzy variable and a defuzzification method this returns a crisp value.
+   * @param {string} name - The name of the FLV
+   * @param {string} type - The type of defuzzification.
+   * @return {number} The defuzzified, crisp value.
+   */
+  defuzzify(name, type = FuzzyModule.DEFUZ_TYPE.MAXAV) {
+    const flv = this.flvs.get(name);
+    if (flv === undefined) {
+      throw new Error(`FuzzyModule: Unknown fuzzy variable "${name}".`);
+    }
+
+    this._initConsequences();
+
+    for (const rule of this.rules) {
+      rule.evaluate();
+    }
+
+    switch (type) {
+      case FuzzyModule.DEFUZ_TYPE.MAXAV:
+        return flv.defuzzifyMaxAv();
+
+      case FuzzyModule.DEFUZ_TYPE.CENTROID:
+        return flv.defuzzifyCentroid();
+
+      default:
+        throw new Error(`FuzzyModule: Unknown defuzzification method "${type}".`);
+    }
+  }
+
+  /**
+   * Registers a custom fuzzy set, term or rule type so it can be restored by
+   * {@link FuzzyModule#fromJSON}.
+   * @param {string} type - The name of the type.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const fuzzyVariables = [];
+
+    for (const [name, flv] of this.flvs) {
+      fuzzyVariables.push({ name, fuzzyVariable: flv.toJSON() });
+    }
+
+    return {
+      type: this.constructor.name,
+      fuzzyVariables,
+      rules: this.rules.map((rule) => rule.toJSON()),
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. Custom types must have
+   * been registered via {@link FuzzyModule#registerType}.
+   * @param {Object} json - The JSON object.
+   * @return {FuzzyModule} A reference to this fuzzy module.
+   */
+  fromJSON(json) {
+    const fuzzySets = new Map();
+
+    this.flvs.clear();
+    this.rules.length = 0;
+
+    for (const { name, fuzzyVariable } of json.fuzzyVariables) {
+      const flv = new FuzzyVariable();
+
+      for (const fuzzySetJSON of fuzzyVariable.fuzzySets) {
+        const fuzzySet = new (this._getType(fuzzySetJSON.type))().fromJSON(fuzzySetJSON);
+        fuzzySets.set(fuzzySet.uuid, fuzzySet);
+        flv.add(fuzzySet);
+      }
+
+      this.addFLV(name, flv);
+    }
+
+    const parseTerm = (termJSON) => {
+      // fuzzy sets are referenced by their UUID
+      if (typeof termJSON === "string") {
+        const fuzzySet = fuzzySets.get(termJSON);
+        if (fuzzySet === undefined) {
+          throw new Error(`FuzzyModule: Unknown fuzzy set "${termJSON}".`);
+        }
+        return fuzzySet;
+      }
+
+      const term = new (this._getType(termJSON.type))();
+      term.terms = termJSON.terms.map(parseTerm);
+      return term;
+    };
+
+    for (const ruleJSON of json.rules) {
+      const rule = new (this._getType(ruleJSON.type))();
+      rule.antecedent = parseTerm(ruleJSON.antecedent);
+      rule.consequence = parseTerm(ruleJSON.consequence);
+      this.addRule(rule);
+    }
+
+    return this;
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`FuzzyModule: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+
+  /**
+   * Initializes the consequences terms of all rules.
+   */
+  _initConsequences() {
+    for (const rule of this.rules) {
+      rule.initConsequence();
+    }
+  }
+}
+
+/**
+ * The supported defuzzification methods.
+ * @type {Object}
+ */
+FuzzyModule.DEFUZ_TYPE = Object.freeze({
+  MAXAV: "maxAv", // average of maxima
+  CENTROID: "centroid", // center of mass of the fuzzy manifold
+});
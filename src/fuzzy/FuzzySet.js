@@ -0,0 +1,139 @@
+import { FuzzyTerm } from "./FuzzyTerm";
+
+/**
+ * Base class for fuzzy sets. This type of sets are defined by a membership function
+ * which can be any arbitrary shape but are typically triangular or trapezoidal. They define
+ * a gradual transition from regions completely outside the set to regions completely
+ * within the set, thereby enabling a value to have partial membership to a set.
+ */
+export class FuzzySet extends FuzzyTerm {
+  /**
+   * Constructs a new fuzzy set.
+   * @param {number} representativeValue - The maximum of the set's membership function.
+   */
+  constructor(representativeValue = 0) {
+    super();
+
+    /**
+     * Represents the degree of membership to this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.degreeOfMembership = 0;
+
+    /**
+     * The maximum of the set's membership function. For instance, if
+     * the set is triangular then this will be the peak point of the triangular.
+     * If the set has a plateau then this value will be the mid point of the
+     * plateau. Used to avoid runtime calculations.
+     * @type {number}
+     * @default 0
+     */
+    this.representativeValue = representativeValue;
+
+    /**
+     * Represents the left border of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.left = 0;
+
+    /**
+     * Represents the right border of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.right = 0;
+
+    this._uuid = null;
+  }
+
+  /**
+   * Unique ID, primarily used in context of serialization/deserialization.
+   * @type {string}
+   * @readonly
+   */
+  get uuid() {
+    if (this._uuid === null) {
+      this._uuid = this._generateUUID();
+    }
+    return this._uuid;
+  }
+
+  /**
+   * Computes the degree of membership for the given value. Notice that this method
+   * does not set {@link FuzzySet#degreeOfMembership} since other classes use it in
+   * order to calculate intermediate degree of membership values.
+   * @param {number} value - The value used to calculate the degree of membership.
+   * @return {number} The degree of membership.
+   */
+  computeDegreeOfMembership(/* value */) {
+    return 0;
+  }
+
+  /**
+   * Clears the degree of membership value.
+   * @return {FuzzySet} A reference to this fuzzy set.
+   */
+  clearDegreeOfMembership() {
+    this.degreeOfMembership = 0;
+    return this;
+  }
+
+  /**
+   * Returns the degree of membership.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    return this.degreeOfMembership;
+  }
+
+  /**
+   * Updates the degree of membership by the given value. This method is used when
+   * the set is part of a fuzzy rule's consequent.
+   * @param {number} value - The value used to update the degree of membership.
+   * @return {FuzzySet} A reference to this fuzzy set.
+   */
+  updateDegreeOfMembership(value) {
+    // Update the degree of membership if the given value is greater than the
+    // existing one
+    if (value > this.degreeOfMembership) this.degreeOfMembership = value;
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.uuid = this.uuid;
+    json.degreeOfMembership = this.degreeOfMembership;
+    json.representativeValue = this.representativeValue;
+    json.left = this.left;
+    json.right = this.right;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {FuzzySet} A reference to this fuzzy set.
+   */
+  fromJSON(json) {
+    this._uuid = json.uuid;
+    this.degreeOfMembership = json.degreeOfMembership;
+    this.representativeValue = json.representativeValue;
+    this.left = json.left;
+    this.right = json.right;
+    return this;
+  }
+
+  _generateUUID() {
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
+      const r = (Math.random() * 16) | 0;
+      const v = c === "x" ? r : (r & 0x3) | 0x8;
+      return v.toString(16);
+    });
+  }
+}
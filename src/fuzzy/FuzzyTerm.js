@@ -0,0 +1,40 @@
+/**
+ * Base class for representing a term in a {@link FuzzyRule}.
+ */
+export class FuzzyTerm {
+  /**
+   * Clears the degree of membership value.
+   * @return {FuzzyTerm} A reference to this term.
+   */
+  clearDegreeOfMembership() {
+    return this;
+  }
+
+  /**
+   * Returns the degree of membership.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    return 0;
+  }
+
+  /**
+   * Updates the degree of membership by the given value. This method is used when
+   * the term is part of a fuzzy rule's consequent.
+   * @param {number} value - The value used to update the degree of membership.
+   * @return {FuzzyTerm} A reference to this term.
+   */
+  updateDegreeOfMembership(/* value */) {
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+    };
+  }
+}
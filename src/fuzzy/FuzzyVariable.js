@@ -0,0 +1,157 @@
+/**
+ * Class for representing a fuzzy linguistic variable (FLV). A FLV is the
+ * composition of one or more fuzzy sets to represent a concept or domain
+ * qualitatively. For example fuzzy sets "Dumb", "Average", and "Clever"
+ * are members of the fuzzy linguistic variable "IQ".
+ */
+export class FuzzyVariable {
+  /**
+   * Constructs a new fuzzy linguistic variable.
+   */
+  constructor() {
+    /**
+     * An array of the fuzzy sets that comprise this FLV.
+     * @type {Array<FuzzySet>}
+     * @readonly
+     */
+    this.fuzzySets = [];
+
+    /**
+     * The minimum value range of this FLV. This value is
+     * automatically updated when adding/removing fuzzy sets.
+     * @type {number}
+     * @default Infinity
+     * @readonly
+     */
+    this.minRange = Infinity;
+
+    /**
+     * The maximum value range of this FLV. This value is
+     * automatically updated when adding/removing fuzzy sets.
+     * @type {number}
+     * @default - Infinity
+     * @readonly
+     */
+    this.maxRange = -Infinity;
+  }
+
+  /**
+   * Adds the given fuzzy set to this FLV.
+   * @param {FuzzySet} fuzzySet - The fuzzy set to add.
+   * @return {FuzzyVariable} A reference to this FLV.
+   */
+  add(fuzzySet) {
+    this.fuzzySets.push(fuzzySet);
+
+    // adjust range
+    if (fuzzySet.left < this.minRange) this.minRange = fuzzySet.left;
+    if (fuzzySet.right > this.maxRange) this.maxRange = fuzzySet.right;
+
+    return this;
+  }
+
+  /**
+   * Removes the given fuzzy set from this FLV.
+   * @param {FuzzySet} fuzzySet - The fuzzy set to remove.
+   * @return {FuzzyVariable} A reference to this FLV.
+   */
+  remove(fuzzySet) {
+    const index = this.fuzzySets.indexOf(fuzzySet);
+    if (index === -1) return this;
+
+    this.fuzzySets.splice(index, 1);
+
+    // iterate over all fuzzy sets to recalculate the min/max range
+    this.minRange = Infinity;
+    this.maxRange = -Infinity;
+
+    for (const set of this.fuzzySets) {
+      if (set.left < this.minRange) this.minRange = set.left;
+      if (set.right > this.maxRange) this.maxRange = set.right;
+    }
+
+    return this;
+  }
+
+  /**
+   * Fuzzifies a value by calculating its degree of membership in each of
+   * this variable's fuzzy sets. Values out of range are clamped to it.
+   * @param {number} value - The crisp value to fuzzify.
+   * @return {FuzzyVariable} A reference to this FLV.
+   */
+  fuzzify(value) {
+    if (value < this.minRange || value > this.maxRange) {
+      console.warn(`FuzzyVariable: Value ${value} for fuzzification out of range [${this.minRange}, ${this.maxRange}], clamping it.`);
+      value = Math.min(Math.max(value, this.minRange), this.maxRange);
+    }
+
+    for (const fuzzySet of this.fuzzySets) {
+      fuzzySet.degreeOfMembership = fuzzySet.computeDegreeOfMembership(value);
+    }
+
+    return this;
+  }
+
+  /**
+   * Defuzzifies the FLV using the "Average of Maxima" method.
+   * @return {number} The defuzzified, crisp value.
+   */
+  defuzzifyMaxAv() {
+    // the average of maxima (MaxAv for short) defuzzification method scales the
+    // representative value of each fuzzy set by its DOM and takes the average
+    let bottom = 0;
+    let top = 0;
+
+    for (const fuzzySet of this.fuzzySets) {
+      const confidence = fuzzySet.degreeOfMembership;
+
+      bottom += confidence;
+      top += fuzzySet.representativeValue * confidence;
+    }
+
+    return bottom === 0 ? 0 : top / bottom;
+  }
+
+  /**
+   * Defuzzifies the FLV using the "Centroid" method.
+   * @param {number} samples - The amount of samples used for defuzzification.
+   * @return {number} The defuzzified, crisp value.
+   */
+  defuzzifyCentroid(samples = 10) {
+    const stepSize = (this.maxRange - this.minRange) / samples;
+
+    let totalArea = 0;
+    let sumOfMoments = 0;
+
+    // step through the range of this variable in increments equal to stepSize
+    // adding up the contribution (lower of computeDegreeOfMembership or the
+    // actual DOM of this variable's fuzzified value) for each subset. This gives an
+    // approximation of the total area of the fuzzy manifold. (This is similar to how
+    // the area under a curve is calculated using calculus... the heights of lots of 'slices'
+    // are summed to give the total area.)
+    for (let s = 1; s <= samples; s++) {
+      const sample = this.minRange + s * stepSize;
+
+      for (const fuzzySet of this.fuzzySets) {
+        const contribution = Math.min(fuzzySet.computeDegreeOfMembership(sample), fuzzySet.degreeOfMembership);
+
+        totalArea += contribution;
+        sumOfMoments += sample * contribution;
+      }
+    }
+
+    return totalArea === 0 ? 0 : sumOfMoments / totalArea;
+  }
+
+  /**
+   * Converts this instance to a JSON object. The fuzzy sets are written inline
+   * so they can be referenced by UUID from the rules of a {@link FuzzyModule}.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      fuzzySets: this.fuzzySets.map((fuzzySet) => fuzzySet.toJSON()),
+    };
+  }
+}
@@ -0,0 +1,31 @@
+import { FuzzyCompositeTerm } from "../FuzzyCompositeTerm";
+
+/**
+ * Class for representing an AND operator. Can be used to construct
+ * fuzzy rules. The degree of membership is the minimum of its terms.
+ */
+export class FuzzyAND extends FuzzyCompositeTerm {
+  /**
+   * Constructs a new fuzzy AND operator with the given values.
+   * @param {...FuzzyTerm} terms - An arbitrary amount of fuzzy terms.
+   */
+  constructor(...terms) {
+    super(terms);
+  }
+
+  /**
+   * Returns the degree of membership. The AND operator returns the minimum
+   * degree of membership of the sets it is operating on.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    let minDOM = Infinity;
+
+    for (const term of this.terms) {
+      const currentDOM = term.getDegreeOfMembership();
+      if (currentDOM < minDOM) minDOM = currentDOM;
+    }
+
+    return minDOM === Infinity ? 0 : minDOM;
+  }
+}
@@ -0,0 +1,42 @@
+import { FuzzyCompositeTerm } from "../FuzzyCompositeTerm";
+
+/**
+ * Hedges are special unary operators that can be employed to modify the meaning
+ * of a fuzzy set. The FAIRLY fuzzy hedge takes the square root of the degree of membership.
+ */
+export class FuzzyFAIRLY extends FuzzyCompositeTerm {
+  /**
+   * Constructs a new fuzzy FAIRLY hedge with the given values.
+   * @param {FuzzyTerm} fuzzyTerm - The fuzzy term this hedge is working on.
+   */
+  constructor(fuzzyTerm = null) {
+    super(fuzzyTerm !== null ? [fuzzyTerm] : []);
+  }
+
+  /**
+   * Clears the degree of membership value.
+   * @return {FuzzyFAIRLY} A reference to this fuzzy hedge.
+   */
+  clearDegreeOfMembership() {
+    this.terms[0].clearDegreeOfMembership();
+    return this;
+  }
+
+  /**
+   * Returns the degree of membership.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    return Math.sqrt(this.terms[0].getDegreeOfMembership());
+  }
+
+  /**
+   * Updates the degree of membership by the given value.
+   * @param {number} value - The value used to update the degree of membership.
+   * @return {FuzzyFAIRLY} A reference to this fuzzy hedge.
+   */
+  updateDegreeOfMembership(value) {
+    this.terms[0].updateDegreeOfMembership(Math.sqrt(value));
+    return this;
+  }
+}
@@ -0,0 +1,31 @@
+import { FuzzyCompositeTerm } from "../FuzzyCompositeTerm";
+
+/**
+ * Class for representing an OR operator. Can be used to construct
+ * fuzzy rules. The degree of membership is the maximum of its terms.
+ */
+export class FuzzyOR extends FuzzyCompositeTerm {
+  /**
+   * Constructs a new fuzzy OR operator with the given values.
+   * @param {...FuzzyTerm} terms - An arbitrary amount of fuzzy terms.
+   */
+  constructor(...terms) {
+    super(terms);
+  }
+
+  /**
+   * Returns the degree of membership. The OR operator returns the maximum
+   * degree of membership of the sets it is operating on.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    let maxDOM = -Infinity;
+
+    for (const term of this.terms) {
+      const currentDOM = term.getDegreeOfMembership();
+      if (currentDOM > maxDOM) maxDOM = currentDOM;
+    }
+
+    return maxDOM === -Infinity ? 0 : maxDOM;
+  }
+}
@@ -0,0 +1,43 @@
+import { FuzzyCompositeTerm } from "../FuzzyCompositeTerm";
+
+/**
+ * Hedges are special unary operators that can be employed to modify the meaning
+ * of a fuzzy set. The VERY fuzzy hedge squares the degree of membership.
+ */
+export class FuzzyVERY extends FuzzyCompositeTerm {
+  /**
+   * Constructs a new fuzzy VERY hedge with the given values.
+   * @param {FuzzyTerm} fuzzyTerm - The fuzzy term this hedge is working on.
+   */
+  constructor(fuzzyTerm = null) {
+    super(fuzzyTerm !== null ? [fuzzyTerm] : []);
+  }
+
+  /**
+   * Clears the degree of membership value.
+   * @return {FuzzyVERY} A reference to this fuzzy hedge.
+   */
+  clearDegreeOfMembership() {
+    this.terms[0].clearDegreeOfMembership();
+    return this;
+  }
+
+  /**
+   * Returns the degree of membership.
+   * @return {number} Degree of membership.
+   */
+  getDegreeOfMembership() {
+    const dom = this.terms[0].getDegreeOfMembership();
+    return dom * dom;
+  }
+
+  /**
+   * Updates the degree of membership by the given value.
+   * @param {number} value - The value used to update the degree of membership.
+   * @return {FuzzyVERY} A reference to this fuzzy hedge.
+   */
+  updateDegreeOfMembership(value) {
+    this.terms[0].updateDegreeOfMembership(value * value);
+    return this;
+  }
+}
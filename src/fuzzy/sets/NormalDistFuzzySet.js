@@ -0,0 +1,85 @@
+import { FuzzySet } from "../FuzzySet";
+
+/**
+ * Class for representing a fuzzy set that has a normal distribution shape. It can be defined
+ * by the mean and standard deviation.
+ */
+export class NormalDistFuzzySet extends FuzzySet {
+  /**
+   * Constructs a new normal distribution fuzzy set with the given values.
+   * @param {number} left - Represents the left border of this fuzzy set.
+   * @param {number} midpoint - Mean or expectation of the normal distribution.
+   * @param {number} right - Represents the right border of this fuzzy set.
+   * @param {number} standardDeviation - Standard deviation of the normal distribution.
+   */
+  constructor(left = 0, midpoint = 0, right = 0, standardDeviation = 0) {
+    super(midpoint);
+
+    /**
+     * Represents the left border of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.left = left;
+
+    /**
+     * Represents the peak value of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.midpoint = midpoint;
+
+    /**
+     * Represents the right border of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.right = right;
+
+    /**
+     * Represents the standard deviation of this fuzzy set.
+     * @type {number}
+     * @default 0
+     */
+    this.standardDeviation = standardDeviation;
+  }
+
+  /**
+   * Computes the degree of membership for the given value. The curve is scaled
+   * so its peak at the midpoint has a degree of membership of one.
+   * @param {number} value - The value used to calculate the degree of membership.
+   * @return {number} The degree of membership.
+   */
+  computeDegreeOfMembership(value) {
+    if (value >= this.right || value <= this.left) return 0;
+
+    const variance = this.standardDeviation * this.standardDeviation;
+    if (variance === 0) return value === this.midpoint ? 1 : 0;
+
+    const offset = value - this.midpoint;
+    return Math.exp(-(offset * offset) / (2 * variance));
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.midpoint = this.midpoint;
+    json.standardDeviation = this.standardDeviation;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {NormalDistFuzzySet} A reference to this fuzzy set.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.midpoint = json.midpoint;
+    this.standardDeviation = json.standardDeviation;
+    return this;
+  }
+}
@@ -0,0 +1,151 @@
+import { Goal } from "./Goal";
+
+/**
+ * Class representing a composite goal. Essentially it's a goal which consists
+ * of subgoals. Subgoals are kept on a stack: the most recently added subgoal
+ * is processed first.
+ */
+export class CompositeGoal extends Goal {
+  /**
+   * Constructs a new composite goal.
+   * @param {GameEntity} owner - The owner of this composite goal.
+   */
+  constructor(owner = null) {
+    super(owner);
+
+    /**
+     * A list of subgoals.
+     * @type {Array<Goal>}
+     */
+    this.subgoals = [];
+  }
+
+  /**
+   * Adds a goal on top of the subgoal stack.
+   * @param {Goal} goal - The goal to add.
+   * @return {CompositeGoal} A reference to this composite goal.
+   */
+  addSubgoal(goal) {
+    this.subgoals.push(goal);
+    return this;
+  }
+
+  /**
+   * Removes a goal from this composite goal.
+   * @param {Goal} goal - The goal to remove.
+   * @return {CompositeGoal} A reference to this composite goal.
+   */
+  removeSubgoal(goal) {
+    const index = this.subgoals.indexOf(goal);
+    if (index !== -1) this.subgoals.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Terminates and removes all subgoals.
+   * @return {CompositeGoal} A reference to this composite goal.
+   */
+  clearSubgoals() {
+    for (const subgoal of this.subgoals) {
+      subgoal.terminate();
+    }
+    this.subgoals.length = 0;
+    return this;
+  }
+
+  /**
+   * Returns the current subgoal. If no subgoals are defined, null is returned.
+   * @return {?Goal} The current subgoal.
+   */
+  currentSubgoal() {
+    const length = this.subgoals.length;
+    return length > 0 ? this.subgoals[length - 1] : null;
+  }
+
+  /**
+   * Executes the current subgoal of this composite goal. Completed and failed
+   * subgoals on top of the stack are terminated and removed first.
+   * @param {number} delta - The time delta in seconds.
+   * @return {string} The status of this composite subgoal.
+   */
+  executeSubgoals(delta) {
+    const subgoals = this.subgoals;
+
+    // Remove all completed and failed goals from the top of the stack
+    for (let i = subgoals.length - 1; i >= 0; i--) {
+      const subgoal = subgoals[i];
+
+      if (subgoal.completed() === true || subgoal.failed() === true) {
+        // If the current subgoal is a composite goal, terminate its subgoals too
+        if (subgoal instanceof CompositeGoal) {
+          subgoal.clearSubgoals();
+        }
+
+        subgoal.terminate();
+        subgoals.pop();
+      } else {
+        break;
+      }
+    }
+
+    // If any subgoals remain, process the one on top of the stack
+    const subgoal = this.currentSubgoal();
+
+    if (subgoal !== null) {
+      subgoal.activateIfInactive();
+      subgoal.execute(delta);
+
+      // If the subgoal is completed but more subgoals are in the list, return
+      // 'ACTIVE' status in order to keep processing the list of subgoals
+      if (subgoal.completed() === true && subgoals.length > 1) {
+        return Goal.STATUS.ACTIVE;
+      }
+
+      return subgoal.status;
+    }
+
+    // No more subgoals to process - return 'COMPLETED'
+    return Goal.STATUS.COMPLETED;
+  }
+
+  /**
+   * Returns true if this composite goal has subgoals.
+   * @return {boolean} Whether the composite goal has subgoals or not.
+   */
+  hasSubgoals() {
+    return this.subgoals.length > 0;
+  }
+
+  /**
+   * Returns true if the given message was processed by the current subgoal.
+   * @param {Telegram} telegram - The telegram with the message data.
+   * @return {boolean} Whether the message was processed or not.
+   */
+  handleMessage(telegram) {
+    const subgoal = this.currentSubgoal();
+    return subgoal !== null ? subgoal.handleMessage(telegram) : false;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.subgoals = this.subgoals.map((subgoal) => subgoal.toJSON());
+    return json;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {CompositeGoal} A reference to this composite goal.
+   */
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    for (const subgoal of this.subgoals) {
+      subgoal.resolveReferences(entities);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Base class for representing a goal evaluator in context of Goal-driven agent design.
+ * Evaluators score how desirable their goal is for an owner; {@link Think}
+ * picks the evaluator with the highest biased score.
+ */
+export class GoalEvaluator {
+  /**
+   * Constructs a new goal evaluator.
+   * @param {number} characterBias - Can be used to adjust the preferences of agents.
+   */
+  constructor(characterBias = 1) {
+    /**
+     * Can be used to adjust the preferences of agents. When the desirability score
+     * for a goal has been evaluated, it is multiplied by this value.
+     * @type {number}
+     * @default 1
+     */
+    this.characterBias = characterBias;
+  }
+
+  /**
+   * Calculates the desirability. It's a score between 0 and 1 representing the desirability
+   * of a goal. This goal is considered as a top level strategy of the agent like hunting
+   * an enemy or exploring the level.
+   * @param {GameEntity} owner - The owner of this goal evaluator.
+   * @return {number} The desirability.
+   */
+  calculateDesirability(/* owner */) {
+    return 0;
+  }
+
+  /**
+   * Executed if this goal evaluator produces the highest desirability. Usually
+   * adds the evaluator's goal to the owner's brain.
+   * @param {GameEntity} owner - The owner of this goal evaluator.
+   */
+  setGoal(/* owner */) {}
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      characterBias: this.characterBias,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {GoalEvaluator} A reference to this goal evaluator.
+   */
+  fromJSON(json) {
+    this.characterBias = json.characterBias;
+    return this;
+  }
+}
@@ -0,0 +1,181 @@
+import { CompositeGoal } from "./CompositeGoal";
+import { Goal } from "./Goal";
+
+/**
+ * Class for representing the brain of a game entity. It arbitrates between
+ * its goal evaluators and keeps the winning goal as its only top-level subgoal.
+ * The owning entity calls {@link Think#execute} from its `update(delta)` and
+ * forwards telegrams from its `handleMessage` to {@link Think#handleMessage}.
+ */
+export class Think extends CompositeGoal {
+  /**
+   * Constructs a new *Think* object.
+   * @param {GameEntity} owner - The owner of this instance.
+   */
+  constructor(owner = null) {
+    super(owner);
+
+    /**
+     * A list of goal evaluators.
+     * @type {Array<GoalEvaluator>}
+     */
+    this.evaluators = [];
+
+    // Serialization: maps type names to goal and evaluator constructors
+    this._typesMap = new Map();
+  }
+
+  /**
+   * Executed when this goal is activated.
+   */
+  activate() {
+    this.arbitrate();
+  }
+
+  /**
+   * Executed in each simulation step.
+   * @param {number} delta - The time delta in seconds.
+   */
+  execute(delta) {
+    this.activateIfInactive();
+
+    const subgoalStatus = this.executeSubgoals(delta);
+
+    if (subgoalStatus === Goal.STATUS.COMPLETED || subgoalStatus === Goal.STATUS.FAILED) {
+      this.status = Goal.STATUS.INACTIVE;
+    }
+  }
+
+  /**
+   * Executed when this goal is satisfied.
+   */
+  terminate() {
+    this.clearSubgoals();
+  }
+
+  /**
+   * Adds the given goal evaluator to this instance.
+   * @param {GoalEvaluator} evaluator - The goal evaluator to add.
+   * @return {Think} A reference to this instance.
+   */
+  addEvaluator(evaluator) {
+    this.evaluators.push(evaluator);
+    return this;
+  }
+
+  /**
+   * Removes the given goal evaluator from this instance.
+   * @param {GoalEvaluator} evaluator - The goal evaluator to remove.
+   * @return {Think} A reference to this instance.
+   */
+  removeEvaluator(evaluator) {
+    const index = this.evaluators.indexOf(evaluator);
+    if (index !== -1) this.evaluators.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * This method represents the top level decision process of an agent.
+   * It iterates through each goal evaluator and selects the one that
+   * has the highest score as the current goal.
+   * @return {Think} A reference to this instance.
+   */
+  arbitrate() {
+    let bestDesirability = -1;
+    let bestEvaluator = null;
+
+    // Try to find the best top-level goal/strategy for the entity
+    for (const evaluator of this.evaluators) {
+      const desirability = evaluator.calculateDesirability(this.owner) * evaluator.characterBias;
+
+      if (desirability >= bestDesirability) {
+        bestDesirability = desirability;
+        bestEvaluator = evaluator;
+      }
+    }
+
+    // Use the evaluator to set the respective goal
+    if (bestEvaluator !== null) {
+      bestEvaluator.setGoal(this.owner);
+    } else {
+      console.error("Think: Unable to determine goal evaluator for game entity:", this.owner);
+    }
+
+    return this;
+  }
+
+  /**
+   * Replaces all subgoals with the given goal unless a goal of the same
+   * type is already active. Typically called from {@link GoalEvaluator#setGoal}.
+   * @param {Goal} goal - The new top-level goal.
+   * @return {Think} A reference to this instance.
+   */
+  setGoal(goal) {
+    const current = this.currentSubgoal();
+    if (current === null || current.constructor !== goal.constructor) {
+      this.clearSubgoals();
+      this.addSubgoal(goal);
+    }
+    return this;
+  }
+
+  /**
+   * Registers a custom goal or goal evaluator type so it can be restored by {@link Think#fromJSON}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {Think} A reference to this instance.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.evaluators = this.evaluators.map((evaluator) => evaluator.toJSON());
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object. All goal and evaluator types
+   * must have been registered via {@link Think#registerType}.
+   * @param {Object} json - The JSON object.
+   * @return {Think} A reference to this instance.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+
+    this.evaluators.length = 0;
+    this.subgoals.length = 0;
+
+    for (const evaluatorJSON of json.evaluators) {
+      this.evaluators.push(new (this._getType(evaluatorJSON.type))().fromJSON(evaluatorJSON));
+    }
+
+    const parseGoal = (goalJSON) => {
+      const goal = new (this._getType(goalJSON.type))().fromJSON(goalJSON);
+
+      if (goalJSON.subgoals !== undefined) {
+        goal.subgoals = goalJSON.subgoals.map(parseGoal);
+      }
+
+      return goal;
+    };
+
+    this.subgoals = json.subgoals.map(parseGoal);
+
+    return this;
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`Think: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Base class for graph edges.
+ */
+export class Edge {
+  /**
+   * Constructs a new edge.
+   * @param {number} from - The index of the from node.
+   * @param {number} to - The index of the to node.
+   * @param {number} cost - The cost of this edge.
+   */
+  constructor(from = -1, to = -1, cost = 0) {
+    /**
+     * The index of the from node.
+     * @type {number}
+     * @default -1
+     */
+    this.from = from;
+
+    /**
+     * The index of the to node.
+     * @type {number}
+     * @default -1
+     */
+    this.to = to;
+
+    /**
+     * The cost of this edge. This could be for example a distance value.
+     * @type {number}
+     * @default 0
+     */
+    this.cost = cost;
+  }
+
+  /**
+   * Copies all values from the given edge to this edge.
+   * @param {Edge} edge - The edge to copy.
+   * @return {Edge} A reference to this edge.
+   */
+  copy(edge) {
+    this.from = edge.from;
+    this.to = edge.to;
+    this.cost = edge.cost;
+    return this;
+  }
+
+  /**
+   * Creates a new edge and copies all values from this edge.
+   * @return {Edge} A new edge.
+   */
+  clone() {
+    return new this.constructor().copy(this);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      from: this.from,
+      to: this.to,
+      cost: this.cost,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Edge} A reference to this edge.
+   */
+  fromJSON(json) {
+    this.from = json.from;
+    this.to = json.to;
+    this.cost = json.cost;
+    return this;
+  }
+}
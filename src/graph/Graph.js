@@ -0,0 +1,289 @@
+import { Node } from "./Node";
+import { Edge } from "./Edge";
+import { NavNode } from "./NavNode";
+import { NavEdge } from "./NavEdge";
+
+/**
+ * Class representing a sparse graph implementation based on adjacency lists.
+ * A sparse graph can be used to model many different types of graphs like navigation
+ * graphs (pathfinding), dependency graphs (e.g. technology trees) or state graphs
+ * (a representation of every possible state in a game).
+ */
+export class Graph {
+  /**
+   * Constructs a new graph.
+   * @param {boolean} digraph - Whether this graph is directed or not.
+   */
+  constructor(digraph = false) {
+    /**
+     * Whether this graph is directed or not. In an undirected graph every
+     * call of {@link Graph#addEdge} also adds the opposite edge.
+     * @type {boolean}
+     * @default false
+     */
+    this.digraph = digraph;
+
+    this._nodes = new Map(); // contains all nodes in a map: (nodeIndex => node)
+    this._edges = new Map(); // adjacency list for each node: (nodeIndex => edges)
+
+    this._typesMap = new Map([
+      ["Node", Node],
+      ["Edge", Edge],
+      ["NavNode", NavNode],
+      ["NavEdge", NavEdge],
+    ]);
+  }
+
+  /**
+   * Adds a node to the graph.
+   * @param {Node} node - The node to add.
+   * @return {Graph} A reference to this graph.
+   */
+  addNode(node) {
+    const index = node.index;
+
+    this._nodes.set(index, node);
+    if (!this._edges.has(index)) this._edges.set(index, []);
+
+    return this;
+  }
+
+  /**
+   * Adds an edge to the graph. If the graph is undirected, the method
+   * automatically creates the opposite edge.
+   * @param {Edge} edge - The edge to add.
+   * @return {Graph} A reference to this graph.
+   */
+  addEdge(edge) {
+    const edges = this._edges.get(edge.from);
+    if (edges === undefined || !this._nodes.has(edge.to)) {
+      throw new Error(`Graph: Cannot add edge ${edge.from} -> ${edge.to}, both nodes must be part of the graph.`);
+    }
+
+    edges.push(edge);
+
+    if (!this.digraph) {
+      const oppositeEdge = edge.clone();
+      oppositeEdge.from = edge.to;
+      oppositeEdge.to = edge.from;
+
+      this._edges.get(edge.to).push(oppositeEdge);
+    }
+
+    return this;
+  }
+
+  /**
+   * Returns a node for the given node index. If no node is found,
+   * null is returned.
+   * @param {number} index - The index of the node.
+   * @return {?Node} The requested node.
+   */
+  getNode(index) {
+    return this._nodes.get(index) || null;
+  }
+
+  /**
+   * Returns an edge for the given from and to node indices.
+   * If no edge is found, null is returned.
+   * @param {number} from - The index of the from node.
+   * @param {number} to - The index of the to node.
+   * @return {?Edge} The requested edge.
+   */
+  getEdge(from, to) {
+    const edges = this._edges.get(from);
+    if (edges === undefined) return null;
+
+    for (const edge of edges) {
+      if (edge.to === to) return edge;
+    }
+
+    return null;
+  }
+
+  /**
+   * Gathers all nodes of the graph and stores them into the given array.
+   * @param {Array<Node>} result - The result array.
+   * @return {Array<Node>} The result array.
+   */
+  getNodes(result = []) {
+    result.length = 0;
+    result.push(...this._nodes.values());
+    return result;
+  }
+
+  /**
+   * Gathers all edges leading from the given node index and stores them
+   * into the given array.
+   * @param {number} index - The node index.
+   * @param {Array<Edge>} result - The result array.
+   * @return {Array<Edge>} The result array.
+   */
+  getEdgesOfNode(index, result = []) {
+    const edges = this._edges.get(index);
+
+    result.length = 0;
+    if (edges !== undefined) result.push(...edges);
+
+    return result;
+  }
+
+  /**
+   * Returns the node count of the graph.
+   * @return {number} The amount of nodes.
+   */
+  getNodeCount() {
+    return this._nodes.size;
+  }
+
+  /**
+   * Returns the edge count of the graph. In an undirected graph every
+   * connection is counted twice.
+   * @return {number} The amount of edges.
+   */
+  getEdgeCount() {
+    let count = 0;
+
+    for (const edges of this._edges.values()) {
+      count += edges.length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Removes the given node from the graph and all edges which are connected
+   * with this node.
+   * @param {Node} node - The node to remove.
+   * @return {Graph} A reference to this graph.
+   */
+  removeNode(node) {
+    const index = node.index;
+
+    this._nodes.delete(index);
+    this._edges.delete(index);
+
+    // remove all edges pointing to the node
+    for (const [from, edges] of this._edges) {
+      this._edges.set(
+        from,
+        edges.filter((edge) => edge.to !== index)
+      );
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes the given edge from the graph. If the graph is undirected, the
+   * method also removes the opposite edge.
+   * @param {Edge} edge - The edge to remove.
+   * @return {Graph} A reference to this graph.
+   */
+  removeEdge(edge) {
+    this._removeEdge(edge.from, edge.to);
+    if (!this.digraph) this._removeEdge(edge.to, edge.from);
+    return this;
+  }
+
+  /**
+   * Returns true if the graph has the given node index.
+   * @param {number} index - The node index.
+   * @return {boolean} Whether the node exists or not.
+   */
+  hasNode(index) {
+    return this._nodes.has(index);
+  }
+
+  /**
+   * Returns true if the graph has an edge between the given from and to nodes.
+   * @param {number} from - The index of the from node.
+   * @param {number} to - The index of the to node.
+   * @return {boolean} Whether the edge exists or not.
+   */
+  hasEdge(from, to) {
+    return this.getEdge(from, to) !== null;
+  }
+
+  /**
+   * Removes all nodes and edges from this graph.
+   * @return {Graph} A reference to this graph.
+   */
+  clear() {
+    this._nodes.clear();
+    this._edges.clear();
+    return this;
+  }
+
+  /**
+   * Registers a custom node or edge type so it can be restored by
+   * {@link Graph#fromJSON}.
+   * @param {string} type - The name of the type.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {Graph} A reference to this graph.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const edges = [];
+
+    for (const edgeList of this._edges.values()) {
+      for (const edge of edgeList) {
+        edges.push(edge.toJSON());
+      }
+    }
+
+    return {
+      type: this.constructor.name,
+      digraph: this.digraph,
+      nodes: Array.from(this._nodes.values(), (node) => node.toJSON()),
+      edges,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. Custom node and edge types must
+   * have been registered via {@link Graph#registerType}.
+   * @param {Object} json - The JSON object.
+   * @return {Graph} A reference to this graph.
+   */
+  fromJSON(json) {
+    this.clear();
+    this.digraph = json.digraph;
+
+    for (const nodeJSON of json.nodes) {
+      this.addNode(new (this._getType(nodeJSON.type))().fromJSON(nodeJSON));
+    }
+
+    // the JSON already contains both directions of undirected edges
+    for (const edgeJSON of json.edges) {
+      const edge = new (this._getType(edgeJSON.type))().fromJSON(edgeJSON);
+      this._edges.get(edge.from).push(edge);
+    }
+
+    return this;
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`Graph: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+
+  _removeEdge(from, to) {
+    const edges = this._edges.get(from);
+    if (edges === undefined) return;
+
+    const index = edges.findIndex((edge) => edge.to === to);
+    if (index !== -1) edges.splice(index, 1);
+  }
+}
@@ -0,0 +1,125 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Graph } from "./Graph";
+import { NavNode } from "./NavNode";
+import { NavEdge } from "./NavEdge";
+
+/**
+ * Helpers for building common navigation graphs. All nodes are {@link NavNode}s
+ * and all edges are {@link NavEdge}s whose cost is the distance between their nodes.
+ */
+export class GraphUtils {
+  /**
+   * Creates an undirected grid graph on the XZ plane, centered at the origin.
+   * Node indices are assigned row by row, starting at the minimum X and Z.
+   * @param {number} size - The width and depth of the grid.
+   * @param {number} segments - The amount of segments per side. The grid has (segments + 1)² nodes.
+   * @param {boolean} diagonal - Whether diagonal neighbors are connected or not.
+   * @return {Graph} The new graph.
+   */
+  static createGridGraph(size, segments, diagonal = false) {
+    if (!(segments >= 1)) {
+      throw new Error("GraphUtils: The amount of segments must be at least one.");
+    }
+
+    const graph = new Graph(false);
+    const halfSize = size / 2;
+    const segmentSize = size / segments;
+    const count = segments + 1;
+
+    for (let z = 0; z < count; z++) {
+      for (let x = 0; x < count; x++) {
+        const position = new Vector3(x * segmentSize - halfSize, 0, z * segmentSize - halfSize);
+        graph.addNode(new NavNode(z * count + x, position));
+      }
+    }
+
+    // connect each node with its neighbors in positive direction, the opposite
+    // edges are created by the undirected graph
+    for (let z = 0; z < count; z++) {
+      for (let x = 0; x < count; x++) {
+        const index = z * count + x;
+
+        if (x < segments) GraphUtils._connect(graph, index, index + 1);
+        if (z < segments) GraphUtils._connect(graph, index, index + count);
+
+        if (diagonal && z < segments) {
+          if (x < segments) GraphUtils._connect(graph, index, index + count + 1);
+          if (x > 0) GraphUtils._connect(graph, index, index + count - 1);
+        }
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Creates a directed graph for side-view or platform navigation. Every platform is a
+   * walkable line segment which is sampled into nodes connected in both directions.
+   * The end nodes of each platform get jump edges to nodes on other platforms within
+   * reach. Falling down is always possible within the horizontal jump distance, jumping
+   * up is limited by the jump height. Each node stores its platform index in
+   * `userData.platform`, so edges between different platforms can be identified as jumps.
+   * @param {Array<{start: Vector3, end: Vector3}>} platforms - The walkable segments.
+   * @param {Object} options - The options.
+   * @param {number} options.spacing - The maximum distance between two nodes of a platform.
+   * @param {number} options.maxJumpDistance - The maximum horizontal distance of a jump.
+   * @param {number} options.maxJumpHeight - The maximum height gain of a jump.
+   * @return {Graph} The new graph.
+   */
+  static createPlatformGraph(platforms, { spacing = 1, maxJumpDistance = 2, maxJumpHeight = 1 } = {}) {
+    const graph = new Graph(true);
+    const platformNodes = [];
+    let index = 0;
+
+    // sample the platforms
+    for (let i = 0; i < platforms.length; i++) {
+      const { start, end } = platforms[i];
+      const segments = Math.max(1, Math.ceil(Vector3.Distance(start, end) / spacing));
+      const nodes = [];
+
+      for (let s = 0; s <= segments; s++) {
+        const node = new NavNode(index++, Vector3.Lerp(start, end, s / segments), { platform: i });
+        graph.addNode(node);
+
+        if (nodes.length > 0) {
+          const previous = nodes[nodes.length - 1];
+          GraphUtils._connect(graph, previous.index, node.index);
+          GraphUtils._connect(graph, node.index, previous.index);
+        }
+
+        nodes.push(node);
+      }
+
+      platformNodes.push(nodes);
+    }
+
+    // connect the ends of each platform with reachable nodes of other platforms
+    for (let i = 0; i < platformNodes.length; i++) {
+      const nodes = platformNodes[i];
+      const ends = nodes.length > 1 ? [nodes[0], nodes[nodes.length - 1]] : nodes;
+
+      for (const from of ends) {
+        for (let j = 0; j < platformNodes.length; j++) {
+          if (i === j) continue;
+
+          for (const to of platformNodes[j]) {
+            const dx = to.position.x - from.position.x;
+            const dz = to.position.z - from.position.z;
+            const height = to.position.y - from.position.y;
+
+            if (dx * dx + dz * dz <= maxJumpDistance * maxJumpDistance && height <= maxJumpHeight) {
+              GraphUtils._connect(graph, from.index, to.index);
+            }
+          }
+        }
+      }
+    }
+
+    return graph;
+  }
+
+  static _connect(graph, from, to) {
+    const cost = Vector3.Distance(graph.getNode(from).position, graph.getNode(to).position);
+    graph.addEdge(new NavEdge(from, to, cost));
+  }
+}
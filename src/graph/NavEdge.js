@@ -0,0 +1,17 @@
+import { Edge } from "./Edge";
+
+/**
+ * Class for representing navigation edges. Usually the cost of a navigation
+ * edge is the distance between the positions of the connected {@link NavNode}s.
+ */
+export class NavEdge extends Edge {
+  /**
+   * Constructs a navigation edge.
+   * @param {number} from - The index of the from node.
+   * @param {number} to - The index of the to node.
+   * @param {number} cost - The cost of this edge.
+   */
+  constructor(from = -1, to = -1, cost = 0) {
+    super(from, to, cost);
+  }
+}
@@ -0,0 +1,54 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Node } from "./Node";
+
+/**
+ * Class for representing navigation nodes. Navigation nodes have a spatial
+ * position and can carry arbitrary user data.
+ */
+export class NavNode extends Node {
+  /**
+   * Constructs a new navigation node.
+   * @param {number} index - The unique index of this node.
+   * @param {Vector3} position - The position of the node.
+   * @param {Object} userData - Custom user data.
+   */
+  constructor(index = -1, position = new Vector3(), userData = {}) {
+    super(index);
+
+    /**
+     * The position of the node.
+     * @type {Vector3}
+     */
+    this.position = position;
+
+    /**
+     * Can be used to store application-specific information. Must be
+     * JSON-compatible to survive serialization.
+     * @type {Object}
+     */
+    this.userData = userData;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.position = this.position.asArray();
+    json.userData = this.userData;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {NavNode} A reference to this node.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.position.fromArray(json.position);
+    this.userData = json.userData;
+    return this;
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Base class for graph nodes.
+ */
+export class Node {
+  /**
+   * Constructs a new node.
+   * @param {number} index - The unique index of this node.
+   */
+  constructor(index = -1) {
+    /**
+     * The unique index of this node. The default value -1 means invalid index.
+     * @type {number}
+     * @default -1
+     */
+    this.index = index;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      index: this.index,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Node} A reference to this node.
+   */
+  fromJSON(json) {
+    this.index = json.index;
+    return this;
+  }
+}
@@ -0,0 +1,147 @@
+import { Edge } from "../Edge";
+
+/**
+ * Implementation of Breadth-first Search. It ignores edge costs and finds
+ * the path with the fewest edges.
+ */
+export class BFS {
+  /**
+   * Constructs a BFS algorithm object.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The node index of the source node.
+   * @param {number} target - The node index of the target node.
+   */
+  constructor(graph = null, source = -1, target = -1) {
+    /**
+     * The graph.
+     * @type {?Graph}
+     * @default null
+     */
+    this.graph = graph;
+
+    /**
+     * The node index of the source node.
+     * @type {number}
+     * @default -1
+     */
+    this.source = source;
+
+    /**
+     * The node index of the target node.
+     * @type {number}
+     * @default -1
+     */
+    this.target = target;
+
+    /**
+     * Whether the search was successful or not.
+     * @type {boolean}
+     * @default false
+     */
+    this.found = false;
+
+    this._route = new Map(); // this holds the route taken to the target
+    this._visited = new Set(); // holds the visited nodes
+    this._spanningTree = new Set(); // for debugging purposes
+  }
+
+  /**
+   * Executes the graph search. If the search was successful, {@link BFS#found}
+   * is set to true.
+   * @return {BFS} A reference to this BFS object.
+   */
+  search() {
+    // create a queue(FIFO) of edges, done via an array
+    const queue = [];
+    const outgoingEdges = [];
+
+    // create a dummy edge and put on the queue to begin the search
+    const startEdge = new Edge(this.source, this.source);
+
+    queue.push(startEdge);
+
+    // mark the source node as visited
+    this._visited.add(this.source);
+
+    // while there are edges in the queue keep searching
+    while (queue.length > 0) {
+      // grab the first edge and remove it from the queue
+      const nextEdge = queue.shift();
+
+      // make a note of the parent of the node this edge points to
+      this._route.set(nextEdge.to, nextEdge.from);
+
+      // expand spanning tree
+      if (nextEdge !== startEdge) {
+        this._spanningTree.add(nextEdge);
+      }
+
+      // if the target has been found the method can return success
+      if (nextEdge.to === this.target) {
+        this.found = true;
+        return this;
+      }
+
+      // determine all edges to neighboring nodes
+      this.graph.getEdgesOfNode(nextEdge.to, outgoingEdges);
+
+      // push edges leading to unvisited nodes on the queue. nodes are marked
+      // when queued so every node is reached by exactly one edge
+      for (const edge of outgoingEdges) {
+        if (this._visited.has(edge.to) === false) {
+          queue.push(edge);
+          this._visited.add(edge.to);
+        }
+      }
+    }
+
+    this.found = false;
+
+    return this;
+  }
+
+  /**
+   * Returns the shortest path from the source to the target node as an array of node indices.
+   * @return {Array<number>} The shortest path.
+   */
+  getPath() {
+    const path = [];
+
+    // if no path was found, just return an empty path
+    if (this.found === false || this.target === -1) return path;
+
+    // start with the target of the path
+    let currentNode = this.target;
+    path.push(currentNode);
+
+    // while the current node is not the source node keep on going
+    while (currentNode !== this.source) {
+      currentNode = this._route.get(currentNode);
+      path.unshift(currentNode);
+    }
+
+    return path;
+  }
+
+  /**
+   * Returns the search tree of the algorithm as an array of edges.
+   * @return {Array<Edge>} The search tree.
+   */
+  getSearchTree() {
+    return [...this._spanningTree];
+  }
+
+  /**
+   * Clears the internal state of the object. A new search is now possible.
+   * @return {BFS} A reference to this BFS object.
+   */
+  clear() {
+    this.found = false;
+
+    this._route.clear();
+    this._visited.clear();
+    this._spanningTree.clear();
+
+    return this;
+  }
+}
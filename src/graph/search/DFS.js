@@ -0,0 +1,150 @@
+import { Edge } from "../Edge";
+
+/**
+ * Implementation of Depth-first Search. It ignores edge costs and returns the
+ * first path it stumbles upon, which is not necessarily the shortest one.
+ */
+export class DFS {
+  /**
+   * Constructs a DFS algorithm object.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The node index of the source node.
+   * @param {number} target - The node index of the target node.
+   */
+  constructor(graph = null, source = -1, target = -1) {
+    /**
+     * The graph.
+     * @type {?Graph}
+     * @default null
+     */
+    this.graph = graph;
+
+    /**
+     * The node index of the source node.
+     * @type {number}
+     * @default -1
+     */
+    this.source = source;
+
+    /**
+     * The node index of the target node.
+     * @type {number}
+     * @default -1
+     */
+    this.target = target;
+
+    /**
+     * Whether the search was successful or not.
+     * @type {boolean}
+     * @default false
+     */
+    this.found = false;
+
+    this._route = new Map(); // this holds the route taken to the target
+    this._visited = new Set(); // holds the visited nodes
+    this._spanningTree = new Set(); // for debugging purposes
+  }
+
+  /**
+   * Executes the graph search. If the search was successful, {@link DFS#found}
+   * is set to true.
+   * @return {DFS} A reference to this DFS object.
+   */
+  search() {
+    // create a stack(LIFO) of edges, done via an array
+    const stack = [];
+    const outgoingEdges = [];
+
+    // create a dummy edge and put on the stack to begin the search
+    const startEdge = new Edge(this.source, this.source);
+
+    stack.push(startEdge);
+
+    // while there are edges in the stack keep searching
+    while (stack.length > 0) {
+      // grab the next edge and remove it from the stack
+      const nextEdge = stack.pop();
+
+      // a node can be pushed several times before it is expanded, only the
+      // first expansion counts
+      if (this._visited.has(nextEdge.to)) continue;
+
+      // make a note of the parent of the node this edge points to
+      this._route.set(nextEdge.to, nextEdge.from);
+
+      // and mark it visited
+      this._visited.add(nextEdge.to);
+
+      // expand spanning tree
+      if (nextEdge !== startEdge) {
+        this._spanningTree.add(nextEdge);
+      }
+
+      // if the target has been found the method can return success
+      if (nextEdge.to === this.target) {
+        this.found = true;
+        return this;
+      }
+
+      // determine all edges to neighboring nodes
+      this.graph.getEdgesOfNode(nextEdge.to, outgoingEdges);
+
+      // push the edges leading from the node this edge points to onto the
+      // stack (provided the edge does not point to a previously visited node)
+      for (const edge of outgoingEdges) {
+        if (this._visited.has(edge.to) === false) {
+          stack.push(edge);
+        }
+      }
+    }
+
+    this.found = false;
+
+    return this;
+  }
+
+  /**
+   * Returns the found path from the source to the target node as an array of node indices.
+   * @return {Array<number>} The found path.
+   */
+  getPath() {
+    const path = [];
+
+    // if no path was found, just return an empty path
+    if (this.found === false || this.target === -1) return path;
+
+    // start with the target of the path
+    let currentNode = this.target;
+    path.push(currentNode);
+
+    // while the current node is not the source node keep on going
+    while (currentNode !== this.source) {
+      currentNode = this._route.get(currentNode);
+      path.unshift(currentNode);
+    }
+
+    return path;
+  }
+
+  /**
+   * Returns the search tree of the algorithm as an array of edges.
+   * @return {Array<Edge>} The search tree.
+   */
+  getSearchTree() {
+    return [...this._spanningTree];
+  }
+
+  /**
+   * Clears the internal state of the object. A new search is now possible.
+   * @return {DFS} A reference to this DFS object.
+   */
+  clear() {
+    this.found = false;
+
+    this._route.clear();
+    this._visited.clear();
+    this._spanningTree.clear();
+
+    return this;
+  }
+}
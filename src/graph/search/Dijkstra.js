@@ -0,0 +1,146 @@
+import { PriorityQueue } from "./PriorityQueue";
+
+/**
+ * Implementation of Dijkstra's algorithm. It explores the graph in order of the
+ * accumulated cost from the source and guarantees the shortest path for
+ * non-negative edge costs.
+ */
+export class Dijkstra {
+  /**
+   * Constructs a Dijkstra algorithm object.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The node index of the source node.
+   * @param {number} target - The node index of the target node.
+   */
+  constructor(graph = null, source = -1, target = -1) {
+    /**
+     * The graph.
+     * @type {?Graph}
+     * @default null
+     */
+    this.graph = graph;
+
+    /**
+     * The node index of the source node.
+     * @type {number}
+     * @default -1
+     */
+    this.source = source;
+
+    /**
+     * The node index of the target node.
+     * @type {number}
+     * @default -1
+     */
+    this.target = target;
+
+    /**
+     * Whether the search was successful or not.
+     * @type {boolean}
+     * @default false
+     */
+    this.found = false;
+
+    this._cost = new Map(); // contains the "real" accumulative cost to a node
+    this._shortestPathTree = new Map();
+    this._searchFrontier = new Map();
+  }
+
+  /**
+   * Executes the graph search. If the search was successful, {@link Dijkstra#found}
+   * is set to true.
+   * @return {Dijkstra} A reference to this Dijkstra object.
+   */
+  search() {
+    const outgoingEdges = [];
+    const pQueue = new PriorityQueue();
+
+    pQueue.push({ cost: 0, index: this.source });
+    this._cost.set(this.source, 0);
+
+    // while the queue is not empty
+    while (pQueue.length > 0) {
+      const nextNodeIndex = pQueue.pop().index;
+
+      // skip stale queue entries of already finalized nodes
+      if (this._shortestPathTree.has(nextNodeIndex)) continue;
+
+      // move this edge from the frontier to the shortest path tree
+      if (this._searchFrontier.has(nextNodeIndex)) {
+        this._shortestPathTree.set(nextNodeIndex, this._searchFrontier.get(nextNodeIndex));
+      }
+
+      // if the target has been found exit
+      if (nextNodeIndex === this.target) {
+        this.found = true;
+        return this;
+      }
+
+      // now relax the edges
+      this.graph.getEdgesOfNode(nextNodeIndex, outgoingEdges);
+
+      for (const edge of outgoingEdges) {
+        // the total cost to the node this edge points to is the cost to the
+        // current node plus the cost of the edge connecting them
+        const gCost = this._cost.get(nextNodeIndex) + edge.cost;
+
+        // if the node has not been reached yet or the cost to reach it
+        // is cheaper than before, add it to the frontier and update the queue
+        if (!this._cost.has(edge.to) || gCost < this._cost.get(edge.to)) {
+          this._cost.set(edge.to, gCost);
+          this._searchFrontier.set(edge.to, edge);
+          pQueue.push({ cost: gCost, index: edge.to });
+        }
+      }
+    }
+
+    this.found = false;
+
+    return this;
+  }
+
+  /**
+   * Returns the shortest path from the source to the target node as an array of node indices.
+   * @return {Array<number>} The shortest path.
+   */
+  getPath() {
+    const path = [];
+
+    // if no path was found, just return an empty path
+    if (this.found === false || this.target === -1) return path;
+
+    // start with the target of the path
+    let currentNode = this.target;
+    path.push(currentNode);
+
+    // while the current node is not the source node keep on going
+    while (currentNode !== this.source) {
+      currentNode = this._shortestPathTree.get(currentNode).from;
+      path.unshift(currentNode);
+    }
+
+    return path;
+  }
+
+  /**
+   * Returns the search tree of the algorithm as an array of edges.
+   * @return {Array<Edge>} The search tree.
+   */
+  getSearchTree() {
+    return [...this._shortestPathTree.values()];
+  }
+
+  /**
+   * Clears the internal state of the object. A new search is now possible.
+   * @return {Dijkstra} A reference to this Dijkstra object.
+   */
+  clear() {
+    this.found = false;
+
+    this._cost.clear();
+    this._shortestPathTree.clear();
+    this._searchFrontier.clear();
+
+    return this;
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Default compare function, orders items by their cost.
+ * @param {Object} a - The first item.
+ * @param {Object} b - The second item.
+ * @return {number} The comparison result.
+ */
+function defaultCompare(a, b) {
+  return a.cost < b.cost ? -1 : a.cost > b.cost ? 1 : 0;
+}
+
+/**
+ * Class for representing a binary heap priority queue that enables
+ * more efficient sorting of arrays. The implementation is based on
+ * {@link https://github.com/mourner/tinyqueue tinyqueue}.
+ */
+export class PriorityQueue {
+  /**
+   * Constructs a new priority queue.
+   * @param {Function} compare - The compare function used for sorting.
+   */
+  constructor(compare = defaultCompare) {
+    /**
+     * The data items of the priority queue.
+     * @type {Array<Object>}
+     */
+    this.data = [];
+
+    /**
+     * The length of the priority queue.
+     * @type {number}
+     * @default 0
+     */
+    this.length = 0;
+
+    /**
+     * The compare function used for sorting.
+     * @type {Function}
+     * @default defaultCompare
+     */
+    this.compare = compare;
+  }
+
+  /**
+   * Pushes an item to the priority queue maintaining the sort order.
+   * @param {Object} item - The item to add.
+   */
+  push(item) {
+    this.data.push(item);
+    this.length++;
+    this._up(this.length - 1);
+  }
+
+  /**
+   * Returns the item with the highest priority and removes it from the priority queue.
+   * @return {Object} The item with the highest priority.
+   */
+  pop() {
+    if (this.length === 0) return null;
+
+    const top = this.data[0];
+    this.length--;
+
+    if (this.length > 0) {
+      this.data[0] = this.data[this.length];
+      this._down(0);
+    }
+
+    this.data.pop();
+
+    return top;
+  }
+
+  /**
+   * Returns the item with the highest priority without removal.
+   * @return {Object} The item with the highest priority.
+   */
+  peek() {
+    return this.data[0] || null;
+  }
+
+  _up(index) {
+    const data = this.data;
+    const compare = this.compare;
+    const item = data[index];
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      const current = data[parent];
+      if (compare(item, current) >= 0) break;
+      data[index] = current;
+      index = parent;
+    }
+
+    data[index] = item;
+  }
+
+  _down(index) {
+    const data = this.data;
+    const compare = this.compare;
+    const halfLength = this.length >> 1;
+    const item = data[index];
+
+    while (index < halfLength) {
+      let left = (index << 1) + 1;
+      let best = data[left];
+      const right = left + 1;
+
+      if (right < this.length && compare(data[right], best) < 0) {
+        left = right;
+        best = data[right];
+      }
+
+      if (compare(best, item) >= 0) break;
+
+      data[index] = best;
+      index = left;
+    }
+
+    data[index] = item;
+  }
+}
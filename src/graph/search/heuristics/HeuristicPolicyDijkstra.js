@@ -0,0 +1,13 @@
+/**
+ * Class for representing a heuristic for graph search algorithms that always
+ * returns zero. Using it with A* is equivalent to Dijkstra's algorithm.
+ */
+export class HeuristicPolicyDijkstra {
+  /**
+   * This heuristic always returns zero.
+   * @return {number} Zero.
+   */
+  static calculate(/* graph, source, target */) {
+    return 0;
+  }
+}
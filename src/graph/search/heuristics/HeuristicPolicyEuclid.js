@@ -0,0 +1,19 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * Class for representing a heuristic for graph search algorithms based
+ * on the euclidean distance. The heuristic assumes that the node have
+ * a position property of type {@link Vector3}.
+ */
+export class HeuristicPolicyEuclid {
+  /**
+   * Calculates the euclidean distance between two nodes.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The index of the source node.
+   * @param {number} target - The index of the target node.
+   * @return {number} The euclidean distance between both nodes.
+   */
+  static calculate(graph, source, target) {
+    return Vector3.Distance(graph.getNode(source).position, graph.getNode(target).position);
+  }
+}
@@ -0,0 +1,19 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * Class for representing a heuristic for graph search algorithms based
+ * on the squared euclidean distance. It is cheaper than {@link HeuristicPolicyEuclid}
+ * but overestimates the cost, so A* is no longer guaranteed to find the shortest path.
+ */
+export class HeuristicPolicyEuclidSquared {
+  /**
+   * Calculates the squared euclidean distance between two nodes.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The index of the source node.
+   * @param {number} target - The index of the target node.
+   * @return {number} The squared euclidean distance between both nodes.
+   */
+  static calculate(graph, source, target) {
+    return Vector3.DistanceSquared(graph.getNode(source).position, graph.getNode(target).position);
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Class for representing a heuristic for graph search algorithms based
+ * on the manhattan distance. Suited for grid graphs without diagonal edges.
+ */
+export class HeuristicPolicyManhattan {
+  /**
+   * Calculates the manhattan distance between two nodes.
+   * @param {Graph} graph - The graph.
+   * @param {number} source - The index of the source node.
+   * @param {number} target - The index of the target node.
+   * @return {number} The manhattan distance between both nodes.
+   */
+  static calculate(graph, source, target) {
+    const a = graph.getNode(source).position;
+    const b = graph.getNode(target).position;
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs(a.z - b.z);
+  }
+}
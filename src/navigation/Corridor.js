@@ -0,0 +1,125 @@
+import { area } from "./Polygon";
+
+/**
+ * A corridor is a sequence of portal edges representing a walkable way within a navigation mesh.
+ * The class is able to find the shortest path through this corridor as a sequence of waypoints
+ * using the "Simple Stupid Funnel Algorithm".
+ */
+export class Corridor {
+  /**
+   * Creates a new corridor.
+   */
+  constructor() {
+    /**
+     * The portal edges of the corridor.
+     * @type {Array<{left: Vector3, right: Vector3}>}
+     */
+    this.portals = [];
+  }
+
+  /**
+   * Adds a portal edge defined by its left and right vertex to this corridor.
+   * @param {Vector3} left - The left point (origin) of the portal edge.
+   * @param {Vector3} right - The right point (destination) of the portal edge.
+   * @return {Corridor} A reference to this corridor.
+   */
+  push(left, right) {
+    this.portals.push({ left, right });
+    return this;
+  }
+
+  /**
+   * Generates the shortest path through the corridor as an array of 3D vectors.
+   * @return {Array<Vector3>} An array of 3D waypoints.
+   */
+  generate() {
+    const portals = this.portals;
+    const path = [];
+
+    // init scan state
+    let portalApex = portals[0].left;
+    let portalLeft = portals[0].left;
+    let portalRight = portals[0].right;
+
+    let apexIndex = 0;
+    let leftIndex = 0;
+    let rightIndex = 0;
+
+    // add start point
+    path.push(portalApex);
+
+    for (let i = 1, l = portals.length; i < l; i++) {
+      const left = portals[i].left;
+      const right = portals[i].right;
+
+      // update right vertex
+      if (area(portalApex, portalRight, right) <= 0) {
+        if (portalApex.equals(portalRight) || area(portalApex, portalLeft, right) > 0) {
+          // tighten the funnel
+          portalRight = right;
+          rightIndex = i;
+        } else {
+          // right over left, insert left to path and restart scan from portal left point
+          path.push(portalLeft);
+
+          // make current left the new apex
+          portalApex = portalLeft;
+          apexIndex = leftIndex;
+
+          // reset portal
+          portalLeft = portalApex;
+          portalRight = portalApex;
+          leftIndex = apexIndex;
+          rightIndex = apexIndex;
+
+          // restart scan
+          i = apexIndex;
+          continue;
+        }
+      }
+
+      // update left vertex
+      if (area(portalApex, portalLeft, left) >= 0) {
+        if (portalApex.equals(portalLeft) || area(portalApex, portalRight, left) < 0) {
+          // tighten the funnel
+          portalLeft = left;
+          leftIndex = i;
+        } else {
+          // left over right, insert right to path and restart scan from portal right point
+          path.push(portalRight);
+
+          // make current right the new apex
+          portalApex = portalRight;
+          apexIndex = rightIndex;
+
+          // reset portal
+          portalLeft = portalApex;
+          portalRight = portalApex;
+          leftIndex = apexIndex;
+          rightIndex = apexIndex;
+
+          // restart scan
+          i = apexIndex;
+          continue;
+        }
+      }
+    }
+
+    // append the end point if it is not already part of the path
+    const end = portals[portals.length - 1].left;
+    if (!path[path.length - 1].equals(end)) {
+      path.push(end);
+    }
+
+    return path.map((point) => point.clone());
+  }
+
+  /**
+   * Removes all portal edges from this corridor.
+   * @return {Corridor} A reference to this corridor.
+   */
+  clear() {
+    this.portals.length = 0;
+    return this;
+  }
+}
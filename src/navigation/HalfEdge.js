@@ -0,0 +1,86 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * Implementation of a half-edge data structure, also known as
+ * {@link https://en.wikipedia.org/wiki/Doubly_connected_edge_list Doubly connected edge list}.
+ * Half-edges form the contours of {@link Polygon}s and link neighboring polygons
+ * of a {@link NavMesh} via their twins.
+ */
+export class HalfEdge {
+  /**
+   * Constructs a new half-edge.
+   * @param {Vector3} vertex - The vertex the half-edge points to.
+   */
+  constructor(vertex = new Vector3()) {
+    /**
+     * The vertex the half-edge points to (its head).
+     * @type {Vector3}
+     */
+    this.vertex = vertex;
+
+    /**
+     * A reference to the next half-edge of the contour.
+     * @type {?HalfEdge}
+     * @default null
+     */
+    this.next = null;
+
+    /**
+     * A reference to the previous half-edge of the contour.
+     * @type {?HalfEdge}
+     * @default null
+     */
+    this.prev = null;
+
+    /**
+     * A reference to the opposite half-edge of the neighboring polygon.
+     * Null for edges on the border of a navigation mesh.
+     * @type {?HalfEdge}
+     * @default null
+     */
+    this.twin = null;
+
+    /**
+     * A reference to the polygon this half-edge belongs to.
+     * @type {?Polygon}
+     * @default null
+     */
+    this.polygon = null;
+  }
+
+  /**
+   * Returns the tail of this half-edge. That's a reference to the previous
+   * half-edge's vertex.
+   * @return {?Vector3} The tail vertex.
+   */
+  tail() {
+    return this.prev !== null ? this.prev.vertex : null;
+  }
+
+  /**
+   * Returns the head of this half-edge. That's a reference to its own vertex.
+   * @return {Vector3} The head vertex.
+   */
+  head() {
+    return this.vertex;
+  }
+
+  /**
+   * Computes the length of this half-edge.
+   * @return {number} The length of this half-edge.
+   */
+  length() {
+    return Vector3.Distance(this.tail(), this.head());
+  }
+
+  /**
+   * Links the given opposite half-edge with this one.
+   * @param {HalfEdge} edge - The opposite half-edge.
+   * @return {HalfEdge} A reference to this half-edge.
+   */
+  linkOpponent(edge) {
+    this.twin = edge;
+    edge.twin = this;
+    return this;
+  }
+}
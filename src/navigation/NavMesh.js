@@ -0,0 +1,591 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { VertexBuffer } from "@babylonjs/core/Buffers/buffer";
+import { Graph } from "../graph/Graph";
+import { NavNode } from "../graph/NavNode";
+import { NavEdge } from "../graph/NavEdge";
+import { AStar } from "../graph/search/AStar";
+import { Polygon, area } from "./Polygon";
+import { Corridor } from "./Corridor";
+
+const _a = new Vector3();
+const _ab = new Vector3();
+const _ac = new Vector3();
+const _normal = new Vector3();
+
+// vertices closer than this are welded when building from triangles
+const WELD_PRECISION = 1e4;
+
+// minimum Y component of a face normal for the face to be walkable
+const MIN_UP = 1e-3;
+
+// tolerance for the collinearity test when combining shared edges
+const COLLINEAR_EPSILON = 1e-6;
+
+/**
+ * Implementation of a navigation mesh. A navigation mesh is a network of convex polygons
+ * which define the walkable areas of a game environment. A convex polygon allows unobstructed
+ * travel from any point in the polygon to any other. This enables agents to plan a path
+ * with a graph search over the polygons and to smooth it afterwards with a funnel algorithm.
+ *
+ * The navigation mesh works on the XZ plane with Y as up axis. Regions may be sloped but
+ * must not overlap when projected onto the XZ plane.
+ */
+export class NavMesh {
+  /**
+   * Constructs a new navigation mesh.
+   */
+  constructor() {
+    /**
+     * The internal navigation graph of this navigation mesh representing
+     * neighboring polygons. Node indices are region indices.
+     * @type {Graph}
+     */
+    this.graph = new Graph(true);
+
+    /**
+     * The list of convex regions.
+     * @type {Array<Polygon>}
+     */
+    this.regions = [];
+
+    /**
+     * Tolerance value for the point in convex region test. It is the maximum
+     * vertical distance a point may have to the plane of a region.
+     * @type {number}
+     * @default 1
+     */
+    this.epsilonContainsTest = 1;
+
+    /**
+     * Tolerance value for coplanarity tests.
+     * @type {number}
+     * @default 1e-3
+     */
+    this.epsilonCoplanarTest = 1e-3;
+
+    /**
+     * Whether convex regions should be merged or not.
+     * @type {boolean}
+     * @default true
+     */
+    this.mergeConvexRegions = true;
+  }
+
+  /**
+   * Creates the navigation mesh from an array of convex polygons. The polygons must
+   * be wound like {@link Polygon} expects and share vertex objects along common edges.
+   * @param {Array<Polygon>} polygons - An array of convex polygons.
+   * @return {NavMesh} A reference to this navigation mesh.
+   */
+  fromPolygons(polygons) {
+    this.clear();
+
+    const edgeMap = new Map();
+    const vertexIds = new Map();
+    const vertexId = (vertex) => {
+      let id = vertexIds.get(vertex);
+      if (id === undefined) {
+        id = vertexIds.size;
+        vertexIds.set(vertex, id);
+      }
+      return id;
+    };
+
+    // link the half-edges of neighboring polygons
+    for (const polygon of polygons) {
+      let edge = polygon.edge;
+
+      do {
+        const tail = vertexId(edge.tail());
+        const head = vertexId(edge.head());
+        const twin = edgeMap.get(`${head}-${tail}`);
+
+        if (twin !== undefined && twin.twin === null) {
+          edge.linkOpponent(twin);
+        }
+
+        edgeMap.set(`${tail}-${head}`, edge);
+        edge = edge.next;
+      } while (edge !== polygon.edge);
+
+      this.regions.push(polygon);
+    }
+
+    if (this.mergeConvexRegions) {
+      this._buildRegions();
+    }
+
+    this._buildGraph();
+
+    return this;
+  }
+
+  /**
+   * Creates the navigation mesh from raw triangle data, for instance obtained from
+   * `mesh.getVerticesData(VertexBuffer.PositionKind)` and `mesh.getIndices()`. Triangles
+   * use Babylon's default front face winding. Faces pointing sideways or downwards are
+   * not walkable and ignored. Vertices at the same position are welded.
+   * @param {Array<number>|Float32Array} positions - The vertex positions as flat XYZ array.
+   * @param {?Array<number>|Uint32Array} indices - The triangle indices. If null, every three vertices form a triangle.
+   * @return {NavMesh} A reference to this navigation mesh.
+   */
+  fromPositions(positions, indices = null) {
+    const vertexCount = positions.length / 3;
+    const vertices = [];
+    const welded = new Map();
+    const polygons = [];
+
+    for (let i = 0; i < vertexCount; i++) {
+      const x = positions[i * 3];
+      const y = positions[i * 3 + 1];
+      const z = positions[i * 3 + 2];
+      const key = `${Math.round(x * WELD_PRECISION)}_${Math.round(y * WELD_PRECISION)}_${Math.round(z * WELD_PRECISION)}`;
+
+      let vertex = welded.get(key);
+      if (vertex === undefined) {
+        vertex = new Vector3(x, y, z);
+        welded.set(key, vertex);
+      }
+      vertices.push(vertex);
+    }
+
+    const triangleCount = (indices !== null ? indices.length : vertexCount) / 3;
+    const index = (i) => (indices !== null ? indices[i] : i);
+
+    for (let i = 0; i < triangleCount; i++) {
+      const a = vertices[index(i * 3)];
+      const b = vertices[index(i * 3 + 1)];
+      const c = vertices[index(i * 3 + 2)];
+
+      // skip degenerated triangles
+      if (a === b || b === c || c === a) continue;
+
+      b.subtractToRef(a, _ab);
+      c.subtractToRef(a, _ac);
+      Vector3.CrossToRef(_ab, _ac, _normal);
+
+      // front faces are clockwise in Babylon, so upward facing triangles have a
+      // downward pointing cross product. flip them to the winding of Polygon
+      const length = _normal.length();
+      if (length === 0 || -_normal.y / length <= MIN_UP) continue;
+
+      polygons.push(new Polygon().fromContour([a, c, b]));
+    }
+
+    return this.fromPolygons(polygons);
+  }
+
+  /**
+   * Creates the navigation mesh from the geometry of the given Babylon mesh. The
+   * vertices are transformed into world space.
+   * @param {Mesh} mesh - The mesh describing the walkable surface.
+   * @return {NavMesh} A reference to this navigation mesh.
+   */
+  fromMesh(mesh) {
+    const data = mesh.getVerticesData(VertexBuffer.PositionKind);
+    if (!data) {
+      throw new Error(`NavMesh: Mesh "${mesh.name}" has no position data.`);
+    }
+
+    const worldMatrix = mesh.computeWorldMatrix(true);
+    const positions = new Float32Array(data.length);
+
+    for (let i = 0; i < data.length; i += 3) {
+      Vector3.TransformCoordinatesFromFloatsToRef(data[i], data[i + 1], data[i + 2], worldMatrix, _a);
+      positions[i] = _a.x;
+      positions[i + 1] = _a.y;
+      positions[i + 2] = _a.z;
+    }
+
+    return this.fromPositions(positions, mesh.getIndices());
+  }
+
+  /**
+   * Clears the internal state of this navigation mesh.
+   * @return {NavMesh} A reference to this navigation mesh.
+   */
+  clear() {
+    this.graph.clear();
+    this.regions.length = 0;
+    return this;
+  }
+
+  /**
+   * Returns the closest convex region for the given point in 3D space.
+   * @param {Vector3} point - A point in 3D space.
+   * @return {?Polygon} The closest convex region.
+   */
+  getClosestRegion(point) {
+    let closestRegion = null;
+    let minDistance = Infinity;
+
+    for (const region of this.regions) {
+      const distance = Vector3.DistanceSquared(point, region.centroid);
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        closestRegion = region;
+      }
+    }
+
+    return closestRegion;
+  }
+
+  /**
+   * Returns the region that contains the given point. The computational overhead
+   * of this method is linear to the amount of regions.
+   * @param {Vector3} point - A point in 3D space.
+   * @param {number} epsilon - Tolerance value for the point in convex region test.
+   * @return {?Polygon} The convex region that contains the point.
+   */
+  getRegionForPoint(point, epsilon = 1e-3) {
+    for (const region of this.regions) {
+      if (region.contains(point, epsilon)) return region;
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the node index for the given region. The index represents
+   * the navigation node of a region in the navigation graph.
+   * @param {Polygon} region - The convex region.
+   * @return {number} The respective node index.
+   */
+  getNodeIndex(region) {
+    return this.regions.indexOf(region);
+  }
+
+  /**
+   * Returns the shortest path that leads from the given start position to the end position.
+   * The computational overhead of this method for complex navigation meshes can be high.
+   * If the start or end position lies outside of the navigation mesh, the closest
+   * region is used instead. An empty array is returned if no path exists.
+   * @param {Vector3} from - The start/source position.
+   * @param {Vector3} to - The end/destination position.
+   * @return {Array<Vector3>} The shortest path as an array of points.
+   */
+  findPath(from, to) {
+    // run the incremental search to completion
+    const steps = this.findPathSteps(from, to);
+    let step = steps.next();
+    while (step.done === false) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * Incremental version of {@link NavMesh#findPath}. The returned generator yields
+   * after each node expanded by the graph search and returns the path when done,
+   * so a {@link TaskQueue} can spread a long search across several frames. The
+   * navigation mesh and the given positions must not change until it is done.
+   * @param {Vector3} from - The start/source position.
+   * @param {Vector3} to - The end/destination position.
+   * @return {Generator<undefined, Array<Vector3>>} A generator returning the shortest path.
+   */
+  *findPathSteps(from, to) {
+    let fromRegion = this.getRegionForPoint(from, this.epsilonContainsTest);
+    let toRegion = this.getRegionForPoint(to, this.epsilonContainsTest);
+
+    // if source or target are outside the navmesh, choose the nearest convex region
+    if (fromRegion === null) fromRegion = this.getClosestRegion(from);
+    if (toRegion === null) toRegion = this.getClosestRegion(to);
+
+    if (fromRegion === null || toRegion === null) return [];
+
+    // a straight line is the shortest path within a convex region
+    if (fromRegion === toRegion) {
+      return [from.clone(), to.clone()];
+    }
+
+    const astar = new AStar(this.graph, this.getNodeIndex(fromRegion), this.getNodeIndex(toRegion));
+    yield* astar.steps();
+
+    if (astar.found === false) return [];
+
+    const polygonPath = astar.getPath();
+    const corridor = new Corridor();
+    const portalEdge = { left: null, right: null };
+
+    corridor.push(from, from);
+
+    // push sequence of portal edges to corridor
+    for (let i = 0, l = polygonPath.length - 1; i < l; i++) {
+      this._getPortalEdge(this.regions[polygonPath[i]], this.regions[polygonPath[i + 1]], portalEdge);
+      corridor.push(portalEdge.left, portalEdge.right);
+    }
+
+    corridor.push(to, to);
+
+    return corridor.generate();
+  }
+
+  /**
+   * This method can be used to restrict the movement of a game entity on the navigation mesh.
+   * Instead of preventing any form of translation when a game entity hits a border edge, the
+   * movement is clamped along the contour of the navigation mesh. The computational overhead
+   * of this method for complex navigation meshes can be high.
+   *
+   * A typical usage in an entity's update: compute the new position, call this method with
+   * the previous position and the new one, then copy `clampPosition` into the position and
+   * keep the returned region for the next frame.
+   * @param {Polygon} currentRegion - The current convex region of the game entity.
+   * @param {Vector3} startPosition - The original start position of the entity for the current simulation step.
+   * @param {Vector3} endPosition - The original end position of the entity for the current simulation step.
+   * @param {Vector3} clampPosition - The clamped position of the entity for the current simulation step.
+   * @return {Polygon} The new convex region the game entity is in.
+   */
+  clampMovement(currentRegion, startPosition, endPosition, clampPosition) {
+    const newRegion = this.getRegionForPoint(endPosition, this.epsilonContainsTest);
+
+    // the end position lies on the navigation mesh, keep it and snap it onto the region's plane
+    if (newRegion !== null) {
+      clampPosition.copyFrom(endPosition);
+      clampPosition.y = newRegion.getHeight(endPosition);
+      return newRegion;
+    }
+
+    if (currentRegion === null) {
+      throw new Error("NavMesh: No current region available for clamping the movement.");
+    }
+
+    // the end position lies outside of the navigation mesh, so slide along the
+    // border of the current region. if the start position was already outside,
+    // it is moved back onto the region as well
+    currentRegion.closestPointOnBorder(endPosition, clampPosition);
+
+    return currentRegion;
+  }
+
+  /**
+   * Merges neighboring convex regions as long as the result is convex. Shared edges are
+   * processed from the longest to the shortest one which favors big, compact regions.
+   * Merging repeats until no more regions can be combined.
+   */
+  _buildRegions() {
+    while (this._mergeRegions());
+
+    for (const region of this.regions) {
+      region.computeCentroid();
+    }
+  }
+
+  _mergeRegions() {
+    const edgeList = [];
+    const collected = new Set();
+
+    for (const region of this.regions) {
+      let edge = region.edge;
+
+      do {
+        // collect each pair of twins only once
+        if (edge.twin !== null && !collected.has(edge.twin)) {
+          edgeList.push(edge);
+          collected.add(edge);
+        }
+        edge = edge.next;
+      } while (edge !== region.edge);
+    }
+
+    const lengths = new Map(edgeList.map((edge) => [edge, edge.length()]));
+    edgeList.sort((a, b) => lengths.get(b) - lengths.get(a));
+
+    const removed = new Set();
+
+    for (let candidate of edgeList) {
+      // the edge might have been removed by a previous collapse
+      if (candidate.polygon === null || candidate.twin === null) continue;
+
+      const polygon = candidate.polygon;
+      const twinPolygon = candidate.twin.polygon;
+
+      if (polygon === twinPolygon) continue;
+      if (!polygon.coplanar(twinPolygon, this.epsilonCoplanarTest)) continue;
+
+      // polygons sharing a straight border split into several edges would produce
+      // degenerated contours, so combine these edges first
+      if (this._collapseSharedEdges(polygon, twinPolygon) > 1) continue;
+      if (candidate.polygon === null) candidate = this._getSharedEdge(polygon, twinPolygon);
+
+      const twin = candidate.twin;
+      const prev = candidate.prev;
+      const next = candidate.next;
+      const twinPrev = twin.prev;
+      const twinNext = twin.next;
+
+      // temporarily change the first reference of the polygon
+      polygon.edge = prev;
+
+      // link the contours of both polygons, leaving out the shared edge
+      prev.next = twinNext;
+      twinNext.prev = prev;
+      twinPrev.next = next;
+      next.prev = twinPrev;
+
+      if (polygon.convex(true)) {
+        // correct polygon reference of all edges
+        let edge = polygon.edge;
+
+        do {
+          edge.polygon = polygon;
+          edge = edge.next;
+        } while (edge !== polygon.edge);
+
+        candidate.polygon = null;
+        twin.polygon = null;
+
+        removed.add(twinPolygon);
+      } else {
+        // restore the original contours
+        prev.next = candidate;
+        twinNext.prev = twin;
+        twinPrev.next = twin;
+        next.prev = candidate;
+
+        polygon.edge = candidate;
+      }
+    }
+
+    if (removed.size > 0) {
+      this.regions = this.regions.filter((region) => !removed.has(region));
+    }
+
+    return removed.size > 0;
+  }
+
+  /**
+   * Combines consecutive, collinear edges shared by the two given polygons into one
+   * edge per polygon and returns the amount of remaining shared edges.
+   * @param {Polygon} polygon1 - The first polygon.
+   * @param {Polygon} polygon2 - The second polygon.
+   * @return {number} The amount of shared edges.
+   */
+  _collapseSharedEdges(polygon1, polygon2) {
+    const shared = (edge) => edge.twin !== null && edge.twin.polygon === polygon2;
+    let collapsed = true;
+
+    while (collapsed) {
+      collapsed = false;
+      let edge = polygon1.edge;
+
+      do {
+        const next = edge.next;
+
+        if (shared(edge) && shared(next) && Math.abs(area(edge.tail(), edge.head(), next.head())) < COLLINEAR_EPSILON) {
+          // edge (u -> v) and next (v -> w) become (u -> w), their twins (w -> v) and
+          // (v -> u) become (w -> u). the middle vertex is dropped from both polygons
+          const twin = next.twin;
+          const obsoleteTwin = edge.twin;
+
+          edge.vertex = next.vertex;
+          edge.next = next.next;
+          next.next.prev = edge;
+
+          twin.vertex = obsoleteTwin.vertex;
+          twin.next = obsoleteTwin.next;
+          obsoleteTwin.next.prev = twin;
+
+          edge.linkOpponent(twin);
+
+          if (polygon1.edge === next) polygon1.edge = edge;
+          if (polygon2.edge === obsoleteTwin) polygon2.edge = twin;
+
+          next.polygon = null;
+          next.twin = null;
+          obsoleteTwin.polygon = null;
+          obsoleteTwin.twin = null;
+
+          collapsed = true;
+          break;
+        }
+
+        edge = next;
+      } while (edge !== polygon1.edge);
+    }
+
+    let count = 0;
+    let edge = polygon1.edge;
+
+    do {
+      if (shared(edge)) count++;
+      edge = edge.next;
+    } while (edge !== polygon1.edge);
+
+    return count;
+  }
+
+  _getSharedEdge(polygon1, polygon2) {
+    let edge = polygon1.edge;
+
+    do {
+      if (edge.twin !== null && edge.twin.polygon === polygon2) return edge;
+      edge = edge.next;
+    } while (edge !== polygon1.edge);
+
+    return null;
+  }
+
+  /**
+   * Creates the navigation graph with a node per region and edges between neighbors.
+   */
+  _buildGraph() {
+    const graph = this.graph;
+    const regions = this.regions;
+
+    for (let i = 0; i < regions.length; i++) {
+      graph.addNode(new NavNode(i, regions[i].centroid.clone()));
+    }
+
+    for (let i = 0; i < regions.length; i++) {
+      const region = regions[i];
+      let edge = region.edge;
+
+      do {
+        if (edge.twin !== null) {
+          const neighbor = this.getNodeIndex(edge.twin.polygon);
+
+          if (!graph.hasEdge(i, neighbor)) {
+            const cost = Vector3.Distance(region.centroid, edge.twin.polygon.centroid);
+            graph.addEdge(new NavEdge(i, neighbor, cost));
+          }
+        }
+
+        edge = edge.next;
+      } while (edge !== region.edge);
+    }
+  }
+
+  /**
+   * Determines the portal edge that connects the two given regions. Consecutive
+   * shared edges (collinear borders) are combined into one portal.
+   * @param {Polygon} region1 - The first region.
+   * @param {Polygon} region2 - The second region.
+   * @param {Object} portalEdge - The portal edge.
+   * @return {Object} The portal edge.
+   */
+  _getPortalEdge(region1, region2, portalEdge) {
+    const shared = (edge) => edge.twin !== null && edge.twin.polygon === region2;
+    let edge = region1.edge;
+
+    do {
+      if (shared(edge)) {
+        let first = edge;
+        let last = edge;
+
+        while (shared(first.prev) && first.prev !== last) first = first.prev;
+        while (shared(last.next) && last.next !== first) last = last.next;
+
+        portalEdge.left = first.tail();
+        portalEdge.right = last.head();
+
+        return portalEdge;
+      }
+
+      edge = edge.next;
+    } while (edge !== region1.edge);
+
+    portalEdge.left = null;
+    portalEdge.right = null;
+
+    return portalEdge;
+  }
+}
@@ -0,0 +1,67 @@
+import { Task } from "../core/Task";
+import { TaskQueue } from "../core/TaskQueue";
+
+/**
+ * Serves path requests of game entities asynchronously. Requests are queued
+ * as tasks and searched in steps on a navigation mesh within the time budget
+ * of the task queue, so neither many simultaneous requests nor a single long
+ * search stall the render loop. The navigation mesh must not change while
+ * requests are pending.
+ */
+export class PathPlanner {
+  /**
+   * Constructs a new path planner.
+   * @param {NavMesh} navMesh - The navigation mesh used for path searches.
+   * @param {TaskQueue} taskQueue - The task queue that executes the searches.
+   */
+  constructor(navMesh = null, taskQueue = new TaskQueue()) {
+    /**
+     * The navigation mesh used for path searches.
+     * @type {NavMesh}
+     */
+    this.navMesh = navMesh;
+
+    /**
+     * The task queue that executes the searches.
+     * @type {TaskQueue}
+     */
+    this.taskQueue = taskQueue;
+  }
+
+  /**
+   * Queues a path request for the given game entity.
+   * @param {GameEntity} entity - The game entity that requests the path.
+   * @param {Vector3} from - The start point of the path.
+   * @param {Vector3} to - The end point of the path.
+   * @param {Function} callback - Optional function called with the entity, the path and an error. The error is
+   * null on success, otherwise the path is null, e.g. if the request was cancelled.
+   * @return {Promise<Array<Vector3>>} A promise resolved with the path, an empty array if no path was found.
+   */
+  findPath(entity, from, to, callback = null) {
+    const start = from.clone();
+    const end = to.clone();
+
+    const task = new Task(() => this.navMesh.findPathSteps(start, end));
+
+    return this.taskQueue.enqueue(task, callback !== null ? (path, error) => callback(entity, path, error) : null);
+  }
+
+  /**
+   * Executes queued path requests within the time budget of the task queue.
+   * Not needed if the task queue is attached to a scene.
+   * @return {PathPlanner} A reference to this path planner.
+   */
+  update() {
+    this.taskQueue.update();
+    return this;
+  }
+
+  /**
+   * Cancels all pending path requests.
+   * @return {PathPlanner} A reference to this path planner.
+   */
+  clear() {
+    this.taskQueue.clear();
+    return this;
+  }
+}
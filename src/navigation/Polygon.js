@@ -0,0 +1,219 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Plane } from "@babylonjs/core/Maths/math.plane";
+import { HalfEdge } from "./HalfEdge";
+
+/**
+ * Computes the signed area of the triangle (a, b, c) projected onto the XZ plane,
+ * multiplied by two. The value is positive if c lies on the inner side of the
+ * directed line a → b of a polygon with the winding used by {@link Polygon}.
+ * @param {Vector3} a - The first point.
+ * @param {Vector3} b - The second point.
+ * @param {Vector3} c - The third point.
+ * @return {number} The doubled signed area.
+ */
+export function area(a, b, c) {
+  return (c.x - a.x) * (b.z - a.z) - (b.x - a.x) * (c.z - a.z);
+}
+
+/**
+ * Class for representing a planar, convex polygon with an arbitrary amount of edges.
+ * The contour is stored as a closed loop of {@link HalfEdge}s. Polygons are wound so
+ * that their plane normal points upwards (positive Y), all 2D tests happen on the XZ plane.
+ */
+export class Polygon {
+  /**
+   * Constructs a new polygon.
+   */
+  constructor() {
+    /**
+     * The centroid of this polygon.
+     * @type {Vector3}
+     */
+    this.centroid = new Vector3();
+
+    /**
+     * A reference to the first half-edge of this polygon.
+     * @type {?HalfEdge}
+     * @default null
+     */
+    this.edge = null;
+
+    /**
+     * A plane abstraction of this polygon.
+     * @type {Plane}
+     */
+    this.plane = new Plane(0, 1, 0, 0);
+  }
+
+  /**
+   * Creates the polygon based on the given array of points in 3D space.
+   * The method assumes the contour (the sequence of points) is defined
+   * with the winding described above.
+   * @param {Array<Vector3>} points - An array of 3D vectors representing the contour.
+   * @return {Polygon} A reference to this polygon.
+   */
+  fromContour(points) {
+    if (points.length < 3) {
+      throw new Error("Polygon: Unable to create polygon from contour. It needs at least three points.");
+    }
+
+    const edges = points.map((point) => new HalfEdge(point));
+
+    for (let i = 0, l = edges.length; i < l; i++) {
+      const current = edges[i];
+      current.prev = edges[(i + l - 1) % l];
+      current.next = edges[(i + 1) % l];
+      current.polygon = this;
+    }
+
+    this.edge = edges[0];
+
+    this.plane.copyFromPoints(points[0], points[1], points[2]);
+
+    return this.computeCentroid();
+  }
+
+  /**
+   * Computes the centroid for this polygon.
+   * @return {Polygon} A reference to this polygon.
+   */
+  computeCentroid() {
+    const centroid = this.centroid;
+    let edge = this.edge;
+    let count = 0;
+
+    centroid.setAll(0);
+
+    do {
+      centroid.addInPlace(edge.vertex);
+      count++;
+      edge = edge.next;
+    } while (edge !== this.edge);
+
+    centroid.scaleInPlace(1 / count);
+
+    return this;
+  }
+
+  /**
+   * Returns true if the polygon contains the given point.
+   * @param {Vector3} point - The point to test.
+   * @param {number} epsilon - A tolerance value for the distance to the polygon's plane.
+   * @return {boolean} Whether this polygon contain the given point or not.
+   */
+  contains(point, epsilon = 1e-3) {
+    // check if the given point lies close enough to the plane
+    if (Math.abs(this.plane.signedDistanceTo(point)) > epsilon) return false;
+
+    // check if the given point is on or inside each edge
+    let edge = this.edge;
+
+    do {
+      if (area(edge.tail(), edge.head(), point) < 0) return false;
+      edge = edge.next;
+    } while (edge !== this.edge);
+
+    return true;
+  }
+
+  /**
+   * Returns true if the polygon is convex.
+   * @param {boolean} ignoreCollinear - Whether collinear points should be considered as convex or not.
+   * @return {boolean} Whether this polygon is convex or not.
+   */
+  convex(ignoreCollinear = false) {
+    let edge = this.edge;
+
+    do {
+      const value = area(edge.tail(), edge.head(), edge.next.head());
+
+      if (ignoreCollinear ? value < 0 : value <= 0) return false;
+
+      edge = edge.next;
+    } while (edge !== this.edge);
+
+    return true;
+  }
+
+  /**
+   * Returns true if the given polygon is coplanar with this polygon.
+   * @param {Polygon} polygon - The polygon to test.
+   * @param {number} epsilon - A tolerance value for the coplanarity test.
+   * @return {boolean} Whether this polygon is coplanar with the given polygon or not.
+   */
+  coplanar(polygon, epsilon = 1e-3) {
+    const a = this.plane;
+    const b = polygon.plane;
+
+    return Math.abs(a.d - b.d) <= epsilon && a.normal.equalsWithEpsilon(b.normal, epsilon);
+  }
+
+  /**
+   * Computes the contour (sequence of points) of this polygon.
+   * @param {Array<Vector3>} result - The result array.
+   * @return {Array<Vector3>} The result array.
+   */
+  getContour(result = []) {
+    let edge = this.edge;
+
+    result.length = 0;
+
+    do {
+      result.push(edge.vertex);
+      edge = edge.next;
+    } while (edge !== this.edge);
+
+    return result;
+  }
+
+  /**
+   * Computes the point on the border of this polygon (projected onto the XZ plane)
+   * that is closest to the given point. The height of the result is taken from the
+   * polygon's plane.
+   * @param {Vector3} point - The reference point.
+   * @param {Vector3} result - The result vector.
+   * @return {Vector3} The result vector.
+   */
+  closestPointOnBorder(point, result = new Vector3()) {
+    let minDistance = Infinity;
+    let edge = this.edge;
+
+    do {
+      const a = edge.tail();
+      const b = edge.head();
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const lengthSquared = dx * dx + dz * dz;
+
+      let t = lengthSquared > 0 ? ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSquared : 0;
+      t = Math.max(0, Math.min(1, t));
+
+      const x = a.x + t * dx;
+      const z = a.z + t * dz;
+      const distance = (point.x - x) * (point.x - x) + (point.z - z) * (point.z - z);
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        result.set(x, 0, z);
+      }
+
+      edge = edge.next;
+    } while (edge !== this.edge);
+
+    result.y = this.getHeight(result);
+
+    return result;
+  }
+
+  /**
+   * Returns the height of the polygon's plane at the XZ coordinates of the given point.
+   * @param {Vector3} point - The point.
+   * @return {number} The height.
+   */
+  getHeight(point) {
+    const plane = this.plane;
+    const normal = plane.normal;
+
+    return -(normal.x * point.x + normal.z * point.z + plane.d) / normal.y;
+  }
+}
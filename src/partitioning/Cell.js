@@ -0,0 +1,92 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * A single cell of a {@link CellSpacePartitioning}. It holds the entries
+ * whose position lies within its axis-aligned bounds.
+ */
+export class Cell {
+  /**
+   * Constructs a new cell.
+   * @param {Vector3} min - The minimum corner of the cell's bounds.
+   * @param {Vector3} max - The maximum corner of the cell's bounds.
+   */
+  constructor(min = new Vector3(), max = new Vector3()) {
+    /**
+     * The minimum corner of the cell's bounds.
+     * @type {Vector3}
+     */
+    this.min = min;
+
+    /**
+     * The maximum corner of the cell's bounds.
+     * @type {Vector3}
+     */
+    this.max = max;
+
+    /**
+     * The entries of this cell.
+     * @type {Array<GameEntity>}
+     * @readonly
+     */
+    this.entries = [];
+  }
+
+  /**
+   * Adds an entry to this cell.
+   * @param {GameEntity} entry - The entry to add.
+   * @return {Cell} A reference to this cell.
+   */
+  add(entry) {
+    this.entries.push(entry);
+    return this;
+  }
+
+  /**
+   * Removes an entry from this cell.
+   * @param {GameEntity} entry - The entry to remove.
+   * @return {Cell} A reference to this cell.
+   */
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      // Order of entries does not matter, so swap with the last one
+      const last = this.entries.pop();
+      if (index < this.entries.length) this.entries[index] = last;
+    }
+    return this;
+  }
+
+  /**
+   * Removes all entries from this cell.
+   * @return {Cell} A reference to this cell.
+   */
+  makeEmpty() {
+    this.entries.length = 0;
+    return this;
+  }
+
+  /**
+   * Returns true if this cell is empty.
+   * @return {boolean} Whether this cell is empty or not.
+   */
+  empty() {
+    return this.entries.length === 0;
+  }
+
+  /**
+   * Returns true if the given axis-aligned bounds intersect with this cell.
+   * @param {Vector3} min - The minimum corner of the bounds.
+   * @param {Vector3} max - The maximum corner of the bounds.
+   * @return {boolean} Whether the bounds intersect with this cell or not.
+   */
+  intersects(min, max) {
+    return !(
+      max.x < this.min.x ||
+      min.x > this.max.x ||
+      max.y < this.min.y ||
+      min.y > this.max.y ||
+      max.z < this.min.z ||
+      min.z > this.max.z
+    );
+  }
+}
@@ -0,0 +1,208 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Cell } from "./Cell";
+
+/**
+ * A uniform grid that divides an axis-aligned region of space into cells.
+ * Entities are tracked by the cell that contains their position, which makes
+ * range queries proportional to the number of nearby cells instead of the
+ * total number of entities. Positions outside the region are clamped to the
+ * border cells.
+ */
+export class CellSpacePartitioning {
+  /**
+   * Constructs a new cell space partitioning.
+   * @param {number} width - The width of the partitioned space.
+   * @param {number} height - The height of the partitioned space.
+   * @param {number} depth - The depth of the partitioned space.
+   * @param {number} cellsX - The number of cells along the x-axis.
+   * @param {number} cellsY - The number of cells along the y-axis.
+   * @param {number} cellsZ - The number of cells along the z-axis.
+   * @param {Vector3} center - The center of the partitioned space.
+   */
+  constructor(width, height, depth, cellsX, cellsY, cellsZ, center = new Vector3()) {
+    if (!(cellsX >= 1 && cellsY >= 1 && cellsZ >= 1)) {
+      throw new Error("CellSpacePartitioning: The number of cells per axis must be at least 1.");
+    }
+
+    /**
+     * The list of partitions.
+     * @type {Array<Cell>}
+     * @readonly
+     */
+    this.cells = [];
+
+    /**
+     * The width of the entire spatial index.
+     * @type {number}
+     * @readonly
+     */
+    this.width = width;
+
+    /**
+     * The height of the entire spatial index.
+     * @type {number}
+     * @readonly
+     */
+    this.height = height;
+
+    /**
+     * The depth of the entire spatial index.
+     * @type {number}
+     * @readonly
+     */
+    this.depth = depth;
+
+    /**
+     * The amount of cells along the x-axis.
+     * @type {number}
+     * @readonly
+     */
+    this.cellsX = cellsX;
+
+    /**
+     * The amount of cells along the y-axis.
+     * @type {number}
+     * @readonly
+     */
+    this.cellsY = cellsY;
+
+    /**
+     * The amount of cells along the z-axis.
+     * @type {number}
+     * @readonly
+     */
+    this.cellsZ = cellsZ;
+
+    /**
+     * The center of the spatial index.
+     * @type {Vector3}
+     * @readonly
+     */
+    this.center = center.clone();
+
+    this._cellSizeX = width / cellsX;
+    this._cellSizeY = height / cellsY;
+    this._cellSizeZ = depth / cellsZ;
+    this._min = new Vector3(center.x - width / 2, center.y - height / 2, center.z - depth / 2);
+
+    for (let z = 0; z < cellsZ; z++) {
+      for (let y = 0; y < cellsY; y++) {
+        for (let x = 0; x < cellsX; x++) {
+          const min = new Vector3(
+            this._min.x + x * this._cellSizeX,
+            this._min.y + y * this._cellSizeY,
+            this._min.z + z * this._cellSizeZ
+          );
+          const max = new Vector3(min.x + this._cellSizeX, min.y + this._cellSizeY, min.z + this._cellSizeZ);
+          this.cells.push(new Cell(min, max));
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds an entity to a specific partition.
+   * @param {GameEntity} entity - The entity to add.
+   * @param {number} index - The index of the partition (cell).
+   * @return {CellSpacePartitioning} A reference to this spatial index.
+   */
+  addEntityToPartition(entity, index) {
+    this.cells[index].add(entity);
+    return this;
+  }
+
+  /**
+   * Removes an entity from a specific partition.
+   * @param {GameEntity} entity - The entity to remove.
+   * @param {number} index - The index of the partition (cell).
+   * @return {CellSpacePartitioning} A reference to this spatial index.
+   */
+  removeEntityFromPartition(entity, index) {
+    this.cells[index].remove(entity);
+    return this;
+  }
+
+  /**
+   * Moves an entity into the partition that matches its current position.
+   * @param {GameEntity} entity - The entity to update.
+   * @param {number} currentIndex - The current partition index of the entity, or -1 if it is not indexed yet.
+   * @return {number} The new partition index of the entity.
+   */
+  updateEntity(entity, currentIndex = -1) {
+    const newIndex = this.getIndexForPosition(entity.position);
+
+    if (currentIndex !== newIndex) {
+      this.addEntityToPartition(entity, newIndex);
+
+      if (currentIndex !== -1) {
+        this.removeEntityFromPartition(entity, currentIndex);
+      }
+    }
+
+    return newIndex;
+  }
+
+  /**
+   * Collects all entities of the partitions that intersect the sphere
+   * around the given position. The result can contain entities slightly
+   * outside the radius, so callers should test the exact distance.
+   * @param {Vector3} position - The center of the query.
+   * @param {number} radius - The radius of the query.
+   * @param {Array<GameEntity>} result - The result array.
+   * @return {Array<GameEntity>} The result array.
+   */
+  query(position, radius, result = []) {
+    result.length = 0;
+
+    const x0 = this._clampIndex((position.x - radius - this._min.x) / this._cellSizeX, this.cellsX);
+    const x1 = this._clampIndex((position.x + radius - this._min.x) / this._cellSizeX, this.cellsX);
+    const y0 = this._clampIndex((position.y - radius - this._min.y) / this._cellSizeY, this.cellsY);
+    const y1 = this._clampIndex((position.y + radius - this._min.y) / this._cellSizeY, this.cellsY);
+    const z0 = this._clampIndex((position.z - radius - this._min.z) / this._cellSizeZ, this.cellsZ);
+    const z1 = this._clampIndex((position.z + radius - this._min.z) / this._cellSizeZ, this.cellsZ);
+
+    for (let z = z0; z <= z1; z++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const entries = this.cells[x + y * this.cellsX + z * this.cellsX * this.cellsY].entries;
+          for (let i = 0; i < entries.length; i++) {
+            result.push(entries[i]);
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Removes all entities from all partitions.
+   * @return {CellSpacePartitioning} A reference to this spatial index.
+   */
+  makeEmpty() {
+    for (const cell of this.cells) {
+      cell.makeEmpty();
+    }
+    return this;
+  }
+
+  /**
+   * Computes the partition index for the given position.
+   * @param {Vector3} position - The position.
+   * @return {number} The partition index.
+   */
+  getIndexForPosition(position) {
+    const x = this._clampIndex((position.x - this._min.x) / this._cellSizeX, this.cellsX);
+    const y = this._clampIndex((position.y - this._min.y) / this._cellSizeY, this.cellsY);
+    const z = this._clampIndex((position.z - this._min.z) / this._cellSizeZ, this.cellsZ);
+
+    return x + y * this.cellsX + z * this.cellsX * this.cellsY;
+  }
+
+  // Converts a fractional cell coordinate into a valid cell index along one axis
+  _clampIndex(value, cells) {
+    const index = Math.floor(value);
+    if (!(index > 0)) return 0; // also catches NaN
+    return index >= cells ? cells - 1 : index;
+  }
+}
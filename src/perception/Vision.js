@@ -0,0 +1,151 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Ray } from "@babylonjs/core/Culling/ray";
+
+const _worldPosition = new Vector3();
+const _direction = new Vector3();
+const _toPoint = new Vector3();
+const _intersectionPoint = new Vector3();
+const _ray = new Ray(new Vector3(), new Vector3(0, 0, 1));
+
+/**
+ * Class for representing the vision component of a game entity. A point is
+ * visible if it lies within the view cone (defined by the field of view and the
+ * range around the owner's world forward direction) and no obstacle blocks the
+ * line of sight. Obstacles are game entities answering {@link GameEntity#lineOfSightTest}.
+ */
+export class Vision {
+  /**
+   * Constructs a new vision object.
+   * @param {GameEntity} owner - The owner of this vision instance.
+   */
+  constructor(owner = null) {
+    /**
+     * The game entity that owns this vision instance.
+     * @type {GameEntity}
+     */
+    this.owner = owner;
+
+    /**
+     * The field of view in radians.
+     * @type {number}
+     * @default π
+     */
+    this.fieldOfView = Math.PI;
+
+    /**
+     * The visual range in world units.
+     * @type {number}
+     * @default Infinity
+     */
+    this.range = Infinity;
+
+    /**
+     * An array of obstacles, game entities that can block the line of sight.
+     * @type {Array<GameEntity>}
+     */
+    this.obstacles = [];
+  }
+
+  /**
+   * Adds an obstacle to this vision instance.
+   * @param {GameEntity} obstacle - The obstacle to add.
+   * @return {Vision} A reference to this vision instance.
+   */
+  addObstacle(obstacle) {
+    this.obstacles.push(obstacle);
+    return this;
+  }
+
+  /**
+   * Removes an obstacle from this vision instance.
+   * @param {GameEntity} obstacle - The obstacle to remove.
+   * @return {Vision} A reference to this vision instance.
+   */
+  removeObstacle(obstacle) {
+    const index = this.obstacles.indexOf(obstacle);
+    if (index !== -1) this.obstacles.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Performs a line of sight test in order to determine if the given point
+   * in world space is visible for the owner of this vision instance.
+   * @param {Vector3} point - The point to test.
+   * @param {?GameEntity} target - The entity at the point, so it does not block its own line of sight.
+   * @return {boolean} Whether the given point is visible or not.
+   */
+  visible(point, target = null) {
+    const owner = this.owner;
+
+    owner.getWorldPosition(_worldPosition);
+    point.subtractToRef(_worldPosition, _toPoint);
+    const distanceToPoint = _toPoint.length();
+
+    // check if the point lies within the visual range
+    if (distanceToPoint > this.range) return false;
+
+    // a point at the position of the owner is always visible
+    if (distanceToPoint === 0) return true;
+
+    _toPoint.scaleInPlace(1 / distanceToPoint);
+
+    // check if the point lies within the field of view
+    owner.getWorldDirection(_direction);
+    const cosAngle = Math.min(Math.max(Vector3.Dot(_direction, _toPoint), -1), 1);
+
+    if (Math.acos(cosAngle) > this.fieldOfView * 0.5) return false;
+
+    // the point lies within the view cone, now check the obstacles between the owner and the point
+    _ray.origin.copyFrom(_worldPosition);
+    _ray.direction.copyFrom(_toPoint);
+    _ray.length = distanceToPoint;
+
+    for (const obstacle of this.obstacles) {
+      if (obstacle === owner || obstacle === target) continue;
+
+      const distance = obstacle.lineOfSightTest(_ray, _intersectionPoint);
+
+      if (distance !== null && distance < distanceToPoint) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      owner: this.owner !== null ? this.owner.uuid : null,
+      fieldOfView: this.fieldOfView,
+      range: this.range.toString(),
+      obstacles: this.obstacles.map((obstacle) => obstacle.uuid),
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Vision} A reference to this vision instance.
+   */
+  fromJSON(json) {
+    this.owner = json.owner;
+    this.fieldOfView = json.fieldOfView;
+    this.range = parseFloat(json.range);
+    this.obstacles = json.obstacles.slice();
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Unknown UUIDs are dropped.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Vision} A reference to this vision instance.
+   */
+  resolveReferences(entities) {
+    this.owner = entities.get(this.owner) || null;
+    this.obstacles = this.obstacles.map((uuid) => entities.get(uuid)).filter((obstacle) => obstacle !== undefined);
+    return this;
+  }
+}
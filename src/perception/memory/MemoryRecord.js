@@ -0,0 +1,85 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * Class for representing the memory information about a single game entity.
+ */
+export class MemoryRecord {
+  /**
+   * Constructs a new memory record.
+   * @param {GameEntity} entity - The game entity that is represented by this memory record.
+   */
+  constructor(entity = null) {
+    /**
+     * The game entity that is represented by this memory record.
+     * @type {GameEntity}
+     */
+    this.entity = entity;
+
+    /**
+     * Records the time the entity became visible. Useful in combination with a reaction time
+     * in order to prevent immediate actions.
+     * @type {number}
+     * @default -Infinity
+     */
+    this.timeBecameVisible = -Infinity;
+
+    /**
+     * Records the time the entity was last sensed (e.g. seen or heard).
+     * @type {number}
+     * @default -Infinity
+     */
+    this.timeLastSensed = -Infinity;
+
+    /**
+     * Marks the position in world space where the entity was last sensed.
+     * @type {Vector3}
+     */
+    this.lastSensedPosition = new Vector3();
+
+    /**
+     * Whether this game entity is visible or not.
+     * @type {boolean}
+     * @default false
+     */
+    this.visible = false;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      entity: this.entity !== null ? this.entity.uuid : null,
+      timeBecameVisible: this.timeBecameVisible.toString(),
+      timeLastSensed: this.timeLastSensed.toString(),
+      lastSensedPosition: this.lastSensedPosition.asArray(),
+      visible: this.visible,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {MemoryRecord} A reference to this memory record.
+   */
+  fromJSON(json) {
+    this.entity = json.entity;
+    this.timeBecameVisible = parseFloat(json.timeBecameVisible);
+    this.timeLastSensed = parseFloat(json.timeLastSensed);
+    this.lastSensedPosition.fromArray(json.lastSensedPosition);
+    this.visible = json.visible;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {MemoryRecord} A reference to this memory record.
+   */
+  resolveReferences(entities) {
+    this.entity = entities.get(this.entity) || null;
+    return this;
+  }
+}
@@ -0,0 +1,204 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { MemoryRecord } from "./MemoryRecord";
+
+const _position = new Vector3();
+
+/**
+ * Class for representing the memory system of a game entity. It keeps a memory
+ * record for each sensed game entity, so the owner can react to entities it saw
+ * a short while ago, even if they are currently not visible anymore.
+ */
+export class MemorySystem {
+  /**
+   * Constructs a new memory system.
+   * @param {GameEntity} owner - The game entity that owns this memory system.
+   */
+  constructor(owner = null) {
+    /**
+     * The game entity that owns this memory system.
+     * @type {GameEntity}
+     */
+    this.owner = owner;
+
+    /**
+     * Used to simulate memory of sensory events. It contains memory records
+     * of all relevant game entities in the environment.
+     * @type {Array<MemoryRecord>}
+     */
+    this.records = [];
+
+    /**
+     * Maps game entities to memory records.
+     * @type {Map<GameEntity, MemoryRecord>}
+     */
+    this.recordsMap = new Map();
+
+    /**
+     * Represents the duration of the memory in seconds.
+     * @type {number}
+     * @default 1
+     */
+    this.memorySpan = 1;
+  }
+
+  /**
+   * Returns the memory record of the given game entity.
+   * @param {GameEntity} entity - The game entity.
+   * @return {MemoryRecord} The memory record for this game entity.
+   */
+  getRecord(entity) {
+    return this.recordsMap.get(entity);
+  }
+
+  /**
+   * Creates a memory record for the given game entity.
+   * @param {GameEntity} entity - The game entity.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  createRecord(entity) {
+    const record = new MemoryRecord(entity);
+
+    this.records.push(record);
+    this.recordsMap.set(entity, record);
+
+    return this;
+  }
+
+  /**
+   * Deletes the memory record for the given game entity.
+   * @param {GameEntity} entity - The game entity.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  deleteRecord(entity) {
+    const record = this.recordsMap.get(entity);
+
+    if (record !== undefined) {
+      this.records.splice(this.records.indexOf(record), 1);
+      this.recordsMap.delete(entity);
+    }
+
+    return this;
+  }
+
+  /**
+   * Returns true if there is a memory record for the given game entity.
+   * @param {GameEntity} entity - The game entity.
+   * @return {boolean} Whether the game entity has a memory record or not.
+   */
+  hasRecord(entity) {
+    return this.recordsMap.has(entity);
+  }
+
+  /**
+   * Removes all memory records from the memory system.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  clear() {
+    this.records.length = 0;
+    this.recordsMap.clear();
+    return this;
+  }
+
+  /**
+   * Determines all valid memory records, i.e. records of game entities
+   * that were sensed within the memory span.
+   * @param {number} currentTime - The current elapsed time in seconds.
+   * @param {Array<MemoryRecord>} result - The result array.
+   * @return {Array<MemoryRecord>} The result array.
+   */
+  getValidMemoryRecords(currentTime, result = []) {
+    result.length = 0;
+
+    for (const record of this.records) {
+      if (currentTime - record.timeLastSensed <= this.memorySpan) {
+        result.push(record);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Updates the memory records with what the given vision component currently sees.
+   * Visible entities get their sensed time and position refreshed, all others are
+   * marked as not visible and are remembered until their memory span expires.
+   * @param {Vision} vision - The vision component of the owner.
+   * @param {Array<GameEntity>} entities - The game entities to test.
+   * @param {number} currentTime - The current elapsed time in seconds.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  updateVision(vision, entities, currentTime) {
+    for (const entity of entities) {
+      if (entity === this.owner) continue;
+
+      if (this.hasRecord(entity) === false) {
+        this.createRecord(entity);
+      }
+
+      const record = this.getRecord(entity);
+
+      entity.getWorldPosition(_position);
+
+      if (vision.visible(_position, entity) === true) {
+        // the entity was not visible in the last update, so it just became visible
+        if (record.visible === false) {
+          record.timeBecameVisible = currentTime;
+        }
+
+        record.timeLastSensed = currentTime;
+        record.lastSensedPosition.copyFrom(_position);
+        record.visible = true;
+      } else {
+        record.visible = false;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      owner: this.owner !== null ? this.owner.uuid : null,
+      records: this.records.map((record) => record.toJSON()),
+      memorySpan: this.memorySpan,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. The records are keyed by
+   * UUIDs until {@link MemorySystem#resolveReferences} is called.
+   * @param {Object} json - The JSON object.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  fromJSON(json) {
+    this.owner = json.owner;
+    this.memorySpan = json.memorySpan;
+    this.records = json.records.map((recordJSON) => new MemoryRecord().fromJSON(recordJSON));
+    this.recordsMap.clear();
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Records of unknown
+   * entities are dropped.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {MemorySystem} A reference to this memory system.
+   */
+  resolveReferences(entities) {
+    this.owner = entities.get(this.owner) || null;
+
+    this.records = this.records.filter((record) => record.resolveReferences(entities).entity !== null);
+
+    this.recordsMap.clear();
+    for (const record of this.records) {
+      this.recordsMap.set(record.entity, record);
+    }
+
+    return this;
+  }
+}
@@ -0,0 +1,99 @@
+import { Vector3, Matrix } from "@babylonjs/core/Maths/math.vector";
+import { Obstacle } from "./Obstacle";
+
+const _inverseWorld = new Matrix();
+const _origin = new Vector3();
+const _direction = new Vector3();
+
+/**
+ * Approximates a game entity with a box for line of sight tests. The box is defined
+ * in the local space of the entity, so it follows its position, rotation and scale
+ * (an oriented bounding box in world space).
+ */
+export class BoxObstacle extends Obstacle {
+  /**
+   * Constructs a new box obstacle.
+   * @param {Vector3} min - The minimum corner of the box in the local space of the entity.
+   * @param {Vector3} max - The maximum corner of the box in the local space of the entity.
+   */
+  constructor(min = new Vector3(-0.5, -0.5, -0.5), max = new Vector3(0.5, 0.5, 0.5)) {
+    super();
+
+    /**
+     * The minimum corner of the box in the local space of the entity.
+     * @type {Vector3}
+     */
+    this.min = min;
+
+    /**
+     * The maximum corner of the box in the local space of the entity.
+     * @type {Vector3}
+     */
+    this.max = max;
+  }
+
+  /**
+   * Sets the corners of this box from the bounding box of a Babylon mesh, so a
+   * render component's geometry can be approximated without testing its triangles.
+   * @param {AbstractMesh} mesh - The Babylon mesh.
+   * @return {BoxObstacle} A reference to this obstacle.
+   */
+  fromMesh(mesh) {
+    const { minimum, maximum } = mesh.getBoundingInfo().boundingBox;
+    this.min.copyFrom(minimum);
+    this.max.copyFrom(maximum);
+    return this;
+  }
+
+  /**
+   * Intersects the given ray with this obstacle.
+   * @param {Ray} ray - The ray in world space.
+   * @param {GameEntity} entity - The game entity this obstacle belongs to.
+   * @param {Vector3} result - The nearest intersection point in world space.
+   * @return {number|null} The distance from the ray origin to the intersection point or null if there is none.
+   */
+  intersectRay(ray, entity, result) {
+    const worldMatrix = entity.worldMatrix;
+
+    // perform the slab test in the local space of the entity. The direction is not
+    // normalized, so the ray parameter stays the same in both spaces
+    worldMatrix.invertToRef(_inverseWorld);
+    Vector3.TransformCoordinatesToRef(ray.origin, _inverseWorld, _origin);
+    Vector3.TransformNormalToRef(ray.direction, _inverseWorld, _direction);
+
+    let tmin = -Infinity;
+    let tmax = Infinity;
+
+    for (const axis of ["x", "y", "z"]) {
+      const origin = _origin[axis];
+      const direction = _direction[axis];
+      const min = this.min[axis];
+      const max = this.max[axis];
+
+      if (direction === 0) {
+        // the ray is parallel to the slab
+        if (origin < min || origin > max) return null;
+        continue;
+      }
+
+      let t0 = (min - origin) / direction;
+      let t1 = (max - origin) / direction;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+
+      tmin = Math.max(tmin, t0);
+      tmax = Math.min(tmax, t1);
+
+      if (tmin > tmax) return null;
+    }
+
+    // the box is behind the ray
+    if (tmax < 0) return null;
+
+    // if the origin is inside the box, the exit point is the intersection
+    const distance = tmin < 0 ? tmax : tmin;
+    if (distance > ray.length) return null;
+
+    ray.direction.scaleToRef(distance, result).addInPlace(ray.origin);
+    return distance;
+  }
+}
@@ -0,0 +1,59 @@
+import { Vector3, Matrix } from "@babylonjs/core/Maths/math.vector";
+import { Ray } from "@babylonjs/core/Culling/ray";
+import { Obstacle } from "./Obstacle";
+import { BoxObstacle } from "./BoxObstacle";
+
+const _inverseWorld = new Matrix();
+const _localRay = new Ray(new Vector3(), new Vector3(0, 0, 1));
+const _boundingBox = new BoxObstacle();
+
+/**
+ * Uses the triangles of a Babylon mesh for line of sight tests, for example the mesh
+ * used as the entity's render component. The mesh is tested with its own world matrix,
+ * so it has to be in sync with the entity. Like in scene picking, meshes without a
+ * pickable material are only tested against their bounding box.
+ */
+export class MeshObstacle extends Obstacle {
+  /**
+   * Constructs a new mesh obstacle.
+   * @param {AbstractMesh} mesh - The Babylon mesh.
+   */
+  constructor(mesh = null) {
+    super();
+
+    /**
+     * The Babylon mesh.
+     * @type {AbstractMesh}
+     * @default null
+     */
+    this.mesh = mesh;
+  }
+
+  /**
+   * Intersects the given ray with this obstacle.
+   * @param {Ray} ray - The ray in world space.
+   * @param {GameEntity} entity - The game entity this obstacle belongs to.
+   * @param {Vector3} result - The nearest intersection point in world space.
+   * @return {number|null} The distance from the ray origin to the intersection point or null if there is none.
+   */
+  intersectRay(ray, entity, result) {
+    if (this.mesh === null) return null;
+
+    const worldMatrix = this.mesh.computeWorldMatrix(true);
+
+    // like scene picking, the mesh expects the ray in its local space
+    worldMatrix.invertToRef(_inverseWorld);
+    Ray.TransformToRef(ray, _inverseWorld, _localRay);
+
+    const pickingInfo = this.mesh.intersects(_localRay, false, undefined, false, worldMatrix);
+    if (!pickingInfo.hit) return null;
+
+    // the bounding box fallback of Babylon does not provide an intersection point
+    if (pickingInfo.pickedPoint === null) {
+      return _boundingBox.fromMesh(this.mesh).intersectRay(ray, { worldMatrix }, result);
+    }
+
+    result.copyFrom(pickingInfo.pickedPoint);
+    return pickingInfo.distance;
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Base class for the geometry a {@link GameEntity} uses to answer line of sight tests.
+ * Assign an instance to {@link GameEntity#obstacle} so the entity can block the view
+ * of other entities. Subclasses approximate the entity with bounding volumes or use
+ * the actual Babylon geometry.
+ */
+export class Obstacle {
+  /**
+   * Intersects the given ray with this obstacle. Subclasses have to implement this method.
+   * @param {Ray} ray - The ray in world space.
+   * @param {GameEntity} entity - The game entity this obstacle belongs to.
+   * @param {Vector3} result - The nearest intersection point in world space.
+   * @return {number|null} The distance from the ray origin to the intersection point or null if there is none.
+   */
+  intersectRay(/* ray, entity, result */) {
+    return null;
+  }
+}
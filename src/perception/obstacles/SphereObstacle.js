@@ -0,0 +1,67 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Obstacle } from "./Obstacle";
+
+const _center = new Vector3();
+const _toCenter = new Vector3();
+
+/**
+ * Approximates a game entity with a bounding sphere for line of sight tests.
+ */
+export class SphereObstacle extends Obstacle {
+  /**
+   * Constructs a new sphere obstacle.
+   * @param {number|null} radius - The radius in world units. If null, the `boundingRadius` of the entity is used.
+   * @param {Vector3} center - The center of the sphere in the local space of the entity.
+   */
+  constructor(radius = null, center = Vector3.Zero()) {
+    super();
+
+    /**
+     * The radius in world units. If null, the `boundingRadius` of the entity is used.
+     * @type {number|null}
+     * @default null
+     */
+    this.radius = radius;
+
+    /**
+     * The center of the sphere in the local space of the entity.
+     * @type {Vector3}
+     */
+    this.center = center;
+  }
+
+  /**
+   * Intersects the given ray with this obstacle.
+   * @param {Ray} ray - The ray in world space.
+   * @param {GameEntity} entity - The game entity this obstacle belongs to.
+   * @param {Vector3} result - The nearest intersection point in world space.
+   * @return {number|null} The distance from the ray origin to the intersection point or null if there is none.
+   */
+  intersectRay(ray, entity, result) {
+    const radius = this.radius !== null ? this.radius : entity.boundingRadius;
+
+    Vector3.TransformCoordinatesToRef(this.center, entity.worldMatrix, _center);
+    _center.subtractToRef(ray.origin, _toCenter);
+
+    // project the center onto the ray and compare the squared distances
+    const tca = Vector3.Dot(_toCenter, ray.direction);
+    const d2 = _toCenter.lengthSquared() - tca * tca;
+    const radius2 = radius * radius;
+
+    if (d2 > radius2) return null;
+
+    const thc = Math.sqrt(radius2 - d2);
+    const t0 = tca - thc;
+    const t1 = tca + thc;
+
+    // the sphere is behind the ray
+    if (t1 < 0) return null;
+
+    // if the origin is inside the sphere, the exit point is the intersection
+    const distance = t0 < 0 ? t1 : t0;
+    if (distance > ray.length) return null;
+
+    ray.direction.scaleToRef(distance, result).addInPlace(ray.origin);
+    return distance;
+  }
+}
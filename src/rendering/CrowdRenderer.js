@@ -0,0 +1,260 @@
+import { ThinInstanceAdapter } from "./ThinInstanceAdapter";
+
+/**
+ * Renders many game entities as thin instances of a single mesh, so a crowd
+ * needs one draw call instead of one per entity. Each entity owns a slot in
+ * the matrix buffer of the mesh. Removing an entity moves the last entity
+ * into the freed slot, so the used slots always stay compact.
+ *
+ * Each {@link CrowdRenderer#update} writes only the matrices of entities whose
+ * transform changed and uploads the changed range of the buffer once. Entities
+ * of a crowd must not have a render component of their own, since syncing it
+ * clears the same dirty flag. The mesh is hidden while the crowd is empty,
+ * because Babylon renders a mesh without thin instances as a regular mesh.
+ * Only the visibility changed by the renderer itself is restored, so a mesh
+ * hidden by the application stays hidden.
+ */
+export class CrowdRenderer {
+  /**
+   * Constructs a new crowd renderer.
+   * @param {Mesh} mesh - The mesh to render the entities with.
+   * @param {number} capacity - The initial number of slots in the matrix buffer.
+   */
+  constructor(mesh, capacity = 64) {
+    if (!mesh) {
+      throw new Error("CrowdRenderer: The mesh must not be null.");
+    }
+
+    /**
+     * The mesh to render the entities with.
+     * @type {Mesh}
+     * @readonly
+     */
+    this.mesh = mesh;
+
+    /**
+     * The rendered entities, ordered by their slot in the matrix buffer.
+     * @type {Array<GameEntity>}
+     * @readonly
+     */
+    this.entities = [];
+
+    /**
+     * Whether the bounding info of the mesh is refreshed after the matrices
+     * changed. Disable it together with culling of the mesh (e.g. via
+     * `alwaysSelectAsActiveMesh`) to save the additional pass over all slots.
+     * @type {boolean}
+     * @default true
+     */
+    this.refreshBoundingInfo = true;
+
+    // Maps entities to the adapters writing their matrices
+    this._adapters = new Map();
+
+    // The matrix buffer and the range of slots changed since the last upload
+    this._buffer = null;
+    this._dirtyStart = Infinity;
+    this._dirtyEnd = -1;
+
+    // Scene binding
+    this._scene = null;
+    this._beforeRenderObserver = null;
+
+    // Whether the renderer hid the mesh because the crowd is empty
+    this._hidden = false;
+
+    this._allocate(Math.max(capacity, 1));
+  }
+
+  /**
+   * The number of slots in the matrix buffer.
+   * @type {number}
+   * @readonly
+   */
+  get capacity() {
+    return this._buffer.length / 16;
+  }
+
+  /**
+   * Adds a game entity to this crowd. Its matrix is written right away.
+   * @param {GameEntity} entity - The game entity to add.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  add(entity) {
+    if (this._adapters.has(entity)) return this;
+
+    const index = this.entities.length;
+    if (index === this.capacity) this._allocate(this.capacity * 2);
+
+    const adapter = new ThinInstanceAdapter(this._buffer, index);
+    this.entities.push(entity);
+    this._adapters.set(entity, adapter);
+
+    this._write(entity, adapter);
+    this._updateCount();
+    return this;
+  }
+
+  /**
+   * Removes a game entity from this crowd. The last entity takes over its slot.
+   * @param {GameEntity} entity - The game entity to remove.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  remove(entity) {
+    const adapter = this._adapters.get(entity);
+    if (adapter === undefined) return this;
+
+    const index = adapter.index;
+    const lastIndex = this.entities.length - 1;
+
+    if (index !== lastIndex) {
+      const last = this.entities[lastIndex];
+      const lastAdapter = this._adapters.get(last);
+
+      this._buffer.copyWithin(index * 16, lastIndex * 16, lastIndex * 16 + 16);
+      this.entities[index] = last;
+      lastAdapter.index = index;
+      this._markDirty(index);
+    }
+
+    this.entities.pop();
+    this._adapters.delete(entity);
+    this._updateCount();
+    return this;
+  }
+
+  /**
+   * Returns true if the given game entity is part of this crowd.
+   * @param {GameEntity} entity - The game entity.
+   * @return {boolean} Whether the entity is part of this crowd.
+   */
+  has(entity) {
+    return this._adapters.has(entity);
+  }
+
+  /**
+   * Returns the thin instance index of the given game entity.
+   * @param {GameEntity} entity - The game entity.
+   * @return {number} The thin instance index or -1 if the entity is not part of this crowd.
+   */
+  getIndex(entity) {
+    const adapter = this._adapters.get(entity);
+    return adapter !== undefined ? adapter.index : -1;
+  }
+
+  /**
+   * Removes all game entities from this crowd.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  clear() {
+    this.entities.length = 0;
+    this._adapters.clear();
+    this._dirtyStart = Infinity;
+    this._dirtyEnd = -1;
+    this._updateCount();
+    return this;
+  }
+
+  /**
+   * Writes the matrices of all entities whose transform changed and uploads
+   * the changed slots to the mesh.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  update() {
+    for (const entity of this.entities) {
+      if (entity._transformDirty || entity._worldMatrixDirty) {
+        this._write(entity, this._adapters.get(entity));
+      }
+    }
+
+    if (this._dirtyEnd !== -1) {
+      const start = this._dirtyStart * 16;
+      const end = (this._dirtyEnd + 1) * 16;
+
+      this.mesh.thinInstancePartialBufferUpdate("matrix", this._buffer.subarray(start, end), start);
+      if (this.refreshBoundingInfo && this.entities.length > 0) this.mesh.thinInstanceRefreshBoundingInfo(false);
+
+      this._dirtyStart = Infinity;
+      this._dirtyEnd = -1;
+    }
+
+    return this;
+  }
+
+  /**
+   * Updates this crowd renderer each frame before the given scene renders.
+   * Attach it after the entity manager, so the entities are moved first.
+   * @param {Scene} scene - The Babylon scene.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  attachToScene(scene) {
+    if (!scene) {
+      throw new Error("CrowdRenderer: Scene cannot be null.");
+    }
+
+    this.detachFromScene();
+
+    this._scene = scene;
+    this._beforeRenderObserver = scene.onBeforeRenderObservable.add(() => {
+      this.update();
+    });
+    return this;
+  }
+
+  /**
+   * Stops updating this crowd renderer from a previously attached scene.
+   * @return {CrowdRenderer} A reference to this crowd renderer.
+   */
+  detachFromScene() {
+    if (this._scene !== null) {
+      this._scene.onBeforeRenderObservable.remove(this._beforeRenderObserver);
+      this._scene = null;
+      this._beforeRenderObserver = null;
+    }
+    return this;
+  }
+
+  // Creates a matrix buffer with the given number of slots, keeping the used ones
+  _allocate(capacity) {
+    const buffer = new Float32Array(capacity * 16);
+
+    if (this._buffer !== null) {
+      buffer.set(this._buffer.subarray(0, this.entities.length * 16));
+      for (const adapter of this._adapters.values()) adapter.buffer = buffer;
+    }
+
+    this._buffer = buffer;
+
+    // setting the buffer uploads it completely, so only slots written afterwards are dirty
+    this.mesh.thinInstanceSetBuffer("matrix", buffer, 16, false);
+    this._dirtyStart = Infinity;
+    this._dirtyEnd = -1;
+    this._updateCount();
+  }
+
+  // Writes the world matrix of an entity into its slot
+  _write(entity, adapter) {
+    adapter.sync(entity);
+    entity._transformDirty = false;
+    this._markDirty(adapter.index);
+  }
+
+  _markDirty(index) {
+    this._dirtyStart = Math.min(this._dirtyStart, index);
+    this._dirtyEnd = Math.max(this._dirtyEnd, index);
+  }
+
+  _updateCount() {
+    this.mesh.thinInstanceCount = this.entities.length;
+
+    if (this.entities.length === 0) {
+      if (this._hidden === false && this.mesh.isVisible) {
+        this.mesh.isVisible = false;
+        this._hidden = true;
+      }
+    } else if (this._hidden) {
+      this.mesh.isVisible = true;
+      this._hidden = false;
+    }
+  }
+}
@@ -0,0 +1,32 @@
+import { TransformNodeAdapter } from "./TransformNodeAdapter";
+
+/**
+ * Syncs a game entity to an `InstancedMesh`. Babylon gathers the world
+ * matrices of the visible instances into the instance buffer of the source
+ * mesh when rendering, so setting the world matrix of the instance is enough.
+ * If the source mesh updates this buffer manually or the active meshes are
+ * frozen, set `sourceMesh.forceWorldMatrixInstancedBufferUpdate` to keep it
+ * in sync.
+ */
+export class InstancedMeshAdapter extends TransformNodeAdapter {
+  /**
+   * Constructs a new instanced mesh adapter.
+   * @param {InstancedMesh} instance - The instance to sync.
+   */
+  constructor(instance) {
+    super(instance);
+
+    if (!instance.sourceMesh) {
+      throw new Error("InstancedMeshAdapter: The node must be an instance of a mesh.");
+    }
+  }
+
+  /**
+   * The mesh the instance was created from.
+   * @type {Mesh}
+   * @readonly
+   */
+  get sourceMesh() {
+    return this.node.sourceMesh;
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Base class for sync adapters. A sync adapter copies the world transform of
+ * a game entity to a render component. It is passed to
+ * {@link GameEntity#setRenderComponent} in place of a render callback.
+ */
+export class SyncAdapter {
+  /**
+   * Copies the world transform of the given game entity to the render component.
+   * Subclasses have to implement this method.
+   * @param {GameEntity} entity - The game entity.
+   */
+  sync(/* entity */) {}
+
+  /**
+   * Hands control over the render component back to Babylon.
+   * @return {SyncAdapter} A reference to this adapter.
+   */
+  detach() {
+    return this;
+  }
+}
@@ -0,0 +1,69 @@
+import { SyncAdapter } from "./SyncAdapter";
+
+/**
+ * Syncs a game entity to a thin instance by writing its world matrix into a
+ * matrix buffer at the given index, i.e. the `Float32Array` passed to
+ * `mesh.thinInstanceSetBuffer("matrix", buffer, 16)`.
+ *
+ * If a mesh is given, the written matrix is uploaded right away. Without a
+ * mesh the owner of the buffer uploads it once per frame, which is preferable
+ * for many instances. The bounding info of the mesh is not refreshed, so either
+ * call `mesh.thinInstanceRefreshBoundingInfo()` or disable culling for the mesh.
+ */
+export class ThinInstanceAdapter extends SyncAdapter {
+  /**
+   * Constructs a new thin instance adapter.
+   * @param {Float32Array} buffer - The matrix buffer.
+   * @param {number} index - The index of the thin instance.
+   * @param {?Mesh} mesh - The mesh the buffer is uploaded to after each sync.
+   */
+  constructor(buffer, index, mesh = null) {
+    super();
+
+    /**
+     * The matrix buffer.
+     * @type {Float32Array}
+     */
+    this.buffer = buffer;
+
+    /**
+     * The index of the thin instance.
+     * @type {number}
+     */
+    this.index = index;
+
+    /**
+     * The mesh the buffer is uploaded to after each sync.
+     * @type {?Mesh}
+     * @default null
+     */
+    this.mesh = mesh;
+
+    // A view on the matrix of the thin instance for partial uploads
+    this._view = null;
+    this._viewIndex = -1;
+  }
+
+  /**
+   * Writes the world matrix of the given game entity into the buffer.
+   * @param {GameEntity} entity - The game entity.
+   */
+  sync(entity) {
+    const offset = this.index * 16;
+
+    if (offset + 16 > this.buffer.length) {
+      throw new Error(`ThinInstanceAdapter: The index ${this.index} is out of the buffer range.`);
+    }
+
+    entity.worldMatrix.copyToArray(this.buffer, offset);
+
+    if (this.mesh !== null) {
+      if (this._viewIndex !== this.index || this._view.buffer !== this.buffer.buffer) {
+        this._view = this.buffer.subarray(offset, offset + 16);
+        this._viewIndex = this.index;
+      }
+
+      this.mesh.thinInstancePartialBufferUpdate("matrix", this._view, offset);
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { Matrix } from "@babylonjs/core/Maths/math.vector";
+import { SyncAdapter } from "./SyncAdapter";
+
+/**
+ * Syncs a game entity to a `TransformNode` or `AbstractMesh`. The world matrix
+ * of the entity is copied into a matrix owned by this adapter, which is then
+ * set as the frozen world matrix of the node. This way Babylon neither
+ * recomputes the world matrix from position, rotation and scaling nor needs a
+ * `rotationQuaternion`, while bounding info and world matrix observers are
+ * still updated.
+ *
+ * The node is placed in world space, so a Babylon parent of the node is ignored.
+ * Use {@link TransformNodeAdapter#detach} to let Babylon compute the world
+ * matrix again.
+ */
+export class TransformNodeAdapter extends SyncAdapter {
+  /**
+   * Constructs a new transform node adapter.
+   * @param {TransformNode} node - The node to sync.
+   */
+  constructor(node) {
+    super();
+
+    if (!node) {
+      throw new Error("TransformNodeAdapter: The node must not be null.");
+    }
+
+    /**
+     * The node to sync.
+     * @type {TransformNode}
+     */
+    this.node = node;
+
+    // The world matrix handed to the node, reused in every sync
+    this._worldMatrix = new Matrix();
+  }
+
+  /**
+   * Copies the world matrix of the given game entity to the node.
+   * @param {GameEntity} entity - The game entity.
+   */
+  sync(entity) {
+    this._worldMatrix.copyFrom(entity.worldMatrix);
+    this.node.freezeWorldMatrix(this._worldMatrix);
+  }
+
+  /**
+   * Unfreezes the world matrix of the node.
+   * @return {TransformNodeAdapter} A reference to this adapter.
+   */
+  detach() {
+    this.node.unfreezeWorldMatrix();
+    return this;
+  }
+}
@@ -9,13 +9,15 @@ import {
   Color3,
   Animation,
   StandardMaterial,
-  Mesh,
-  Quaternion,
 } from "@babylonjs/core";
 
 // import { MatrixCloner, LinearCloner, RadialCloner, ObjectCloner, RandomEffector } from "./Cloner";
 // @ts-ignore
 import { GameEntity } from "./core/GameEntity";
+// @ts-ignore
+import { EntityManager } from "./core/EntityManager";
+// @ts-ignore
+import { TransformNodeAdapter } from "./rendering/TransformNodeAdapter";
 import { GridMaterial } from "@babylonjs/materials/grid/gridMaterial";
 
 export function createScene(engine: Engine, canvas: HTMLCanvasElement): Scene {
@@ -53,55 +55,9 @@ export function createScene(engine: Engine, canvas: HTMLCanvasElement): Scene {
 
   console.log(entity1);
 
-  entity1.setRenderComponent(mesh1, (mesh1, { position, rotation, scaling }) => {
-    mesh1.position.copyFrom(position);
-
-    // Ensure rotation quaternion exists
-    if (!mesh1.rotationQuaternion) {
-      mesh1.rotationQuaternion = new Quaternion();
-    }
-    mesh1.rotationQuaternion.copyFrom(rotation);
-
-    // CRITICAL: Apply scaling to mesh
-    mesh1.scaling.copyFrom(scaling);
-
-    console.log("Applied scaling:", scaling.toString()); // Debug output
-  });
-
-  entity2.setRenderComponent(mesh2, (mesh2, { position, rotation, scaling }) => {
-    mesh2.position.copyFrom(position);
-
-    // Ensure rotation quaternion exists
-    if (!mesh2.rotationQuaternion) {
-      mesh2.rotationQuaternion = new Quaternion();
-    }
-    mesh2.rotationQuaternion.copyFrom(rotation);
-
-    // CRITICAL: Apply scaling to mesh
-    mesh2.scaling.copyFrom(scaling);
-
-    console.log("Applied scaling:", scaling.toString()); // Debug output
-  });
-
-  /*
-  // Set up render components
-  entity1.setRenderComponent(mesh1, (mesh, { position, rotation, scaling }) => {
-    console.log("Updating mesh1 transform");
-    mesh.position.copyFrom(position);
-    if (!mesh.rotationQuaternion) mesh.rotationQuaternion = new Quaternion();
-    mesh.rotationQuaternion.copyFrom(rotation);
-    mesh.scaling.copyFrom(scaling);
-  });
-
-  entity2.setRenderComponent(mesh2, (mesh, { position, rotation, scaling }) => {
-    console.log("Updating mesh2 transform");
-    mesh.position.copyFrom(position);
-    if (!mesh.rotationQuaternion) mesh.rotationQuaternion = new Quaternion();
-    mesh.rotationQuaternion.copyFrom(rotation);
-    mesh.scaling.copyFrom(scaling);
-  });
-
-*/
+  // Sync the world transforms of the entities to the meshes
+  entity1.setRenderComponent(new TransformNodeAdapter(mesh1));
+  entity2.setRenderComponent(new TransformNodeAdapter(mesh2));
 
   // Establish hierarchy
   //
@@ -109,19 +65,11 @@ export function createScene(engine: Engine, canvas: HTMLCanvasElement): Scene {
   // entity1.scaling = new Vector3(4, 1, 1);
   // console.log(entity1);
 
-  // In your game loop:
-  function gameLoop() {
-    entity1.update();
-    entity2.update();
-    requestAnimationFrame(gameLoop);
-  }
+  // Update entities (and their children) before each frame is rendered
+  const entityManager = new EntityManager();
+  entityManager.add(entity1);
+  entityManager.attachToScene(scene);
 
   //
   return scene;
 }
-function _syncEntityToRender(entity: GameEntity, renderComponent: Mesh) {
-  renderComponent.position.copyFrom(entity.position);
-  renderComponent.rotation.copyFrom(entity.rotation);
-  renderComponent.scaling.copyFrom(entity.scaling);
-  // renderComponent.computeWorldMatrix()
-}
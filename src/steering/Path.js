@@ -0,0 +1,146 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+
+/**
+ * Class for representing a walkable path made of waypoints. Used by
+ * {@link FollowPathBehavior} and {@link OnPathBehavior}.
+ */
+export class Path {
+  /**
+   * Constructs a new path.
+   */
+  constructor() {
+    /**
+     * Whether this path is looped or not.
+     * @type {boolean}
+     * @default false
+     */
+    this.loop = false;
+
+    /**
+     * The waypoints of this path.
+     * @type {Array<Vector3>}
+     * @readonly
+     */
+    this.waypoints = [];
+
+    this._index = 0;
+  }
+
+  /**
+   * Adds the given waypoint to this path.
+   * @param {Vector3} waypoint - The waypoint to add.
+   * @return {Path} A reference to this path.
+   */
+  add(waypoint) {
+    this.waypoints.push(waypoint);
+    return this;
+  }
+
+  /**
+   * Clears the internal state of this path.
+   * @return {Path} A reference to this path.
+   */
+  clear() {
+    this.waypoints.length = 0;
+    this._index = 0;
+    return this;
+  }
+
+  /**
+   * Returns the current active waypoint of this path.
+   * @return {?Vector3} The current active waypoint.
+   */
+  current() {
+    return this.waypoints[this._index] || null;
+  }
+
+  /**
+   * Returns true if this path is not looped and the last waypoint is active.
+   * @return {boolean} Whether this path is finished or not.
+   */
+  finished() {
+    const lastIndex = this.waypoints.length - 1;
+    return this.loop ? false : this._index >= lastIndex;
+  }
+
+  /**
+   * Makes the next waypoint of this path active. If the path is looped and
+   * {@link Path#finished} returns true, the path starts from the beginning.
+   * @return {Path} A reference to this path.
+   */
+  advance() {
+    this._index++;
+
+    if (this._index >= this.waypoints.length) {
+      this._index = this.loop ? 0 : Math.max(0, this.waypoints.length - 1);
+    }
+
+    return this;
+  }
+
+  /**
+   * Replaces the waypoints of this path with copies of the given points, for
+   * instance the result of {@link NavMesh#findPath}.
+   * @param {Array<Vector3>} points - The points.
+   * @return {Path} A reference to this path.
+   */
+  fromPoints(points) {
+    this.clear();
+
+    for (const point of points) {
+      this.add(point.clone());
+    }
+
+    return this;
+  }
+
+  /**
+   * Replaces the waypoints of this path with the points of the given Babylon path.
+   * @param {Path3D} path3D - The Babylon path.
+   * @return {Path} A reference to this path.
+   */
+  fromPath3D(path3D) {
+    return this.fromPoints(path3D.getCurve());
+  }
+
+  /**
+   * Replaces the waypoints of this path with the points of the given Babylon curve.
+   * Closed curves, where the last point equals the first one, produce a looped path.
+   * @param {Curve3} curve - The Babylon curve.
+   * @return {Path} A reference to this path.
+   */
+  fromCurve3(curve) {
+    const points = curve.getPoints();
+    const closed = points.length > 2 && points[0].equalsWithEpsilon(points[points.length - 1]);
+
+    this.fromPoints(closed ? points.slice(0, -1) : points);
+    this.loop = closed;
+
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      loop: this.loop,
+      waypoints: this.waypoints.map((waypoint) => waypoint.asArray()),
+      _index: this._index,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Path} A reference to this path.
+   */
+  fromJSON(json) {
+    this.loop = json.loop;
+    this.waypoints = json.waypoints.map((waypoint) => Vector3.FromArray(waypoint));
+    this._index = json._index;
+    return this;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Base class for all steering behaviors. A steering behavior produces a
+ * force that is applied to a {@link Vehicle} by its {@link SteeringManager}.
+ */
+export class SteeringBehavior {
+  /**
+   * Constructs a new steering behavior.
+   */
+  constructor() {
+    /**
+     * Whether this steering behavior is active or not.
+     * @type {boolean}
+     * @default true
+     */
+    this.active = true;
+
+    /**
+     * Can be used to tweak the amount that a steering force contributes to the total steering force.
+     * @type {number}
+     * @default 1
+     */
+    this.weight = 1;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      active: this.active,
+      weight: this.weight,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {SteeringBehavior} A reference to this steering behavior.
+   */
+  fromJSON(json) {
+    this.active = json.active;
+    this.weight = json.weight;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {SteeringBehavior} A reference to this steering behavior.
+   */
+  resolveReferences(/* entities */) {
+    return this;
+  }
+}
@@ -0,0 +1,200 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { AlignmentBehavior } from "./behaviors/AlignmentBehavior";
+import { ArriveBehavior } from "./behaviors/ArriveBehavior";
+import { CohesionBehavior } from "./behaviors/CohesionBehavior";
+import { EvadeBehavior } from "./behaviors/EvadeBehavior";
+import { FleeBehavior } from "./behaviors/FleeBehavior";
+import { FollowPathBehavior } from "./behaviors/FollowPathBehavior";
+import { InterposeBehavior } from "./behaviors/InterposeBehavior";
+import { ObstacleAvoidanceBehavior } from "./behaviors/ObstacleAvoidanceBehavior";
+import { OnPathBehavior } from "./behaviors/OnPathBehavior";
+import { PursuitBehavior } from "./behaviors/PursuitBehavior";
+import { SeekBehavior } from "./behaviors/SeekBehavior";
+import { SeparationBehavior } from "./behaviors/SeparationBehavior";
+import { WallAvoidanceBehavior } from "./behaviors/WallAvoidanceBehavior";
+import { WanderBehavior } from "./behaviors/WanderBehavior";
+
+const _force = new Vector3();
+
+/**
+ * Manages the steering behaviors of a {@link Vehicle} and sums up their
+ * weighted forces. Behaviors are evaluated in the order they were added and
+ * their forces are accumulated until the vehicle's `maxForce` is exhausted,
+ * so earlier behaviors take priority.
+ */
+export class SteeringManager {
+  /**
+   * Constructs a new steering manager.
+   * @param {Vehicle} vehicle - The vehicle that owns this steering manager.
+   */
+  constructor(vehicle) {
+    /**
+     * The vehicle that owns this steering manager.
+     * @type {Vehicle}
+     */
+    this.vehicle = vehicle;
+
+    /**
+     * A list of all steering behaviors.
+     * @type {Array<SteeringBehavior>}
+     * @readonly
+     */
+    this.behaviors = [];
+
+    this._steeringForce = new Vector3(); // the calculated steering force per simulation step
+    this._typesMap = new Map([
+      ["AlignmentBehavior", AlignmentBehavior],
+      ["ArriveBehavior", ArriveBehavior],
+      ["CohesionBehavior", CohesionBehavior],
+      ["EvadeBehavior", EvadeBehavior],
+      ["FleeBehavior", FleeBehavior],
+      ["FollowPathBehavior", FollowPathBehavior],
+      ["InterposeBehavior", InterposeBehavior],
+      ["ObstacleAvoidanceBehavior", ObstacleAvoidanceBehavior],
+      ["OnPathBehavior", OnPathBehavior],
+      ["PursuitBehavior", PursuitBehavior],
+      ["SeekBehavior", SeekBehavior],
+      ["SeparationBehavior", SeparationBehavior],
+      ["WallAvoidanceBehavior", WallAvoidanceBehavior],
+      ["WanderBehavior", WanderBehavior],
+    ]);
+  }
+
+  /**
+   * Adds the given steering behavior to this steering manager.
+   * @param {SteeringBehavior} behavior - The steering behavior to add.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  add(behavior) {
+    this.behaviors.push(behavior);
+    return this;
+  }
+
+  /**
+   * Removes the given steering behavior from this steering manager.
+   * @param {SteeringBehavior} behavior - The steering behavior to remove.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  remove(behavior) {
+    const index = this.behaviors.indexOf(behavior);
+    if (index !== -1) this.behaviors.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Clears the internal state of this steering manager.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  clear() {
+    this.behaviors.length = 0;
+    return this;
+  }
+
+  /**
+   * Calculates the steering forces for all active steering behaviors and
+   * combines them into a single result force.
+   * @param {number} delta - The time delta in seconds.
+   * @param {Vector3} result - The force/result vector.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(delta, result) {
+    this._calculateByOrder(delta);
+    return result.copyFrom(this._steeringForce);
+  }
+
+  /**
+   * Registers a custom behavior type so it can be restored by {@link SteeringManager#fromJSON}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      behaviors: this.behaviors.map((behavior) => behavior.toJSON()),
+      _steeringForce: this._steeringForce.asArray(),
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  fromJSON(json) {
+    this.clear();
+
+    for (const behaviorJSON of json.behaviors) {
+      const ctor = this._typesMap.get(behaviorJSON.type);
+      if (ctor === undefined) {
+        throw new Error(`SteeringManager: Unknown steering behavior type "${behaviorJSON.type}". Use registerType() to register it.`);
+      }
+      this.add(new ctor().fromJSON(behaviorJSON));
+    }
+
+    this._steeringForce.fromArray(json._steeringForce);
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {SteeringManager} A reference to this steering manager.
+   */
+  resolveReferences(entities) {
+    for (const behavior of this.behaviors) {
+      behavior.resolveReferences(entities);
+    }
+    return this;
+  }
+
+  // This method calculates how much of its max steering force the vehicle has
+  // left to apply and then applies that amount of the force to add
+  _accumulate(forceToAdd) {
+    // Calculate how much steering force the vehicle has used so far
+    const magnitudeSoFar = this._steeringForce.length();
+
+    // Calculate how much steering force remains to be used by this vehicle
+    const magnitudeRemaining = this.vehicle.maxForce - magnitudeSoFar;
+
+    // Return false if there is no more force left to use
+    if (magnitudeRemaining <= 0) return false;
+
+    // Calculate the magnitude of the force we want to add
+    const magnitudeToAdd = forceToAdd.length();
+
+    // Restrict the magnitude of forceToAdd, so we don't exceed the max force of the vehicle
+    if (magnitudeToAdd > magnitudeRemaining) {
+      forceToAdd.normalize().scaleInPlace(magnitudeRemaining);
+    }
+
+    // Add force
+    this._steeringForce.addInPlace(forceToAdd);
+    return true;
+  }
+
+  _calculateByOrder(delta) {
+    // Reset steering force
+    this._steeringForce.setAll(0);
+
+    // Calculate for each behavior the respective force
+    for (const behavior of this.behaviors) {
+      if (behavior.active === true) {
+        _force.setAll(0);
+        behavior.calculate(this.vehicle, _force, delta);
+        _force.scaleInPlace(behavior.weight);
+
+        if (this._accumulate(_force) === false) return;
+      }
+    }
+  }
+}
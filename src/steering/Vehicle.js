@@ -0,0 +1,95 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { MovingEntity } from "../core/MovingEntity";
+import { SteeringManager } from "./SteeringManager";
+
+const _steeringForce = new Vector3();
+const _acceleration = new Vector3();
+
+/**
+ * A moving entity driven by steering behaviors. The combined steering force
+ * is converted into an acceleration using the vehicle's mass.
+ */
+export class Vehicle extends MovingEntity {
+  /**
+   * Constructs a new vehicle.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The mass of the vehicle in kilogram.
+     * @type {number}
+     * @default 1
+     */
+    this.mass = 1;
+
+    /**
+     * The maximum force this entity can produce to power itself.
+     * @type {number}
+     * @default 100
+     */
+    this.maxForce = 100;
+
+    /**
+     * The steering manager of this vehicle.
+     * @type {SteeringManager}
+     */
+    this.steering = new SteeringManager(this);
+  }
+
+  /**
+   * Applies the steering force to the velocity, then moves the vehicle.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vehicle} A reference to this vehicle.
+   */
+  update(delta) {
+    // Calculate steering force
+    this.steering.calculate(delta, _steeringForce);
+
+    // Acceleration = force / mass
+    _steeringForce.scaleToRef(1 / this.mass, _acceleration);
+
+    // Update velocity
+    _acceleration.scaleInPlace(delta);
+    this.velocity.addInPlace(_acceleration);
+
+    // Velocity clamping, integration and orientation are done by MovingEntity
+    return super.update(delta);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.mass = this.mass;
+    json.maxForce = this.maxForce;
+    json.steering = this.steering.toJSON();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Vehicle} A reference to this vehicle.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.mass = json.mass;
+    this.maxForce = json.maxForce;
+    this.steering.fromJSON(json.steering);
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Vehicle} A reference to this vehicle.
+   */
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.steering.resolveReferences(entities);
+    return this;
+  }
+}
@@ -0,0 +1,47 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _averageDirection = new Vector3();
+const _direction = new Vector3();
+
+/**
+ * Produces a force that keeps a vehicle's heading aligned with its
+ * neighbors. Requires `vehicle.updateNeighborhood`.
+ */
+export class AlignmentBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new alignment behavior.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const neighbors = vehicle.neighbors;
+
+    if (neighbors.length === 0) {
+      return force.setAll(0);
+    }
+
+    _averageDirection.setAll(0);
+
+    // Iterate over all neighbors to calculate the average direction vector
+    for (const neighbor of neighbors) {
+      neighbor.getDirection(_direction);
+      _averageDirection.addInPlace(_direction);
+    }
+
+    _averageDirection.scaleInPlace(1 / neighbors.length);
+
+    // Produce a force to align the vehicle's heading
+    vehicle.getDirection(_direction);
+    return _averageDirection.subtractToRef(_direction, force);
+  }
+}
@@ -0,0 +1,96 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _desiredVelocity = new Vector3();
+
+/**
+ * Works like {@link SeekBehavior} but decelerates the vehicle so it comes to
+ * a gentle halt at the target position.
+ */
+export class ArriveBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new arrive behavior.
+   * @param {Vector3} target - The target vector.
+   * @param {number} deceleration - The amount of deceleration. Higher values mean a slower approach.
+   * @param {number} tolerance - A tolerance value in world units to prevent the vehicle from overshooting its target.
+   */
+  constructor(target = new Vector3(), deceleration = 3, tolerance = 0) {
+    super();
+
+    /**
+     * The target vector.
+     * @type {Vector3}
+     */
+    this.target = target;
+
+    /**
+     * The amount of deceleration. Higher values mean a slower approach.
+     * @type {number}
+     * @default 3
+     */
+    this.deceleration = deceleration;
+
+    /**
+     * A tolerance value in world units to prevent the vehicle from overshooting its target.
+     * @type {number}
+     * @default 0
+     */
+    this.tolerance = tolerance;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const target = this.target;
+
+    target.subtractToRef(vehicle.position, _desiredVelocity);
+    const distance = _desiredVelocity.length();
+
+    if (distance > this.tolerance) {
+      // Calculate the speed required to reach the target given the desired deceleration
+      let speed = distance / this.deceleration;
+
+      // Make sure the speed does not exceed the max
+      speed = Math.min(speed, vehicle.maxSpeed);
+
+      // From here proceed just like seek except we don't need to normalize
+      // the direction vector because we have already gone to the trouble
+      // of calculating its length
+      _desiredVelocity.scaleInPlace(speed / distance);
+    } else {
+      _desiredVelocity.setAll(0);
+    }
+
+    return _desiredVelocity.subtractToRef(vehicle.velocity, force);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.target = this.target.asArray();
+    json.deceleration = this.deceleration;
+    json.tolerance = this.tolerance;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {ArriveBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.target.fromArray(json.target);
+    this.deceleration = json.deceleration;
+    this.tolerance = json.tolerance;
+    return this;
+  }
+}
@@ -0,0 +1,53 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { SeekBehavior } from "./SeekBehavior";
+
+const _centerOfMass = new Vector3();
+
+/**
+ * Produces a force that moves a vehicle toward the center of mass of its
+ * neighbors. Requires `vehicle.updateNeighborhood`.
+ */
+export class CohesionBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new cohesion behavior.
+   */
+  constructor() {
+    super();
+
+    // Internal behaviors
+    this._seek = new SeekBehavior();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const neighbors = vehicle.neighbors;
+
+    if (neighbors.length === 0) {
+      return force.setAll(0);
+    }
+
+    _centerOfMass.setAll(0);
+
+    // Iterate over all neighbors to calculate the center of mass
+    for (const neighbor of neighbors) {
+      _centerOfMass.addInPlace(neighbor.position);
+    }
+
+    _centerOfMass.scaleInPlace(1 / neighbors.length);
+
+    // Now seek towards that position
+    this._seek.target = _centerOfMass;
+    this._seek.calculate(vehicle, force);
+
+    // The magnitude of cohesion is usually much larger than separation
+    // or alignment so it usually helps to normalize it
+    return force.normalize();
+  }
+}
@@ -0,0 +1,116 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { FleeBehavior } from "./FleeBehavior";
+
+const _displacement = new Vector3();
+const _newPursuerVelocity = new Vector3();
+const _predictedPosition = new Vector3();
+
+/**
+ * Produces a force that steers a vehicle away from the predicted future
+ * position of a pursuer.
+ */
+export class EvadeBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new evade behavior.
+   * @param {MovingEntity} pursuer - The agent to evade from.
+   * @param {number} panicDistance - The agent only flees from the pursuer if it is inside this radius.
+   * @param {number} predictionFactor - Makes it possible to adjust the prediction of the pursuer's future position.
+   */
+  constructor(pursuer = null, panicDistance = 10, predictionFactor = 1) {
+    super();
+
+    /**
+     * The agent to evade from.
+     * @type {?MovingEntity}
+     * @default null
+     */
+    this.pursuer = pursuer;
+
+    /**
+     * The agent only flees from the pursuer if it is inside this radius.
+     * @type {number}
+     * @default 10
+     */
+    this.panicDistance = panicDistance;
+
+    /**
+     * Makes it possible to adjust the prediction of the pursuer's future position.
+     * @type {number}
+     * @default 1
+     */
+    this.predictionFactor = predictionFactor;
+
+    // Internal behaviors
+    this._flee = new FleeBehavior();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const pursuer = this.pursuer;
+
+    if (pursuer === null) {
+      return force.setAll(0);
+    }
+
+    pursuer.position.subtractToRef(vehicle.position, _displacement);
+
+    // The lookahead time is proportional to the distance between the pursuer
+    // and the evader. And is inversely proportional to the sum of the
+    // agent's velocities. Without any speed there is nothing to predict
+    const speeds = vehicle.maxSpeed + pursuer.getSpeed();
+    const lookAheadTime = speeds > 0 ? (_displacement.length() / speeds) * this.predictionFactor : 0;
+
+    // Calculate new velocity and predicted future position
+    pursuer.velocity.scaleToRef(lookAheadTime, _newPursuerVelocity);
+    pursuer.position.addToRef(_newPursuerVelocity, _predictedPosition);
+
+    // Now flee away from predicted future position of the pursuer
+    this._flee.target = _predictedPosition;
+    this._flee.panicDistance = this.panicDistance;
+    this._flee.calculate(vehicle, force);
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.pursuer = this.pursuer !== null ? this.pursuer.uuid : null;
+    json.panicDistance = this.panicDistance;
+    json.predictionFactor = this.predictionFactor;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {EvadeBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.pursuer = json.pursuer;
+    this.panicDistance = json.panicDistance;
+    this.predictionFactor = json.predictionFactor;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {EvadeBehavior} A reference to this behavior.
+   */
+  resolveReferences(entities) {
+    this.pursuer = entities.get(this.pursuer) || null;
+    return this;
+  }
+}
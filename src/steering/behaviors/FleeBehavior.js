@@ -0,0 +1,83 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _desiredVelocity = new Vector3();
+
+/**
+ * Produces a force that steers a vehicle away from a target position while
+ * the target is within the panic distance.
+ */
+export class FleeBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new flee behavior.
+   * @param {Vector3} target - The target vector.
+   * @param {number} panicDistance - The agent only flees from the target if it is inside this radius.
+   */
+  constructor(target = new Vector3(), panicDistance = 10) {
+    super();
+
+    /**
+     * The target vector.
+     * @type {Vector3}
+     */
+    this.target = target;
+
+    /**
+     * The agent only flees from the target if it is inside this radius.
+     * @type {number}
+     * @default 10
+     */
+    this.panicDistance = panicDistance;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    vehicle.position.subtractToRef(this.target, _desiredVelocity);
+
+    const distanceSquared = _desiredVelocity.lengthSquared();
+
+    // Only flee if the target is within panic distance
+    if (distanceSquared > this.panicDistance * this.panicDistance) {
+      return force.setAll(0);
+    }
+
+    // From here, the only difference compared to seek is that the desired
+    // velocity is calculated using a vector pointing in the opposite direction
+    if (distanceSquared === 0) {
+      _desiredVelocity.copyFrom(vehicle.forward);
+    }
+
+    _desiredVelocity.normalize().scaleInPlace(vehicle.maxSpeed);
+
+    return _desiredVelocity.subtractToRef(vehicle.velocity, force);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.target = this.target.asArray();
+    json.panicDistance = this.panicDistance;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {FleeBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.target.fromArray(json.target);
+    this.panicDistance = json.panicDistance;
+    return this;
+  }
+}
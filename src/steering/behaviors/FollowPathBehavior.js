@@ -0,0 +1,95 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { Path } from "../Path";
+import { SeekBehavior } from "./SeekBehavior";
+import { ArriveBehavior } from "./ArriveBehavior";
+
+/**
+ * Produces a force that moves a vehicle along a series of waypoints forming a path.
+ * The vehicle seeks each waypoint and arrives at the last one of a path that is not looped.
+ */
+export class FollowPathBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new follow path behavior.
+   * @param {Path} path - The path to follow.
+   * @param {number} nextWaypointDistance - The distance the agent seeks for the next waypoint.
+   */
+  constructor(path = new Path(), nextWaypointDistance = 1) {
+    super();
+
+    /**
+     * The path to follow.
+     * @type {Path}
+     */
+    this.path = path;
+
+    /**
+     * The distance the agent seeks for the next waypoint.
+     * @type {number}
+     * @default 1
+     */
+    this.nextWaypointDistance = nextWaypointDistance;
+
+    // internal behaviors
+    this._arrive = new ArriveBehavior();
+    this._seek = new SeekBehavior();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force, delta) {
+    const path = this.path;
+
+    if (path.current() === null) {
+      return force.setAll(0);
+    }
+
+    // calculate distance in square space from current waypoint to vehicle
+    const distanceSq = Vector3.DistanceSquared(path.current(), vehicle.position);
+
+    // move to next waypoint if close enough to current target
+    if (distanceSq < this.nextWaypointDistance * this.nextWaypointDistance) {
+      path.advance();
+    }
+
+    const target = path.current();
+
+    if (path.finished()) {
+      this._arrive.target = target;
+      this._arrive.calculate(vehicle, force, delta);
+    } else {
+      this._seek.target = target;
+      this._seek.calculate(vehicle, force, delta);
+    }
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.path = this.path.toJSON();
+    json.nextWaypointDistance = this.nextWaypointDistance;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {FollowPathBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.path.fromJSON(json.path);
+    this.nextWaypointDistance = json.nextWaypointDistance;
+    return this;
+  }
+}
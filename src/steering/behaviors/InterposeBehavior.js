@@ -0,0 +1,131 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { ArriveBehavior } from "./ArriveBehavior";
+
+const _midPoint = new Vector3();
+const _translation = new Vector3();
+const _predictedPosition1 = new Vector3();
+const _predictedPosition2 = new Vector3();
+
+/**
+ * Produces a force that moves a vehicle to the midpoint of the imaginary line
+ * connecting two other agents.
+ */
+export class InterposeBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new interpose behavior.
+   * @param {MovingEntity} entity1 - The first agent.
+   * @param {MovingEntity} entity2 - The second agent.
+   * @param {number} deceleration - The amount of deceleration.
+   */
+  constructor(entity1 = null, entity2 = null, deceleration = 3) {
+    super();
+
+    /**
+     * The first agent.
+     * @type {?MovingEntity}
+     * @default null
+     */
+    this.entity1 = entity1;
+
+    /**
+     * The second agent.
+     * @type {?MovingEntity}
+     * @default null
+     */
+    this.entity2 = entity2;
+
+    /**
+     * The amount of deceleration.
+     * @type {number}
+     * @default 3
+     */
+    this.deceleration = deceleration;
+
+    // Internal behaviors
+    this._arrive = new ArriveBehavior();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const entity1 = this.entity1;
+    const entity2 = this.entity2;
+
+    if (entity1 === null || entity2 === null) {
+      return force.setAll(0);
+    }
+
+    // First we need to figure out where the two entities are going to be
+    // in the future. This is approximated by determining the time taken to
+    // reach the mid way point at the current time at max speed
+    entity1.position.addToRef(entity2.position, _midPoint).scaleInPlace(0.5);
+    const time = Vector3.Distance(vehicle.position, _midPoint) / vehicle.maxSpeed;
+
+    // Now we have the time, we assume that entity 1 and entity 2 will
+    // continue on a straight trajectory and extrapolate to get their future positions
+    this._predict(entity1, time, _predictedPosition1);
+    this._predict(entity2, time, _predictedPosition2);
+
+    // Calculate the mid point of these predicted positions
+    _predictedPosition1.addToRef(_predictedPosition2, _midPoint).scaleInPlace(0.5);
+
+    // Then steer to arrive at it
+    this._arrive.deceleration = this.deceleration;
+    this._arrive.target = _midPoint;
+    this._arrive.calculate(vehicle, force);
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.entity1 = this.entity1 !== null ? this.entity1.uuid : null;
+    json.entity2 = this.entity2 !== null ? this.entity2.uuid : null;
+    json.deceleration = this.deceleration;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {InterposeBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.entity1 = json.entity1;
+    this.entity2 = json.entity2;
+    this.deceleration = json.deceleration;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {InterposeBehavior} A reference to this behavior.
+   */
+  resolveReferences(entities) {
+    this.entity1 = entities.get(this.entity1) || null;
+    this.entity2 = entities.get(this.entity2) || null;
+    return this;
+  }
+
+  // Extrapolates the position of an entity; static entities keep their position
+  _predict(entity, time, result) {
+    result.copyFrom(entity.position);
+    if (entity.velocity !== undefined) {
+      entity.velocity.scaleToRef(time, _translation);
+      result.addInPlace(_translation);
+    }
+    return result;
+  }
+}
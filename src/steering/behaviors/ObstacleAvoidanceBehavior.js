@@ -0,0 +1,168 @@
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _vehiclePosition = new Vector3();
+const _vehicleRotation = new Quaternion();
+const _inverseRotation = new Quaternion();
+const _forwardRotation = new Quaternion();
+const _forward = new Vector3();
+const _axisZ = new Vector3(0, 0, 1);
+const _obstaclePosition = new Vector3();
+const _localPosition = new Vector3();
+const _localPositionOfClosestObstacle = new Vector3();
+
+/**
+ * Produces a force so a vehicle avoids obstacles lying in its path. Obstacles are
+ * approximated by spheres based on their `boundingRadius`. A detection box in front
+ * of the vehicle, whose length grows with the speed, is tested against the obstacles
+ * in the vehicle's local space (derived from its world position and rotation), with
+ * +Z pointing along the vehicle's `forward` vector.
+ */
+export class ObstacleAvoidanceBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new obstacle avoidance behavior.
+   * @param {Array<GameEntity>} obstacles - An array with obstacle of type {@link GameEntity}.
+   * @param {number} brakingWeight - This factor determines how much the vehicle decreases its speed to avoid obstacles.
+   * @param {number} dBoxMinLength - The minimum length of the detection box used for intersection tests.
+   */
+  constructor(obstacles = [], brakingWeight = 0.2, dBoxMinLength = 4) {
+    super();
+
+    /**
+     * An array with obstacle of type {@link GameEntity}.
+     * @type {Array<GameEntity>}
+     */
+    this.obstacles = obstacles;
+
+    /**
+     * This factor determines how much the vehicle decreases its speed to avoid obstacles.
+     * @type {number}
+     * @default 0.2
+     */
+    this.brakingWeight = brakingWeight;
+
+    /**
+     * The minimum length of the detection box used for intersection tests. At max
+     * speed the detection box is twice as long.
+     * @type {number}
+     * @default 4
+     */
+    this.dBoxMinLength = dBoxMinLength;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    // this will keep track of the closest intersecting obstacle
+    let closestObstacle = null;
+    let distanceToClosestObstacle = Infinity;
+
+    force.setAll(0);
+
+    // the detection box length is proportional to the agent's velocity
+    const speedRatio = vehicle.maxSpeed > 0 ? vehicle.getSpeed() / vehicle.maxSpeed : 0;
+    const dBoxLength = this.dBoxMinLength + speedRatio * this.dBoxMinLength;
+
+    vehicle.getWorldPosition(_vehiclePosition);
+    vehicle.getWorldRotation(_vehicleRotation);
+
+    // a custom forward vector is mapped onto +Z, the heading of the detection box
+    vehicle.forward.normalizeToRef(_forward);
+    Quaternion.FromUnitVectorsToRef(_axisZ, _forward, _forwardRotation);
+    _vehicleRotation.multiplyInPlace(_forwardRotation);
+    Quaternion.InverseToRef(_vehicleRotation, _inverseRotation);
+
+    for (const obstacle of this.obstacles) {
+      if (obstacle === vehicle) continue;
+
+      // calculate this obstacle's position in local space of the vehicle
+      obstacle.getWorldPosition(_obstaclePosition);
+      _obstaclePosition.subtractInPlace(_vehiclePosition).rotateByQuaternionToRef(_inverseRotation, _localPosition);
+
+      // if the local position has a negative z value then it must lay behind the agent.
+      // besides the absolute z value must be smaller than the length of the detection box
+      if (_localPosition.z <= 0 || _localPosition.z >= dBoxLength) continue;
+
+      // if the distance from the forward axis to the object's position is less than its
+      // radius + half the width of the detection box then there is a potential intersection
+      const expandedRadius = obstacle.boundingRadius + vehicle.boundingRadius;
+      const lateralSq = _localPosition.x * _localPosition.x + _localPosition.y * _localPosition.y;
+
+      if (lateralSq >= expandedRadius * expandedRadius) continue;
+
+      // intersect the forward axis with the expanded sphere, the closest
+      // intersection in front of the vehicle is the distance to the obstacle
+      const sqrtPart = Math.sqrt(expandedRadius * expandedRadius - lateralSq);
+      let intersection = _localPosition.z - sqrtPart;
+      if (intersection <= 0) intersection = _localPosition.z + sqrtPart;
+
+      if (intersection < distanceToClosestObstacle) {
+        distanceToClosestObstacle = intersection;
+        closestObstacle = obstacle;
+        _localPositionOfClosestObstacle.copyFrom(_localPosition);
+      }
+    }
+
+    // if we have found an intersecting obstacle, calculate a steering force away from it
+    if (closestObstacle !== null) {
+      const local = _localPositionOfClosestObstacle;
+      const expandedRadius = closestObstacle.boundingRadius + vehicle.boundingRadius;
+
+      // the closer the agent is to an object, the stronger the steering force should be
+      const multiplier = 1 + (dBoxLength - local.z) / dBoxLength;
+
+      // the lateral force pushes the vehicle to the side the obstacle is not on.
+      // obstacles straight ahead are passed on the right
+      const side = local.x > 0 ? -1 : 1;
+      force.x = side * (expandedRadius - Math.abs(local.x)) * multiplier;
+
+      // apply a braking force proportional to the obstacles distance from the vehicle
+      force.z = (closestObstacle.boundingRadius - local.z) * this.brakingWeight;
+
+      // finally, convert the steering vector from local to world space (just apply the rotation)
+      force.rotateByQuaternionToRef(_vehicleRotation, force);
+    }
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.obstacles = this.obstacles.map((obstacle) => obstacle.uuid);
+    json.brakingWeight = this.brakingWeight;
+    json.dBoxMinLength = this.dBoxMinLength;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {ObstacleAvoidanceBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.obstacles = json.obstacles.slice();
+    this.brakingWeight = json.brakingWeight;
+    this.dBoxMinLength = json.dBoxMinLength;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {ObstacleAvoidanceBehavior} A reference to this behavior.
+   */
+  resolveReferences(entities) {
+    this.obstacles = this.obstacles.map((uuid) => entities.get(uuid)).filter((obstacle) => obstacle !== undefined);
+    return this;
+  }
+}
@@ -0,0 +1,129 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { Path } from "../Path";
+import { SeekBehavior } from "./SeekBehavior";
+
+const _predictedPosition = new Vector3();
+const _closestPoint = new Vector3();
+const _segment = new Vector3();
+const _toPoint = new Vector3();
+
+/**
+ * Produces a force that keeps a vehicle close to its path. It is intended
+ * to use this behavior together with {@link FollowPathBehavior} in order
+ * to stop the vehicle from cutting corners.
+ */
+export class OnPathBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new on path behavior.
+   * @param {Path} path - The path to stay close to.
+   * @param {number} radius - Defines the width of the path. With a smaller radius, the vehicle will follow the path more closely.
+   * @param {number} predictionFactor - Determines how far the behavior predicts the movement of the vehicle.
+   */
+  constructor(path = new Path(), radius = 0.1, predictionFactor = 1) {
+    super();
+
+    /**
+     * The path to stay close to.
+     * @type {Path}
+     */
+    this.path = path;
+
+    /**
+     * Defines the width of the path. With a smaller radius, the vehicle will follow the path more closely.
+     * @type {number}
+     * @default 0.1
+     */
+    this.radius = radius;
+
+    /**
+     * Determines how far the behavior predicts the movement of the vehicle.
+     * @type {number}
+     * @default 1
+     */
+    this.predictionFactor = predictionFactor;
+
+    // internal behaviors
+    this._seek = new SeekBehavior(new Vector3());
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force, delta) {
+    const waypoints = this.path.waypoints;
+    const count = waypoints.length;
+
+    force.setAll(0);
+
+    if (count < 2) return force;
+
+    // predicted future position
+    vehicle.velocity.scaleToRef(this.predictionFactor, _predictedPosition);
+    _predictedPosition.addInPlace(vehicle.position);
+
+    // compute closest line segment and project the predicted position onto it.
+    // looped paths have one more segment from the last to the first waypoint
+    const segments = this.path.loop ? count : count - 1;
+    let minDistance = Infinity;
+
+    for (let i = 0; i < segments; i++) {
+      const from = waypoints[i];
+      const to = waypoints[(i + 1) % count];
+
+      to.subtractToRef(from, _segment);
+      const lengthSquared = _segment.lengthSquared();
+
+      _predictedPosition.subtractToRef(from, _toPoint);
+
+      let t = lengthSquared > 0 ? Vector3.Dot(_toPoint, _segment) / lengthSquared : 0;
+      t = Math.max(0, Math.min(1, t));
+
+      _segment.scaleInPlace(t).addInPlace(from);
+
+      const distance = Vector3.DistanceSquared(_predictedPosition, _segment);
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        _closestPoint.copyFrom(_segment);
+      }
+    }
+
+    // if predicted position lies outside the path radius, seek the closest point on the path
+    if (minDistance > this.radius * this.radius) {
+      this._seek.target.copyFrom(_closestPoint);
+      this._seek.calculate(vehicle, force, delta);
+    }
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.path = this.path.toJSON();
+    json.radius = this.radius;
+    json.predictionFactor = this.predictionFactor;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {OnPathBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.path.fromJSON(json.path);
+    this.radius = json.radius;
+    this.predictionFactor = json.predictionFactor;
+    return this;
+  }
+}
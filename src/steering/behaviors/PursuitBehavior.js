@@ -0,0 +1,125 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+import { SeekBehavior } from "./SeekBehavior";
+
+const _displacement = new Vector3();
+const _vehicleDirection = new Vector3();
+const _evaderDirection = new Vector3();
+const _newEvaderVelocity = new Vector3();
+const _predictedPosition = new Vector3();
+
+/**
+ * Produces a force that steers a vehicle towards the predicted future
+ * position of a moving evader.
+ */
+export class PursuitBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new pursuit behavior.
+   * @param {MovingEntity} evader - The agent to pursue.
+   * @param {number} predictionFactor - Makes it possible to adjust the prediction of the evader's future position.
+   */
+  constructor(evader = null, predictionFactor = 1) {
+    super();
+
+    /**
+     * The agent to pursue.
+     * @type {?MovingEntity}
+     * @default null
+     */
+    this.evader = evader;
+
+    /**
+     * Makes it possible to adjust the prediction of the evader's future position.
+     * @type {number}
+     * @default 1
+     */
+    this.predictionFactor = predictionFactor;
+
+    // Internal behaviors
+    this._seek = new SeekBehavior();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    const evader = this.evader;
+
+    if (evader === null) {
+      return force.setAll(0);
+    }
+
+    evader.position.subtractToRef(vehicle.position, _displacement);
+
+    // 1. If the evader is ahead and facing the agent then we can just seek for the evader's current position
+    vehicle.getDirection(_vehicleDirection);
+    evader.getDirection(_evaderDirection);
+
+    // First condition: evader must be in front of the pursuer
+    const evaderAhead = Vector3.Dot(_displacement, _vehicleDirection) > 0;
+
+    // Second condition: evader must almost directly facing the agent
+    const facing = Vector3.Dot(_vehicleDirection, _evaderDirection) < -0.95;
+
+    if (evaderAhead === true && facing === true) {
+      this._seek.target = evader.position;
+      this._seek.calculate(vehicle, force);
+      return force;
+    }
+
+    // 2. Evader not considered ahead so we predict where the evader will be
+
+    // The lookahead time is proportional to the distance between the evader
+    // and the pursuer. And is inversely proportional to the sum of the
+    // agent's velocities. Without any speed there is nothing to predict
+    const speeds = vehicle.maxSpeed + evader.getSpeed();
+    const lookAheadTime = speeds > 0 ? (_displacement.length() / speeds) * this.predictionFactor : 0;
+
+    // Calculate new velocity and predicted future position
+    evader.velocity.scaleToRef(lookAheadTime, _newEvaderVelocity);
+    evader.position.addToRef(_newEvaderVelocity, _predictedPosition);
+
+    // Now seek to the predicted future position of the evader
+    this._seek.target = _predictedPosition;
+    this._seek.calculate(vehicle, force);
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.evader = this.evader !== null ? this.evader.uuid : null;
+    json.predictionFactor = this.predictionFactor;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {PursuitBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.evader = json.evader;
+    this.predictionFactor = json.predictionFactor;
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {PursuitBehavior} A reference to this behavior.
+   */
+  resolveReferences(entities) {
+    this.evader = entities.get(this.evader) || null;
+    return this;
+  }
+}
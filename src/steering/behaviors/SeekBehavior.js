@@ -0,0 +1,65 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _desiredVelocity = new Vector3();
+
+/**
+ * Produces a force that directs a vehicle toward a target position.
+ */
+export class SeekBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new seek behavior.
+   * @param {Vector3} target - The target vector.
+   */
+  constructor(target = new Vector3()) {
+    super();
+
+    /**
+     * The target vector.
+     * @type {Vector3}
+     */
+    this.target = target;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    // Desired velocity points straight at the target at maximum speed
+    this.target.subtractToRef(vehicle.position, _desiredVelocity);
+
+    if (_desiredVelocity.lengthSquared() === 0) {
+      return force.setAll(0);
+    }
+
+    _desiredVelocity.normalize().scaleInPlace(vehicle.maxSpeed);
+
+    // The steering force returned is the desired velocity minus the current velocity
+    return _desiredVelocity.subtractToRef(vehicle.velocity, force);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.target = this.target.asArray();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {SeekBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.target.fromArray(json.target);
+    return this;
+  }
+}
@@ -0,0 +1,44 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _toAgent = new Vector3();
+
+/**
+ * Produces a force that steers a vehicle away from those in its neighborhood.
+ * Closer neighbors push harder. Requires `vehicle.updateNeighborhood`.
+ */
+export class SeparationBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new separation behavior.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    force.setAll(0);
+
+    for (const neighbor of vehicle.neighbors) {
+      vehicle.position.subtractToRef(neighbor.position, _toAgent);
+
+      let length = _toAgent.length();
+
+      // Handle zero length if both vehicles have the same position
+      if (length === 0) length = 0.0001;
+
+      // Scale the force inversely proportional to the agents distance from its neighbor
+      _toAgent.normalize().scaleInPlace(1 / length);
+
+      force.addInPlace(_toAgent);
+    }
+
+    return force;
+  }
+}
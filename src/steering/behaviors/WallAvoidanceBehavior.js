@@ -0,0 +1,203 @@
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { Plane } from "@babylonjs/core/Maths/math.plane";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _position = new Vector3();
+const _rotation = new Quaternion();
+const _forwardRotation = new Quaternion();
+const _forward = new Vector3();
+const _axisZ = new Vector3(0, 0, 1);
+const _feeler = new Vector3();
+const _localFeeler = new Vector3();
+const _point = new Vector3();
+const _normal = new Vector3();
+const _closestPoint = new Vector3();
+const _closestNormal = new Vector3();
+const _closestFeeler = new Vector3();
+
+/**
+ * Produces a force that steers a vehicle away from walls. The vehicle casts three
+ * feelers (one straight ahead along its `forward` vector, two to the sides) in its
+ * local space, derived from its world position and rotation, and tests them against
+ * the walls. For the closest
+ * intersection, a force along the wall normal proportional to the penetration depth
+ * of the feeler is produced.
+ *
+ * A wall is either a segment `{ start: Vector3, end: Vector3 }`, which is treated as
+ * infinitely high and tested on the XZ plane, or a Babylon `Plane`.
+ */
+export class WallAvoidanceBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new wall avoidance behavior.
+   * @param {Array<Object|Plane>} walls - An array of wall segments or planes.
+   * @param {number} feelerLength - The length of the front feeler. The side feelers are half as long.
+   * @param {number} feelerAngle - The angle in radians between the front and the side feelers.
+   */
+  constructor(walls = [], feelerLength = 4, feelerAngle = Math.PI / 4) {
+    super();
+
+    /**
+     * An array of wall segments `{ start: Vector3, end: Vector3 }` or planes.
+     * @type {Array<Object|Plane>}
+     */
+    this.walls = walls;
+
+    /**
+     * The length of the front feeler. The side feelers are half as long.
+     * @type {number}
+     * @default 4
+     */
+    this.feelerLength = feelerLength;
+
+    /**
+     * The angle in radians between the front and the side feelers.
+     * @type {number}
+     * @default Math.PI / 4
+     */
+    this.feelerAngle = feelerAngle;
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force /* , delta */) {
+    let distanceToClosestPoint = Infinity;
+
+    force.setAll(0);
+
+    vehicle.getWorldPosition(_position);
+    vehicle.getWorldRotation(_rotation);
+
+    // the feelers are built along +Z, so first map +Z onto the vehicle's forward vector
+    vehicle.forward.normalizeToRef(_forward);
+    Quaternion.FromUnitVectorsToRef(_axisZ, _forward, _forwardRotation);
+    _rotation.multiplyInPlace(_forwardRotation);
+
+    const sideLength = this.feelerLength / 2;
+    const sin = Math.sin(this.feelerAngle) * sideLength;
+    const cos = Math.cos(this.feelerAngle) * sideLength;
+
+    for (let i = 0; i < 3; i++) {
+      // the feeler tips in local space: front, left and right
+      if (i === 0) _localFeeler.set(0, 0, this.feelerLength);
+      else if (i === 1) _localFeeler.set(-sin, 0, cos);
+      else _localFeeler.set(sin, 0, cos);
+
+      _localFeeler.rotateByQuaternionToRef(_rotation, _feeler).addInPlace(_position);
+
+      for (const wall of this.walls) {
+        const distance =
+          wall instanceof Plane
+            ? this._intersectPlane(_position, _feeler, wall, _point, _normal)
+            : this._intersectSegment(_position, _feeler, wall, _point, _normal);
+
+        if (distance < distanceToClosestPoint) {
+          distanceToClosestPoint = distance;
+          _closestPoint.copyFrom(_point);
+          _closestNormal.copyFrom(_normal);
+          _closestFeeler.copyFrom(_feeler);
+        }
+      }
+    }
+
+    // create a force in the direction of the wall normal, with a magnitude of the overshoot
+    if (distanceToClosestPoint !== Infinity) {
+      const overshoot = Vector3.Distance(_closestFeeler, _closestPoint);
+      _closestNormal.scaleToRef(overshoot, force);
+    }
+
+    return force;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.walls = this.walls.map((wall) =>
+      wall instanceof Plane
+        ? { normal: wall.normal.asArray(), d: wall.d }
+        : { start: wall.start.asArray(), end: wall.end.asArray() }
+    );
+    json.feelerLength = this.feelerLength;
+    json.feelerAngle = this.feelerAngle;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {WallAvoidanceBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.walls = json.walls.map((wall) =>
+      wall.normal !== undefined
+        ? new Plane(wall.normal[0], wall.normal[1], wall.normal[2], wall.d)
+        : { start: Vector3.FromArray(wall.start), end: Vector3.FromArray(wall.end) }
+    );
+    this.feelerLength = json.feelerLength;
+    this.feelerAngle = json.feelerAngle;
+    return this;
+  }
+
+  /**
+   * Intersects the feeler with a wall segment on the XZ plane.
+   * @return {number} The distance from the feeler origin to the intersection point or Infinity.
+   */
+  _intersectSegment(origin, tip, wall, point, normal) {
+    const { start, end } = wall;
+
+    const rx = tip.x - origin.x;
+    const rz = tip.z - origin.z;
+    const sx = end.x - start.x;
+    const sz = end.z - start.z;
+
+    const denominator = rx * sz - rz * sx;
+    if (denominator === 0) return Infinity; // parallel
+
+    const qpx = start.x - origin.x;
+    const qpz = start.z - origin.z;
+    const t = (qpx * sz - qpz * sx) / denominator; // along the feeler
+    const u = (qpx * rz - qpz * rx) / denominator; // along the wall
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return Infinity;
+
+    point.set(origin.x + t * rx, origin.y, origin.z + t * rz);
+
+    // the wall normal points to the side of the feeler origin
+    normal.set(-sz, 0, sx).normalize();
+    if (normal.x * -qpx + normal.z * -qpz < 0) normal.scaleInPlace(-1);
+
+    return t * Math.sqrt(rx * rx + rz * rz);
+  }
+
+  /**
+   * Intersects the feeler with a plane.
+   * @return {number} The distance from the feeler origin to the intersection point or Infinity.
+   */
+  _intersectPlane(origin, tip, plane, point, normal) {
+    const d0 = plane.signedDistanceTo(origin);
+    const d1 = plane.signedDistanceTo(tip);
+
+    // the feeler does not cross the plane
+    if ((d0 > 0 && d1 > 0) || (d0 < 0 && d1 < 0) || d0 === d1) return Infinity;
+
+    const t = d0 / (d0 - d1);
+
+    tip.subtractToRef(origin, point).scaleInPlace(t);
+    const distance = point.length();
+    point.addInPlace(origin);
+
+    // the plane normal points to the side of the feeler origin
+    normal.copyFrom(plane.normal);
+    if (d0 < 0) normal.scaleInPlace(-1);
+
+    return distance;
+  }
+}
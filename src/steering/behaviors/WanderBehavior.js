@@ -0,0 +1,113 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { SteeringBehavior } from "../SteeringBehavior";
+
+const _targetWorld = new Vector3();
+const _randomDisplacement = new Vector3();
+
+/**
+ * Produces a force that makes a vehicle wander around randomly. A target is
+ * kept on a circle projected in front of the vehicle and jittered each step.
+ */
+export class WanderBehavior extends SteeringBehavior {
+  /**
+   * Constructs a new wander behavior.
+   * @param {number} radius - The radius of the wander circle for the wander behavior.
+   * @param {number} distance - The distance the wander circle is projected in front of the agent.
+   * @param {number} jitter - The maximum amount of displacement along the circle each second.
+   */
+  constructor(radius = 1, distance = 5, jitter = 5) {
+    super();
+
+    /**
+     * The radius of the constraining circle for the wander behavior.
+     * @type {number}
+     * @default 1
+     */
+    this.radius = radius;
+
+    /**
+     * The distance the wander sphere is projected in front of the agent.
+     * @type {number}
+     * @default 5
+     */
+    this.distance = distance;
+
+    /**
+     * The maximum amount of displacement along the sphere each second.
+     * @type {number}
+     * @default 5
+     */
+    this.jitter = jitter;
+
+    // Wander target in the vehicle's local space, relative to the circle center
+    this._targetLocal = new Vector3();
+
+    this._generateRandomPointOnCircle(this.radius, this._targetLocal);
+  }
+
+  /**
+   * Calculates the steering force for a single simulation step.
+   * @param {Vehicle} vehicle - The game entity the force is produced for.
+   * @param {Vector3} force - The force/result vector.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Vector3} The force/result vector.
+   */
+  calculate(vehicle, force, delta) {
+    // This behavior is dependent on the update rate, so this line must be
+    // included when using time independent frame rate
+    const jitterThisTimeSlice = this.jitter * delta;
+
+    // Prepare random vector
+    _randomDisplacement.set((Math.random() * 2 - 1) * jitterThisTimeSlice, 0, (Math.random() * 2 - 1) * jitterThisTimeSlice);
+
+    // Add random vector to the target's position, then reproject it back
+    // onto a circle of unit radius and increase its length to the same as
+    // the radius of the wander circle
+    this._targetLocal.addInPlace(_randomDisplacement);
+    if (this._targetLocal.lengthSquared() === 0) {
+      this._generateRandomPointOnCircle(this.radius, this._targetLocal);
+    }
+    this._targetLocal.normalize().scaleInPlace(this.radius);
+
+    // Move the target into a position wanderDist in front of the agent
+    vehicle.forward.scaleToRef(this.distance, _targetWorld).addInPlace(this._targetLocal);
+
+    // Project the target into world space
+    Vector3.TransformCoordinatesToRef(_targetWorld, vehicle.worldMatrix, _targetWorld);
+
+    // And steer towards it
+    return _targetWorld.subtractToRef(vehicle.position, force);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.radius = this.radius;
+    json.distance = this.distance;
+    json.jitter = this.jitter;
+    json._targetLocal = this._targetLocal.asArray();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {WanderBehavior} A reference to this behavior.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.radius = json.radius;
+    this.distance = json.distance;
+    this.jitter = json.jitter;
+    this._targetLocal.fromArray(json._targetLocal);
+    return this;
+  }
+
+  _generateRandomPointOnCircle(radius, target) {
+    const theta = Math.random() * Math.PI * 2;
+    return target.set(radius * Math.cos(theta), 0, radius * Math.sin(theta));
+  }
+}
@@ -0,0 +1,174 @@
+import { Observable } from "@babylonjs/core/Misc/observable";
+import { GameEntity } from "../core/GameEntity";
+import { TriggerRegion } from "./TriggerRegion";
+import { OrientedBoxTriggerRegion } from "./regions/OrientedBoxTriggerRegion";
+import { RectangularTriggerRegion } from "./regions/RectangularTriggerRegion";
+import { SphericalTriggerRegion } from "./regions/SphericalTriggerRegion";
+
+/**
+ * Base class for representing triggers. A trigger is a game entity with a
+ * region. The {@link EntityManager} checks each active trigger against all
+ * active entities with `canActivateTrigger` set in every update. Entities
+ * entering, staying in and leaving the region are reported through observables,
+ * and {@link Trigger#execute} is called for every touching entity.
+ */
+export class Trigger extends GameEntity {
+  /**
+   * Constructs a new trigger with the given region.
+   * @param {TriggerRegion} region - The region of the trigger.
+   */
+  constructor(region = new TriggerRegion()) {
+    super();
+
+    /**
+     * The region of the trigger.
+     * @type {TriggerRegion}
+     */
+    this.region = region;
+
+    /**
+     * Notified with the entity when an entity enters the region.
+     * @type {Observable<GameEntity>}
+     */
+    this.onEnterObservable = new Observable();
+
+    /**
+     * Notified with the entity in each update an entity stays in the region.
+     * @type {Observable<GameEntity>}
+     */
+    this.onStayObservable = new Observable();
+
+    /**
+     * Notified with the entity when an entity leaves the region, is removed
+     * from the manager or can no longer activate triggers.
+     * @type {Observable<GameEntity>}
+     */
+    this.onExitObservable = new Observable();
+
+    // Triggers do not activate other triggers by default
+    this.canActivateTrigger = false;
+
+    // Entities currently inside the region and entities checked in the current update
+    this._touching = new Set();
+    this._checked = new Set();
+
+    // Serialization: maps type names to region constructors
+    this._typesMap = new Map([
+      ["OrientedBoxTriggerRegion", OrientedBoxTriggerRegion],
+      ["RectangularTriggerRegion", RectangularTriggerRegion],
+      ["SphericalTriggerRegion", SphericalTriggerRegion],
+      ["TriggerRegion", TriggerRegion],
+    ]);
+  }
+
+  /**
+   * Checks if the given game entity touches the region of this trigger,
+   * notifies the observables and calls {@link Trigger#execute} if so.
+   * @param {GameEntity} entity - The entity to check.
+   * @return {Trigger} A reference to this trigger.
+   */
+  check(entity) {
+    this._checked.add(entity);
+
+    if (this.region.touching(this, entity) === true) {
+      if (this._touching.has(entity) === false) {
+        this._touching.add(entity);
+        this.onEnterObservable.notifyObservers(entity);
+      } else {
+        this.onStayObservable.notifyObservers(entity);
+      }
+
+      this.execute(entity);
+    } else if (this._touching.delete(entity) === true) {
+      this.onExitObservable.notifyObservers(entity);
+    }
+
+    return this;
+  }
+
+  /**
+   * This method is called for each entity touching the region of this trigger.
+   * Subclasses implement the actual trigger logic here.
+   * @param {GameEntity} entity - The entity that touches the region.
+   * @return {Trigger} A reference to this trigger.
+   */
+  execute(/* entity */) {
+    return this;
+  }
+
+  /**
+   * Returns true if the given entity is currently inside the region.
+   * @param {GameEntity} entity - The entity.
+   * @return {boolean} Whether the entity is inside the region or not.
+   */
+  isTouching(entity) {
+    return this._touching.has(entity);
+  }
+
+  /**
+   * Registers a custom region type so it can be restored by {@link Trigger#fromJSON}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {Trigger} A reference to this trigger.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.region = this.region.toJSON();
+    json.touching = this._entitiesToIds(Array.from(this._touching));
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {Trigger} A reference to this trigger.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.region = new (this._getType(json.region.type))().fromJSON(json.region);
+    this._touching = new Set(json.touching);
+    this._checked.clear();
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects. Unknown UUIDs are dropped.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Trigger} A reference to this trigger.
+   */
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this._touching = new Set(this._idsToEntities(Array.from(this._touching), entities));
+    return this;
+  }
+
+  // Called by the entity manager after all entities were checked. Entities
+  // that are inside the region but were not checked anymore leave it
+  _exitUnchecked() {
+    for (const entity of this._touching) {
+      if (this._checked.has(entity) === false) {
+        this._touching.delete(entity);
+        this.onExitObservable.notifyObservers(entity);
+      }
+    }
+
+    this._checked.clear();
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`Trigger: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Base class for representing trigger regions. A trigger region is placed
+ * relative to the world transform of its {@link Trigger}.
+ */
+export class TriggerRegion {
+  /**
+   * Returns true if the bounding volume of the given game entity touches or
+   * overlaps this trigger region. Subclasses have to implement this method.
+   * @param {Trigger} trigger - The trigger that owns this region.
+   * @param {GameEntity} entity - The entity to test.
+   * @return {boolean} Whether this trigger region touches the given entity or not.
+   */
+  touching(/* trigger, entity */) {
+    return false;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {TriggerRegion} A reference to this trigger region.
+   */
+  fromJSON(/* json */) {
+    return this;
+  }
+}
@@ -0,0 +1,97 @@
+import { Vector3, Matrix } from "@babylonjs/core/Maths/math.vector";
+import { TriggerRegion } from "../TriggerRegion";
+
+const _inverseWorld = new Matrix();
+const _position = new Vector3();
+const _localPosition = new Vector3();
+const _closestPoint = new Vector3();
+
+/**
+ * Class for representing a box trigger region defined in the local space of
+ * its trigger, so it follows the trigger's position, rotation and scale.
+ */
+export class OrientedBoxTriggerRegion extends TriggerRegion {
+  /**
+   * Constructs a new oriented box trigger region.
+   * @param {Vector3} halfSizes - The half sizes of the box in local space.
+   * @param {Vector3} center - The center of the box in local space.
+   */
+  constructor(halfSizes = new Vector3(), center = Vector3.Zero()) {
+    super();
+
+    /**
+     * The half sizes of the box in local space.
+     * @type {Vector3}
+     */
+    this.halfSizes = halfSizes;
+
+    /**
+     * The center of the box in local space.
+     * @type {Vector3}
+     */
+    this.center = center;
+  }
+
+  /**
+   * Sets this region from the local bounding box of a Babylon mesh. Keep the
+   * transform of the trigger in sync with the mesh.
+   * @param {AbstractMesh} mesh - The Babylon mesh.
+   * @return {OrientedBoxTriggerRegion} A reference to this trigger region.
+   */
+  fromMesh(mesh) {
+    const boundingBox = mesh.getBoundingInfo().boundingBox;
+    this.halfSizes.copyFrom(boundingBox.extendSize);
+    this.center.copyFrom(boundingBox.center);
+    return this;
+  }
+
+  /**
+   * Returns true if the bounding volume of the given game entity touches or
+   * overlaps this trigger region.
+   * @param {Trigger} trigger - The trigger that owns this region.
+   * @param {GameEntity} entity - The entity to test.
+   * @return {boolean} Whether this trigger region touches the given entity or not.
+   */
+  touching(trigger, entity) {
+    const worldMatrix = trigger.worldMatrix;
+
+    entity.getWorldPosition(_position);
+    worldMatrix.invertToRef(_inverseWorld);
+    Vector3.TransformCoordinatesToRef(_position, _inverseWorld, _localPosition);
+
+    // clamp the position to the box in local space
+    for (const axis of ["x", "y", "z"]) {
+      const min = this.center[axis] - this.halfSizes[axis];
+      const max = this.center[axis] + this.halfSizes[axis];
+      _closestPoint[axis] = Math.min(Math.max(_localPosition[axis], min), max);
+    }
+
+    // compare in world space, so the scale of the trigger is respected
+    Vector3.TransformCoordinatesToRef(_closestPoint, worldMatrix, _closestPoint);
+
+    return Vector3.DistanceSquared(_closestPoint, _position) <= entity.boundingRadius * entity.boundingRadius;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.halfSizes = this.halfSizes.asArray();
+    json.center = this.center.asArray();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {OrientedBoxTriggerRegion} A reference to this trigger region.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.halfSizes.fromArray(json.halfSizes);
+    this.center.fromArray(json.center);
+    return this;
+  }
+}
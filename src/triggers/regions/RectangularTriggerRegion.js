@@ -0,0 +1,82 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { TriggerRegion } from "../TriggerRegion";
+
+const _center = new Vector3();
+const _position = new Vector3();
+
+/**
+ * Class for representing an axis-aligned box trigger region centered at the
+ * world position of its trigger. The rotation of the trigger is ignored, use
+ * {@link OrientedBoxTriggerRegion} for boxes that follow it.
+ */
+export class RectangularTriggerRegion extends TriggerRegion {
+  /**
+   * Constructs a new rectangular trigger region.
+   * @param {Vector3} size - The size of the region.
+   */
+  constructor(size = new Vector3()) {
+    super();
+
+    /**
+     * The size of the region.
+     * @type {Vector3}
+     */
+    this.size = size;
+  }
+
+  /**
+   * Sets the size of this region from the world space bounding box of a
+   * Babylon mesh. Place the trigger at the center of that bounding box.
+   * @param {AbstractMesh} mesh - The Babylon mesh.
+   * @return {RectangularTriggerRegion} A reference to this trigger region.
+   */
+  fromMesh(mesh) {
+    mesh.computeWorldMatrix(true);
+    mesh.getBoundingInfo().boundingBox.extendSizeWorld.scaleToRef(2, this.size);
+    return this;
+  }
+
+  /**
+   * Returns true if the bounding volume of the given game entity touches or
+   * overlaps this trigger region.
+   * @param {Trigger} trigger - The trigger that owns this region.
+   * @param {GameEntity} entity - The entity to test.
+   * @return {boolean} Whether this trigger region touches the given entity or not.
+   */
+  touching(trigger, entity) {
+    trigger.getWorldPosition(_center);
+    entity.getWorldPosition(_position);
+
+    // squared distance from the bounding sphere center to the box
+    let distanceSq = 0;
+
+    for (const axis of ["x", "y", "z"]) {
+      const halfSize = this.size[axis] * 0.5;
+      const offset = Math.abs(_position[axis] - _center[axis]) - halfSize;
+      if (offset > 0) distanceSq += offset * offset;
+    }
+
+    return distanceSq <= entity.boundingRadius * entity.boundingRadius;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.size = this.size.asArray();
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {RectangularTriggerRegion} A reference to this trigger region.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.size.fromArray(json.size);
+    return this;
+  }
+}
@@ -0,0 +1,63 @@
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { TriggerRegion } from "../TriggerRegion";
+
+const _center = new Vector3();
+const _position = new Vector3();
+
+/**
+ * Class for representing a spherical trigger region centered at the world
+ * position of its trigger.
+ */
+export class SphericalTriggerRegion extends TriggerRegion {
+  /**
+   * Constructs a new spherical trigger region.
+   * @param {number} radius - The radius of the region.
+   */
+  constructor(radius = 0) {
+    super();
+
+    /**
+     * The radius of the region.
+     * @type {number}
+     * @default 0
+     */
+    this.radius = radius;
+  }
+
+  /**
+   * Returns true if the bounding volume of the given game entity touches or
+   * overlaps this trigger region.
+   * @param {Trigger} trigger - The trigger that owns this region.
+   * @param {GameEntity} entity - The entity to test.
+   * @return {boolean} Whether this trigger region touches the given entity or not.
+   */
+  touching(trigger, entity) {
+    trigger.getWorldPosition(_center);
+    entity.getWorldPosition(_position);
+
+    const radius = this.radius + entity.boundingRadius;
+
+    return Vector3.DistanceSquared(_center, _position) <= radius * radius;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.radius = this.radius;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {SphericalTriggerRegion} A reference to this trigger region.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.radius = json.radius;
+    return this;
+  }
+}
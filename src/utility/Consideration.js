@@ -0,0 +1,109 @@
+import { LinearCurve } from "./curves/LinearCurve";
+
+/**
+ * Rates a single aspect of the world for a {@link UtilityAction}. The input is
+ * read from the owning game entity, normalized to [0,1] using `min` and `max`
+ * and mapped to a score through a response curve.
+ *
+ * The input is either a function `(owner) => number` or a property path of the
+ * owner like `"health"` or `"velocity.length"`. Methods on the path are called
+ * without arguments, so `"getSpeed"` works as well. Only property paths are
+ * serialized.
+ */
+export class Consideration {
+  /**
+   * Constructs a new consideration.
+   * @param {Function|string} input - Reads the raw input from the owner.
+   * @param {ResponseCurve} curve - Maps the normalized input to a score.
+   * @param {number} min - The raw input that is normalized to 0.
+   * @param {number} max - The raw input that is normalized to 1.
+   */
+  constructor(input = null, curve = new LinearCurve(), min = 0, max = 1) {
+    /**
+     * Reads the raw input from the owner.
+     * @type {Function|string|null}
+     */
+    this.input = input;
+
+    /**
+     * Maps the normalized input to a score.
+     * @type {ResponseCurve}
+     */
+    this.curve = curve;
+
+    /**
+     * The raw input that is normalized to 0.
+     * @type {number}
+     * @default 0
+     */
+    this.min = min;
+
+    /**
+     * The raw input that is normalized to 1.
+     * @type {number}
+     * @default 1
+     */
+    this.max = max;
+  }
+
+  /**
+   * Reads the raw input from the given game entity.
+   * @param {GameEntity} owner - The game entity.
+   * @return {number} The raw input.
+   */
+  getInput(owner) {
+    if (typeof this.input === "function") return this.input(owner);
+    if (typeof this.input !== "string") return 0;
+
+    let target = owner;
+    let value = owner;
+
+    for (const key of this.input.split(".")) {
+      if (value === null || value === undefined) return 0;
+
+      target = value;
+      value = value[key];
+      if (typeof value === "function") value = value.call(target);
+    }
+
+    return typeof value === "number" ? value : 0;
+  }
+
+  /**
+   * Computes the score of this consideration for the given game entity.
+   * @param {GameEntity} owner - The game entity.
+   * @return {number} The score in the range [0,1].
+   */
+  score(owner) {
+    const range = this.max - this.min;
+    const x = range !== 0 ? (this.getInput(owner) - this.min) / range : 0;
+    return this.curve.evaluate(x);
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      input: typeof this.input === "string" ? this.input : null,
+      curve: this.curve.toJSON(),
+      min: this.min,
+      max: this.max,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. The curve is created by the
+   * {@link Reasoner} that owns the consideration.
+   * @param {Object} json - The JSON object.
+   * @return {Consideration} A reference to this consideration.
+   */
+  fromJSON(json) {
+    this.input = json.input;
+    this.min = json.min;
+    this.max = json.max;
+    return this;
+  }
+}
@@ -0,0 +1,200 @@
+import { Consideration } from "./Consideration";
+import { UtilityAction } from "./UtilityAction";
+import { LinearCurve } from "./curves/LinearCurve";
+import { LogisticCurve } from "./curves/LogisticCurve";
+import { PointsCurve } from "./curves/PointsCurve";
+import { QuadraticCurve } from "./curves/QuadraticCurve";
+
+/**
+ * Selects the action with the highest utility score for its owner. The
+ * current action gets a momentum bonus, so the selection does not flip back
+ * and forth between actions with similar scores. The owning entity calls
+ * {@link Reasoner#execute} from its `update(delta)`.
+ */
+export class Reasoner {
+  /**
+   * Constructs a new reasoner.
+   * @param {GameEntity} owner - The owner of this reasoner.
+   */
+  constructor(owner = null) {
+    /**
+     * The game entity that owns this reasoner.
+     * @type {?GameEntity}
+     */
+    this.owner = owner;
+
+    /**
+     * The actions to choose from.
+     * @type {Array<UtilityAction>}
+     */
+    this.actions = [];
+
+    /**
+     * The currently selected action.
+     * @type {?UtilityAction}
+     * @default null
+     */
+    this.currentAction = null;
+
+    /**
+     * The relative bonus for the score of the current action. Another action
+     * has to beat the current score by more than this fraction to be selected.
+     * @type {number}
+     * @default 0.1
+     */
+    this.momentum = 0.1;
+
+    // Serialization: maps type names to action, consideration and curve constructors
+    this._typesMap = new Map([
+      ["Consideration", Consideration],
+      ["LinearCurve", LinearCurve],
+      ["LogisticCurve", LogisticCurve],
+      ["PointsCurve", PointsCurve],
+      ["QuadraticCurve", QuadraticCurve],
+      ["UtilityAction", UtilityAction],
+    ]);
+  }
+
+  /**
+   * Adds an action to this reasoner.
+   * @param {UtilityAction} action - The action to add.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  addAction(action) {
+    this.actions.push(action);
+    return this;
+  }
+
+  /**
+   * Removes an action from this reasoner. The current action is terminated if removed.
+   * @param {UtilityAction} action - The action to remove.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  removeAction(action) {
+    const index = this.actions.indexOf(action);
+
+    if (index !== -1) {
+      this.actions.splice(index, 1);
+
+      if (action === this.currentAction) {
+        action.terminate(this.owner);
+        this.currentAction = null;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Scores all actions and returns the best one, taking the momentum of the
+   * current action into account.
+   * @return {?UtilityAction} The best action or null if no action scores above 0.
+   */
+  evaluate() {
+    let bestAction = null;
+    let bestScore = 0;
+
+    for (const action of this.actions) {
+      let score = action.score(this.owner);
+
+      if (action === this.currentAction) score *= 1 + this.momentum;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAction = action;
+      }
+    }
+
+    return bestAction;
+  }
+
+  /**
+   * Selects the best action, switches to it if necessary and executes it.
+   * @param {number} delta - The time delta in seconds.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  execute(delta) {
+    const action = this.evaluate();
+
+    if (action !== this.currentAction) {
+      if (this.currentAction !== null) this.currentAction.terminate(this.owner);
+      this.currentAction = action;
+      if (action !== null) action.activate(this.owner);
+    }
+
+    if (this.currentAction !== null) this.currentAction.execute(this.owner, delta);
+
+    return this;
+  }
+
+  /**
+   * Registers a custom action, consideration or curve type so it can be
+   * restored by {@link Reasoner#fromJSON}.
+   * @param {string} type - The type name.
+   * @param {Function} constructor - The constructor of the type.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  registerType(type, constructor) {
+    this._typesMap.set(type, constructor);
+    return this;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      owner: this.owner !== null ? this.owner.uuid : null,
+      actions: this.actions.map((action) => action.toJSON()),
+      currentAction: this.actions.indexOf(this.currentAction),
+      momentum: this.momentum,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. All custom types must have
+   * been registered via {@link Reasoner#registerType}.
+   * @param {Object} json - The JSON object.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  fromJSON(json) {
+    this.owner = json.owner;
+    this.momentum = json.momentum;
+
+    this.actions = json.actions.map((actionJSON) => {
+      const action = new (this._getType(actionJSON.type))().fromJSON(actionJSON);
+
+      action.considerations = actionJSON.considerations.map((considerationJSON) => {
+        const consideration = new (this._getType(considerationJSON.type))().fromJSON(considerationJSON);
+        consideration.curve = new (this._getType(considerationJSON.curve.type))().fromJSON(considerationJSON.curve);
+        return consideration;
+      });
+
+      return action;
+    });
+
+    this.currentAction = json.currentAction !== -1 ? this.actions[json.currentAction] : null;
+
+    return this;
+  }
+
+  /**
+   * Restores UUIDs with references to GameEntity objects.
+   * @param {Map<string, GameEntity>} entities - Maps game entities to UUIDs.
+   * @return {Reasoner} A reference to this reasoner.
+   */
+  resolveReferences(entities) {
+    this.owner = entities.get(this.owner) || null;
+    return this;
+  }
+
+  _getType(type) {
+    const ctor = this._typesMap.get(type);
+    if (ctor === undefined) {
+      throw new Error(`Reasoner: Unknown type "${type}". Use registerType() to register it.`);
+    }
+    return ctor;
+  }
+}
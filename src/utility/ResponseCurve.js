@@ -0,0 +1,43 @@
+/**
+ * Base class for response curves. A response curve maps a normalized input
+ * in the range [0,1] to a utility score in the range [0,1].
+ */
+export class ResponseCurve {
+  /**
+   * Computes the score for the given input. The result is clamped to [0,1].
+   * @param {number} x - The normalized input.
+   * @return {number} The score.
+   */
+  evaluate(x) {
+    const y = this.compute(Math.min(Math.max(x, 0), 1));
+    return Math.min(Math.max(y, 0), 1);
+  }
+
+  /**
+   * Computes the unclamped curve value. Subclasses have to implement this method.
+   * @param {number} x - The normalized input.
+   * @return {number} The curve value.
+   */
+  compute(/* x */) {
+    return 0;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {ResponseCurve} A reference to this response curve.
+   */
+  fromJSON(/* json */) {
+    return this;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Base class for actions of a {@link Reasoner}. The score of an action is the
+ * product of the scores of its considerations, multiplied by its weight.
+ * Since each additional consideration can only lower a product, the
+ * compensation factor makes up for the number of considerations. Derive from
+ * this class and implement the hooks to perform the actual action.
+ */
+export class UtilityAction {
+  /**
+   * Constructs a new utility action.
+   * @param {Array<Consideration>} considerations - The considerations rating this action.
+   * @param {number} weight - The factor applied to the final score.
+   */
+  constructor(considerations = [], weight = 1) {
+    /**
+     * The considerations rating this action.
+     * @type {Array<Consideration>}
+     */
+    this.considerations = considerations;
+
+    /**
+     * The factor applied to the final score, e.g. to prioritize emergency actions.
+     * @type {number}
+     * @default 1
+     */
+    this.weight = weight;
+
+    /**
+     * How much the score is compensated for the number of considerations.
+     * 0 disables the compensation, 1 applies it fully.
+     * @type {number}
+     * @default 1
+     */
+    this.compensationFactor = 1;
+  }
+
+  /**
+   * Adds a consideration to this action.
+   * @param {Consideration} consideration - The consideration to add.
+   * @return {UtilityAction} A reference to this action.
+   */
+  addConsideration(consideration) {
+    this.considerations.push(consideration);
+    return this;
+  }
+
+  /**
+   * Removes a consideration from this action.
+   * @param {Consideration} consideration - The consideration to remove.
+   * @return {UtilityAction} A reference to this action.
+   */
+  removeConsideration(consideration) {
+    const index = this.considerations.indexOf(consideration);
+    if (index !== -1) this.considerations.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Computes the score of this action for the given game entity.
+   * @param {GameEntity} owner - The game entity.
+   * @return {number} The score.
+   */
+  score(owner) {
+    const count = this.considerations.length;
+    if (count === 0) return 0;
+
+    // the compensation raises each score towards 1 depending on the number of considerations
+    const modification = (1 - 1 / count) * this.compensationFactor;
+    let score = 1;
+
+    for (const consideration of this.considerations) {
+      const value = consideration.score(owner);
+      score *= value + (1 - value) * modification * value;
+
+      if (score === 0) return 0;
+    }
+
+    return score * this.weight;
+  }
+
+  /**
+   * Executed when this action is selected.
+   * @param {GameEntity} owner - The game entity.
+   */
+  activate(/* owner */) {}
+
+  /**
+   * Executed in each update while this action is selected.
+   * @param {GameEntity} owner - The game entity.
+   * @param {number} delta - The time delta in seconds.
+   */
+  execute(/* owner, delta */) {}
+
+  /**
+   * Executed when another action is selected.
+   * @param {GameEntity} owner - The game entity.
+   */
+  terminate(/* owner */) {}
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    return {
+      type: this.constructor.name,
+      considerations: this.considerations.map((consideration) => consideration.toJSON()),
+      weight: this.weight,
+      compensationFactor: this.compensationFactor,
+    };
+  }
+
+  /**
+   * Restores this instance from a JSON object. The considerations are created
+   * by the {@link Reasoner} that owns the action.
+   * @param {Object} json - The JSON object.
+   * @return {UtilityAction} A reference to this action.
+   */
+  fromJSON(json) {
+    this.weight = json.weight;
+    this.compensationFactor = json.compensationFactor;
+    return this;
+  }
+}
@@ -0,0 +1,61 @@
+import { ResponseCurve } from "../ResponseCurve";
+
+/**
+ * A linear response curve: `y = slope * x + intercept`.
+ */
+export class LinearCurve extends ResponseCurve {
+  /**
+   * Constructs a new linear curve.
+   * @param {number} slope - The slope.
+   * @param {number} intercept - The value at x = 0.
+   */
+  constructor(slope = 1, intercept = 0) {
+    super();
+
+    /**
+     * The slope.
+     * @type {number}
+     * @default 1
+     */
+    this.slope = slope;
+
+    /**
+     * The value at x = 0.
+     * @type {number}
+     * @default 0
+     */
+    this.intercept = intercept;
+  }
+
+  /**
+   * Computes the unclamped curve value.
+   * @param {number} x - The normalized input.
+   * @return {number} The curve value.
+   */
+  compute(x) {
+    return this.slope * x + this.intercept;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.slope = this.slope;
+    json.intercept = this.intercept;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {LinearCurve} A reference to this response curve.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.slope = json.slope;
+    this.intercept = json.intercept;
+    return this;
+  }
+}
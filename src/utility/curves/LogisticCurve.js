@@ -0,0 +1,62 @@
+import { ResponseCurve } from "../ResponseCurve";
+
+/**
+ * A logistic (S-shaped) response curve: `y = 1 / (1 + e ^ (-steepness * (x - midpoint)))`.
+ * Negative steepness values mirror the curve.
+ */
+export class LogisticCurve extends ResponseCurve {
+  /**
+   * Constructs a new logistic curve.
+   * @param {number} steepness - The steepness of the curve at its midpoint.
+   * @param {number} midpoint - The input at which the curve is 0.5.
+   */
+  constructor(steepness = 10, midpoint = 0.5) {
+    super();
+
+    /**
+     * The steepness of the curve at its midpoint.
+     * @type {number}
+     * @default 10
+     */
+    this.steepness = steepness;
+
+    /**
+     * The input at which the curve is 0.5.
+     * @type {number}
+     * @default 0.5
+     */
+    this.midpoint = midpoint;
+  }
+
+  /**
+   * Computes the unclamped curve value.
+   * @param {number} x - The normalized input.
+   * @return {number} The curve value.
+   */
+  compute(x) {
+    return 1 / (1 + Math.exp(-this.steepness * (x - this.midpoint)));
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.steepness = this.steepness;
+    json.midpoint = this.midpoint;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {LogisticCurve} A reference to this response curve.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.steepness = json.steepness;
+    this.midpoint = json.midpoint;
+    return this;
+  }
+}
@@ -0,0 +1,66 @@
+import { ResponseCurve } from "../ResponseCurve";
+
+/**
+ * A custom response curve defined by points `[x, y]` sorted by x. Values
+ * between the points are interpolated linearly, values outside are held
+ * at the first or last point.
+ */
+export class PointsCurve extends ResponseCurve {
+  /**
+   * Constructs a new points curve.
+   * @param {Array<Array<number>>} points - The points `[x, y]` sorted by x.
+   */
+  constructor(points = []) {
+    super();
+
+    /**
+     * The points `[x, y]` sorted by x.
+     * @type {Array<Array<number>>}
+     */
+    this.points = points;
+  }
+
+  /**
+   * Computes the unclamped curve value.
+   * @param {number} x - The normalized input.
+   * @return {number} The curve value.
+   */
+  compute(x) {
+    const points = this.points;
+
+    if (points.length === 0) return 0;
+    if (x <= points[0][0]) return points[0][1];
+
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+
+      if (x <= x1) {
+        const [x0, y0] = points[i - 1];
+        return x1 === x0 ? y1 : y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.points = this.points.map((point) => point.slice());
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {PointsCurve} A reference to this response curve.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.points = json.points.map((point) => point.slice());
+    return this;
+  }
+}
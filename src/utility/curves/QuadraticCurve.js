@@ -0,0 +1,86 @@
+import { ResponseCurve } from "../ResponseCurve";
+
+/**
+ * A polynomial response curve: `y = slope * (x - shift) ^ exponent + intercept`.
+ * With the default exponent of 2, small inputs barely matter while large ones
+ * matter a lot. A fractional exponent has no real power of a negative base, so
+ * inputs left of the shift mirror the curve right of it: `-slope * (shift - x) ^ exponent`.
+ */
+export class QuadraticCurve extends ResponseCurve {
+  /**
+   * Constructs a new quadratic curve.
+   * @param {number} exponent - The exponent.
+   * @param {number} slope - The factor applied to the power.
+   * @param {number} shift - The horizontal shift.
+   * @param {number} intercept - The vertical shift.
+   */
+  constructor(exponent = 2, slope = 1, shift = 0, intercept = 0) {
+    super();
+
+    /**
+     * The exponent.
+     * @type {number}
+     * @default 2
+     */
+    this.exponent = exponent;
+
+    /**
+     * The factor applied to the power.
+     * @type {number}
+     * @default 1
+     */
+    this.slope = slope;
+
+    /**
+     * The horizontal shift.
+     * @type {number}
+     * @default 0
+     */
+    this.shift = shift;
+
+    /**
+     * The vertical shift.
+     * @type {number}
+     * @default 0
+     */
+    this.intercept = intercept;
+  }
+
+  /**
+   * Computes the unclamped curve value.
+   * @param {number} x - The normalized input.
+   * @return {number} The curve value.
+   */
+  compute(x) {
+    const d = x - this.shift;
+    const power = d < 0 && !Number.isInteger(this.exponent) ? -Math.pow(-d, this.exponent) : Math.pow(d, this.exponent);
+    return this.slope * power + this.intercept;
+  }
+
+  /**
+   * Converts this instance to a JSON object.
+   * @return {Object} The JSON object.
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.exponent = this.exponent;
+    json.slope = this.slope;
+    json.shift = this.shift;
+    json.intercept = this.intercept;
+    return json;
+  }
+
+  /**
+   * Restores this instance from a JSON object.
+   * @param {Object} json - The JSON object.
+   * @return {QuadraticCurve} A reference to this response curve.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.exponent = json.exponent;
+    this.slope = json.slope;
+    this.shift = json.shift;
+    this.intercept = json.intercept;
+    return this;
+  }
+}
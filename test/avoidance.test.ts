@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { Plane } from "@babylonjs/core/Maths/math.plane";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { ObstacleAvoidanceBehavior } from "../src/steering/behaviors/ObstacleAvoidanceBehavior";
+import { WallAvoidanceBehavior } from "../src/steering/behaviors/WallAvoidanceBehavior";
+
+function createObstacle(x, z, radius = 1) {
+  const obstacle = new GameEntity();
+  obstacle.position = new Vector3(x, 0, z);
+  obstacle.boundingRadius = radius;
+  return obstacle;
+}
+
+describe("Avoidance behaviors", () => {
+  let vehicle;
+  const force = new Vector3();
+
+  beforeEach(() => {
+    vehicle = new Vehicle();
+    vehicle.maxSpeed = 4;
+    vehicle.boundingRadius = 0.5;
+  });
+
+  describe("ObstacleAvoidanceBehavior", () => {
+    it("should steer away from and brake in front of an obstacle", () => {
+      const behavior = new ObstacleAvoidanceBehavior([createObstacle(0.5, 3)]);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeLessThan(0);
+      expect(force.z).toBeLessThan(0);
+    });
+
+    it("should produce no force for obstacles behind or beside the vehicle", () => {
+      const behavior = new ObstacleAvoidanceBehavior([createObstacle(0, -3), createObstacle(5, 2)]);
+      force.set(1, 1, 1);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should scale the detection box with the speed", () => {
+      const behavior = new ObstacleAvoidanceBehavior([createObstacle(0.5, 6)]);
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+
+      vehicle.velocity.set(0, 0, 4);
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force.x).toBeLessThan(0);
+    });
+
+    it("should react to the closest obstacle only", () => {
+      const near = createObstacle(-0.5, 2);
+      const far = createObstacle(0.5, 3.5);
+      const behavior = new ObstacleAvoidanceBehavior([far, near]);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeGreaterThan(0);
+    });
+
+    it("should work in the local space of rotated and parented vehicles", () => {
+      const parent = new GameEntity();
+      parent.position = new Vector3(10, 0, 0);
+      parent.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 2);
+      parent.add(vehicle);
+
+      // the vehicle faces world +x, so the obstacle lies ahead, slightly to its left
+      const behavior = new ObstacleAvoidanceBehavior([createObstacle(13, 0.5)]);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeLessThan(0);
+      expect(force.z).toBeLessThan(0);
+    });
+
+    it("should point the detection box along a custom forward vector", () => {
+      vehicle.forward = new Vector3(1, 0, 0);
+
+      const ahead = new ObstacleAvoidanceBehavior([createObstacle(3, -0.5)]);
+      ahead.calculate(vehicle, force, 0.016);
+      expect(force.z).toBeGreaterThan(0);
+      expect(force.x).toBeLessThan(0);
+
+      const beside = new ObstacleAvoidanceBehavior([createObstacle(0, 3)]);
+      force.set(1, 1, 1);
+      beside.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+  });
+
+  describe("WallAvoidanceBehavior", () => {
+    it("should cast the feelers along a custom forward vector", () => {
+      vehicle.forward = new Vector3(1, 0, 0);
+      const wall = { start: new Vector3(3, 0, -5), end: new Vector3(3, 0, 5) };
+      const behavior = new WallAvoidanceBehavior([wall], 4);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeCloseTo(-1);
+      expect(force.z).toBeCloseTo(0);
+
+      wall.start.set(-5, 0, 3);
+      wall.end.set(5, 0, 3);
+      force.set(1, 1, 1);
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should push the vehicle away from a wall segment", () => {
+      const wall = { start: new Vector3(-5, 0, 3), end: new Vector3(5, 0, 3) };
+      const behavior = new WallAvoidanceBehavior([wall], 4);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeCloseTo(0);
+      expect(force.z).toBeCloseTo(-1);
+    });
+
+    it("should ignore walls out of reach of the feelers", () => {
+      const walls = [
+        { start: new Vector3(-5, 0, 5), end: new Vector3(5, 0, 5) },
+        { start: new Vector3(1, 0, -5), end: new Vector3(5, 0, -5) },
+      ];
+      const behavior = new WallAvoidanceBehavior(walls, 4);
+      force.set(1, 1, 1);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should detect walls with the side feelers", () => {
+      const wall = { start: new Vector3(1, 0, -5), end: new Vector3(1, 0, 5) };
+      const behavior = new WallAvoidanceBehavior([wall], 4);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeCloseTo(Math.SQRT2 - 2);
+      expect(force.z).toBeCloseTo(0);
+    });
+
+    it("should push the vehicle away from a plane", () => {
+      const plane = Plane.FromPositionAndNormal(new Vector3(0, 0, 2), new Vector3(0, 0, 1));
+      const behavior = new WallAvoidanceBehavior([plane], 4);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.z).toBeCloseTo(-2);
+    });
+
+    it("should cast the feelers in the local space of the vehicle", () => {
+      vehicle.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI);
+      const wall = { start: new Vector3(-5, 0, 3), end: new Vector3(5, 0, 3) };
+      const behavior = new WallAvoidanceBehavior([wall], 4);
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+
+      wall.start.z = wall.end.z = -3;
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force.z).toBeCloseTo(1);
+    });
+  });
+
+  it("should round-trip avoidance behaviors with their vehicle", () => {
+    const obstacle = createObstacle(0, 3);
+    const walls = [{ start: new Vector3(-5, 0, 3), end: new Vector3(5, 0, 3) }, new Plane(1, 0, 0, -4)];
+    vehicle.steering.add(new ObstacleAvoidanceBehavior([obstacle], 0.5, 6)).add(new WallAvoidanceBehavior(walls, 3, 0.5));
+
+    const manager = new EntityManager().add(vehicle).add(obstacle);
+    const restored = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const [obstacleAvoidance, wallAvoidance] = restored.entities[0].steering.behaviors;
+
+    expect(obstacleAvoidance).toBeInstanceOf(ObstacleAvoidanceBehavior);
+    expect(obstacleAvoidance.obstacles).toEqual([restored.entities[1]]);
+    expect(obstacleAvoidance.brakingWeight).toBe(0.5);
+    expect(obstacleAvoidance.dBoxMinLength).toBe(6);
+
+    expect(wallAvoidance).toBeInstanceOf(WallAvoidanceBehavior);
+    expect(wallAvoidance.feelerLength).toBe(3);
+    expect(wallAvoidance.feelerAngle).toBe(0.5);
+    expect(wallAvoidance.walls[0].end).toEqual(new Vector3(5, 0, 3));
+    expect(wallAvoidance.walls[1]).toBeInstanceOf(Plane);
+    expect(wallAvoidance.walls[1].d).toBe(-4);
+  });
+});
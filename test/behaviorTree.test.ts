@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { BehaviorTree } from "../src/bt/BehaviorTree";
+import { BTNode } from "../src/bt/BTNode";
+import { Sequence } from "../src/bt/composites/Sequence";
+import { Selector } from "../src/bt/composites/Selector";
+import { Parallel } from "../src/bt/composites/Parallel";
+import { Inverter } from "../src/bt/decorators/Inverter";
+import { Repeater } from "../src/bt/decorators/Repeater";
+import { Cooldown } from "../src/bt/decorators/Cooldown";
+import { Condition } from "../src/bt/leaves/Condition";
+import { Action } from "../src/bt/leaves/Action";
+import { Blackboard } from "../src/bt/Blackboard";
+
+const { SUCCESS, FAILURE, RUNNING } = BTNode.STATUS;
+
+// An action that returns the given results one after another, repeating the last one
+function sequenceOf(...results) {
+  let index = 0;
+  return new Action(() => results[Math.min(index++, results.length - 1)]);
+}
+
+class IsHungry extends Condition {
+  check(owner) {
+    return owner.hunger > 0.5;
+  }
+}
+
+class Eat extends Action {
+  constructor() {
+    super();
+    this.amount = 0.1;
+  }
+
+  run(owner) {
+    owner.hunger = Math.max(0, owner.hunger - this.amount);
+    return owner.hunger > 0 ? RUNNING : SUCCESS;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    if (json.amount !== undefined) this.amount = json.amount;
+    return this;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.amount = this.amount;
+    return json;
+  }
+}
+
+class Animal extends GameEntity {
+  constructor() {
+    super();
+    this.hunger = 0;
+    this.brain = new BehaviorTree(this);
+    this.brain.registerType("IsHungry", IsHungry).registerType("Eat", Eat);
+  }
+
+  update(delta) {
+    this.brain.tick(delta);
+    return super.update(delta);
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.hunger = this.hunger;
+    json.brain = this.brain.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.hunger = json.hunger;
+    this.brain.fromJSON(json.brain);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.brain.resolveReferences(entities);
+    return this;
+  }
+}
+
+describe("BehaviorTree", () => {
+  let tree;
+
+  beforeEach(() => {
+    tree = new BehaviorTree(new GameEntity());
+  });
+
+  describe("composites", () => {
+    it("Sequence should succeed if all children succeed and resume running children", () => {
+      const first = vi.fn(() => SUCCESS);
+      tree.root = new Sequence([new Action(first), sequenceOf(RUNNING, SUCCESS), new Action(() => true)]);
+
+      expect(tree.tick(0.1)).toBe(RUNNING);
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(first).toHaveBeenCalledTimes(1);
+    });
+
+    it("Sequence should fail with its first failing child", () => {
+      const last = vi.fn();
+      tree.root = new Sequence([new Action(() => SUCCESS), new Condition(() => false), new Action(last)]);
+
+      expect(tree.tick(0.1)).toBe(FAILURE);
+      expect(last).not.toHaveBeenCalled();
+    });
+
+    it("Selector should succeed with its first succeeding child", () => {
+      const last = vi.fn();
+      tree.root = new Selector([new Condition(() => false), sequenceOf(RUNNING, SUCCESS), new Action(last)]);
+
+      expect(tree.tick(0.1)).toBe(RUNNING);
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(last).not.toHaveBeenCalled();
+
+      tree.root = new Selector([new Condition(() => false), new Action(() => false)]);
+      expect(tree.tick(0.1)).toBe(FAILURE);
+    });
+
+    it("Parallel should tick all children and apply its policies", () => {
+      const fast = vi.fn(() => SUCCESS);
+      tree.root = new Parallel([new Action(fast), sequenceOf(RUNNING, SUCCESS)]);
+
+      expect(tree.tick(0.1)).toBe(RUNNING);
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(fast).toHaveBeenCalledTimes(1);
+
+      tree.root = new Parallel([sequenceOf(RUNNING), new Action(() => FAILURE)]);
+      expect(tree.tick(0.1)).toBe(FAILURE);
+
+      tree.root = new Parallel(
+        [sequenceOf(RUNNING), new Action(() => SUCCESS)],
+        Parallel.POLICY.REQUIRE_ONE,
+        Parallel.POLICY.REQUIRE_ALL
+      );
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+    });
+  });
+
+  describe("decorators", () => {
+    it("Inverter should invert results and pass running through", () => {
+      tree.root = new Inverter(sequenceOf(SUCCESS, FAILURE, RUNNING));
+
+      expect(tree.tick(0.1)).toBe(FAILURE);
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(tree.tick(0.1)).toBe(RUNNING);
+    });
+
+    it("Repeater should repeat its child a number of times", () => {
+      const action = vi.fn(() => FAILURE);
+      tree.root = new Repeater(new Action(action), 3);
+
+      expect(tree.tick(0.1)).toBe(RUNNING);
+      expect(tree.tick(0.1)).toBe(RUNNING);
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(action).toHaveBeenCalledTimes(3);
+
+      tree.root = new Repeater(new Action(() => SUCCESS));
+      for (let i = 0; i < 10; i++) expect(tree.tick(0.1)).toBe(RUNNING);
+    });
+
+    it("Cooldown should block its child after it finished", () => {
+      const action = vi.fn(() => SUCCESS);
+      tree.root = new Cooldown(new Action(action), 1);
+
+      expect(tree.tick(0.1)).toBe(SUCCESS);
+      expect(tree.tick(0.5)).toBe(FAILURE);
+      expect(tree.tick(0.5)).toBe(SUCCESS);
+      expect(action).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("leaves", () => {
+    it("should pass the owner, the blackboard and the delta", () => {
+      const callback = vi.fn();
+      tree.blackboard.set("target", "player");
+      tree.root = new Sequence([new Condition((owner, blackboard) => blackboard.get("target") === "player"), new Action(callback)]);
+
+      expect(tree.tick(0.25)).toBe(SUCCESS);
+      expect(callback).toHaveBeenCalledWith(tree.owner, tree.blackboard, 0.25);
+    });
+
+    it("should fail without a callback", () => {
+      tree.root = new Selector([new Condition(), new Action()]);
+      expect(tree.tick(0.1)).toBe(FAILURE);
+    });
+  });
+
+  it("should reset running nodes", () => {
+    const first = vi.fn(() => SUCCESS);
+    tree.root = new Sequence([new Action(first), sequenceOf(RUNNING)]);
+
+    tree.tick(0.1);
+    tree.reset();
+    tree.tick(0.1);
+
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(tree.root.children[1].status).toBe(RUNNING);
+  });
+
+  it("should be built from a JSON description", () => {
+    const animal = new Animal();
+    animal.hunger = 0.8;
+    animal.brain.fromJSON({
+      root: {
+        type: "Selector",
+        children: [
+          { type: "Sequence", children: [{ type: "IsHungry" }, { type: "Eat", amount: 0.4 }] },
+          { type: "Inverter", child: { type: "Condition" } },
+        ],
+      },
+    });
+
+    expect(animal.brain.root.children[0].children[1].amount).toBe(0.4);
+
+    animal.update(0.1);
+    expect(animal.hunger).toBeCloseTo(0.4);
+    expect(animal.brain.status).toBe(RUNNING);
+
+    animal.update(0.1);
+    expect(animal.hunger).toBe(0);
+    expect(animal.brain.status).toBe(SUCCESS);
+
+    animal.update(0.1);
+    expect(animal.brain.status).toBe(SUCCESS);
+  });
+
+  it("should reject unregistered node types", () => {
+    expect(() => tree.fromJSON({ root: { type: "Patrol" } })).toThrow(/Patrol/);
+  });
+
+  it("should round-trip with its owner and blackboard", () => {
+    const animal = new Animal();
+    const prey = new GameEntity();
+    animal.hunger = 0.8;
+    animal.brain.blackboard.set("prey", prey).set("meals", 2);
+    animal.brain.root = new Cooldown(new Sequence([new IsHungry(), new Eat()]), 5);
+    animal.update(0.1);
+
+    const manager = new EntityManager().registerType("Animal", Animal);
+    manager.add(animal).add(prey);
+
+    const restored = new EntityManager().registerType("Animal", Animal);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const [restoredAnimal, restoredPrey] = restored.entities;
+    const brain = restoredAnimal.brain;
+
+    expect(brain.owner).toBe(restoredAnimal);
+    expect(brain.blackboard.get("prey")).toBe(restoredPrey);
+    expect(brain.blackboard.get("meals")).toBe(2);
+    expect(brain.elapsed).toBeCloseTo(0.1);
+    expect(brain.root).toBeInstanceOf(Cooldown);
+    expect(brain.root.child.children[1]).toBeInstanceOf(Eat);
+
+    // the sequence resumes with the running eat action
+    restoredAnimal.update(0.1);
+    expect(restoredAnimal.hunger).toBeCloseTo(0.6);
+  });
+
+  it("should restore vectors and quaternions of the blackboard", () => {
+    const blackboard = new Blackboard();
+    blackboard.set("destination", new Vector3(1, 2, 3)).set("heading", new Quaternion(0, 1, 0, 0)).set("path", [1, 2]);
+
+    const restored = new Blackboard().fromJSON(JSON.parse(JSON.stringify(blackboard.toJSON())));
+
+    expect(restored.get("destination")).toBeInstanceOf(Vector3);
+    expect(restored.get("destination")).toEqual(new Vector3(1, 2, 3));
+    expect(restored.get("heading")).toBeInstanceOf(Quaternion);
+    expect(restored.get("heading")).toEqual(new Quaternion(0, 1, 0, 0));
+    expect(restored.get("path")).toEqual([1, 2]);
+  });
+});
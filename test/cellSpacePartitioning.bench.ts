@@ -0,0 +1,38 @@
+import { describe, bench } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { CellSpacePartitioning } from "../src/partitioning/CellSpacePartitioning";
+
+const count = 2000;
+const radius = 3;
+
+// Both managers get a crowd at the same random positions
+function createManager(positions, spatialIndex = null) {
+  const manager = new EntityManager();
+  manager.spatialIndex = spatialIndex;
+
+  for (const [x, z] of positions) {
+    const entity = new GameEntity();
+    entity.position = new Vector3(x, 0, z);
+    entity.updateNeighborhood = true;
+    entity.neighborhoodRadius = radius;
+    manager.add(entity);
+  }
+
+  return manager;
+}
+
+const positions = Array.from({ length: count }, () => [Math.random() * 200 - 100, Math.random() * 200 - 100]);
+const brute = createManager(positions);
+const partitioned = createManager(positions, new CellSpacePartitioning(200, 10, 200, 40, 1, 40));
+
+describe(`neighborhood queries for ${count} entities`, () => {
+  bench("brute force", () => {
+    brute.update(0.016);
+  });
+
+  bench("cell space partitioning", () => {
+    partitioned.update(0.016);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { CellSpacePartitioning } from "../src/partitioning/CellSpacePartitioning";
+
+function createEntity(x, y, z) {
+  const entity = new GameEntity();
+  entity.position = new Vector3(x, y, z);
+  return entity;
+}
+
+describe("CellSpacePartitioning", () => {
+  let index;
+
+  beforeEach(() => {
+    index = new CellSpacePartitioning(100, 10, 100, 10, 1, 10);
+  });
+
+  it("should create cells covering the space", () => {
+    expect(index.cells.length).toBe(100);
+    expect(index.cells[0].min).toEqual(new Vector3(-50, -5, -50));
+    expect(index.cells[99].max).toEqual(new Vector3(50, 5, 50));
+  });
+
+  it("should reject invalid cell counts", () => {
+    expect(() => new CellSpacePartitioning(10, 10, 10, 0, 1, 1)).toThrow();
+  });
+
+  it("should compute the partition index for a position", () => {
+    expect(index.getIndexForPosition(new Vector3(-50, 0, -50))).toBe(0);
+    expect(index.getIndexForPosition(new Vector3(-35, 0, -50))).toBe(1);
+    expect(index.getIndexForPosition(new Vector3(-50, 0, -35))).toBe(10);
+    expect(index.getIndexForPosition(new Vector3(49, 0, 49))).toBe(99);
+  });
+
+  it("should clamp positions outside of the space to border cells", () => {
+    expect(index.getIndexForPosition(new Vector3(-500, 0, -500))).toBe(0);
+    expect(index.getIndexForPosition(new Vector3(500, 100, 500))).toBe(99);
+  });
+
+  it("should respect a custom center", () => {
+    const shifted = new CellSpacePartitioning(10, 10, 10, 2, 1, 1, new Vector3(100, 0, 0));
+    expect(shifted.getIndexForPosition(new Vector3(96, 0, 0))).toBe(0);
+    expect(shifted.getIndexForPosition(new Vector3(104, 0, 0))).toBe(1);
+  });
+
+  it("should move entities between cells as they move", () => {
+    const entity = createEntity(-45, 0, -45);
+    let current = index.updateEntity(entity);
+    expect(index.cells[current].entries).toContain(entity);
+
+    entity.position = new Vector3(45, 0, 45);
+    const previous = current;
+    current = index.updateEntity(entity, current);
+
+    expect(index.cells[previous].entries).not.toContain(entity);
+    expect(index.cells[current].entries).toContain(entity);
+  });
+
+  it("should query entities in cells overlapping the radius", () => {
+    const near = createEntity(1, 0, 1);
+    const far = createEntity(40, 0, 40);
+    index.updateEntity(near);
+    index.updateEntity(far);
+
+    const result = index.query(new Vector3(0, 0, 0), 5);
+    expect(result).toContain(near);
+    expect(result).not.toContain(far);
+  });
+
+  it("should empty all cells", () => {
+    index.updateEntity(createEntity(0, 0, 0));
+    index.makeEmpty();
+    expect(index.cells.every((cell) => cell.empty())).toBe(true);
+  });
+
+  describe("EntityManager integration", () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new EntityManager();
+      manager.spatialIndex = index;
+    });
+
+    it("should fill neighbors from the spatial index", () => {
+      const entity = createEntity(0, 0, 0);
+      entity.updateNeighborhood = true;
+      entity.neighborhoodRadius = 5;
+      const near = createEntity(3, 0, 0);
+      const sameCellButFar = createEntity(6, 0, 0);
+      const far = createEntity(30, 0, 0);
+      manager.add(entity).add(near).add(sameCellButFar).add(far);
+
+      manager.update(0.016);
+      expect(entity.neighbors).toEqual([near]);
+    });
+
+    it("should track moving entities", () => {
+      const entity = createEntity(0, 0, 0);
+      entity.updateNeighborhood = true;
+      entity.neighborhoodRadius = 5;
+      const other = createEntity(40, 0, 40);
+      manager.add(entity).add(other);
+
+      manager.update(0.016);
+      expect(entity.neighbors).toEqual([]);
+
+      other.position = new Vector3(2, 0, 2);
+      manager.update(0.016);
+      expect(entity.neighbors).toEqual([other]);
+    });
+
+    it("should query neighbors of children at their world position", () => {
+      const parent = createEntity(20, 0, 0);
+      const child = createEntity(1, 0, 0);
+      child.updateNeighborhood = true;
+      child.neighborhoodRadius = 2;
+      parent.add(child);
+      const near = createEntity(22, 0, 0);
+      const nearLocalPosition = createEntity(1, 0, 1);
+      manager.add(parent).add(near).add(nearLocalPosition);
+
+      manager.update(0.016);
+      expect(new Set(child.neighbors)).toEqual(new Set([parent, near]));
+
+      // the same neighbors without a spatial index
+      manager.spatialIndex = null;
+      manager.update(0.016);
+      expect(new Set(child.neighbors)).toEqual(new Set([parent, near]));
+    });
+
+    it("should remove entities from the spatial index", () => {
+      const entity = createEntity(0, 0, 0);
+      manager.add(entity);
+      manager.update(0.016);
+
+      manager.remove(entity);
+      expect(index.query(new Vector3(0, 0, 0), 1)).not.toContain(entity);
+    });
+  });
+
+  describe("Large crowds", () => {
+    it("should find the same neighbors as brute force queries", () => {
+      const count = 2000;
+      const radius = 3;
+      const entities = [];
+
+      const brute = new EntityManager();
+      const partitioned = new EntityManager();
+      partitioned.spatialIndex = new CellSpacePartitioning(200, 10, 200, 40, 1, 40);
+
+      for (let i = 0; i < count; i++) {
+        const entity = createEntity(Math.random() * 200 - 100, 0, Math.random() * 200 - 100);
+        entity.updateNeighborhood = true;
+        entity.neighborhoodRadius = radius;
+        entities.push(entity);
+      }
+
+      const collect = (manager) => {
+        for (const entity of entities) manager.add(entity);
+        manager.update(0.016);
+        const neighbors = entities.map((entity) => new Set(entity.neighbors));
+        manager.clear();
+        return neighbors;
+      };
+
+      const bruteNeighbors = collect(brute);
+      const partitionedNeighbors = collect(partitioned);
+
+      for (let i = 0; i < count; i++) {
+        expect(partitionedNeighbors[i]).toEqual(bruteNeighbors[i]);
+      }
+    });
+  });
+});
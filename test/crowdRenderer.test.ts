@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3, Matrix } from "@babylonjs/core/Maths/math.vector";
+import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
+import { UniversalCamera } from "@babylonjs/core/Cameras/universalCamera";
+import "@babylonjs/core/Meshes/thinInstanceMesh";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { CrowdRenderer } from "../src/rendering/CrowdRenderer";
+
+function createEntity(x, z = 0) {
+  const entity = new GameEntity();
+  entity.position = new Vector3(x, 0, z);
+  return entity;
+}
+
+// Reads the matrix of a thin instance from the buffer of the mesh
+function translationAt(mesh, index) {
+  return Matrix.FromArray(mesh._thinInstanceDataStorage.matrixData, index * 16).getTranslation();
+}
+
+describe("CrowdRenderer", () => {
+  let engine;
+  let scene;
+  let mesh;
+
+  beforeEach(() => {
+    engine = new NullEngine();
+    scene = new Scene(engine);
+    new UniversalCamera("camera", Vector3.Zero(), scene);
+    mesh = MeshBuilder.CreateBox("box", {}, scene);
+  });
+
+  afterEach(() => {
+    scene.dispose();
+    engine.dispose();
+  });
+
+  it("should map entities to thin instances", () => {
+    const renderer = new CrowdRenderer(mesh);
+    const entities = [createEntity(1), createEntity(2), createEntity(3)];
+    for (const entity of entities) renderer.add(entity);
+    renderer.add(entities[0]);
+
+    expect(mesh.thinInstanceCount).toBe(3);
+    expect(renderer.entities).toEqual(entities);
+    expect(renderer.getIndex(entities[2])).toBe(2);
+    expect(renderer.getIndex(new GameEntity())).toBe(-1);
+    expect(translationAt(mesh, 2)).toEqual(new Vector3(3, 0, 0));
+    expect(entities.every((entity) => entity._transformDirty === false)).toBe(true);
+  });
+
+  it("should only upload the matrices of changed entities", () => {
+    const renderer = new CrowdRenderer(mesh);
+    const entities = [createEntity(1), createEntity(2), createEntity(3), createEntity(4)];
+    for (const entity of entities) renderer.add(entity);
+    renderer.update();
+
+    const upload = vi.spyOn(mesh, "thinInstancePartialBufferUpdate");
+    renderer.update();
+    expect(upload).not.toHaveBeenCalled();
+
+    entities[2].position = new Vector3(0, 5, 0);
+    renderer.update();
+
+    expect(upload).toHaveBeenCalledTimes(1);
+    const [kind, data, offset] = upload.mock.calls[0];
+    expect(kind).toBe("matrix");
+    expect(offset).toBe(32);
+    expect(data.length).toBe(16);
+    expect(translationAt(mesh, 2)).toEqual(new Vector3(0, 5, 0));
+    expect(translationAt(mesh, 1)).toEqual(new Vector3(2, 0, 0));
+  });
+
+  it("should update children of moved entities", () => {
+    const renderer = new CrowdRenderer(mesh);
+    const parent = createEntity(0);
+    const child = createEntity(1);
+    parent.add(child);
+    renderer.add(child).update();
+
+    parent.position = new Vector3(0, 0, 10);
+    renderer.update();
+
+    expect(translationAt(mesh, 0)).toEqual(new Vector3(1, 0, 10));
+  });
+
+  it("should compact the slots when removing entities", () => {
+    const renderer = new CrowdRenderer(mesh);
+    const [a, b, c] = [createEntity(1), createEntity(2), createEntity(3)];
+    renderer.add(a).add(b).add(c).update();
+
+    renderer.remove(a).update();
+    expect(mesh.thinInstanceCount).toBe(2);
+    expect(renderer.has(a)).toBe(false);
+    expect(renderer.entities).toEqual([c, b]);
+    expect(renderer.getIndex(c)).toBe(0);
+    expect(translationAt(mesh, 0)).toEqual(new Vector3(3, 0, 0));
+
+    // the moved entity keeps writing into its new slot
+    c.position = new Vector3(7, 0, 0);
+    renderer.remove(b).remove(b).update();
+    expect(mesh.thinInstanceCount).toBe(1);
+    expect(translationAt(mesh, 0)).toEqual(new Vector3(7, 0, 0));
+  });
+
+  it("should grow the buffer beyond its capacity", () => {
+    const renderer = new CrowdRenderer(mesh, 2);
+    const entities = [];
+    for (let i = 0; i < 5; i++) {
+      entities.push(createEntity(i));
+      renderer.add(entities[i]);
+    }
+
+    expect(renderer.capacity).toBe(8);
+    expect(mesh.thinInstanceCount).toBe(5);
+    for (let i = 0; i < 5; i++) expect(translationAt(mesh, i)).toEqual(new Vector3(i, 0, 0));
+
+    entities[0].position = new Vector3(0, 0, 9);
+    renderer.update();
+    expect(translationAt(mesh, 0)).toEqual(new Vector3(0, 0, 9));
+  });
+
+  it("should hide the mesh while the crowd is empty", () => {
+    const renderer = new CrowdRenderer(mesh);
+    expect(mesh.isVisible).toBe(false);
+
+    renderer.add(createEntity(1));
+    expect(mesh.isVisible).toBe(true);
+
+    renderer.clear();
+    expect(mesh.isVisible).toBe(false);
+    expect(mesh.thinInstanceCount).toBe(0);
+    expect(() => new CrowdRenderer(null)).toThrow(/CrowdRenderer/);
+  });
+
+  it("should keep a mesh hidden by the application hidden", () => {
+    const renderer = new CrowdRenderer(mesh);
+    renderer.add(createEntity(1));
+
+    mesh.isVisible = false;
+    renderer.add(createEntity(2));
+    expect(mesh.isVisible).toBe(false);
+
+    renderer.clear();
+    renderer.add(createEntity(3));
+    expect(mesh.isVisible).toBe(false);
+
+    mesh.isVisible = true;
+    renderer.remove(renderer.entities[0]);
+    expect(mesh.isVisible).toBe(false);
+    renderer.add(createEntity(4));
+    expect(mesh.isVisible).toBe(true);
+  });
+
+  it("should render a moving crowd after the entity manager", () => {
+    const manager = new EntityManager();
+    const renderer = new CrowdRenderer(mesh);
+
+    for (let i = 0; i < 200; i++) {
+      const vehicle = new Vehicle();
+      vehicle.position = new Vector3(i % 20, 0, Math.floor(i / 20));
+      vehicle.velocity.set(0, 0, 1);
+      manager.add(vehicle);
+      renderer.add(vehicle);
+    }
+
+    manager.attachToScene(scene);
+    renderer.attachToScene(scene);
+    scene.render();
+    manager.update(1);
+    scene.render();
+
+    expect(mesh.hasThinInstances).toBe(true);
+    expect(mesh.getBoundingInfo().boundingBox.maximumWorld.z).toBeGreaterThan(9.5);
+
+    for (const [index, vehicle] of renderer.entities.entries()) {
+      expect(translationAt(mesh, index).equalsWithEpsilon(vehicle.position, 1e-5)).toBe(true);
+    }
+
+    renderer.detachFromScene();
+    manager.update(1);
+    scene.render();
+    expect(translationAt(mesh, 0).equalsWithEpsilon(renderer.entities[0].position, 1e-5)).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { UniversalCamera } from "@babylonjs/core/Cameras/universalCamera";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+
+describe("EntityManager", () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new EntityManager();
+  });
+
+  describe("Entity Management", () => {
+    it("should add an entity and set its manager", () => {
+      const entity = new GameEntity();
+      manager.add(entity);
+
+      expect(manager.entities).toContain(entity);
+      expect(entity.manager).toBe(manager);
+    });
+
+    it("should not add the same entity twice", () => {
+      const entity = new GameEntity();
+      manager.add(entity).add(entity);
+      expect(manager.entities.length).toBe(1);
+    });
+
+    it("should move an entity from its previous manager", () => {
+      const entity = new GameEntity();
+      const other = new EntityManager();
+      other.add(entity);
+      manager.add(entity);
+
+      expect(other.entities).not.toContain(entity);
+      expect(entity.manager).toBe(manager);
+    });
+
+    it("should remove an entity and clear its manager", () => {
+      const entity = new GameEntity();
+      manager.add(entity).remove(entity);
+
+      expect(manager.entities).not.toContain(entity);
+      expect(entity.manager).toBeNull();
+    });
+
+    it("should clear all entities", () => {
+      const a = new GameEntity();
+      const b = new GameEntity();
+      manager.add(a).add(b).clear();
+
+      expect(manager.entities.length).toBe(0);
+      expect(a.manager).toBeNull();
+      expect(b.manager).toBeNull();
+    });
+
+    it("should find an entity by name", () => {
+      const entity = new GameEntity();
+      entity.name = "Player";
+      manager.add(entity);
+
+      expect(manager.getEntityByName("Player")).toBe(entity);
+      expect(manager.getEntityByName("Enemy")).toBeNull();
+    });
+  });
+
+  describe("Update", () => {
+    it("should call start once before the first update", () => {
+      const entity = new GameEntity();
+      const start = vi.spyOn(entity, "start");
+      const update = vi.spyOn(entity, "update");
+      manager.add(entity);
+
+      manager.update(0.016);
+      manager.update(0.016);
+
+      expect(start).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledTimes(2);
+      expect(update).toHaveBeenCalledWith(0.016);
+      expect(start.mock.invocationCallOrder[0]).toBeLessThan(update.mock.invocationCallOrder[0]);
+    });
+
+    it("should update children after their parent", () => {
+      const order = [];
+      const parent = new GameEntity();
+      const child = new GameEntity();
+      parent.add(child);
+      vi.spyOn(parent, "update").mockImplementation(() => order.push("parent"));
+      vi.spyOn(child, "update").mockImplementation(() => order.push("child"));
+      manager.add(parent);
+
+      manager.update(0.016);
+      expect(order).toEqual(["parent", "child"]);
+    });
+
+    it("should skip inactive entities and their children", () => {
+      const parent = new GameEntity();
+      const child = new GameEntity();
+      parent.add(child);
+      parent.active = false;
+      const parentUpdate = vi.spyOn(parent, "update");
+      const childUpdate = vi.spyOn(child, "update");
+      manager.add(parent);
+
+      manager.update(0.016);
+      expect(parentUpdate).not.toHaveBeenCalled();
+      expect(childUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Scene Binding", () => {
+    let engine;
+    let scene;
+
+    beforeEach(() => {
+      engine = new NullEngine();
+      scene = new Scene(engine);
+      new UniversalCamera("camera", Vector3.Zero(), scene);
+    });
+
+    afterEach(() => {
+      scene.dispose();
+      engine.dispose();
+    });
+
+    it("should update entities before each render", () => {
+      const entity = new GameEntity();
+      const update = vi.spyOn(entity, "update");
+      manager.add(entity).attachToScene(scene);
+
+      scene.render();
+      scene.render();
+      expect(update).toHaveBeenCalledTimes(2);
+    });
+
+    it("should stop updating after detaching", () => {
+      const entity = new GameEntity();
+      const update = vi.spyOn(entity, "update");
+      manager.add(entity).attachToScene(scene);
+
+      scene.render();
+      manager.detachFromScene();
+      scene.render();
+      expect(update).toHaveBeenCalledTimes(1);
+    });
+  });
+});
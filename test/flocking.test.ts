@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { SeparationBehavior } from "../src/steering/behaviors/SeparationBehavior";
+import { AlignmentBehavior } from "../src/steering/behaviors/AlignmentBehavior";
+import { CohesionBehavior } from "../src/steering/behaviors/CohesionBehavior";
+import { WanderBehavior } from "../src/steering/behaviors/WanderBehavior";
+
+describe("Flocking", () => {
+  let manager;
+  const force = new Vector3();
+
+  beforeEach(() => {
+    manager = new EntityManager();
+  });
+
+  describe("Neighborhood", () => {
+    it("should fill neighbors within the neighborhood radius", () => {
+      const entity = new GameEntity();
+      entity.updateNeighborhood = true;
+      entity.neighborhoodRadius = 2;
+
+      const near = new GameEntity();
+      near.position = new Vector3(1, 0, 0);
+      const far = new GameEntity();
+      far.position = new Vector3(5, 0, 0);
+      const inactive = new GameEntity();
+      inactive.active = false;
+
+      manager.add(entity).add(near).add(far).add(inactive);
+      manager.update(0.016);
+
+      expect(entity.neighbors).toEqual([near]);
+    });
+
+    it("should not touch neighbors when updateNeighborhood is disabled", () => {
+      const entity = new GameEntity();
+      const other = new GameEntity();
+      manager.add(entity).add(other);
+      manager.update(0.016);
+
+      expect(entity.neighbors).toEqual([]);
+    });
+
+    it("should refresh neighbors every tick", () => {
+      const entity = new GameEntity();
+      entity.updateNeighborhood = true;
+      const other = new GameEntity();
+      manager.add(entity).add(other);
+
+      manager.update(0.016);
+      expect(entity.neighbors).toEqual([other]);
+
+      other.position = new Vector3(10, 0, 0);
+      manager.update(0.016);
+      expect(entity.neighbors).toEqual([]);
+    });
+  });
+
+  describe("Behaviors", () => {
+    let vehicle;
+
+    beforeEach(() => {
+      vehicle = new Vehicle();
+    });
+
+    it("separation should push away from neighbors", () => {
+      const neighbor = new GameEntity();
+      neighbor.position = new Vector3(0.5, 0, 0);
+      vehicle.neighbors.push(neighbor);
+
+      new SeparationBehavior().calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(-2);
+    });
+
+    it("alignment should steer towards the average heading", () => {
+      const neighbor = new GameEntity();
+      neighbor.lookAt(new Vector3(1, 0, 0));
+      vehicle.neighbors.push(neighbor);
+
+      new AlignmentBehavior().calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(1);
+      expect(force.z).toBeCloseTo(-1);
+    });
+
+    it("cohesion should steer towards the center of mass", () => {
+      const a = new GameEntity();
+      a.position = new Vector3(2, 0, 2);
+      const b = new GameEntity();
+      b.position = new Vector3(2, 0, -2);
+      vehicle.neighbors.push(a, b);
+
+      new CohesionBehavior().calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(1);
+      expect(force.length()).toBeCloseTo(1);
+    });
+
+    it("should produce no force without neighbors", () => {
+      for (const behavior of [new SeparationBehavior(), new AlignmentBehavior(), new CohesionBehavior()]) {
+        force.set(1, 1, 1);
+        behavior.calculate(vehicle, force);
+        expect(force).toEqual(new Vector3(0, 0, 0));
+      }
+    });
+  });
+
+  it("should update a large flock with bounded speeds", () => {
+    for (let i = 0; i < 100; i++) {
+      const vehicle = new Vehicle();
+      vehicle.position = new Vector3(Math.random() * 20 - 10, 0, Math.random() * 20 - 10);
+      vehicle.updateNeighborhood = true;
+      vehicle.neighborhoodRadius = 5;
+      vehicle.maxSpeed = 2;
+
+      const separation = new SeparationBehavior();
+      separation.weight = 2;
+      vehicle.steering.add(separation).add(new AlignmentBehavior()).add(new CohesionBehavior()).add(new WanderBehavior());
+      manager.add(vehicle);
+    }
+
+    for (let i = 0; i < 30; i++) manager.update(1 / 30);
+
+    for (const vehicle of manager.entities) {
+      expect(Number.isFinite(vehicle.position.x)).toBe(true);
+      expect(vehicle.getSpeed()).toBeLessThanOrEqual(vehicle.maxSpeed + 1e-6);
+    }
+  });
+});
@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { GameEntity } from "../src/core/GameEntity";
+import { GoalEvaluator } from "../src/goal/GoalEvaluator";
+import { FuzzyModule } from "../src/fuzzy/FuzzyModule";
+import { FuzzyVariable } from "../src/fuzzy/FuzzyVariable";
+import { FuzzyRule } from "../src/fuzzy/FuzzyRule";
+import { FuzzySet } from "../src/fuzzy/FuzzySet";
+import { FuzzyAND } from "../src/fuzzy/operators/FuzzyAND";
+import { FuzzyOR } from "../src/fuzzy/operators/FuzzyOR";
+import { FuzzyVERY } from "../src/fuzzy/operators/FuzzyVERY";
+import { FuzzyFAIRLY } from "../src/fuzzy/operators/FuzzyFAIRLY";
+import { LeftShoulderFuzzySet } from "../src/fuzzy/sets/LeftShoulderFuzzySet";
+import { RightShoulderFuzzySet } from "../src/fuzzy/sets/RightShoulderFuzzySet";
+import { TriangularFuzzySet } from "../src/fuzzy/sets/TriangularFuzzySet";
+import { SingletonFuzzySet } from "../src/fuzzy/sets/SingletonFuzzySet";
+import { NormalDistFuzzySet } from "../src/fuzzy/sets/NormalDistFuzzySet";
+import { LeftSCurveFuzzySet } from "../src/fuzzy/sets/LeftSCurveFuzzySet";
+import { RightSCurveFuzzySet } from "../src/fuzzy/sets/RightSCurveFuzzySet";
+
+function createWeaponModule() {
+  const module = new FuzzyModule();
+
+  const distance = new FuzzyVariable();
+  const close = new LeftShoulderFuzzySet(0, 25, 150);
+  const medium = new TriangularFuzzySet(25, 150, 300);
+  const far = new RightShoulderFuzzySet(150, 300, 1000);
+  distance.add(close).add(medium).add(far);
+
+  const ammo = new FuzzyVariable();
+  const low = new LeftShoulderFuzzySet(0, 0, 10);
+  const okay = new TriangularFuzzySet(0, 10, 30);
+  const loads = new RightShoulderFuzzySet(10, 30, 40);
+  ammo.add(low).add(okay).add(loads);
+
+  const desirability = new FuzzyVariable();
+  const undesirable = new LeftShoulderFuzzySet(0, 25, 50);
+  const desirable = new TriangularFuzzySet(25, 50, 75);
+  const veryDesirable = new RightShoulderFuzzySet(50, 75, 100);
+  desirability.add(undesirable).add(desirable).add(veryDesirable);
+
+  module.addFLV("distance", distance).addFLV("ammo", ammo).addFLV("desirability", desirability);
+
+  module.addRule(new FuzzyRule(new FuzzyAND(close, loads), undesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(close, okay), undesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(close, low), undesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(medium, loads), veryDesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(medium, okay), veryDesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(medium, low), desirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(far, loads), desirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(far, okay), undesirable));
+  module.addRule(new FuzzyRule(new FuzzyAND(far, low), undesirable));
+
+  return module;
+}
+
+function desirabilityFor(module, distance, ammo, type = FuzzyModule.DEFUZ_TYPE.MAXAV) {
+  module.fuzzify("distance", distance);
+  module.fuzzify("ammo", ammo);
+  return module.defuzzify("desirability", type);
+}
+
+class AttackEvaluator extends GoalEvaluator {
+  constructor(characterBias = 1) {
+    super(characterBias);
+    this.fuzzyModule = createWeaponModule();
+  }
+
+  calculateDesirability(owner) {
+    return desirabilityFor(this.fuzzyModule, owner.distanceToTarget, owner.ammo) / 100;
+  }
+}
+
+describe("Fuzzy sets", () => {
+  it("left shoulder should have a plateau on the left", () => {
+    const set = new LeftShoulderFuzzySet(0, 10, 20);
+    expect(set.representativeValue).toBe(5);
+    expect(set.computeDegreeOfMembership(5)).toBe(1);
+    expect(set.computeDegreeOfMembership(15)).toBeCloseTo(0.5);
+    expect(set.computeDegreeOfMembership(25)).toBe(0);
+  });
+
+  it("right shoulder should have a plateau on the right", () => {
+    const set = new RightShoulderFuzzySet(0, 10, 20);
+    expect(set.representativeValue).toBe(15);
+    expect(set.computeDegreeOfMembership(5)).toBeCloseTo(0.5);
+    expect(set.computeDegreeOfMembership(15)).toBe(1);
+    expect(set.computeDegreeOfMembership(-5)).toBe(0);
+  });
+
+  it("triangular should peak at the midpoint", () => {
+    const set = new TriangularFuzzySet(0, 10, 30);
+    expect(set.representativeValue).toBe(10);
+    expect(set.computeDegreeOfMembership(10)).toBe(1);
+    expect(set.computeDegreeOfMembership(5)).toBeCloseTo(0.5);
+    expect(set.computeDegreeOfMembership(20)).toBeCloseTo(0.5);
+    expect(set.computeDegreeOfMembership(31)).toBe(0);
+  });
+
+  it("singleton should be fully inside its range", () => {
+    const set = new SingletonFuzzySet(4, 5, 6);
+    expect(set.computeDegreeOfMembership(4.5)).toBe(1);
+    expect(set.computeDegreeOfMembership(7)).toBe(0);
+  });
+
+  it("normal distribution should follow a bell curve", () => {
+    const set = new NormalDistFuzzySet(0, 10, 20, 2);
+    expect(set.computeDegreeOfMembership(10)).toBeCloseTo(1);
+    expect(set.computeDegreeOfMembership(12)).toBeCloseTo(Math.exp(-0.5));
+    expect(set.computeDegreeOfMembership(8)).toBeCloseTo(set.computeDegreeOfMembership(12));
+    expect(set.computeDegreeOfMembership(20)).toBe(0);
+  });
+
+  it("S-curves should ease between their borders", () => {
+    const left = new LeftSCurveFuzzySet(0, 10, 20);
+    expect(left.computeDegreeOfMembership(5)).toBe(1);
+    expect(left.computeDegreeOfMembership(15)).toBeCloseTo(0.5);
+    expect(left.computeDegreeOfMembership(12)).toBeGreaterThan(0.5);
+    expect(left.computeDegreeOfMembership(20)).toBeCloseTo(0);
+
+    const right = new RightSCurveFuzzySet(0, 10, 20);
+    expect(right.computeDegreeOfMembership(15)).toBe(1);
+    expect(right.computeDegreeOfMembership(5)).toBeCloseTo(0.5);
+    expect(right.computeDegreeOfMembership(2)).toBeLessThan(0.5);
+  });
+
+  it("should only raise the degree of membership when updating", () => {
+    const set = new FuzzySet();
+    set.updateDegreeOfMembership(0.4).updateDegreeOfMembership(0.2);
+    expect(set.getDegreeOfMembership()).toBe(0.4);
+    expect(set.clearDegreeOfMembership().getDegreeOfMembership()).toBe(0);
+  });
+});
+
+describe("FuzzyVariable", () => {
+  let flv;
+  let low;
+  let high;
+
+  beforeEach(() => {
+    flv = new FuzzyVariable();
+    low = new LeftShoulderFuzzySet(0, 20, 60);
+    high = new RightShoulderFuzzySet(40, 80, 100);
+    flv.add(low).add(high);
+  });
+
+  it("should track its range", () => {
+    expect(flv.minRange).toBe(0);
+    expect(flv.maxRange).toBe(100);
+
+    flv.remove(high);
+    expect(flv.maxRange).toBe(60);
+  });
+
+  it("should fuzzify values into each set", () => {
+    flv.fuzzify(50);
+    expect(low.degreeOfMembership).toBeCloseTo(0.25);
+    expect(high.degreeOfMembership).toBeCloseTo(0.25);
+  });
+
+  it("should warn about values out of range", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    flv.fuzzify(200);
+    expect(warn).toHaveBeenCalled();
+    expect(low.degreeOfMembership).toBe(0);
+    warn.mockRestore();
+  });
+
+  it("should clamp values out of range instead of keeping the previous degrees", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    flv.fuzzify(10).fuzzify(200);
+    expect(low.degreeOfMembership).toBe(0);
+    expect(high.degreeOfMembership).toBe(1);
+
+    flv.fuzzify(-50);
+    expect(low.degreeOfMembership).toBe(1);
+    expect(high.degreeOfMembership).toBe(0);
+    warn.mockRestore();
+  });
+
+  it("should defuzzify with average of maxima and centroid", () => {
+    low.degreeOfMembership = 1;
+    high.degreeOfMembership = 0;
+    expect(flv.defuzzifyMaxAv()).toBe(10);
+    expect(flv.defuzzifyCentroid()).toBeLessThan(50);
+
+    low.degreeOfMembership = 0;
+    high.degreeOfMembership = 1;
+    expect(flv.defuzzifyMaxAv()).toBe(90);
+    expect(flv.defuzzifyCentroid()).toBeGreaterThan(50);
+  });
+});
+
+describe("Operators", () => {
+  let a;
+  let b;
+
+  beforeEach(() => {
+    a = new FuzzySet();
+    b = new FuzzySet();
+    a.degreeOfMembership = 0.25;
+    b.degreeOfMembership = 0.5;
+  });
+
+  it("AND should use the minimum and OR the maximum", () => {
+    expect(new FuzzyAND(a, b).getDegreeOfMembership()).toBe(0.25);
+    expect(new FuzzyOR(a, b).getDegreeOfMembership()).toBe(0.5);
+  });
+
+  it("VERY and FAIRLY should sharpen and dilate the degree of membership", () => {
+    expect(new FuzzyVERY(a).getDegreeOfMembership()).toBeCloseTo(0.0625);
+    expect(new FuzzyFAIRLY(a).getDegreeOfMembership()).toBeCloseTo(0.5);
+  });
+
+  it("should update all terms when used as a consequence", () => {
+    a.clearDegreeOfMembership();
+    b.clearDegreeOfMembership();
+    new FuzzyAND(a, new FuzzyVERY(b)).updateDegreeOfMembership(0.5);
+    expect(a.degreeOfMembership).toBe(0.5);
+    expect(b.degreeOfMembership).toBe(0.25);
+  });
+});
+
+describe("FuzzyModule", () => {
+  let module;
+
+  beforeEach(() => {
+    module = createWeaponModule();
+  });
+
+  it("should infer desirability from crisp inputs", () => {
+    const closeRange = desirabilityFor(module, 20, 30);
+    const mediumRange = desirabilityFor(module, 150, 20);
+    expect(closeRange).toBeLessThan(mediumRange);
+    expect(mediumRange).toBeCloseTo(87.5);
+  });
+
+  it("should support centroid defuzzification", () => {
+    const value = desirabilityFor(module, 200, 8, FuzzyModule.DEFUZ_TYPE.CENTROID);
+    expect(value).toBeGreaterThan(0);
+    expect(value).toBeLessThan(100);
+  });
+
+  it("should reset consequences before evaluating rules", () => {
+    const first = desirabilityFor(module, 150, 20);
+    desirabilityFor(module, 20, 30);
+    expect(desirabilityFor(module, 150, 20)).toBeCloseTo(first);
+  });
+
+  it("should throw for unknown variables", () => {
+    expect(() => module.fuzzify("speed", 1)).toThrow(/speed/);
+    expect(() => module.defuzzify("speed")).toThrow(/speed/);
+  });
+
+  it("should support hedges in rules", () => {
+    const hedged = createWeaponModule();
+    const [close] = hedged.flvs.get("distance").fuzzySets;
+    const [, , veryDesirable] = hedged.flvs.get("desirability").fuzzySets;
+    hedged.rules.length = 0;
+    hedged.addRule(new FuzzyRule(new FuzzyVERY(close), veryDesirable));
+    hedged.addRule(new FuzzyRule(new FuzzyFAIRLY(close), veryDesirable));
+
+    hedged.fuzzify("distance", 87.5);
+    hedged.defuzzify("desirability");
+    expect(veryDesirable.degreeOfMembership).toBeCloseTo(Math.sqrt(0.5));
+  });
+
+  it("should round-trip through JSON", () => {
+    const expected = desirabilityFor(module, 200, 8);
+
+    const restored = new FuzzyModule().fromJSON(JSON.parse(JSON.stringify(module.toJSON())));
+    expect(restored.rules.length).toBe(module.rules.length);
+    expect(restored.rules[0].antecedent).toBeInstanceOf(FuzzyAND);
+    expect(restored.rules[0].consequence).toBe(restored.flvs.get("desirability").fuzzySets[0]);
+    expect(restored.flvs.get("distance").maxRange).toBe(1000);
+    expect(desirabilityFor(restored, 200, 8)).toBeCloseTo(expected);
+  });
+
+  it("should reject unregistered types", () => {
+    class CustomFuzzySet extends FuzzySet {}
+    const custom = new FuzzyModule();
+    custom.addFLV("value", new FuzzyVariable().add(new CustomFuzzySet()));
+    const json = JSON.parse(JSON.stringify(custom.toJSON()));
+
+    expect(() => new FuzzyModule().fromJSON(json)).toThrow(/CustomFuzzySet/);
+    expect(new FuzzyModule().registerType("CustomFuzzySet", CustomFuzzySet).fromJSON(json).flvs.size).toBe(1);
+  });
+});
+
+describe("Goal evaluator integration", () => {
+  it("should drive desirability from a fuzzy module", () => {
+    const evaluator = new AttackEvaluator();
+    const owner = Object.assign(new GameEntity(), { distanceToTarget: 150, ammo: 20 });
+    const medium = evaluator.calculateDesirability(owner);
+
+    owner.distanceToTarget = 20;
+    const close = evaluator.calculateDesirability(owner);
+
+    expect(medium).toBeGreaterThan(close);
+    expect(medium).toBeLessThanOrEqual(1);
+  });
+});
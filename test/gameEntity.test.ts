@@ -141,7 +141,6 @@ describe("GameEntity", () => {
       expect(result.y).toBeCloseTo(0);
       expect(result.z).toBeCloseTo(0);
     });
-    /*
     it("should get world direction", () => {
       const parent = new GameEntity();
       parent.rotation = Quaternion.RotationAxis(new Vector3(0, 1, 0), Math.PI / 2);
@@ -155,10 +154,8 @@ describe("GameEntity", () => {
       expect(result.y).toBeCloseTo(0);
       expect(result.z).toBeCloseTo(0);
     });
-    */
   });
 
-  /*
   describe("LookAt and RotateTo", () => {
     it("should look at target position (no parent)", () => {
       const target = new Vector3(1, 0, 0);
@@ -211,9 +208,128 @@ describe("GameEntity", () => {
       expect(direction.y).toBeCloseTo(0);
       expect(direction.z).toBeCloseTo(0);
     });
+    it("should look at target position under a rotated parent", () => {
+      const parent = new GameEntity();
+      parent.rotation = Quaternion.RotationAxis(new Vector3(0, 1, 0), Math.PI / 2);
+
+      const child = new GameEntity();
+      child.position = new Vector3(0, 0, 1);
+      parent.add(child);
+
+      // Child sits at world (1, 0, 0); look towards world -Z
+      child.lookAt(new Vector3(1, 0, -5));
+
+      const direction = new Vector3();
+      child.getWorldDirection(direction);
+      expect(direction.x).toBeCloseTo(0);
+      expect(direction.y).toBeCloseTo(0);
+      expect(direction.z).toBeCloseTo(-1);
+    });
+
+    it("should honor a custom forward vector", () => {
+      entity.forward = new Vector3(1, 0, 0);
+      entity.lookAt(new Vector3(0, 0, 1));
+
+      const direction = new Vector3();
+      entity.getWorldDirection(direction);
+      expect(direction.x).toBeCloseTo(0);
+      expect(direction.y).toBeCloseTo(0);
+      expect(direction.z).toBeCloseTo(1);
+    });
+
+    it("should look at targets straight above and below", () => {
+      const direction = new Vector3();
+      const scale = new Vector3();
+
+      entity.lookAt(new Vector3(0, 5, 0));
+      entity.getWorldDirection(direction);
+      entity.getWorldScale(scale);
+      expect(entity.rotation.length()).toBeCloseTo(1);
+      expect(direction.equalsWithEpsilon(new Vector3(0, 1, 0), 1e-6)).toBe(true);
+      expect(scale.equalsWithEpsilon(new Vector3(1, 1, 1), 1e-6)).toBe(true);
+
+      const other = new GameEntity();
+      other.rotateTo(new Vector3(0, -5, 0), 10);
+      other.getWorldDirection(direction);
+      other.getWorldScale(scale);
+      expect(other.rotation.length()).toBeCloseTo(1);
+      expect(direction.equalsWithEpsilon(new Vector3(0, -1, 0), 1e-6)).toBe(true);
+      expect(scale.equalsWithEpsilon(new Vector3(1, 1, 1), 1e-6)).toBe(true);
+
+      // already facing up, looking down flips the entity over
+      entity.lookAt(new Vector3(0, -5, 0));
+      entity.getWorldDirection(direction);
+      expect(direction.equalsWithEpsilon(new Vector3(0, -1, 0), 1e-6)).toBe(true);
+    });
+
+    it("should not turn faster than maxTurnRate", () => {
+      entity.maxTurnRate = Math.PI / 4;
+      entity.rotateTo(new Vector3(-1, 0, 0), 1);
+
+      const direction = new Vector3();
+      entity.getDirection(direction);
+      const angle = Math.acos(Math.min(1, Vector3.Dot(direction, new Vector3(0, 0, 1))));
+      expect(angle).toBeCloseTo(Math.PI / 4);
+    });
+
+    it("should update world transforms of grandchildren when an ancestor moves", () => {
+      const root = new GameEntity();
+      const child = new GameEntity();
+      const grandchild = new GameEntity();
+      root.add(child);
+      child.add(grandchild);
+
+      const result = new Vector3();
+      grandchild.getWorldPosition(result);
+      expect(result).toEqual(new Vector3(0, 0, 0));
+
+      root.position = new Vector3(5, 0, 0);
+      grandchild.getWorldPosition(result);
+      expect(result.x).toBeCloseTo(5);
+    });
+
+    it("should write world transforms into the provided results", () => {
+      const parent = new GameEntity();
+      parent.scaling = new Vector3(2, 2, 2);
+      const child = new GameEntity();
+      child.position = new Vector3(1, 0, 0);
+      parent.add(child);
+
+      const position = new Vector3();
+      const scale = new Vector3();
+      const rotation = new Quaternion();
+      expect(child.getWorldPosition(position)).toBe(position);
+      expect(child.getWorldScale(scale)).toBe(scale);
+      expect(child.getWorldRotation(rotation)).toBe(rotation);
+      expect(position.x).toBeCloseTo(2);
+      expect(scale.x).toBeCloseTo(2);
+      expect(child._worldPosition.x).toBeCloseTo(2);
+    });
   });
 
   describe("Serialization", () => {
+    const createJSON = (overrides = {}) => ({
+      type: "GameEntity",
+      uuid: "test-uuid",
+      name: "Test Entity",
+      active: true,
+      children: [],
+      parent: null,
+      neighbors: [],
+      neighborhoodRadius: 1,
+      updateNeighborhood: false,
+      position: [1, 2, 3],
+      rotation: [0, 0, 0, 1],
+      scaling: [1, 1, 1],
+      forward: [0, 0, 1],
+      up: [0, 1, 0],
+      boundingRadius: 0,
+      maxTurnRate: Math.PI,
+      canActivateTrigger: true,
+      _started: false,
+      ...overrides,
+    });
+
     it("should serialize to JSON", () => {
       entity.name = "Test Entity";
       entity.position.set(1, 2, 3);
@@ -223,42 +339,17 @@ describe("GameEntity", () => {
       expect(json.position).toEqual([1, 2, 3]);
       expect(json.type).toBe("GameEntity");
       expect(json.uuid).toBe(entity.uuid);
+      expect(json).toEqual(createJSON({ uuid: entity.uuid }));
     });
 
     it("should deserialize from JSON", () => {
-      const json = {
-        name: "Test Entity",
-        position: [1, 2, 3],
-        rotation: [0, 0, 0, 1],
-        scale: [1, 1, 1],
-        forward: [0, 0, 1],
-        up: [0, 1, 0],
-        active: true,
-        children: [],
-        neighbors: [],
-        parent: null,
-        neighborhoodRadius: 1,
-        updateNeighborhood: false,
-        boundingRadius: 0,
-        maxTurnRate: Math.PI,
-        canActivateTrigger: true,
-        worldMatrix: Matrix.Identity().asArray(),
-        _localMatrix: Matrix.Identity().asArray(),
-        _cache: {
-          position: [0, 0, 0],
-          rotation: [0, 0, 0, 1],
-          scale: [1, 1, 1],
-        },
-        _started: false,
-        uuid: "test-uuid",
-      };
-
       const newEntity = new GameEntity();
-      newEntity.fromJSON(json);
+      newEntity.fromJSON(createJSON());
 
       expect(newEntity.name).toBe("Test Entity");
       expect(newEntity.position).toEqual(new Vector3(1, 2, 3));
       expect(newEntity.uuid).toBe("test-uuid");
+      expect(newEntity.toJSON()).toEqual(createJSON());
     });
 
     it("should resolve references after deserialization", () => {
@@ -275,12 +366,11 @@ describe("GameEntity", () => {
       neighbor._uuid = "neighbor-uuid";
       entities.set("neighbor-uuid", neighbor);
 
-      const json = {
+      const json = createJSON({
         parent: "parent-uuid",
         children: ["child-uuid"],
         neighbors: ["neighbor-uuid"],
-        // ... other properties
-      };
+      });
 
       const entity = new GameEntity();
       entity.fromJSON(json);
@@ -289,9 +379,10 @@ describe("GameEntity", () => {
       expect(entity.parent).toBe(parent);
       expect(entity.children).toContain(child);
       expect(entity.neighbors).toContain(neighbor);
+      expect(entity.toJSON()).toEqual(json);
     });
   });
- */
+
   describe("Miscellaneous", () => {
     it("should set render component", () => {
       const renderComponent = {};
@@ -320,7 +411,6 @@ describe("GameEntity", () => {
       consoleError.mockRestore();
     });
   });
-  /*
   describe("GameEntity getWorldDirection", () => {
     let entity;
 
@@ -398,5 +488,4 @@ describe("GameEntity", () => {
       expect(result.z).toBeCloseTo(0);
     });
   });
-  */
 });
@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Goal } from "../src/goal/Goal";
+import { CompositeGoal } from "../src/goal/CompositeGoal";
+import { GoalEvaluator } from "../src/goal/GoalEvaluator";
+import { Think } from "../src/goal/Think";
+
+class TimedGoal extends Goal {
+  constructor(owner = null, duration = 1) {
+    super(owner);
+    this.duration = duration;
+    this.elapsed = 0;
+  }
+
+  execute(delta) {
+    this.elapsed += delta;
+    if (this.elapsed >= this.duration) this.status = Goal.STATUS.COMPLETED;
+  }
+
+  handleMessage(telegram) {
+    if (telegram.message === "abort") {
+      this.status = Goal.STATUS.FAILED;
+      return true;
+    }
+    return false;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.duration = this.duration;
+    json.elapsed = this.elapsed;
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.duration = json.duration;
+    this.elapsed = json.elapsed;
+    return this;
+  }
+}
+
+class PatrolGoal extends CompositeGoal {
+  activate() {
+    this.clearSubgoals();
+    this.addSubgoal(new TimedGoal(this.owner, 2));
+    this.addSubgoal(new TimedGoal(this.owner, 1));
+  }
+
+  execute(delta) {
+    this.status = this.executeSubgoals(delta);
+    this.replanIfFailed();
+  }
+
+  terminate() {
+    this.clearSubgoals();
+  }
+}
+
+class RestGoal extends TimedGoal {}
+
+class PatrolEvaluator extends GoalEvaluator {
+  calculateDesirability(owner) {
+    return owner.energy;
+  }
+
+  setGoal(owner) {
+    owner.brain.setGoal(new PatrolGoal(owner));
+  }
+}
+
+class RestEvaluator extends GoalEvaluator {
+  calculateDesirability(owner) {
+    return 1 - owner.energy;
+  }
+
+  setGoal(owner) {
+    owner.brain.setGoal(new RestGoal(owner, 5));
+  }
+}
+
+class Guard extends GameEntity {
+  constructor() {
+    super();
+    this.energy = 1;
+    this.brain = new Think(this);
+    this.brain.registerType("PatrolEvaluator", PatrolEvaluator);
+    this.brain.registerType("RestEvaluator", RestEvaluator);
+    this.brain.registerType("PatrolGoal", PatrolGoal);
+    this.brain.registerType("RestGoal", RestGoal);
+    this.brain.registerType("TimedGoal", TimedGoal);
+    this.brain.addEvaluator(new PatrolEvaluator());
+    this.brain.addEvaluator(new RestEvaluator());
+  }
+
+  update(delta) {
+    this.brain.execute(delta);
+    return super.update(delta);
+  }
+
+  handleMessage(telegram) {
+    return this.brain.handleMessage(telegram);
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.energy = this.energy;
+    json.brain = this.brain.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.energy = json.energy;
+    this.brain.fromJSON(json.brain);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.brain.resolveReferences(entities);
+    return this;
+  }
+}
+
+describe("Goal", () => {
+  it("should start inactive and report its status", () => {
+    const goal = new Goal();
+    expect(goal.inactive()).toBe(true);
+
+    goal.activateIfInactive();
+    expect(goal.active()).toBe(true);
+
+    goal.status = Goal.STATUS.FAILED;
+    expect(goal.failed()).toBe(true);
+    goal.replanIfFailed();
+    expect(goal.inactive()).toBe(true);
+
+    goal.status = Goal.STATUS.COMPLETED;
+    expect(goal.completed()).toBe(true);
+  });
+
+  it("should call activate only once when activating", () => {
+    const goal = new Goal();
+    const activate = vi.spyOn(goal, "activate");
+    goal.activateIfInactive();
+    goal.activateIfInactive();
+    expect(activate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("CompositeGoal", () => {
+  let composite;
+
+  beforeEach(() => {
+    composite = new CompositeGoal();
+  });
+
+  it("should process subgoals as a stack", () => {
+    const first = new TimedGoal(null, 1);
+    const second = new TimedGoal(null, 1);
+    composite.addSubgoal(first).addSubgoal(second);
+
+    expect(composite.currentSubgoal()).toBe(second);
+    expect(composite.executeSubgoals(1)).toBe(Goal.STATUS.ACTIVE);
+    expect(second.completed()).toBe(true);
+
+    expect(composite.executeSubgoals(1)).toBe(Goal.STATUS.COMPLETED);
+    expect(composite.subgoals).toEqual([first]);
+
+    expect(composite.executeSubgoals(0)).toBe(Goal.STATUS.COMPLETED);
+    expect(composite.hasSubgoals()).toBe(false);
+  });
+
+  it("should terminate completed subgoals", () => {
+    const goal = new TimedGoal(null, 0);
+    const terminate = vi.spyOn(goal, "terminate");
+    composite.addSubgoal(goal);
+
+    composite.executeSubgoals(0);
+    composite.executeSubgoals(0);
+    expect(terminate).toHaveBeenCalledTimes(1);
+  });
+
+  it("should forward messages to the current subgoal", () => {
+    const goal = new TimedGoal();
+    composite.addSubgoal(goal);
+
+    expect(composite.handleMessage({ message: "abort" })).toBe(true);
+    expect(goal.failed()).toBe(true);
+    expect(composite.handleMessage({ message: "other" })).toBe(false);
+  });
+
+  it("should clear and terminate all subgoals", () => {
+    const goal = new TimedGoal();
+    const terminate = vi.spyOn(goal, "terminate");
+    composite.addSubgoal(goal).clearSubgoals();
+
+    expect(terminate).toHaveBeenCalled();
+    expect(composite.hasSubgoals()).toBe(false);
+  });
+});
+
+describe("Think", () => {
+  let guard;
+
+  beforeEach(() => {
+    guard = new Guard();
+  });
+
+  it("should pick the most desirable goal", () => {
+    guard.update(0.1);
+    expect(guard.brain.currentSubgoal()).toBeInstanceOf(PatrolGoal);
+
+    const rest = new Think(guard);
+    rest.addEvaluator(new PatrolEvaluator());
+    rest.addEvaluator(new RestEvaluator());
+    guard.energy = 0.2;
+    guard.brain = rest;
+    guard.update(0.1);
+    expect(guard.brain.currentSubgoal()).toBeInstanceOf(RestGoal);
+  });
+
+  it("should apply the character bias", () => {
+    guard.energy = 0.6;
+    guard.brain.evaluators[1].characterBias = 2;
+    guard.update(0.1);
+    expect(guard.brain.currentSubgoal()).toBeInstanceOf(RestGoal);
+  });
+
+  it("should rearbitrate once the current goal is done", () => {
+    guard.update(0.1);
+    const arbitrate = vi.spyOn(guard.brain, "arbitrate");
+
+    // The patrol goal completes after its two timed subgoals
+    for (let i = 0; i < 4; i++) guard.update(1);
+    guard.update(0.1);
+
+    expect(arbitrate).toHaveBeenCalled();
+  });
+
+  it("should react to messages sent to the owner", () => {
+    const manager = new EntityManager();
+    const sender = new GameEntity();
+    manager.add(sender).add(guard);
+    manager.update(0.1);
+
+    const patrol = guard.brain.currentSubgoal();
+    const timed = patrol.currentSubgoal();
+
+    sender.sendMessage(guard, "abort");
+    expect(timed.failed()).toBe(true);
+  });
+
+  it("should serialize with its owner through registered types", () => {
+    const manager = new EntityManager();
+    manager.registerType("Guard", Guard);
+    manager.add(guard);
+    manager.update(0.5);
+
+    const restored = new EntityManager();
+    restored.registerType("Guard", Guard);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+
+    const restoredGuard = restored.entities[0];
+    const brain = restoredGuard.brain;
+    const patrol = brain.currentSubgoal();
+
+    expect(brain.owner).toBe(restoredGuard);
+    expect(brain.evaluators.length).toBe(2);
+    expect(patrol).toBeInstanceOf(PatrolGoal);
+    expect(patrol.owner).toBe(restoredGuard);
+    expect(patrol.subgoals.length).toBe(2);
+    expect(patrol.currentSubgoal().owner).toBe(restoredGuard);
+    expect(patrol.currentSubgoal().elapsed).toBeCloseTo(0.5);
+  });
+});
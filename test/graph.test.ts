@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Graph } from "../src/graph/Graph";
+import { Node } from "../src/graph/Node";
+import { Edge } from "../src/graph/Edge";
+import { NavNode } from "../src/graph/NavNode";
+import { NavEdge } from "../src/graph/NavEdge";
+import { GraphUtils } from "../src/graph/GraphUtils";
+import { AStar } from "../src/graph/search/AStar";
+import { Dijkstra } from "../src/graph/search/Dijkstra";
+import { BFS } from "../src/graph/search/BFS";
+import { DFS } from "../src/graph/search/DFS";
+import { PriorityQueue } from "../src/graph/search/PriorityQueue";
+import { HeuristicPolicyManhattan } from "../src/graph/search/heuristics/HeuristicPolicyManhattan";
+import { HeuristicPolicyDijkstra } from "../src/graph/search/heuristics/HeuristicPolicyDijkstra";
+
+/**
+ *  0 --1-- 1 --1-- 2
+ *  |               |
+ *  1               6
+ *  |               |
+ *  3 --1-- 4 --1-- 5 --1-- 6 (unreachable: 7)
+ */
+function createGraph(digraph = false) {
+  const graph = new Graph(digraph);
+  const positions = [
+    [0, 0, 0],
+    [1, 0, 0],
+    [2, 0, 0],
+    [0, 0, 1],
+    [1, 0, 1],
+    [2, 0, 1],
+    [3, 0, 1],
+    [10, 0, 10],
+  ];
+  positions.forEach((p, i) => graph.addNode(new NavNode(i, Vector3.FromArray(p))));
+
+  graph.addEdge(new NavEdge(0, 1, 1));
+  graph.addEdge(new NavEdge(1, 2, 1));
+  graph.addEdge(new NavEdge(2, 5, 6));
+  graph.addEdge(new NavEdge(0, 3, 1));
+  graph.addEdge(new NavEdge(3, 4, 1));
+  graph.addEdge(new NavEdge(4, 5, 1));
+  graph.addEdge(new NavEdge(5, 6, 1));
+  return graph;
+}
+
+function pathCost(graph, path) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) cost += graph.getEdge(path[i - 1], path[i]).cost;
+  return cost;
+}
+
+describe("Graph", () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = createGraph();
+  });
+
+  it("should add opposite edges in undirected graphs", () => {
+    expect(graph.getEdgeCount()).toBe(14);
+    expect(graph.hasEdge(1, 0)).toBe(true);
+
+    const digraph = createGraph(true);
+    expect(digraph.getEdgeCount()).toBe(7);
+    expect(digraph.hasEdge(1, 0)).toBe(false);
+  });
+
+  it("should query nodes and edges", () => {
+    expect(graph.getNodeCount()).toBe(8);
+    expect(graph.getNode(3).position).toEqual(new Vector3(0, 0, 1));
+    expect(graph.getNode(42)).toBe(null);
+    expect(graph.getEdge(2, 5).cost).toBe(6);
+    expect(graph.getEdgesOfNode(5).map((edge) => edge.to)).toEqual([2, 4, 6]);
+    expect(graph.getNodes().length).toBe(8);
+  });
+
+  it("should reject edges between unknown nodes", () => {
+    expect(() => graph.addEdge(new Edge(0, 42))).toThrow(/42/);
+  });
+
+  it("should remove nodes with all connected edges", () => {
+    graph.removeNode(graph.getNode(5));
+    expect(graph.hasNode(5)).toBe(false);
+    expect(graph.hasEdge(2, 5)).toBe(false);
+    expect(graph.hasEdge(4, 5)).toBe(false);
+    expect(graph.getEdgeCount()).toBe(8);
+  });
+
+  it("should remove both directions of an undirected edge", () => {
+    graph.removeEdge(graph.getEdge(0, 1));
+    expect(graph.hasEdge(0, 1)).toBe(false);
+    expect(graph.hasEdge(1, 0)).toBe(false);
+  });
+
+  it("should round-trip through JSON", () => {
+    const restored = new Graph().fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+
+    expect(restored.digraph).toBe(false);
+    expect(restored.getNodeCount()).toBe(8);
+    expect(restored.getEdgeCount()).toBe(14);
+    expect(restored.getNode(6)).toBeInstanceOf(NavNode);
+    expect(restored.getNode(6).position).toEqual(new Vector3(3, 0, 1));
+    expect(restored.getEdge(5, 2)).toBeInstanceOf(NavEdge);
+  });
+
+  it("should reject unregistered node types", () => {
+    class WaypointNode extends Node {}
+    const custom = new Graph().addNode(new WaypointNode(0));
+    const json = JSON.parse(JSON.stringify(custom.toJSON()));
+
+    expect(() => new Graph().fromJSON(json)).toThrow(/WaypointNode/);
+    expect(new Graph().registerType("WaypointNode", WaypointNode).fromJSON(json).getNode(0)).toBeInstanceOf(WaypointNode);
+  });
+});
+
+describe("PriorityQueue", () => {
+  it("should pop items in order of their cost", () => {
+    const queue = new PriorityQueue();
+    for (const cost of [5, 1, 4, 2, 3]) queue.push({ cost });
+
+    const order = [];
+    while (queue.length > 0) order.push(queue.pop().cost);
+    expect(order).toEqual([1, 2, 3, 4, 5]);
+    expect(queue.pop()).toBe(null);
+  });
+});
+
+describe("Search", () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = createGraph();
+  });
+
+  it("AStar should find the cheapest path", () => {
+    const astar = new AStar(graph, 0, 6).search();
+
+    expect(astar.found).toBe(true);
+    expect(astar.getPath()).toEqual([0, 3, 4, 5, 6]);
+    expect(astar.getSearchTree().length).toBeGreaterThan(0);
+  });
+
+  it("AStar should search in steps", () => {
+    const astar = new AStar(graph, 0, 6);
+    const steps = astar.steps();
+
+    let count = 0;
+    let step = steps.next();
+    while (step.done === false) {
+      count++;
+      step = steps.next();
+    }
+
+    expect(count).toBeGreaterThan(1);
+    expect(step.value).toBe(astar);
+    expect(astar.found).toBe(true);
+    expect(astar.getPath()).toEqual([0, 3, 4, 5, 6]);
+  });
+
+  it("AStar should accept pluggable heuristics", () => {
+    for (const heuristic of [HeuristicPolicyManhattan, HeuristicPolicyDijkstra]) {
+      const astar = new AStar(graph, 0, 6);
+      astar.heuristic = heuristic;
+      expect(astar.search().getPath()).toEqual([0, 3, 4, 5, 6]);
+    }
+  });
+
+  it("Dijkstra should find the cheapest path", () => {
+    const dijkstra = new Dijkstra(graph, 2, 6).search();
+
+    expect(dijkstra.found).toBe(true);
+    expect(dijkstra.getPath()).toEqual([2, 1, 0, 3, 4, 5, 6]);
+    expect(pathCost(graph, dijkstra.getPath())).toBe(6);
+  });
+
+  it("BFS should find the path with the fewest edges", () => {
+    const bfs = new BFS(graph, 2, 6).search();
+
+    expect(bfs.found).toBe(true);
+    expect(bfs.getPath()).toEqual([2, 5, 6]);
+  });
+
+  it("DFS should find a valid path", () => {
+    const dfs = new DFS(graph, 0, 6).search();
+    const path = dfs.getPath();
+
+    expect(dfs.found).toBe(true);
+    expect(path[0]).toBe(0);
+    expect(path[path.length - 1]).toBe(6);
+    for (let i = 1; i < path.length; i++) expect(graph.hasEdge(path[i - 1], path[i])).toBe(true);
+  });
+
+  it("should report unreachable targets", () => {
+    for (const Search of [AStar, Dijkstra, BFS, DFS]) {
+      const search = new Search(graph, 0, 7).search();
+      expect(search.found).toBe(false);
+      expect(search.getPath()).toEqual([]);
+    }
+  });
+
+  it("should expose search trees as edges without duplicates", () => {
+    for (const Search of [AStar, Dijkstra, BFS, DFS]) {
+      const tree = new Search(graph, 0, 6).search().getSearchTree();
+      const targets = tree.map((edge) => edge.to);
+
+      expect(tree.every((edge) => edge instanceof Edge)).toBe(true);
+      expect(new Set(targets).size).toBe(targets.length);
+      expect(targets).not.toContain(0);
+    }
+  });
+
+  it("should respect edge directions in digraphs", () => {
+    const digraph = createGraph(true);
+    expect(new BFS(digraph, 6, 0).search().found).toBe(false);
+    expect(new AStar(digraph, 0, 6).search().found).toBe(true);
+  });
+
+  it("should allow a new search after clearing", () => {
+    const astar = new AStar(graph, 0, 6).search();
+    astar.clear();
+    astar.target = 2;
+    expect(astar.search().getPath()).toEqual([0, 1, 2]);
+  });
+});
+
+describe("GraphUtils", () => {
+  it("should create grid graphs", () => {
+    const graph = GraphUtils.createGridGraph(10, 10);
+
+    expect(graph.getNodeCount()).toBe(121);
+    expect(graph.getNode(0).position).toEqual(new Vector3(-5, 0, -5));
+    expect(graph.getNode(120).position).toEqual(new Vector3(5, 0, 5));
+    expect(graph.getEdgesOfNode(12).length).toBe(4);
+
+    const path = new AStar(graph, 0, 120).search().getPath();
+    expect(pathCost(graph, path)).toBeCloseTo(20);
+  });
+
+  it("should create grid graphs with diagonal edges", () => {
+    const graph = GraphUtils.createGridGraph(10, 10, true);
+    expect(graph.getEdgesOfNode(12).length).toBe(8);
+
+    const path = new AStar(graph, 0, 120).search().getPath();
+    expect(path.length).toBe(11);
+    expect(pathCost(graph, path)).toBeCloseTo(10 * Math.SQRT2);
+  });
+
+  it("should create platform graphs with jump edges", () => {
+    const graph = GraphUtils.createPlatformGraph(
+      [
+        { start: new Vector3(0, 0, 0), end: new Vector3(4, 0, 0) },
+        { start: new Vector3(5, 1, 0), end: new Vector3(8, 1, 0) },
+        { start: new Vector3(9, 5, 0), end: new Vector3(12, 5, 0) },
+      ],
+      { spacing: 1, maxJumpDistance: 1.5, maxJumpHeight: 1 }
+    );
+
+    const nodes = graph.getNodes();
+    const start = nodes.find((node) => node.position.x === 0);
+    const upper = nodes.find((node) => node.position.x === 8);
+    const unreachable = nodes.find((node) => node.position.x === 12);
+
+    const astar = new AStar(graph, start.index, upper.index).search();
+    const path = astar.getPath().map((index) => graph.getNode(index));
+    expect(astar.found).toBe(true);
+    expect(path.some((node) => node.userData.platform === 1)).toBe(true);
+
+    // the top platform is too high to jump up, but it is possible to fall down
+    expect(new AStar(graph, start.index, unreachable.index).search().found).toBe(false);
+    expect(new AStar(graph, unreachable.index, start.index).search().found).toBe(true);
+
+    const fall = GraphUtils.createPlatformGraph(
+      [
+        { start: new Vector3(0, 5, 0), end: new Vector3(2, 5, 0) },
+        { start: new Vector3(3, 0, 0), end: new Vector3(5, 0, 0) },
+      ],
+      { maxJumpDistance: 1.5 }
+    );
+    expect(new BFS(fall, 0, 5).search().found).toBe(true);
+    expect(new BFS(fall, 5, 0).search().found).toBe(false);
+  });
+});
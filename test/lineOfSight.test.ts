@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { Ray } from "@babylonjs/core/Culling/ray";
+import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
+import { Material } from "@babylonjs/core/Materials/material";
+import { StandardMaterial } from "@babylonjs/core/Materials/standardMaterial";
+import { GameEntity } from "../src/core/GameEntity";
+import { SphereObstacle } from "../src/perception/obstacles/SphereObstacle";
+import { BoxObstacle } from "../src/perception/obstacles/BoxObstacle";
+import { MeshObstacle } from "../src/perception/obstacles/MeshObstacle";
+
+function createEntity(x, y, z) {
+  const entity = new GameEntity();
+  entity.position = new Vector3(x, y, z);
+  return entity;
+}
+
+describe("lineOfSightTest", () => {
+  const point = new Vector3();
+  let ray;
+
+  beforeEach(() => {
+    ray = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1));
+  });
+
+  it("should not block the line of sight without an obstacle", () => {
+    expect(createEntity(0, 0, 5).lineOfSightTest(ray, point)).toBe(null);
+  });
+
+  describe("SphereObstacle", () => {
+    it("should return the nearest intersection point and distance", () => {
+      const entity = createEntity(0, 0, 5);
+      entity.boundingRadius = 1;
+      entity.obstacle = new SphereObstacle();
+
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(4);
+      expect(point.z).toBeCloseTo(4);
+    });
+
+    it("should miss spheres beside, behind or beyond the ray", () => {
+      const beside = createEntity(2, 0, 5);
+      const behind = createEntity(0, 0, -5);
+      beside.obstacle = new SphereObstacle(1);
+      behind.obstacle = new SphereObstacle(1);
+
+      expect(beside.lineOfSightTest(ray, point)).toBe(null);
+      expect(behind.lineOfSightTest(ray, point)).toBe(null);
+
+      const far = createEntity(0, 0, 5);
+      far.obstacle = new SphereObstacle(1);
+      ray.length = 3;
+      expect(far.lineOfSightTest(ray, point)).toBe(null);
+    });
+
+    it("should use the local center under parented entities", () => {
+      const parent = createEntity(0, 0, 10);
+      parent.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 2);
+      const entity = new GameEntity();
+      entity.obstacle = new SphereObstacle(0.5, new Vector3(0, 0, -2));
+      parent.add(entity);
+
+      // the local offset points along -x in world space
+      expect(entity.lineOfSightTest(ray, point)).toBe(null);
+      ray.origin.set(-2, 0, 0);
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(9.5);
+    });
+  });
+
+  describe("BoxObstacle", () => {
+    it("should intersect an axis aligned box", () => {
+      const entity = createEntity(0, 0, 5);
+      entity.obstacle = new BoxObstacle(new Vector3(-1, -1, -1), new Vector3(1, 1, 1));
+
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(4);
+      expect(point).toEqual(new Vector3(0, 0, 4));
+
+      ray.origin.set(1.5, 0, 0);
+      expect(entity.lineOfSightTest(ray, point)).toBe(null);
+    });
+
+    it("should follow the rotation and scale of the entity", () => {
+      const entity = createEntity(0, 0, 5);
+      entity.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 4);
+      entity.scaling = new Vector3(2, 2, 2);
+      entity.obstacle = new BoxObstacle();
+
+      // the corner of the rotated box points towards the ray origin
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(5 - Math.SQRT2);
+
+      ray.origin.set(1.2, 0, 0);
+      expect(entity.lineOfSightTest(ray, point)).not.toBe(null);
+    });
+
+    it("should return the exit point when the ray starts inside", () => {
+      const entity = createEntity(0, 0, 0);
+      entity.obstacle = new BoxObstacle();
+
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe("with Babylon meshes", () => {
+    let engine;
+    let scene;
+
+    beforeEach(() => {
+      engine = new NullEngine();
+      scene = new Scene(engine);
+    });
+
+    afterEach(() => {
+      scene.dispose();
+      engine.dispose();
+    });
+
+    it("should intersect the triangles of a mesh", () => {
+      const sphere = MeshBuilder.CreateSphere("sphere", { diameter: 2, segments: 16 }, scene);
+      sphere.position.set(0, 0, 5);
+      sphere.material = new StandardMaterial("material", scene);
+
+      const entity = createEntity(0, 0, 5);
+      entity.obstacle = new MeshObstacle(sphere);
+
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(4, 1);
+      expect(point.z).toBeCloseTo(4, 1);
+
+      // inside the bounding box, but outside of the sphere
+      ray.origin.set(0.9, 0.9, 0);
+      expect(entity.lineOfSightTest(ray, point)).toBe(null);
+    });
+
+    it("should fall back to the bounding box for meshes that cannot be picked by triangles", () => {
+      const sphere = MeshBuilder.CreateSphere("sphere", { diameter: 2, segments: 16 }, scene);
+      sphere.position.set(0, 0, 5);
+      sphere.material = new StandardMaterial("material", scene);
+      sphere.material.fillMode = Material.PointListDrawMode;
+
+      const entity = new GameEntity();
+      entity.obstacle = new MeshObstacle(sphere);
+
+      ray.origin.set(0.9, 0.9, 0);
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(4);
+      expect(point).toEqual(new Vector3(0.9, 0.9, 4));
+    });
+
+    it("should respect the world matrix and the ray length", () => {
+      const box = MeshBuilder.CreateBox("box", { size: 1 }, scene);
+      box.position.set(0, 0, 5);
+      box.scaling.set(4, 4, 4);
+      box.material = new StandardMaterial("material", scene);
+
+      const entity = new GameEntity();
+      entity.obstacle = new MeshObstacle(box);
+
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(3);
+      expect(point).toEqual(new Vector3(0, 0, 3));
+
+      ray.length = 2;
+      expect(entity.lineOfSightTest(ray, point)).toBe(null);
+    });
+
+    it("should approximate a mesh with its bounding box", () => {
+      const box = MeshBuilder.CreateBox("box", { width: 2, height: 1, depth: 1 }, scene);
+      const entity = createEntity(0, 0, 5);
+      entity.obstacle = new BoxObstacle().fromMesh(box);
+
+      ray.origin.set(0.8, 0, 0);
+      expect(entity.lineOfSightTest(ray, point)).toBeCloseTo(4.5);
+    });
+  });
+});
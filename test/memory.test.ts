@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vision } from "../src/perception/Vision";
+import { MemorySystem } from "../src/perception/memory/MemorySystem";
+import { MemoryRecord } from "../src/perception/memory/MemoryRecord";
+import { SphereObstacle } from "../src/perception/obstacles/SphereObstacle";
+
+class Guard extends GameEntity {
+  constructor() {
+    super();
+    this.vision = new Vision(this);
+    this.memorySystem = new MemorySystem(this);
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.vision = this.vision.toJSON();
+    json.memorySystem = this.memorySystem.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.vision.fromJSON(json.vision);
+    this.memorySystem.fromJSON(json.memorySystem);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.vision.resolveReferences(entities);
+    this.memorySystem.resolveReferences(entities);
+    return this;
+  }
+}
+
+describe("MemorySystem", () => {
+  let guard;
+  let player;
+  let memorySystem;
+
+  beforeEach(() => {
+    guard = new Guard();
+    guard.vision.fieldOfView = Math.PI / 2;
+    guard.vision.range = 10;
+
+    player = new GameEntity();
+    player.position = new Vector3(0, 0, 5);
+
+    memorySystem = guard.memorySystem;
+    memorySystem.memorySpan = 3;
+  });
+
+  it("should manage records per entity", () => {
+    memorySystem.createRecord(player);
+
+    expect(memorySystem.hasRecord(player)).toBe(true);
+    expect(memorySystem.getRecord(player)).toBeInstanceOf(MemoryRecord);
+    expect(memorySystem.getRecord(player).entity).toBe(player);
+
+    memorySystem.deleteRecord(player);
+    expect(memorySystem.hasRecord(player)).toBe(false);
+    expect(memorySystem.records.length).toBe(0);
+
+    memorySystem.createRecord(player).clear();
+    expect(memorySystem.getRecord(player)).toBe(undefined);
+  });
+
+  it("should be fed by the vision component", () => {
+    memorySystem.updateVision(guard.vision, [guard, player], 1);
+    const record = memorySystem.getRecord(player);
+
+    expect(memorySystem.hasRecord(guard)).toBe(false);
+    expect(record.visible).toBe(true);
+    expect(record.timeBecameVisible).toBe(1);
+    expect(record.timeLastSensed).toBe(1);
+    expect(record.lastSensedPosition).toEqual(new Vector3(0, 0, 5));
+
+    memorySystem.updateVision(guard.vision, [player], 2);
+    expect(record.timeBecameVisible).toBe(1);
+    expect(record.timeLastSensed).toBe(2);
+
+    // the player moves behind the guard
+    player.position = new Vector3(0, 0, -5);
+    memorySystem.updateVision(guard.vision, [player], 3);
+
+    expect(record.visible).toBe(false);
+    expect(record.timeLastSensed).toBe(2);
+    expect(record.lastSensedPosition).toEqual(new Vector3(0, 0, 5));
+
+    player.position = new Vector3(1, 0, 5);
+    memorySystem.updateVision(guard.vision, [player], 4);
+    expect(record.timeBecameVisible).toBe(4);
+  });
+
+  it("should see entities that are obstacles themselves", () => {
+    player.boundingRadius = 1;
+    player.obstacle = new SphereObstacle();
+    guard.vision.addObstacle(player);
+
+    memorySystem.updateVision(guard.vision, [player], 1);
+    expect(memorySystem.getRecord(player).visible).toBe(true);
+  });
+
+  it("should only return records within the memory span", () => {
+    const other = new GameEntity();
+    other.position = new Vector3(0, 0, -5);
+
+    memorySystem.updateVision(guard.vision, [player, other], 1);
+    expect(memorySystem.getValidMemoryRecords(2).map((record) => record.entity)).toEqual([player]);
+
+    const result = [new MemoryRecord()];
+    expect(memorySystem.getValidMemoryRecords(4, result)).toBe(result);
+    expect(result.length).toBe(1);
+    expect(memorySystem.getValidMemoryRecords(4.5)).toEqual([]);
+  });
+
+  it("should round-trip with its owner", () => {
+    const forgotten = new GameEntity();
+    memorySystem.updateVision(guard.vision, [player, forgotten], 1);
+
+    const manager = new EntityManager().registerType("Guard", Guard);
+    manager.add(guard).add(player);
+
+    const restored = new EntityManager().registerType("Guard", Guard);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const [restoredGuard, restoredPlayer] = restored.entities;
+    const restoredMemory = restoredGuard.memorySystem;
+    const record = restoredMemory.getRecord(restoredPlayer);
+
+    expect(restoredMemory.owner).toBe(restoredGuard);
+    expect(restoredMemory.memorySpan).toBe(3);
+    expect(restoredMemory.records.length).toBe(1);
+    expect(record.visible).toBe(true);
+    expect(record.timeLastSensed).toBe(1);
+    expect(record.lastSensedPosition).toEqual(new Vector3(0, 0, 5));
+
+    const unseen = new MemoryRecord().fromJSON(JSON.parse(JSON.stringify(new MemoryRecord().toJSON())));
+    expect(unseen.timeLastSensed).toBe(-Infinity);
+  });
+});
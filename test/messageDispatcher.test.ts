@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { MessageDispatcher } from "../src/core/MessageDispatcher";
+import { Telegram } from "../src/core/Telegram";
+
+describe("MessageDispatcher", () => {
+  let manager, sender, receiver, received;
+
+  beforeEach(() => {
+    manager = new EntityManager();
+    sender = new GameEntity();
+    receiver = new GameEntity();
+    received = [];
+    receiver.handleMessage = (telegram) => {
+      received.push(telegram);
+      return true;
+    };
+    manager.add(sender).add(receiver);
+  });
+
+  it("should deliver a message without delay right away", () => {
+    sender.sendMessage(receiver, "hello", 0, { value: 1 });
+
+    expect(received.length).toBe(1);
+    expect(received[0]).toBeInstanceOf(Telegram);
+    expect(received[0].sender).toBe(sender);
+    expect(received[0].receiver).toBe(receiver);
+    expect(received[0].message).toBe("hello");
+    expect(received[0].data).toEqual({ value: 1 });
+  });
+
+  it("should deliver a delayed message once its dispatch time is reached", () => {
+    sender.sendMessage(receiver, "later", 1);
+
+    manager.update(0.5);
+    expect(received.length).toBe(0);
+
+    manager.update(0.5);
+    expect(received.length).toBe(1);
+    expect(received[0].dispatchTime).toBeCloseTo(1);
+  });
+
+  it("should deliver delayed messages in order of their dispatch time", () => {
+    sender.sendMessage(receiver, "third", 3);
+    sender.sendMessage(receiver, "first", 1);
+    sender.sendMessage(receiver, "second", 2);
+    sender.sendMessage(receiver, "second-b", 2);
+
+    manager.update(5);
+    expect(received.map((t) => t.message)).toEqual(["first", "second", "second-b", "third"]);
+  });
+
+  it("should drop messages to removed entities", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    sender.sendMessage(receiver, "later", 1);
+    manager.remove(receiver);
+
+    manager.update(1);
+    expect(received.length).toBe(0);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("should drop messages to inactive entities", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    receiver.active = false;
+    sender.sendMessage(receiver, "now");
+
+    expect(received.length).toBe(0);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("should deliver messages to children of managed entities", () => {
+    const child = new GameEntity();
+    const handleMessage = vi.fn(() => true);
+    child.handleMessage = handleMessage;
+    receiver.add(child);
+
+    sender.sendMessage(child, "hello");
+    expect(handleMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it("should send messages from children of managed entities", () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const child = new GameEntity();
+    sender.add(child);
+
+    child.sendMessage(receiver, "from child");
+    expect(received.length).toBe(1);
+    expect(received[0].sender).toBe(child);
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it("should report unhandled messages without warning", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const dispatcher = new MessageDispatcher();
+    const other = new GameEntity();
+    manager.add(other);
+
+    const telegram = new Telegram(sender, other, "ignored", 0, null);
+    expect(dispatcher.deliver(telegram)).toBe(false);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("should save telegrams whose sender was removed", () => {
+    sender.sendMessage(receiver, "later", 1);
+    manager.remove(sender);
+
+    const loaded = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const json = loaded.toJSON();
+
+    expect(json._messageDispatcher.delayedTelegrams[0].sender).toBe(null);
+    expect(json._messageDispatcher.delayedTelegrams[0].receiver).toBe(receiver.uuid);
+  });
+
+  it("should save system messages without a sender", () => {
+    const dispatcher = new MessageDispatcher();
+    dispatcher.dispatch(null, receiver, "system", 1);
+
+    expect(dispatcher.toJSON().delayedTelegrams[0].sender).toBe(null);
+  });
+
+  it("should clear delayed telegrams", () => {
+    const dispatcher = new MessageDispatcher();
+    dispatcher.dispatch(sender, receiver, "later", 1);
+    dispatcher.dispatchDelayedMessages(0.5);
+    dispatcher.clear();
+
+    expect(dispatcher.delayedTelegrams.length).toBe(0);
+    expect(dispatcher.currentTime).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { MovingEntity } from "../src/core/MovingEntity";
+import { EntityManager } from "../src/core/EntityManager";
+
+describe("MovingEntity", () => {
+  let entity;
+
+  beforeEach(() => {
+    entity = new MovingEntity();
+  });
+
+  it("should initialize with default values", () => {
+    expect(entity.velocity).toEqual(new Vector3(0, 0, 0));
+    expect(entity.maxSpeed).toBe(1);
+    expect(entity.updateOrientation).toBe(true);
+    expect(entity.getSpeed()).toBe(0);
+  });
+
+  it("should integrate position from velocity", () => {
+    entity.maxSpeed = 10;
+    entity.velocity.set(0, 0, 2);
+    entity.update(0.5);
+
+    expect(entity.position.z).toBeCloseTo(1);
+  });
+
+  it("should clamp the velocity to maxSpeed", () => {
+    entity.maxSpeed = 2;
+    entity.velocity.set(10, 0, 0);
+    entity.update(1);
+
+    expect(entity.getSpeed()).toBeCloseTo(2);
+    expect(entity.position.x).toBeCloseTo(2);
+  });
+
+  it("should turn towards the direction of travel limited by maxTurnRate", () => {
+    entity.maxTurnRate = Math.PI / 4;
+    entity.velocity.set(1, 0, 0);
+
+    const direction = new Vector3();
+    entity.update(1);
+    entity.getDirection(direction);
+    expect(Math.acos(Math.min(1, direction.z))).toBeCloseTo(Math.PI / 4);
+
+    entity.update(1);
+    entity.getDirection(direction);
+    expect(direction.x).toBeCloseTo(1);
+  });
+
+  it("should keep its orientation when updateOrientation is disabled", () => {
+    entity.updateOrientation = false;
+    entity.velocity.set(1, 0, 0);
+    entity.update(1);
+
+    const direction = new Vector3();
+    entity.getDirection(direction);
+    expect(direction.z).toBeCloseTo(1);
+  });
+
+  it("should sync the render component after moving", () => {
+    const callback = vi.fn();
+    entity.setRenderComponent({}, callback);
+    entity.update(0);
+    callback.mockClear();
+
+    entity.velocity.set(0, 0, 1);
+    entity.update(1);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][1].position.z).toBeCloseTo(1);
+  });
+
+  it("should move children along with the entity", () => {
+    const child = new GameEntity();
+    child.position = new Vector3(0, 1, 0);
+    entity.add(child);
+    entity.velocity.set(1, 0, 0);
+    entity.update(1);
+
+    const position = new Vector3();
+    child.getWorldPosition(position);
+    expect(position.x).toBeCloseTo(1);
+    expect(position.y).toBeCloseTo(1);
+  });
+
+  it("should round-trip through the entity manager", () => {
+    const manager = new EntityManager();
+    entity.velocity.set(1, 2, 3);
+    entity.maxSpeed = 5;
+    manager.add(entity);
+
+    const restored = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const restoredEntity = restored.entities[0];
+
+    expect(restoredEntity).toBeInstanceOf(MovingEntity);
+    expect(restoredEntity.velocity).toEqual(new Vector3(1, 2, 3));
+    expect(restoredEntity.maxSpeed).toBe(5);
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
+import { GameEntity } from "../src/core/GameEntity";
+import { NavMesh } from "../src/navigation/NavMesh";
+import { Polygon } from "../src/navigation/Polygon";
+import { Corridor } from "../src/navigation/Corridor";
+
+/**
+ * Builds triangle data for unit cells on the XZ plane using Babylon's winding.
+ */
+function createCells(cells, y = 0) {
+  const positions = [];
+  const indices = [];
+
+  for (const [x, z] of cells) {
+    const base = positions.length / 3;
+    positions.push(x, y, z, x + 1, y, z, x + 1, y, z + 1, x, y, z + 1);
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  }
+
+  return { positions, indices };
+}
+
+function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) length += Vector3.Distance(path[i - 1], path[i]);
+  return length;
+}
+
+describe("NavMesh", () => {
+  describe("from positions", () => {
+    // U-shaped mesh, the cells (1, 1) and (1, 2) are blocked
+    const cells = [
+      [0, 0],
+      [1, 0],
+      [2, 0],
+      [0, 1],
+      [2, 1],
+      [0, 2],
+      [2, 2],
+    ];
+    let navMesh;
+
+    beforeEach(() => {
+      const { positions, indices } = createCells(cells);
+      navMesh = new NavMesh().fromPositions(positions, indices);
+    });
+
+    it("should merge triangles into convex regions", () => {
+      expect(navMesh.regions.length).toBeLessThan(cells.length * 2);
+      expect(navMesh.regions.length).toBeGreaterThanOrEqual(3);
+
+      for (const region of navMesh.regions) {
+        expect(region.convex(true)).toBe(true);
+        expect(region.plane.normal.y).toBeCloseTo(1);
+      }
+    });
+
+    it("should keep all triangles when merging is disabled", () => {
+      const { positions, indices } = createCells(cells);
+      const unmerged = new NavMesh();
+      unmerged.mergeConvexRegions = false;
+      unmerged.fromPositions(positions, indices);
+
+      expect(unmerged.regions.length).toBe(cells.length * 2);
+    });
+
+    it("should build a navigation graph of neighboring regions", () => {
+      expect(navMesh.graph.getNodeCount()).toBe(navMesh.regions.length);
+      expect(navMesh.graph.getEdgeCount()).toBeGreaterThan(0);
+    });
+
+    it("should find the region for a point", () => {
+      const region = navMesh.getRegionForPoint(new Vector3(0.5, 0, 0.5));
+      expect(region).not.toBe(null);
+      expect(region.contains(new Vector3(0.5, 0, 0.5))).toBe(true);
+
+      expect(navMesh.getRegionForPoint(new Vector3(1.5, 0, 1.5))).toBe(null);
+      expect(navMesh.getRegionForPoint(new Vector3(0.5, 5, 0.5))).toBe(null);
+    });
+
+    it("should return a straight line within one region", () => {
+      const from = new Vector3(0.2, 0, 0.2);
+      const to = new Vector3(0.8, 0, 0.3);
+      const path = navMesh.findPath(from, to);
+
+      expect(path).toEqual([from, to]);
+      expect(path[0]).not.toBe(from);
+    });
+
+    it("should find a smoothed path around the obstacle", () => {
+      const path = navMesh.findPath(new Vector3(0.5, 0, 2.5), new Vector3(2.5, 0, 2.5));
+
+      expect(path.length).toBe(4);
+      expect(path[0]).toEqual(new Vector3(0.5, 0, 2.5));
+      expect(path[1]).toEqual(new Vector3(1, 0, 1));
+      expect(path[2]).toEqual(new Vector3(2, 0, 1));
+      expect(path[3]).toEqual(new Vector3(2.5, 0, 2.5));
+      expect(pathLength(path)).toBeCloseTo(2 * Math.sqrt(0.25 + 2.25) + 1);
+    });
+
+    it("should use the closest region for points outside of the mesh", () => {
+      const path = navMesh.findPath(new Vector3(-1, 0, 0.5), new Vector3(2.5, 0, 0.5));
+      expect(path.length).toBeGreaterThanOrEqual(2);
+      expect(path[path.length - 1]).toEqual(new Vector3(2.5, 0, 0.5));
+    });
+
+    it("should return an empty path for disconnected regions", () => {
+      const { positions, indices } = createCells([
+        [0, 0],
+        [5, 5],
+      ]);
+      const islands = new NavMesh().fromPositions(positions, indices);
+      expect(islands.findPath(new Vector3(0.5, 0, 0.5), new Vector3(5.5, 0, 5.5))).toEqual([]);
+    });
+
+    it("should clamp movement along the border", () => {
+      const start = new Vector3(0.5, 0, 0.5);
+      const region = navMesh.getRegionForPoint(start);
+      const clamped = new Vector3();
+
+      let newRegion = navMesh.clampMovement(region, start, new Vector3(-0.5, 0, 0.7), clamped);
+      expect(newRegion).toBe(region);
+      expect(clamped.x).toBeCloseTo(0);
+      expect(clamped.z).toBeCloseTo(0.7);
+
+      newRegion = navMesh.clampMovement(region, start, new Vector3(2.5, 0.2, 0.5), clamped);
+      expect(newRegion).toBe(navMesh.getRegionForPoint(new Vector3(2.5, 0, 0.5)));
+      expect(clamped.x).toBeCloseTo(2.5);
+      expect(clamped.y).toBeCloseTo(0);
+      expect(clamped.z).toBeCloseTo(0.5);
+    });
+
+    it("should throw when clamping without a current region", () => {
+      expect(() => navMesh.clampMovement(null, new Vector3(), new Vector3(-5, 0, -5), new Vector3())).toThrow();
+    });
+
+    it("should keep a moving game entity on the mesh", () => {
+      const entity = new GameEntity();
+      entity.position = new Vector3(0.5, 0, 0.5);
+      let region = navMesh.getRegionForPoint(entity.position);
+
+      const step = new Vector3(-0.3, 0, 0);
+      const target = new Vector3();
+      const clamped = new Vector3();
+
+      for (let i = 0; i < 10; i++) {
+        entity.position.addToRef(step, target);
+        region = navMesh.clampMovement(region, entity.position, target, clamped);
+        entity.position = clamped.clone();
+      }
+
+      expect(entity.position.x).toBeCloseTo(0);
+      expect(navMesh.getRegionForPoint(entity.position)).not.toBe(null);
+    });
+  });
+
+  describe("from Babylon meshes", () => {
+    let engine;
+    let scene;
+
+    beforeEach(() => {
+      engine = new NullEngine();
+      scene = new Scene(engine);
+    });
+
+    afterEach(() => {
+      scene.dispose();
+      engine.dispose();
+    });
+
+    it("should build a single region from a subdivided ground", () => {
+      const ground = MeshBuilder.CreateGround("ground", { width: 10, height: 10, subdivisions: 4 }, scene);
+      const navMesh = new NavMesh().fromMesh(ground);
+
+      expect(navMesh.regions.length).toBe(1);
+      expect(navMesh.getRegionForPoint(new Vector3(4.9, 0, -4.9))).not.toBe(null);
+
+      const path = navMesh.findPath(new Vector3(-4, 0, -4), new Vector3(4, 0, 4));
+      expect(path[0]).toEqual(new Vector3(-4, 0, -4));
+      expect(path[path.length - 1]).toEqual(new Vector3(4, 0, 4));
+      expect(pathLength(path)).toBeCloseTo(Math.sqrt(128));
+    });
+
+    it("should apply the world matrix of the mesh", () => {
+      const ground = MeshBuilder.CreateGround("ground", { width: 2, height: 2 }, scene);
+      ground.position.set(10, 2, 0);
+      const navMesh = new NavMesh().fromMesh(ground);
+
+      expect(navMesh.getRegionForPoint(new Vector3(10.5, 2, 0.5))).not.toBe(null);
+      expect(navMesh.getRegionForPoint(new Vector3(0, 0, 0), 1)).toBe(null);
+    });
+
+    it("should only use upward facing faces", () => {
+      const box = MeshBuilder.CreateBox("box", { size: 2 }, scene);
+      const navMesh = new NavMesh().fromMesh(box);
+
+      expect(navMesh.regions.length).toBe(1);
+      expect(navMesh.regions[0].centroid.y).toBeCloseTo(1);
+    });
+
+    it("should follow sloped surfaces", () => {
+      const ground = MeshBuilder.CreateGround("ramp", { width: 4, height: 4 }, scene);
+      ground.rotation.x = -Math.PI / 8;
+      const navMesh = new NavMesh().fromMesh(ground);
+
+      const region = navMesh.regions[0];
+      const point = new Vector3(0, 0, 1);
+      point.y = region.getHeight(point);
+
+      expect(point.y).toBeCloseTo(Math.tan(Math.PI / 8));
+      expect(navMesh.getRegionForPoint(point)).toBe(region);
+    });
+  });
+
+  describe("Corridor", () => {
+    it("should return a straight path through aligned portals", () => {
+      const corridor = new Corridor();
+      corridor.push(new Vector3(0, 0, 0), new Vector3(0, 0, 0));
+      corridor.push(new Vector3(-1, 0, 1), new Vector3(1, 0, 1));
+      corridor.push(new Vector3(0, 0, 2), new Vector3(0, 0, 2));
+
+      expect(corridor.generate()).toEqual([new Vector3(0, 0, 0), new Vector3(0, 0, 2)]);
+    });
+  });
+
+  describe("Polygon", () => {
+    it("should reject contours with less than three points", () => {
+      expect(() => new Polygon().fromContour([new Vector3(), new Vector3(1, 0, 0)])).toThrow();
+    });
+  });
+});
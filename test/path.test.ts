@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Path3D, Curve3 } from "@babylonjs/core/Maths/math.path";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { Path } from "../src/steering/Path";
+import { FollowPathBehavior } from "../src/steering/behaviors/FollowPathBehavior";
+import { OnPathBehavior } from "../src/steering/behaviors/OnPathBehavior";
+import { NavMesh } from "../src/navigation/NavMesh";
+
+function createPath(loop = false) {
+  const path = new Path();
+  path.loop = loop;
+  path.add(new Vector3(0, 0, 0)).add(new Vector3(0, 0, 10)).add(new Vector3(10, 0, 10));
+  return path;
+}
+
+describe("Path", () => {
+  let path;
+
+  beforeEach(() => {
+    path = createPath();
+  });
+
+  it("should advance through its waypoints", () => {
+    expect(path.current()).toEqual(new Vector3(0, 0, 0));
+    expect(path.finished()).toBe(false);
+
+    path.advance().advance();
+    expect(path.current()).toEqual(new Vector3(10, 0, 10));
+    expect(path.finished()).toBe(true);
+
+    path.advance();
+    expect(path.current()).toEqual(new Vector3(10, 0, 10));
+  });
+
+  it("should start over when looped", () => {
+    path.loop = true;
+    path.advance().advance().advance();
+
+    expect(path.finished()).toBe(false);
+    expect(path.current()).toEqual(new Vector3(0, 0, 0));
+  });
+
+  it("should clear its waypoints", () => {
+    path.advance().clear();
+    expect(path.current()).toBe(null);
+    expect(path.waypoints.length).toBe(0);
+  });
+
+  it("should be created from points", () => {
+    const points = [new Vector3(1, 0, 0), new Vector3(2, 0, 0)];
+    path.fromPoints(points);
+
+    expect(path.waypoints).toEqual(points);
+    expect(path.waypoints[0]).not.toBe(points[0]);
+    expect(path.current()).toEqual(points[0]);
+  });
+
+  it("should be created from a navigation mesh result", () => {
+    const navMesh = new NavMesh().fromPositions([0, 0, 0, 4, 0, 0, 4, 0, 4, 0, 0, 4], [0, 1, 2, 0, 2, 3]);
+    path.fromPoints(navMesh.findPath(new Vector3(1, 0, 1), new Vector3(3, 0, 3)));
+
+    expect(path.waypoints).toEqual([new Vector3(1, 0, 1), new Vector3(3, 0, 3)]);
+  });
+
+  it("should be created from a Path3D", () => {
+    const path3D = new Path3D([new Vector3(0, 0, 0), new Vector3(0, 0, 5), new Vector3(5, 0, 5)]);
+    path.fromPath3D(path3D);
+
+    expect(path.waypoints.length).toBe(3);
+    expect(path.waypoints[2]).toEqual(new Vector3(5, 0, 5));
+  });
+
+  it("should be created from curves and loop closed ones", () => {
+    const open = Curve3.CreateQuadraticBezier(new Vector3(0, 0, 0), new Vector3(5, 0, 5), new Vector3(10, 0, 0), 8);
+    path.fromCurve3(open);
+    expect(path.waypoints.length).toBe(9);
+    expect(path.loop).toBe(false);
+
+    const circle = Curve3.ArcThru3Points(new Vector3(1, 0, 0), new Vector3(0, 0, 1), new Vector3(-1, 0, 0), 16, false, true);
+    path.fromCurve3(circle);
+    expect(path.loop).toBe(true);
+    expect(path.waypoints[0].equalsWithEpsilon(path.waypoints[path.waypoints.length - 1])).toBe(false);
+  });
+
+  it("should round-trip through JSON", () => {
+    path.loop = true;
+    path.advance();
+
+    const restored = new Path().fromJSON(JSON.parse(JSON.stringify(path.toJSON())));
+    expect(restored.loop).toBe(true);
+    expect(restored.waypoints).toEqual(path.waypoints);
+    expect(restored.current()).toEqual(new Vector3(0, 0, 10));
+  });
+});
+
+describe("Path behaviors", () => {
+  let vehicle;
+  const force = new Vector3();
+
+  beforeEach(() => {
+    vehicle = new Vehicle();
+    vehicle.maxSpeed = 4;
+  });
+
+  describe("FollowPathBehavior", () => {
+    it("should seek the current waypoint", () => {
+      const behavior = new FollowPathBehavior(createPath(), 0.5);
+      vehicle.position = new Vector3(5, 0, 0);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(force.x).toBeCloseTo(-4);
+    });
+
+    it("should advance when close to the current waypoint", () => {
+      const path = createPath();
+      const behavior = new FollowPathBehavior(path, 1);
+      behavior.calculate(vehicle, force, 0.016);
+
+      expect(path.current()).toEqual(new Vector3(0, 0, 10));
+      expect(force.z).toBeCloseTo(4);
+    });
+
+    it("should arrive at the last waypoint", () => {
+      const path = createPath();
+      const behavior = new FollowPathBehavior(path, 0.5);
+      vehicle.steering.add(behavior);
+
+      for (let i = 0; i < 600; i++) vehicle.update(1 / 30);
+
+      expect(path.finished()).toBe(true);
+      expect(Vector3.Distance(vehicle.position, new Vector3(10, 0, 10))).toBeLessThan(0.5);
+      expect(vehicle.getSpeed()).toBeLessThan(0.5);
+    });
+
+    it("should produce no force for an empty path", () => {
+      force.set(1, 1, 1);
+      new FollowPathBehavior().calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+  });
+
+  describe("OnPathBehavior", () => {
+    it("should not steer when inside the path radius", () => {
+      const behavior = new OnPathBehavior(createPath(), 1);
+      vehicle.position = new Vector3(0.5, 0, 5);
+      vehicle.velocity.set(0, 0, 1);
+
+      force.set(1, 1, 1);
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should steer back towards the path when the prediction leaves it", () => {
+      const behavior = new OnPathBehavior(createPath(), 0.5);
+      vehicle.position = new Vector3(-0.3, 0, 5);
+      vehicle.velocity.set(-2, 0, 0);
+
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force.x).toBeGreaterThan(0);
+    });
+
+    it("should consider the closing segment of looped paths", () => {
+      const behavior = new OnPathBehavior(createPath(true), 0.5, 0);
+      vehicle.position = new Vector3(5, 0, 5);
+
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+
+      behavior.path.loop = false;
+      behavior.calculate(vehicle, force, 0.016);
+      expect(force.length()).toBeGreaterThan(0);
+    });
+  });
+
+  it("should round-trip path behaviors with their vehicle", () => {
+    const path = createPath();
+    path.advance();
+    vehicle.steering.add(new FollowPathBehavior(path, 2)).add(new OnPathBehavior(createPath(), 0.3, 2));
+
+    const manager = new EntityManager().add(vehicle);
+    const restored = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const [followPath, onPath] = restored.entities[0].steering.behaviors;
+
+    expect(followPath).toBeInstanceOf(FollowPathBehavior);
+    expect(followPath.nextWaypointDistance).toBe(2);
+    expect(followPath.path.current()).toEqual(new Vector3(0, 0, 10));
+    expect(onPath).toBeInstanceOf(OnPathBehavior);
+    expect(onPath.radius).toBe(0.3);
+    expect(onPath.predictionFactor).toBe(2);
+    expect(onPath.path.waypoints.length).toBe(3);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager, SERIALIZATION_VERSION } from "../src/core/EntityManager";
+
+class Soldier extends GameEntity {
+  constructor() {
+    super();
+    this.health = 100;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.health = this.health;
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.health = json.health;
+    return this;
+  }
+}
+
+describe("Serialization", () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new EntityManager();
+  });
+
+  describe("GameEntity", () => {
+    it("should serialize to JSON", () => {
+      const entity = new GameEntity();
+      entity.name = "Test Entity";
+      entity.position = new Vector3(1, 2, 3);
+
+      const json = entity.toJSON();
+      expect(json.type).toBe("GameEntity");
+      expect(json.uuid).toBe(entity.uuid);
+      expect(json.name).toBe("Test Entity");
+      expect(json.position).toEqual([1, 2, 3]);
+      expect(json.scaling).toEqual([1, 1, 1]);
+    });
+
+    it("should restore transforms and mark matrices dirty", () => {
+      const entity = new GameEntity();
+      entity.position = new Vector3(1, 2, 3);
+      entity.rotation = Quaternion.RotationAxis(new Vector3(0, 1, 0), Math.PI / 2);
+
+      const restored = new GameEntity().fromJSON(entity.toJSON());
+      expect(restored.uuid).toBe(entity.uuid);
+
+      const position = new Vector3();
+      restored.getWorldPosition(position);
+      expect(position).toEqual(new Vector3(1, 2, 3));
+
+      const direction = new Vector3();
+      restored.getWorldDirection(direction);
+      expect(direction.x).toBeCloseTo(1);
+    });
+
+    it("should drop references to unknown entities", () => {
+      const entity = new GameEntity();
+      entity.fromJSON({ ...new GameEntity().toJSON(), neighbors: ["missing"], parent: "missing" });
+      entity.resolveReferences(new Map());
+
+      expect(entity.neighbors).toEqual([]);
+      expect(entity.parent).toBeNull();
+    });
+  });
+
+  describe("EntityManager", () => {
+    it("should write a versioned document", () => {
+      const json = manager.toJSON();
+      expect(json.type).toBe("EntityManager");
+      expect(json.version).toBe(SERIALIZATION_VERSION);
+    });
+
+    it("should round-trip hierarchies, neighbors and custom types", () => {
+      const parent = new GameEntity();
+      parent.name = "Parent";
+      parent.position = new Vector3(1, 0, 0);
+
+      const child = new Soldier();
+      child.name = "Child";
+      child.health = 42;
+      child.position = new Vector3(0, 1, 0);
+      parent.add(child);
+
+      const other = new GameEntity();
+      other.name = "Other";
+      other.neighbors.push(child);
+
+      manager.add(parent).add(other);
+
+      const json = JSON.parse(JSON.stringify(manager.toJSON()));
+
+      const restored = new EntityManager();
+      restored.registerType("Soldier", Soldier);
+      restored.fromJSON(json);
+
+      expect(restored.entities.length).toBe(2);
+
+      const restoredParent = restored.getEntityByName("Parent");
+      const restoredOther = restored.getEntityByName("Other");
+      const restoredChild = restoredParent.children[0];
+
+      expect(restoredParent.manager).toBe(restored);
+      expect(restoredChild).toBeInstanceOf(Soldier);
+      expect(restoredChild.health).toBe(42);
+      expect(restoredChild.parent).toBe(restoredParent);
+      expect(restoredOther.neighbors[0]).toBe(restoredChild);
+
+      const position = new Vector3();
+      restoredChild.getWorldPosition(position);
+      expect(position).toEqual(new Vector3(1, 1, 0));
+    });
+
+    it("should restore pending messages", () => {
+      const sender = new GameEntity();
+      const receiver = new GameEntity();
+      manager.add(sender).add(receiver);
+      sender.sendMessage(receiver, "later", 2, { value: 7 });
+      manager.update(1);
+
+      const restored = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+      const restoredReceiver = restored.entities[1];
+      const received = [];
+      restoredReceiver.handleMessage = (telegram) => {
+        received.push(telegram);
+        return true;
+      };
+
+      restored.update(0.5);
+      expect(received.length).toBe(0);
+
+      restored.update(0.5);
+      expect(received.length).toBe(1);
+      expect(received[0].sender).toBe(restored.entities[0]);
+      expect(received[0].data).toEqual({ value: 7 });
+    });
+
+    it("should reject documents with a different version", () => {
+      const json = manager.toJSON();
+      json.version = SERIALIZATION_VERSION + 1;
+      expect(() => new EntityManager().fromJSON(json)).toThrow(/version/);
+    });
+
+    it("should reject unregistered entity types", () => {
+      manager.add(new Soldier());
+      const json = manager.toJSON();
+      expect(() => new EntityManager().fromJSON(json)).toThrow(/Soldier/);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { State } from "../src/fsm/State";
+import { StateMachine } from "../src/fsm/StateMachine";
+
+class IdleState extends State {
+  enter(owner) {
+    owner.log.push("enter idle");
+  }
+
+  execute(owner) {
+    owner.log.push("execute idle");
+  }
+
+  exit(owner) {
+    owner.log.push("exit idle");
+  }
+
+  onMessage(owner, telegram) {
+    if (telegram.message === "wake") {
+      owner.stateMachine.changeTo("work");
+      return true;
+    }
+    return false;
+  }
+}
+
+class WorkState extends State {
+  constructor() {
+    super();
+    this.progress = 0;
+  }
+
+  enter(owner) {
+    owner.log.push("enter work");
+  }
+
+  execute(owner, delta) {
+    this.progress += delta;
+  }
+
+  exit(owner) {
+    owner.log.push("exit work");
+  }
+
+  toJSON() {
+    return { progress: this.progress };
+  }
+
+  fromJSON(json) {
+    this.progress = json.progress;
+    return this;
+  }
+}
+
+class GlobalState extends State {
+  onMessage(owner, telegram) {
+    return telegram.message === "ping";
+  }
+}
+
+class Miner extends GameEntity {
+  constructor() {
+    super();
+    this.log = [];
+    this.stateMachine = new StateMachine(this);
+    this.stateMachine.registerType("IdleState", IdleState);
+    this.stateMachine.registerType("WorkState", WorkState);
+    this.stateMachine.registerType("GlobalState", GlobalState);
+    this.stateMachine.add("idle", new IdleState());
+    this.stateMachine.add("work", new WorkState());
+    this.stateMachine.add("global", new GlobalState());
+    this.stateMachine.globalState = this.stateMachine.get("global");
+  }
+
+  update(delta) {
+    this.stateMachine.update(delta);
+    return super.update(delta);
+  }
+
+  handleMessage(telegram) {
+    return this.stateMachine.handleMessage(telegram);
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.stateMachine = this.stateMachine.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.stateMachine.fromJSON(json.stateMachine);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.stateMachine.resolveReferences(entities);
+    return this;
+  }
+}
+
+describe("StateMachine", () => {
+  let miner;
+
+  beforeEach(() => {
+    miner = new Miner();
+  });
+
+  it("should initialize without states being active", () => {
+    const fsm = new StateMachine();
+    expect(fsm.owner).toBeNull();
+    expect(fsm.currentState).toBeNull();
+    expect(fsm.previousState).toBeNull();
+    expect(fsm.globalState).toBeNull();
+  });
+
+  it("should only accept State instances", () => {
+    expect(() => miner.stateMachine.add("invalid", {})).toThrow();
+  });
+
+  it("should enter and exit states on change", () => {
+    miner.stateMachine.changeTo("idle");
+    miner.stateMachine.changeTo("work");
+
+    expect(miner.log).toEqual(["enter idle", "exit idle", "enter work"]);
+    expect(miner.stateMachine.in("work")).toBe(true);
+    expect(miner.stateMachine.previousState).toBe(miner.stateMachine.get("idle"));
+  });
+
+  it("should revert to the previous state", () => {
+    miner.stateMachine.changeTo("idle").changeTo("work").revert();
+    expect(miner.stateMachine.in("idle")).toBe(true);
+  });
+
+  it("should throw on unknown states", () => {
+    expect(() => miner.stateMachine.changeTo("sleep")).toThrow(/sleep/);
+  });
+
+  it("should execute the global and the current state with the time delta", () => {
+    const global = miner.stateMachine.get("global");
+    const execute = vi.spyOn(global, "execute");
+    miner.stateMachine.changeTo("work");
+
+    miner.update(0.5);
+    miner.update(0.25);
+
+    expect(execute).toHaveBeenCalledWith(miner, 0.5);
+    expect(miner.stateMachine.get("work").progress).toBeCloseTo(0.75);
+  });
+
+  it("should handle telegrams sent to the owner", () => {
+    const manager = new EntityManager();
+    const sender = new GameEntity();
+    manager.add(sender).add(miner);
+    miner.stateMachine.changeTo("idle");
+
+    sender.sendMessage(miner, "wake");
+    expect(miner.stateMachine.in("work")).toBe(true);
+
+    expect(miner.stateMachine.handleMessage({ message: "ping" })).toBe(true);
+    expect(miner.stateMachine.handleMessage({ message: "unknown" })).toBe(false);
+  });
+
+  it("should serialize with the entity through registered state types", () => {
+    const manager = new EntityManager();
+    manager.registerType("Miner", Miner);
+    miner.stateMachine.changeTo("idle").changeTo("work");
+    miner.update(2);
+    manager.add(miner);
+
+    const restored = new EntityManager();
+    restored.registerType("Miner", Miner);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+
+    const restoredMiner = restored.entities[0];
+    const fsm = restoredMiner.stateMachine;
+    expect(fsm.owner).toBe(restoredMiner);
+    expect(fsm.in("work")).toBe(true);
+    expect(fsm.previousState).toBe(fsm.get("idle"));
+    expect(fsm.globalState).toBe(fsm.get("global"));
+    expect(fsm.get("work").progress).toBeCloseTo(2);
+  });
+
+  it("should reject unregistered state types", () => {
+    const fsm = new StateMachine();
+    fsm.add("idle", new IdleState());
+    expect(() => new StateMachine().fromJSON(fsm.toJSON())).toThrow(/IdleState/);
+  });
+});
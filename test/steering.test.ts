@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { MovingEntity } from "../src/core/MovingEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { SteeringBehavior } from "../src/steering/SteeringBehavior";
+import { SeekBehavior } from "../src/steering/behaviors/SeekBehavior";
+import { FleeBehavior } from "../src/steering/behaviors/FleeBehavior";
+import { ArriveBehavior } from "../src/steering/behaviors/ArriveBehavior";
+import { PursuitBehavior } from "../src/steering/behaviors/PursuitBehavior";
+import { EvadeBehavior } from "../src/steering/behaviors/EvadeBehavior";
+import { WanderBehavior } from "../src/steering/behaviors/WanderBehavior";
+import { InterposeBehavior } from "../src/steering/behaviors/InterposeBehavior";
+
+class ConstantBehavior extends SteeringBehavior {
+  constructor(x = 0, y = 0, z = 0) {
+    super();
+    this.value = new Vector3(x, y, z);
+  }
+
+  calculate(vehicle, force) {
+    return force.copyFrom(this.value);
+  }
+}
+
+describe("Steering", () => {
+  let vehicle;
+  const force = new Vector3();
+
+  beforeEach(() => {
+    vehicle = new Vehicle();
+    vehicle.maxSpeed = 2;
+  });
+
+  describe("Vehicle", () => {
+    it("should initialize with default values", () => {
+      expect(vehicle.mass).toBe(1);
+      expect(vehicle.maxForce).toBe(100);
+      expect(vehicle.steering.vehicle).toBe(vehicle);
+      expect(vehicle).toBeInstanceOf(MovingEntity);
+    });
+
+    it("should accelerate by force divided by mass", () => {
+      vehicle.maxSpeed = 100;
+      vehicle.mass = 2;
+      vehicle.steering.add(new ConstantBehavior(4, 0, 0));
+      vehicle.update(1);
+
+      expect(vehicle.velocity.x).toBeCloseTo(2);
+      expect(vehicle.position.x).toBeCloseTo(2);
+    });
+
+    it("should move towards a seek target over time", () => {
+      vehicle.steering.add(new SeekBehavior(new Vector3(10, 0, 0)));
+      for (let i = 0; i < 60; i++) vehicle.update(1 / 60);
+
+      expect(vehicle.position.x).toBeGreaterThan(0.5);
+      expect(vehicle.getSpeed()).toBeLessThanOrEqual(vehicle.maxSpeed + 1e-6);
+    });
+  });
+
+  describe("SteeringManager", () => {
+    it("should sum weighted forces", () => {
+      const a = new ConstantBehavior(1, 0, 0);
+      const b = new ConstantBehavior(0, 0, 1);
+      b.weight = 2;
+      vehicle.steering.add(a).add(b);
+
+      vehicle.steering.calculate(0.016, force);
+      expect(force).toEqual(new Vector3(1, 0, 2));
+    });
+
+    it("should truncate the total force to maxForce", () => {
+      vehicle.maxForce = 5;
+      vehicle.steering.add(new ConstantBehavior(4, 0, 0)).add(new ConstantBehavior(0, 0, 4));
+
+      vehicle.steering.calculate(0.016, force);
+      expect(force.length()).toBeLessThanOrEqual(5 + 1e-6);
+      expect(force.x).toBeCloseTo(4);
+      expect(force.z).toBeCloseTo(1);
+    });
+
+    it("should skip inactive behaviors", () => {
+      const behavior = new ConstantBehavior(1, 0, 0);
+      behavior.active = false;
+      vehicle.steering.add(behavior);
+
+      vehicle.steering.calculate(0.016, force);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should remove and clear behaviors", () => {
+      const a = new ConstantBehavior();
+      const b = new ConstantBehavior();
+      vehicle.steering.add(a).add(b).remove(a);
+      expect(vehicle.steering.behaviors).toEqual([b]);
+
+      vehicle.steering.clear();
+      expect(vehicle.steering.behaviors.length).toBe(0);
+    });
+  });
+
+  describe("Behaviors", () => {
+    it("seek should steer towards the target at max speed", () => {
+      new SeekBehavior(new Vector3(5, 0, 0)).calculate(vehicle, force);
+      expect(force).toEqual(new Vector3(2, 0, 0));
+    });
+
+    it("flee should steer away from a close target", () => {
+      new FleeBehavior(new Vector3(1, 0, 0), 5).calculate(vehicle, force);
+      expect(force).toEqual(new Vector3(-2, 0, 0));
+    });
+
+    it("flee should ignore targets outside the panic distance", () => {
+      new FleeBehavior(new Vector3(10, 0, 0), 5).calculate(vehicle, force);
+      expect(force).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("arrive should slow down near the target", () => {
+      const arrive = new ArriveBehavior(new Vector3(3, 0, 0), 3);
+      arrive.calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(1);
+
+      vehicle.position = new Vector3(3, 0, 0);
+      vehicle.velocity.set(1, 0, 0);
+      arrive.calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(-1);
+    });
+
+    it("pursuit should aim at the predicted position of the evader", () => {
+      const evader = new MovingEntity();
+      evader.position = new Vector3(4, 0, 0);
+      evader.velocity.set(0, 0, 2);
+
+      new PursuitBehavior(evader).calculate(vehicle, force);
+      expect(force.x).toBeGreaterThan(0);
+      expect(force.z).toBeGreaterThan(0);
+    });
+
+    it("pursuit should seek directly when the evader is ahead and facing", () => {
+      const evader = new MovingEntity();
+      evader.position = new Vector3(0, 0, 4);
+      evader.lookAt(new Vector3(0, 0, 0));
+      evader.velocity.set(1, 0, 0);
+
+      new PursuitBehavior(evader).calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(0);
+      expect(force.z).toBeCloseTo(2);
+    });
+
+    it("evade should flee from the predicted position of the pursuer", () => {
+      const pursuer = new MovingEntity();
+      pursuer.position = new Vector3(2, 0, 0);
+      pursuer.velocity.set(-1, 0, 0);
+
+      new EvadeBehavior(pursuer).calculate(vehicle, force);
+      expect(force.x).toBeLessThan(0);
+    });
+
+    it("pursuit and evade should not predict without any speed", () => {
+      const other = new MovingEntity();
+      other.position = new Vector3(2, 0, 0);
+      vehicle.maxSpeed = 0;
+
+      new PursuitBehavior(other).calculate(vehicle, force);
+      expect(force.length()).toBe(0);
+
+      new EvadeBehavior(other).calculate(vehicle, force);
+      expect(force.length()).toBe(0);
+    });
+
+    it("wander should produce a force towards a point ahead of the vehicle", () => {
+      const wander = new WanderBehavior(1, 5, 5);
+      wander.calculate(vehicle, force, 0.016);
+
+      expect(force.z).toBeGreaterThan(3.9);
+      expect(force.length()).toBeLessThanOrEqual(6 + 1e-6);
+    });
+
+    it("interpose should steer to the midpoint between two entities", () => {
+      const a = new GameEntity();
+      const b = new GameEntity();
+      a.position = new Vector3(-4, 0, 6);
+      b.position = new Vector3(4, 0, 6);
+
+      new InterposeBehavior(a, b).calculate(vehicle, force);
+      expect(force.x).toBeCloseTo(0);
+      expect(force.z).toBeGreaterThan(0);
+    });
+  });
+
+  describe("Serialization", () => {
+    it("should round-trip a vehicle with its behaviors", () => {
+      const manager = new EntityManager();
+      const target = new MovingEntity();
+      vehicle.mass = 3;
+      vehicle.steering.add(new SeekBehavior(new Vector3(1, 2, 3)));
+      vehicle.steering.add(new PursuitBehavior(target, 2));
+      vehicle.steering.add(new ArriveBehavior(new Vector3(4, 0, 0), 2, 0.5));
+      vehicle.steering.add(new WanderBehavior(2, 3, 4));
+      manager.add(vehicle).add(target);
+
+      const restored = new EntityManager().fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+      const restoredVehicle = restored.entities[0];
+      const [seek, pursuit, arrive, wander] = restoredVehicle.steering.behaviors;
+
+      expect(restoredVehicle).toBeInstanceOf(Vehicle);
+      expect(restoredVehicle.mass).toBe(3);
+      expect(restoredVehicle.steering.vehicle).toBe(restoredVehicle);
+      expect(seek).toBeInstanceOf(SeekBehavior);
+      expect(seek.target).toEqual(new Vector3(1, 2, 3));
+      expect(pursuit.evader).toBe(restored.entities[1]);
+      expect(pursuit.predictionFactor).toBe(2);
+      expect(arrive.tolerance).toBe(0.5);
+      expect(wander.radius).toBe(2);
+    });
+
+    it("should reject unregistered behavior types", () => {
+      vehicle.steering.add(new ConstantBehavior());
+      const json = vehicle.toJSON();
+      expect(() => new Vehicle().fromJSON(json)).toThrow(/ConstantBehavior/);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3, Quaternion, Matrix } from "@babylonjs/core/Maths/math.vector";
+import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
+import { TransformNode } from "@babylonjs/core/Meshes/transformNode";
+import { UniversalCamera } from "@babylonjs/core/Cameras/universalCamera";
+import "@babylonjs/core/Meshes/thinInstanceMesh";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { TransformNodeAdapter } from "../src/rendering/TransformNodeAdapter";
+import { InstancedMeshAdapter } from "../src/rendering/InstancedMeshAdapter";
+import { ThinInstanceAdapter } from "../src/rendering/ThinInstanceAdapter";
+
+function createEntity(position, rotation = Quaternion.Identity(), scaling = new Vector3(1, 1, 1)) {
+  const entity = new GameEntity();
+  entity.position = position;
+  entity.rotation = rotation;
+  entity.scaling = scaling;
+  return entity;
+}
+
+describe("Sync adapters", () => {
+  let engine;
+  let scene;
+
+  beforeEach(() => {
+    engine = new NullEngine();
+    scene = new Scene(engine);
+    new UniversalCamera("camera", Vector3.Zero(), scene);
+  });
+
+  afterEach(() => {
+    scene.dispose();
+    engine.dispose();
+  });
+
+  describe("TransformNodeAdapter", () => {
+    it("should copy the world matrix of the entity", () => {
+      const parent = createEntity(new Vector3(1, 0, 3), Quaternion.RotationAxis(Vector3.Up(), Math.PI / 2), new Vector3(1, 3, 1));
+      const child = createEntity(new Vector3(3, 1, 0));
+      parent.add(child);
+
+      const mesh = MeshBuilder.CreateBox("box", {}, scene);
+      child.setRenderComponent(new TransformNodeAdapter(mesh));
+
+      expect(mesh.rotationQuaternion).toBe(null);
+      expect(mesh.isWorldMatrixFrozen).toBe(true);
+      expect(mesh.getWorldMatrix().equalsWithEpsilon(child.worldMatrix)).toBe(true);
+      expect(mesh.getWorldMatrix()).not.toBe(child.worldMatrix);
+      expect(mesh.getAbsolutePosition().equalsWithEpsilon(new Vector3(1, 3, 0))).toBe(true);
+      expect(mesh.getBoundingInfo().boundingBox.centerWorld.equalsWithEpsilon(new Vector3(1, 3, 0))).toBe(true);
+    });
+
+    it("should sync moved entities before each render", () => {
+      const entity = createEntity(new Vector3(0, 0, 0));
+      const node = new TransformNode("node", scene);
+      entity.setRenderComponent(new TransformNodeAdapter(node));
+      new EntityManager().add(entity).attachToScene(scene);
+
+      entity.position = new Vector3(2, 0, -1);
+      scene.render();
+
+      expect(node.getAbsolutePosition()).toEqual(new Vector3(2, 0, -1));
+    });
+
+    it("should only sync when the transform changed", () => {
+      const entity = createEntity(new Vector3(1, 0, 0));
+      const adapter = new TransformNodeAdapter(new TransformNode("node", scene));
+      entity.setRenderComponent(adapter);
+      const sync = vi.spyOn(adapter, "sync");
+
+      entity.update(0.016);
+      entity.update(0.016);
+      expect(sync).toHaveBeenCalledTimes(1);
+
+      entity.position = new Vector3(2, 0, 0);
+      entity.update(0.016);
+      expect(sync).toHaveBeenCalledTimes(2);
+    });
+
+    it("should hand the node back to Babylon when replaced", () => {
+      const entity = createEntity(new Vector3(5, 0, 0));
+      const mesh = MeshBuilder.CreateBox("box", {}, scene);
+      entity.setRenderComponent(new TransformNodeAdapter(mesh));
+
+      entity.setRenderComponent({}, vi.fn());
+      expect(mesh.isWorldMatrixFrozen).toBe(false);
+      expect(mesh.getAbsolutePosition()).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should reject missing nodes and render components without callback", () => {
+      expect(() => new TransformNodeAdapter(null)).toThrow(/TransformNodeAdapter/);
+      expect(() => new GameEntity().setRenderComponent({})).toThrow(/sync adapter/);
+    });
+  });
+
+  describe("InstancedMeshAdapter", () => {
+    it("should move instances independently", () => {
+      const mesh = MeshBuilder.CreateBox("box", {}, scene);
+      const a = createEntity(new Vector3(-2, 0, 5));
+      const b = createEntity(new Vector3(2, 0, 5));
+      const adapter = new InstancedMeshAdapter(mesh.createInstance("a"));
+      a.setRenderComponent(adapter);
+      b.setRenderComponent(new InstancedMeshAdapter(mesh.createInstance("b")));
+
+      expect(adapter.sourceMesh).toBe(mesh);
+      expect(adapter.node.getAbsolutePosition()).toEqual(new Vector3(-2, 0, 5));
+
+      new EntityManager().add(a).add(b).attachToScene(scene);
+      b.position = new Vector3(3, 0, 5);
+      scene.render();
+
+      expect(mesh.instances[1].getWorldMatrix().getTranslation()).toEqual(new Vector3(3, 0, 5));
+      expect(mesh.getAbsolutePosition()).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it("should reject nodes that are no instances", () => {
+      expect(() => new InstancedMeshAdapter(MeshBuilder.CreateBox("box", {}, scene))).toThrow(/InstancedMeshAdapter/);
+    });
+  });
+
+  describe("ThinInstanceAdapter", () => {
+    it("should write the world matrix into the buffer at its index", () => {
+      const buffer = new Float32Array(16 * 3);
+      const entity = createEntity(new Vector3(1, 2, 3), Quaternion.Identity(), new Vector3(2, 2, 2));
+      entity.setRenderComponent(new ThinInstanceAdapter(buffer, 1));
+
+      expect(Matrix.FromArray(buffer, 16).equalsWithEpsilon(entity.worldMatrix)).toBe(true);
+      expect(buffer.subarray(0, 16).every((value) => value === 0)).toBe(true);
+      expect(buffer.subarray(32).every((value) => value === 0)).toBe(true);
+    });
+
+    it("should upload the matrix to the mesh", () => {
+      const mesh = MeshBuilder.CreateBox("box", {}, scene);
+      const buffer = new Float32Array(16 * 2);
+      mesh.thinInstanceSetBuffer("matrix", buffer, 16, false);
+      const update = vi.spyOn(mesh, "thinInstancePartialBufferUpdate");
+
+      const entity = createEntity(new Vector3(4, 0, 0));
+      const adapter = new ThinInstanceAdapter(buffer, 1, mesh);
+      entity.setRenderComponent(adapter);
+
+      expect(update).toHaveBeenCalledWith("matrix", buffer.subarray(16, 32), 16);
+      expect(mesh.thinInstanceGetWorldMatrices()[1].getTranslation()).toEqual(new Vector3(4, 0, 0));
+
+      adapter.index = 0;
+      entity.position = new Vector3(5, 0, 0);
+      entity.update(0.016);
+      expect(update).toHaveBeenLastCalledWith("matrix", buffer.subarray(0, 16), 0);
+      expect(buffer[12]).toBe(5);
+    });
+
+    it("should reject indices outside of the buffer", () => {
+      const adapter = new ThinInstanceAdapter(new Float32Array(16), 1);
+      expect(() => new GameEntity().setRenderComponent(adapter)).toThrow(/out of the buffer range/);
+    });
+  });
+});
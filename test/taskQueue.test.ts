@@ -0,0 +1,312 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { UniversalCamera } from "@babylonjs/core/Cameras/universalCamera";
+import { GameEntity } from "../src/core/GameEntity";
+import { Task } from "../src/core/Task";
+import { TaskQueue } from "../src/core/TaskQueue";
+import { NavMesh } from "../src/navigation/NavMesh";
+import { PathPlanner } from "../src/navigation/PathPlanner";
+
+describe("TaskQueue", () => {
+  let queue;
+  let now;
+
+  beforeEach(() => {
+    queue = new TaskQueue(5);
+
+    // every task takes 2ms of the budget
+    now = 0;
+    vi.spyOn(performance, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const createTask = (result) =>
+    new Task(() => {
+      now += 2;
+      return result;
+    });
+
+  it("should run tasks within the time budget", () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) queue.enqueue(createTask(i), (result) => results.push(result));
+
+    queue.update();
+    expect(results).toEqual([0, 1, 2]);
+    expect(queue.length).toBe(2);
+
+    queue.update();
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(queue.length).toBe(0);
+  });
+
+  it("should run at least one task per update", () => {
+    const callback = vi.fn();
+    queue.budget = 0;
+    queue.enqueue(createTask(1), callback);
+    queue.enqueue(createTask(2), callback);
+
+    queue.update();
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it("should resolve promises with the task result", async () => {
+    const promise = queue.enqueue(createTask("done"));
+    queue.update();
+
+    await expect(promise).resolves.toBe("done");
+  });
+
+  it("should reject failing tasks and continue with the next one", async () => {
+    const failing = queue.enqueue(
+      new Task(() => {
+        throw new Error("broken");
+      })
+    );
+    const next = queue.enqueue(createTask(2));
+    queue.update();
+
+    await expect(failing).rejects.toThrow("broken");
+    await expect(next).resolves.toBe(2);
+  });
+
+  it("should reject pending tasks when cleared", async () => {
+    const promise = queue.enqueue(createTask(1));
+    queue.clear();
+
+    await expect(promise).rejects.toThrow(/TaskQueue/);
+    expect(queue.length).toBe(0);
+  });
+
+  it("should report errors to callbacks without unhandled rejections", async () => {
+    const unhandled = vi.fn();
+    process.on("unhandledRejection", unhandled);
+    const failingCallback = vi.fn();
+    const clearedCallback = vi.fn();
+
+    queue.enqueue(
+      new Task(() => {
+        throw new Error("broken");
+      }),
+      failingCallback
+    );
+    queue.update();
+    queue.enqueue(createTask(1), clearedCallback);
+    queue.clear();
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    process.off("unhandledRejection", unhandled);
+
+    expect(failingCallback).toHaveBeenCalledWith(null, new Error("broken"));
+    expect(clearedCallback.mock.calls[0][0]).toBe(null);
+    expect(clearedCallback.mock.calls[0][1].message).toMatch(/removed from the queue/);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  it("should continue when a callback throws", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const first = queue.enqueue(createTask(1), () => {
+      throw new Error("bad callback");
+    });
+    const second = queue.enqueue(createTask(2));
+
+    queue.budget = Infinity;
+    expect(() => queue.update()).not.toThrow();
+
+    await expect(first).rejects.toThrow("bad callback");
+    await expect(second).resolves.toBe(2);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it("should resume tasks that work in steps in the next update", async () => {
+    const callback = vi.fn();
+    const promise = queue.enqueue(
+      new Task(function* () {
+        for (let i = 0; i < 4; i++) {
+          now += 2;
+          yield;
+        }
+        return "done";
+      }),
+      callback
+    );
+    const next = queue.enqueue(createTask(2));
+
+    queue.update();
+    expect(callback).not.toHaveBeenCalled();
+    expect(queue.length).toBe(2);
+
+    // the remaining step leaves enough budget for the next task
+    queue.update();
+    expect(callback).toHaveBeenCalledWith("done", null);
+    expect(queue.length).toBe(0);
+
+    await expect(promise).resolves.toBe("done");
+    await expect(next).resolves.toBe(2);
+  });
+
+  it("should reject tasks that fail in a later step", async () => {
+    const promise = queue.enqueue(
+      new Task(function* () {
+        now += 10;
+        yield;
+        throw new Error("broken");
+      })
+    );
+
+    queue.update();
+    queue.update();
+    await expect(promise).rejects.toThrow("broken");
+    expect(queue.length).toBe(0);
+  });
+
+  it("should stop started tasks when cleared", async () => {
+    const cleanup = vi.fn();
+    const promise = queue.enqueue(
+      new Task(function* () {
+        try {
+          now += 10;
+          yield;
+          return "done";
+        } finally {
+          cleanup();
+        }
+      })
+    );
+
+    queue.update();
+    queue.clear();
+
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    await expect(promise).rejects.toThrow(/removed from the queue/);
+  });
+
+  it("should support derived tasks", async () => {
+    class SumTask extends Task {
+      execute() {
+        return 1 + 2;
+      }
+    }
+
+    const promise = queue.enqueue(new SumTask());
+    queue.update();
+    await expect(promise).resolves.toBe(3);
+  });
+
+  describe("Scene Binding", () => {
+    let engine;
+    let scene;
+
+    beforeEach(() => {
+      engine = new NullEngine();
+      scene = new Scene(engine);
+      new UniversalCamera("camera", Vector3.Zero(), scene);
+    });
+
+    afterEach(() => {
+      scene.dispose();
+      engine.dispose();
+    });
+
+    it("should update before each render until detached", () => {
+      const update = vi.spyOn(queue, "update");
+      queue.attachToScene(scene);
+
+      scene.render();
+      queue.detachFromScene();
+      scene.render();
+
+      expect(update).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe("PathPlanner", () => {
+  let planner;
+
+  beforeEach(() => {
+    const navMesh = new NavMesh().fromPositions([0, 0, 0, 4, 0, 0, 4, 0, 4, 0, 0, 4], [0, 1, 2, 0, 2, 3]);
+    planner = new PathPlanner(navMesh, new TaskQueue(0));
+  });
+
+  it("should serve path requests asynchronously", async () => {
+    const entity = new GameEntity();
+    const callback = vi.fn();
+    const from = new Vector3(1, 0, 1);
+
+    const promise = planner.findPath(entity, from, new Vector3(3, 0, 3), callback);
+    from.set(2, 0, 2);
+    expect(callback).not.toHaveBeenCalled();
+
+    planner.update();
+
+    const expected = [new Vector3(1, 0, 1), new Vector3(3, 0, 3)];
+    expect(callback).toHaveBeenCalledWith(entity, expected, null);
+    await expect(promise).resolves.toEqual(expected);
+  });
+
+  it("should spread requests across updates", () => {
+    const entities = [new GameEntity(), new GameEntity()];
+    const callback = vi.fn();
+    for (const entity of entities) planner.findPath(entity, new Vector3(1, 0, 1), new Vector3(3, 0, 3), callback);
+
+    planner.update();
+    expect(callback.mock.calls.map(([entity]) => entity)).toEqual([entities[0]]);
+
+    planner.update();
+    expect(callback.mock.calls.map(([entity]) => entity)).toEqual(entities);
+  });
+
+  it("should spread a single search across updates", async () => {
+    // a long strip of cells, so the search expands many regions
+    const positions = [];
+    const indices = [];
+    for (let i = 0; i < 20; i++) {
+      const base = positions.length / 3;
+      positions.push(i, 0, 0, i + 1, 0, 0, i + 1, 0, 1, i, 0, 1);
+      indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+    const navMesh = new NavMesh();
+    navMesh.mergeConvexRegions = false;
+    navMesh.fromPositions(positions, indices);
+    planner = new PathPlanner(navMesh, new TaskQueue(0));
+
+    const from = new Vector3(0.25, 0, 0.5);
+    const to = new Vector3(19.75, 0, 0.5);
+    const callback = vi.fn();
+    const promise = planner.findPath(new GameEntity(), from, to, callback);
+
+    let updates = 0;
+    while (callback.mock.calls.length === 0) {
+      planner.update();
+      updates++;
+    }
+
+    expect(updates).toBeGreaterThan(1);
+    await expect(promise).resolves.toEqual(navMesh.findPath(from, to));
+  });
+
+  it("should cancel pending requests", async () => {
+    const promise = planner.findPath(new GameEntity(), new Vector3(1, 0, 1), new Vector3(3, 0, 3));
+    planner.clear();
+
+    await expect(promise).rejects.toThrow();
+  });
+
+  it("should report cancelled requests to the callback", () => {
+    const entity = new GameEntity();
+    const callback = vi.fn();
+    planner.findPath(entity, new Vector3(1, 0, 1), new Vector3(3, 0, 3), callback);
+    planner.clear();
+
+    const [calledEntity, path, error] = callback.mock.calls[0];
+    expect(calledEntity).toBe(entity);
+    expect(path).toBe(null);
+    expect(error).toBeInstanceOf(Error);
+  });
+});
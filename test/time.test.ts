@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Time } from "../src/core/Time";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { SeekBehavior } from "../src/steering/behaviors/SeekBehavior";
+
+describe("Time", () => {
+  let time;
+
+  beforeEach(() => {
+    time = new Time();
+  });
+
+  it("should produce one variable step per update", () => {
+    time.update(0.016);
+
+    expect(time.steps).toBe(1);
+    expect(time.delta).toBeCloseTo(0.016);
+    expect(time.elapsed).toBeCloseTo(0.016);
+  });
+
+  it("should clamp and scale deltas", () => {
+    time.update(5);
+    expect(time.delta).toBeCloseTo(0.1);
+
+    time.update(-1);
+    expect(time.delta).toBe(0);
+
+    time.timeScale = 0.5;
+    time.update(0.05);
+    expect(time.delta).toBeCloseTo(0.025);
+    expect(time.elapsed).toBeCloseTo(0.125);
+  });
+
+  it("should not advance while paused", () => {
+    time.pause();
+    time.update(0.016);
+
+    expect(time.paused).toBe(true);
+    expect(time.steps).toBe(0);
+    expect(time.elapsed).toBe(0);
+
+    time.resume().update(0.016);
+    expect(time.steps).toBe(1);
+  });
+
+  it("should accumulate fixed steps", () => {
+    time.fixedDelta = 0.02;
+
+    time.update(0.01);
+    expect(time.steps).toBe(0);
+    expect(time.alpha).toBeCloseTo(0.5);
+
+    time.update(0.05);
+    expect(time.steps).toBe(3);
+    expect(time.delta).toBe(0.02);
+    expect(time.elapsed).toBeCloseTo(0.06);
+    expect(time.alpha).toBeCloseTo(0);
+  });
+
+  it("should limit the number of fixed steps per update", () => {
+    time.fixedDelta = 0.01;
+    time.maxSubSteps = 4;
+
+    time.update(0.1);
+    expect(time.steps).toBe(4);
+    expect(time.alpha).toBe(0);
+  });
+
+  it("should reset the elapsed time", () => {
+    time.fixedDelta = 0.02;
+    time.update(0.05).reset();
+
+    expect(time.elapsed).toBe(0);
+    expect(time.alpha).toBe(0);
+  });
+});
+
+describe("EntityManager time", () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new EntityManager();
+  });
+
+  it("should update once per fixed step", () => {
+    const update = vi.spyOn(manager, "update");
+    manager.time.fixedDelta = 1 / 60;
+
+    manager.tick(0.05);
+    expect(update).toHaveBeenCalledTimes(3);
+    expect(update).toHaveBeenCalledWith(1 / 60);
+
+    manager.time.pause();
+    manager.tick(0.05);
+    expect(update).toHaveBeenCalledTimes(3);
+  });
+
+  it("should make steering independent of the frame rate", () => {
+    const simulate = (frameDeltas) => {
+      const vehicle = new Vehicle();
+      vehicle.steering.add(new SeekBehavior(new Vector3(10, 0, 10)));
+
+      const steppedManager = new EntityManager().add(vehicle);
+      steppedManager.time.fixedDelta = 1 / 60;
+      for (const delta of frameDeltas) steppedManager.tick(delta);
+
+      return vehicle.position;
+    };
+
+    const even = simulate(new Array(60).fill(1 / 30));
+    const uneven = simulate(new Array(20).fill(1 / 20).concat(new Array(60).fill(1 / 60)));
+
+    expect(uneven.x).toBeCloseTo(even.x, 5);
+    expect(uneven.z).toBeCloseTo(even.z, 5);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Trigger } from "../src/triggers/Trigger";
+import { TriggerRegion } from "../src/triggers/TriggerRegion";
+import { SphericalTriggerRegion } from "../src/triggers/regions/SphericalTriggerRegion";
+import { RectangularTriggerRegion } from "../src/triggers/regions/RectangularTriggerRegion";
+import { OrientedBoxTriggerRegion } from "../src/triggers/regions/OrientedBoxTriggerRegion";
+
+class CounterTrigger extends Trigger {
+  constructor(region) {
+    super(region);
+    this.count = 0;
+  }
+
+  execute() {
+    this.count++;
+    return this;
+  }
+}
+
+function createEntity(x, y, z, boundingRadius = 0.5) {
+  const entity = new GameEntity();
+  entity.position = new Vector3(x, y, z);
+  entity.boundingRadius = boundingRadius;
+  return entity;
+}
+
+describe("TriggerRegion", () => {
+  const trigger = new Trigger();
+
+  it("should never be touched by default", () => {
+    expect(new TriggerRegion().touching(trigger, createEntity(0, 0, 0))).toBe(false);
+  });
+
+  it("should test spheres against bounding spheres", () => {
+    const region = new SphericalTriggerRegion(2);
+
+    expect(region.touching(trigger, createEntity(0, 0, 2.4))).toBe(true);
+    expect(region.touching(trigger, createEntity(0, 0, 2.6))).toBe(false);
+  });
+
+  it("should test axis-aligned boxes and ignore the trigger rotation", () => {
+    const rotated = new Trigger();
+    rotated.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 4);
+    const region = new RectangularTriggerRegion(new Vector3(4, 2, 2));
+
+    expect(region.touching(rotated, createEntity(2.4, 0, 0))).toBe(true);
+    expect(region.touching(rotated, createEntity(2.6, 0, 0))).toBe(false);
+    expect(region.touching(rotated, createEntity(2.3, 0, 1.3))).toBe(true);
+    expect(region.touching(rotated, createEntity(2.4, 0, 1.4))).toBe(false);
+  });
+
+  it("should test oriented boxes in the local space of the trigger", () => {
+    const parent = new GameEntity();
+    parent.position = new Vector3(10, 0, 0);
+    const rotated = new Trigger();
+    rotated.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 2);
+    parent.add(rotated);
+
+    // the long side of the box points along the world z axis
+    const region = new OrientedBoxTriggerRegion(new Vector3(2, 1, 0.5), new Vector3(1, 0, 0));
+
+    expect(region.touching(rotated, createEntity(10, 0, -2.9, 0))).toBe(true);
+    expect(region.touching(rotated, createEntity(10, 0, 1.1, 0))).toBe(false);
+    expect(region.touching(rotated, createEntity(10.9, 0, 0, 0.5))).toBe(true);
+    expect(region.touching(rotated, createEntity(11.1, 0, 0, 0.5))).toBe(false);
+
+    rotated.scaling = new Vector3(2, 2, 2);
+    expect(region.touching(rotated, createEntity(11.4, 0, 0, 0.5))).toBe(true);
+  });
+
+  describe("from Babylon meshes", () => {
+    let engine;
+    let scene;
+
+    beforeEach(() => {
+      engine = new NullEngine();
+      scene = new Scene(engine);
+    });
+
+    afterEach(() => {
+      scene.dispose();
+      engine.dispose();
+    });
+
+    it("should use the bounding box of a mesh", () => {
+      const box = MeshBuilder.CreateBox("box", { width: 4, height: 2, depth: 2 }, scene);
+      box.rotation.y = Math.PI / 2;
+
+      const rectangular = new RectangularTriggerRegion().fromMesh(box);
+      expect(rectangular.size.x).toBeCloseTo(2);
+      expect(rectangular.size.z).toBeCloseTo(4);
+
+      const trigger = new Trigger();
+      trigger.rotation = Quaternion.FromEulerAngles(0, Math.PI / 2, 0);
+      const oriented = new OrientedBoxTriggerRegion().fromMesh(box);
+
+      expect(oriented.halfSizes).toEqual(new Vector3(2, 1, 1));
+      expect(oriented.touching(trigger, createEntity(0, 0, 1.9, 0))).toBe(true);
+      expect(oriented.touching(trigger, createEntity(1.9, 0, 0, 0))).toBe(false);
+    });
+  });
+});
+
+describe("Trigger", () => {
+  let manager;
+  let trigger;
+  let player;
+
+  beforeEach(() => {
+    manager = new EntityManager();
+    trigger = new CounterTrigger(new SphericalTriggerRegion(1));
+    player = createEntity(5, 0, 0);
+    manager.add(trigger).add(player);
+  });
+
+  it("should fire enter, stay and exit events", () => {
+    const events = [];
+    trigger.onEnterObservable.add((entity) => events.push(["enter", entity]));
+    trigger.onStayObservable.add((entity) => events.push(["stay", entity]));
+    trigger.onExitObservable.add((entity) => events.push(["exit", entity]));
+
+    manager.update(0.1);
+    expect(events).toEqual([]);
+
+    player.position = new Vector3(1, 0, 0);
+    manager.update(0.1);
+    manager.update(0.1);
+    expect(trigger.isTouching(player)).toBe(true);
+
+    player.position = new Vector3(5, 0, 0);
+    manager.update(0.1);
+
+    expect(events).toEqual([
+      ["enter", player],
+      ["stay", player],
+      ["exit", player],
+    ]);
+    expect(trigger.count).toBe(2);
+  });
+
+  it("should only be activated by entities that allow it", () => {
+    const other = new CounterTrigger(new SphericalTriggerRegion(1));
+    manager.add(other);
+
+    player.position = new Vector3(0, 0, 0);
+    player.canActivateTrigger = false;
+    manager.update(0.1);
+
+    expect(trigger.count).toBe(0);
+    expect(other.count).toBe(0);
+  });
+
+  it("should not be evaluated while inactive", () => {
+    const check = vi.spyOn(trigger, "check");
+    trigger.active = false;
+    manager.update(0.1);
+
+    expect(check).not.toHaveBeenCalled();
+  });
+
+  it("should fire exit events for entities that are not checked anymore", () => {
+    const exit = vi.fn();
+    trigger.onExitObservable.add(exit);
+
+    player.position = new Vector3(0, 0, 0);
+    manager.update(0.1);
+
+    player.active = false;
+    manager.update(0.1);
+    expect(exit).toHaveBeenCalledWith(player, expect.anything());
+
+    player.active = true;
+    manager.update(0.1);
+    manager.remove(player);
+    manager.update(0.1);
+
+    expect(exit).toHaveBeenCalledTimes(2);
+    expect(trigger.isTouching(player)).toBe(false);
+  });
+
+  it("should allow trigger callbacks to remove entities", () => {
+    trigger.onEnterObservable.add((entity) => manager.remove(entity));
+    player.position = new Vector3(0, 0, 0);
+
+    expect(() => manager.update(0.1)).not.toThrow();
+    expect(manager.entities).toEqual([trigger]);
+  });
+
+  it("should round-trip with its region and touching entities", () => {
+    trigger.region = new OrientedBoxTriggerRegion(new Vector3(1, 2, 3), new Vector3(0, 1, 0));
+    player.position = new Vector3(0, 0, 0);
+    manager.update(0.1);
+
+    const restored = new EntityManager().registerType("CounterTrigger", CounterTrigger);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const [restoredTrigger, restoredPlayer] = restored.entities;
+
+    expect(restoredTrigger).toBeInstanceOf(CounterTrigger);
+    expect(restoredTrigger.canActivateTrigger).toBe(false);
+    expect(restoredTrigger.region).toBeInstanceOf(OrientedBoxTriggerRegion);
+    expect(restoredTrigger.region.halfSizes).toEqual(new Vector3(1, 2, 3));
+    expect(restoredTrigger.isTouching(restoredPlayer)).toBe(true);
+
+    // the player stays inside, so no new enter event is fired
+    const enter = vi.fn();
+    restoredTrigger.onEnterObservable.add(enter);
+    restored.update(0.1);
+    expect(enter).not.toHaveBeenCalled();
+  });
+
+  it("should reject unregistered region types", () => {
+    class CustomRegion extends TriggerRegion {}
+    trigger.region = new CustomRegion();
+    const json = JSON.parse(JSON.stringify(trigger.toJSON()));
+
+    expect(() => new Trigger().fromJSON(json)).toThrow(/CustomRegion/);
+    expect(new Trigger().registerType("CustomRegion", CustomRegion).fromJSON(json).region).toBeInstanceOf(CustomRegion);
+  });
+});
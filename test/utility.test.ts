@@ -0,0 +1,241 @@
+import { describe, it, expect, vi } from "vitest";
+import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vehicle } from "../src/steering/Vehicle";
+import { Reasoner } from "../src/utility/Reasoner";
+import { UtilityAction } from "../src/utility/UtilityAction";
+import { Consideration } from "../src/utility/Consideration";
+import { LinearCurve } from "../src/utility/curves/LinearCurve";
+import { QuadraticCurve } from "../src/utility/curves/QuadraticCurve";
+import { LogisticCurve } from "../src/utility/curves/LogisticCurve";
+import { PointsCurve } from "../src/utility/curves/PointsCurve";
+
+class Heal extends UtilityAction {}
+
+class Soldier extends GameEntity {
+  constructor() {
+    super();
+    this.health = 100;
+    this.ammo = 10;
+    this.reasoner = new Reasoner(this);
+    this.reasoner.registerType("Heal", Heal);
+  }
+
+  update(delta) {
+    this.reasoner.execute(delta);
+    return this;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.health = this.health;
+    json.ammo = this.ammo;
+    json.reasoner = this.reasoner.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.health = json.health;
+    this.ammo = json.ammo;
+    this.reasoner.fromJSON(json.reasoner);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.reasoner.resolveReferences(entities);
+    return this;
+  }
+}
+
+// An action with a fixed score
+function constantAction(score) {
+  return new UtilityAction([new Consideration(() => score)]);
+}
+
+describe("ResponseCurve", () => {
+  it("should map inputs with linear and quadratic curves", () => {
+    expect(new LinearCurve().evaluate(0.25)).toBeCloseTo(0.25);
+    expect(new LinearCurve(-1, 1).evaluate(0.25)).toBeCloseTo(0.75);
+    expect(new QuadraticCurve().evaluate(0.5)).toBeCloseTo(0.25);
+    expect(new QuadraticCurve(0.5).evaluate(0.25)).toBeCloseTo(0.5);
+  });
+
+  it("should mirror quadratic curves with fractional exponents left of the shift", () => {
+    const curve = new QuadraticCurve(0.5, 1, 0.5, 0.5);
+    expect(curve.evaluate(0.25)).toBeCloseTo(0);
+    expect(curve.evaluate(0.375)).toBeCloseTo(0.5 - Math.sqrt(0.125));
+    expect(curve.evaluate(0.75)).toBeCloseTo(1);
+
+    // integer exponents keep their sign behaviour
+    expect(new QuadraticCurve(2, 1, 0.5).evaluate(0)).toBeCloseTo(0.25);
+  });
+
+  it("should map inputs with logistic curves", () => {
+    const curve = new LogisticCurve();
+    expect(curve.evaluate(0.5)).toBeCloseTo(0.5);
+    expect(curve.evaluate(0)).toBeLessThan(0.01);
+    expect(curve.evaluate(1)).toBeGreaterThan(0.99);
+  });
+
+  it("should interpolate custom points", () => {
+    const curve = new PointsCurve([
+      [0.2, 0],
+      [0.6, 1],
+      [1, 0.5],
+    ]);
+    expect(curve.evaluate(0)).toBe(0);
+    expect(curve.evaluate(0.4)).toBeCloseTo(0.5);
+    expect(curve.evaluate(0.8)).toBeCloseTo(0.75);
+    expect(new PointsCurve().evaluate(0.5)).toBe(0);
+  });
+
+  it("should clamp inputs and scores to [0,1]", () => {
+    const curve = new LinearCurve(2, -0.5);
+    expect(curve.evaluate(-1)).toBe(0);
+    expect(curve.evaluate(2)).toBe(1);
+  });
+});
+
+describe("Consideration", () => {
+  it("should read properties and methods of the owner", () => {
+    const soldier = new Soldier();
+    soldier.health = 25;
+    expect(new Consideration("health", new LinearCurve(), 0, 100).score(soldier)).toBeCloseTo(0.25);
+
+    const vehicle = new Vehicle();
+    vehicle.velocity = new Vector3(3, 0, 4);
+    expect(new Consideration("getSpeed", new LinearCurve(), 0, 10).score(vehicle)).toBeCloseTo(0.5);
+    expect(new Consideration("velocity.x", new LinearCurve(), 0, 10).score(vehicle)).toBeCloseTo(0.3);
+    expect(new Consideration("missing.value").score(vehicle)).toBe(0);
+  });
+
+  it("should read inputs from functions", () => {
+    const soldier = new Soldier();
+    const input = vi.fn((owner) => owner.ammo);
+    const consideration = new Consideration(input, new LinearCurve(-1, 1), 0, 20);
+
+    expect(consideration.score(soldier)).toBeCloseTo(0.5);
+    expect(input).toHaveBeenCalledWith(soldier);
+  });
+});
+
+describe("UtilityAction", () => {
+  it("should compensate for the number of considerations", () => {
+    const single = new UtilityAction([new Consideration(() => 0.5)]);
+    const double = new UtilityAction([new Consideration(() => 0.5), new Consideration(() => 0.5)]);
+
+    expect(single.score(null)).toBeCloseTo(0.5);
+    expect(double.score(null)).toBeCloseTo(0.625 * 0.625);
+
+    double.compensationFactor = 0;
+    expect(double.score(null)).toBeCloseTo(0.25);
+  });
+
+  it("should veto with a zero score and apply the weight", () => {
+    const action = new UtilityAction([new Consideration(() => 0), new Consideration(() => 1)]);
+    expect(action.score(null)).toBe(0);
+    expect(new UtilityAction().score(null)).toBe(0);
+
+    const weighted = constantAction(0.5);
+    weighted.weight = 2;
+    expect(weighted.score(null)).toBeCloseTo(1);
+  });
+});
+
+describe("Reasoner", () => {
+  it("should select and execute the best action", () => {
+    const soldier = new Soldier();
+    const heal = new Heal([new Consideration("health", new LinearCurve(-1, 1), 0, 100)]);
+    const attack = new UtilityAction([new Consideration("ammo", new LinearCurve(), 0, 10)]);
+    const spies = [vi.spyOn(heal, "activate"), vi.spyOn(heal, "execute"), vi.spyOn(attack, "terminate")];
+    soldier.reasoner.addAction(heal).addAction(attack);
+
+    soldier.update(0.5);
+    expect(soldier.reasoner.currentAction).toBe(attack);
+
+    soldier.health = 10;
+    soldier.ammo = 2;
+    soldier.update(0.5);
+    expect(soldier.reasoner.currentAction).toBe(heal);
+    expect(spies[0]).toHaveBeenCalledWith(soldier);
+    expect(spies[1]).toHaveBeenCalledWith(soldier, 0.5);
+    expect(spies[2]).toHaveBeenCalledWith(soldier);
+  });
+
+  it("should keep the current action because of momentum", () => {
+    const reasoner = new Reasoner(new GameEntity());
+    const first = constantAction(0.5);
+    let second = 0.4;
+    reasoner.addAction(first).addAction(new UtilityAction([new Consideration(() => second)]));
+
+    reasoner.execute(0.1);
+    expect(reasoner.currentAction).toBe(first);
+
+    second = 0.52;
+    reasoner.execute(0.1);
+    expect(reasoner.currentAction).toBe(first);
+
+    second = 0.6;
+    reasoner.execute(0.1);
+    expect(reasoner.currentAction).not.toBe(first);
+  });
+
+  it("should select nothing if no action scores above zero", () => {
+    const reasoner = new Reasoner(new GameEntity()).addAction(constantAction(0));
+    expect(reasoner.evaluate()).toBe(null);
+
+    const action = constantAction(1);
+    const terminate = vi.spyOn(action, "terminate");
+    reasoner.addAction(action).execute(0.1);
+    reasoner.removeAction(action);
+    expect(terminate).toHaveBeenCalled();
+    expect(reasoner.currentAction).toBe(null);
+  });
+
+  it("should round-trip with its owner", () => {
+    const soldier = new Soldier();
+    soldier.health = 30;
+    const heal = new Heal([new Consideration("health", new LogisticCurve(-12, 0.5), 0, 100)], 2);
+    heal.compensationFactor = 0.5;
+    soldier.reasoner.addAction(heal).addAction(
+      new UtilityAction([
+        new Consideration(
+          "ammo",
+          new PointsCurve([
+            [0, 0],
+            [1, 1],
+          ]),
+          0,
+          10
+        ),
+        new Consideration("getSpeed", new QuadraticCurve(3)),
+      ])
+    );
+    soldier.reasoner.momentum = 0.25;
+    soldier.update(0.1);
+
+    const manager = new EntityManager().registerType("Soldier", Soldier).add(soldier);
+    const json = JSON.parse(JSON.stringify(manager.toJSON()));
+
+    expect(() => new Reasoner().fromJSON(soldier.reasoner.toJSON())).toThrow(/Heal/);
+
+    const restored = new EntityManager().registerType("Soldier", Soldier);
+    restored.fromJSON(json);
+    const reasoner = restored.entities[0].reasoner;
+    const [restoredHeal, other] = reasoner.actions;
+
+    expect(reasoner.owner).toBe(restored.entities[0]);
+    expect(reasoner.momentum).toBe(0.25);
+    expect(reasoner.currentAction).toBe(restoredHeal);
+    expect(restoredHeal).toBeInstanceOf(Heal);
+    expect(restoredHeal.weight).toBe(2);
+    expect(restoredHeal.compensationFactor).toBe(0.5);
+    expect(restoredHeal.considerations[0].curve).toBeInstanceOf(LogisticCurve);
+    expect(other.considerations[0].curve).toBeInstanceOf(PointsCurve);
+    expect(other.considerations[1].input).toBe("getSpeed");
+    expect(restoredHeal.score(reasoner.owner)).toBeCloseTo(heal.score(soldier));
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { Vector3, Quaternion } from "@babylonjs/core/Maths/math.vector";
+import { GameEntity } from "../src/core/GameEntity";
+import { EntityManager } from "../src/core/EntityManager";
+import { Vision } from "../src/perception/Vision";
+import { SphereObstacle } from "../src/perception/obstacles/SphereObstacle";
+
+class Guard extends GameEntity {
+  constructor() {
+    super();
+    this.vision = new Vision(this);
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    json.vision = this.vision.toJSON();
+    return json;
+  }
+
+  fromJSON(json) {
+    super.fromJSON(json);
+    this.vision.fromJSON(json.vision);
+    return this;
+  }
+
+  resolveReferences(entities) {
+    super.resolveReferences(entities);
+    this.vision.resolveReferences(entities);
+    return this;
+  }
+}
+
+function createObstacle(x, z, radius = 1) {
+  const obstacle = new GameEntity();
+  obstacle.position = new Vector3(x, 0, z);
+  obstacle.boundingRadius = radius;
+  obstacle.obstacle = new SphereObstacle();
+  return obstacle;
+}
+
+describe("Vision", () => {
+  let guard;
+  let vision;
+
+  beforeEach(() => {
+    guard = new Guard();
+    vision = guard.vision;
+    vision.fieldOfView = Math.PI / 2;
+    vision.range = 10;
+  });
+
+  it("should see points within the view cone", () => {
+    expect(vision.visible(new Vector3(0, 0, 5))).toBe(true);
+    expect(vision.visible(new Vector3(2, 0, 5))).toBe(true);
+    expect(vision.visible(new Vector3(0, 0, 0))).toBe(true);
+  });
+
+  it("should not see points outside of the field of view or range", () => {
+    expect(vision.visible(new Vector3(5, 0, 1))).toBe(false);
+    expect(vision.visible(new Vector3(0, 0, -5))).toBe(false);
+    expect(vision.visible(new Vector3(0, 0, 11))).toBe(false);
+
+    vision.fieldOfView = Math.PI * 2;
+    expect(vision.visible(new Vector3(0, 0, -5))).toBe(true);
+  });
+
+  it("should be occluded by obstacles between the owner and the point", () => {
+    const obstacle = createObstacle(0, 4);
+    vision.addObstacle(obstacle);
+
+    expect(vision.visible(new Vector3(0, 0, 8))).toBe(false);
+    expect(vision.visible(new Vector3(0, 0, 2))).toBe(true);
+    expect(vision.visible(new Vector3(3, 0, 8))).toBe(true);
+
+    vision.removeObstacle(obstacle);
+    expect(vision.visible(new Vector3(0, 0, 8))).toBe(true);
+  });
+
+  it("should ignore the owner when it is an obstacle itself", () => {
+    guard.boundingRadius = 1;
+    guard.obstacle = new SphereObstacle();
+    vision.addObstacle(guard);
+
+    expect(vision.visible(new Vector3(0, 0, 5))).toBe(true);
+  });
+
+  it("should not let the target block its own line of sight", () => {
+    const player = createObstacle(0, 5);
+    vision.addObstacle(player);
+
+    expect(vision.visible(new Vector3(0, 0, 5))).toBe(false);
+    expect(vision.visible(new Vector3(0, 0, 5), player)).toBe(true);
+
+    // other obstacles still occlude the target
+    vision.addObstacle(createObstacle(0, 2));
+    expect(vision.visible(new Vector3(0, 0, 5), player)).toBe(false);
+  });
+
+  it("should use the world transform of parented owners", () => {
+    const parent = new GameEntity();
+    parent.position = new Vector3(10, 0, 0);
+    parent.rotation = Quaternion.RotationAxis(Vector3.Up(), Math.PI / 2);
+    parent.add(guard);
+
+    // the guard stands at (10, 0, 0) and faces world +x
+    expect(vision.visible(new Vector3(15, 0, 0))).toBe(true);
+    expect(vision.visible(new Vector3(10, 0, 5))).toBe(false);
+    expect(vision.visible(new Vector3(5, 0, 0))).toBe(false);
+
+    vision.addObstacle(createObstacle(12, 0, 0.5));
+    expect(vision.visible(new Vector3(15, 0, 0))).toBe(false);
+  });
+
+  it("should round-trip with its owner", () => {
+    const obstacle = createObstacle(0, 4);
+    vision.addObstacle(obstacle);
+    vision.range = Infinity;
+
+    const manager = new EntityManager().registerType("Guard", Guard);
+    manager.add(guard).add(obstacle);
+
+    const restored = new EntityManager().registerType("Guard", Guard);
+    restored.fromJSON(JSON.parse(JSON.stringify(manager.toJSON())));
+    const restoredGuard = restored.entities[0];
+
+    expect(restoredGuard.vision.owner).toBe(restoredGuard);
+    expect(restoredGuard.vision.fieldOfView).toBe(Math.PI / 2);
+    expect(restoredGuard.vision.range).toBe(Infinity);
+    expect(restoredGuard.vision.obstacles).toEqual([restored.entities[1]]);
+  });
+});